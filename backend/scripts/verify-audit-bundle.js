@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+// backend/scripts/verify-audit-bundle.js
+//
+// Check an audit bundle from GET /api/audit/export against your own node:
+//
+//   node scripts/verify-audit-bundle.js privamed-audit.json \
+//     [--rpc http://127.0.0.1:8545] [--contract 0x...]
+//
+// --contract pins the PrivaMed address instead of trusting the bundle's.
+// Exits 0 when every block, receipt, event and Merkle proof checks out, 1 when
+// anything does not, 2 on bad usage.
+
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { verifyAuditBundle } = require("../src/auditBundle");
+
+function parseArgs(argv) {
+  const options = { rpc: process.env.WEB3_PROVIDER || "http://127.0.0.1:8545" };
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--rpc" || argv[i] === "--contract") {
+      options[argv[i].slice(2)] = argv[++i];
+    } else {
+      rest.push(argv[i]);
+    }
+  }
+  options.file = rest[0];
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (
+    !options.file ||
+    (options.contract && !ethers.isAddress(options.contract))
+  ) {
+    console.error(
+      "usage: verify-audit-bundle.js <bundle.json> [--rpc <url>] [--contract <address>]"
+    );
+    return 2;
+  }
+
+  const bundle = JSON.parse(fs.readFileSync(options.file, "utf8"));
+  if (
+    options.contract &&
+    bundle.contract.toLowerCase() !== options.contract.toLowerCase()
+  ) {
+    console.error(
+      `FAIL bundle is for ${bundle.contract}, not ${options.contract}`
+    );
+    return 1;
+  }
+
+  const provider = new ethers.JsonRpcProvider(options.rpc);
+  const result = await verifyAuditBundle(bundle, provider);
+  provider.destroy();
+
+  const { blocks, transactions, entries } = result.checked;
+  console.log(
+    `Checked ${entries} events in ${transactions} transactions across ${blocks} blocks against ${options.rpc}`
+  );
+  console.log(`Merkle root ${bundle.merkleRoot}`);
+  for (const error of result.errors) {
+    console.error(`FAIL ${error}`);
+  }
+  console.log(result.ok ? "OK: bundle verified" : "Bundle did NOT verify");
+  return result.ok ? 0 : 1;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(err.message || err);
+    process.exitCode = 1;
+  });
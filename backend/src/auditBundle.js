@@ -0,0 +1,238 @@
+// backend/src/auditBundle.js
+//
+// Tamper-evident export of the audit trail. A bundle carries the selected
+// PrivaMed events with their block numbers and tx hashes, the full receipt of
+// every transaction involved with a receipts-trie inclusion proof against its
+// block's receiptsRoot, the chain log label the backend gave the transaction
+// (if any), and a Merkle root over all entries with a proof for each.
+//
+// verifyAuditBundle needs nothing from PrivaMed: given an RPC node it checks
+// that every block is on that chain, every receipt is in its block, every event
+// is in its receipt and decodes to what the bundle claims, and that every
+// entry belongs to the Merkle root. scripts/verify-audit-bundle.js wraps it.
+
+const { ethers } = require("ethers");
+const {
+  encodeReceipt,
+  receiptKey,
+  buildTrie,
+  verifyTrieProof,
+  buildMerkleTree,
+  verifyMerkleProof
+} = require("./proofs");
+const { normalizeArgs } = require("./indexer");
+
+const BUNDLE_FORMAT = "privamed-audit-bundle/1";
+
+function merkleLeaf(entry) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["bytes32", "bytes32", "uint256"],
+      [entry.blockHash, entry.txHash, entry.logIndex]
+    )
+  );
+}
+
+// Raw receipts of every transaction in a raw block (hex quantities)
+async function loadBlockReceipts(provider, block) {
+  return Promise.all(
+    block.transactions.map((hash) =>
+      provider.send("eth_getTransactionReceipt", [hash])
+    )
+  );
+}
+
+// `events`: indexed events (see indexer.js), oldest first. `options`:
+// { provider (JSON-RPC), contract (address), abi (event fragments), labels
+//   (lowercased tx hash -> chain log label), filter (echoed into the bundle) }
+async function buildAuditBundle(events, options) {
+  const { provider, contract, abi, labels = new Map(), filter = {} } = options;
+  const { chainId } = await provider.getNetwork();
+
+  const blocks = {};
+  const transactions = {};
+  for (const number of [...new Set(events.map((e) => e.blockNumber))]) {
+    const block = await provider.send("eth_getBlockByNumber", [
+      ethers.toQuantity(number),
+      false
+    ]);
+    const receipts = await loadBlockReceipts(provider, block);
+    const trie = buildTrie(
+      receipts.map((r) => ({
+        key: receiptKey(r.transactionIndex),
+        value: encodeReceipt(r)
+      }))
+    );
+    if (trie.root !== block.receiptsRoot) {
+      throw new Error(
+        `receipts of block ${number} do not match its receiptsRoot`
+      );
+    }
+    blocks[number] = {
+      hash: block.hash,
+      receiptsRoot: block.receiptsRoot,
+      timestamp: Number(block.timestamp)
+    };
+
+    const wanted = new Set(
+      events.filter((e) => e.blockNumber === number).map((e) => e.txHash)
+    );
+    for (const receipt of receipts) {
+      if (!wanted.has(receipt.transactionHash)) continue;
+      const key = receiptKey(receipt.transactionIndex);
+      transactions[receipt.transactionHash] = {
+        blockNumber: number,
+        transactionIndex: Number(receipt.transactionIndex),
+        from: receipt.from,
+        label: labels.get(receipt.transactionHash.toLowerCase()) || null,
+        receipt: {
+          type: receipt.type || "0x0",
+          status: receipt.status,
+          cumulativeGasUsed: receipt.cumulativeGasUsed,
+          logsBloom: receipt.logsBloom,
+          logs: receipt.logs.map((log) => ({
+            address: log.address,
+            topics: log.topics,
+            data: log.data,
+            logIndex: Number(log.logIndex)
+          }))
+        },
+        receiptProof: trie.proof(key)
+      };
+    }
+  }
+
+  const entries = events.map((e) => ({
+    name: e.name,
+    args: e.args,
+    blockNumber: e.blockNumber,
+    blockHash: e.blockHash,
+    txHash: e.txHash,
+    logIndex: e.logIndex
+  }));
+  const tree = buildMerkleTree(entries.map(merkleLeaf));
+  entries.forEach((entry, i) => {
+    entry.merkleProof = tree.proofs[i];
+  });
+
+  return {
+    format: BUNDLE_FORMAT,
+    generatedAt: new Date().toISOString(),
+    chainId: Number(chainId),
+    contract,
+    filter,
+    abi,
+    merkleRoot: tree.root,
+    blocks,
+    transactions,
+    entries
+  };
+}
+
+// Check `bundle` against the chain `provider` is connected to. Resolves
+// { ok, errors: [message], checked: { blocks, transactions, entries } }.
+async function verifyAuditBundle(bundle, provider) {
+  const errors = [];
+  if (bundle.format !== BUNDLE_FORMAT) {
+    return {
+      ok: false,
+      errors: [`unknown bundle format ${bundle.format}`],
+      checked: {}
+    };
+  }
+
+  const { chainId } = await provider.getNetwork();
+  if (Number(chainId) !== bundle.chainId) {
+    errors.push(`bundle is for chain ${bundle.chainId}, node is on ${chainId}`);
+  }
+
+  // Blocks: on this node's chain, with the receiptsRoot the bundle claims
+  for (const [number, claimed] of Object.entries(bundle.blocks)) {
+    const block = await provider.send("eth_getBlockByNumber", [
+      ethers.toQuantity(Number(number)),
+      false
+    ]);
+    if (!block || block.hash !== claimed.hash) {
+      errors.push(`block ${number} is not ${claimed.hash} on this chain`);
+    } else if (block.receiptsRoot !== claimed.receiptsRoot) {
+      errors.push(`block ${number} receiptsRoot differs`);
+    }
+  }
+
+  // Receipts: proven against their block's receiptsRoot, and belonging to
+  // the transaction the bundle names
+  for (const [txHash, tx] of Object.entries(bundle.transactions)) {
+    const block = bundle.blocks[tx.blockNumber];
+    if (!block) {
+      errors.push(`block ${tx.blockNumber} of ${txHash} is missing`);
+      continue;
+    }
+    const onChain = await provider.send(
+      "eth_getTransactionByBlockHashAndIndex",
+      [block.hash, ethers.toQuantity(tx.transactionIndex)]
+    );
+    if (!onChain || onChain.hash !== txHash) {
+      errors.push(
+        `${txHash} is not transaction ${tx.transactionIndex} of block ${tx.blockNumber}`
+      );
+    }
+    try {
+      const proven = verifyTrieProof(
+        block.receiptsRoot,
+        receiptKey(tx.transactionIndex),
+        tx.receiptProof
+      );
+      if (proven !== encodeReceipt(tx.receipt).toLowerCase()) {
+        errors.push(`receipt of ${txHash} does not match its proof`);
+      }
+    } catch (err) {
+      errors.push(`receipt proof of ${txHash} is invalid: ${err.message}`);
+    }
+  }
+
+  // Entries: in their receipt, decoding to the claimed event, in the tree
+  const iface = new ethers.Interface(bundle.abi);
+  const leaves = [];
+  for (const entry of bundle.entries) {
+    const where = `${entry.name} in ${entry.txHash}#${entry.logIndex}`;
+    const tx = bundle.transactions[entry.txHash];
+    const block = bundle.blocks[entry.blockNumber];
+    const log =
+      tx && tx.receipt.logs.find((l) => l.logIndex === entry.logIndex);
+    if (!tx || !block || block.hash !== entry.blockHash || !log) {
+      errors.push(`${where}: not in the bundled receipts`);
+    } else if (log.address.toLowerCase() !== bundle.contract.toLowerCase()) {
+      errors.push(`${where}: emitted by ${log.address}, not the contract`);
+    } else {
+      const parsed = iface.parseLog(log);
+      if (
+        !parsed ||
+        parsed.name !== entry.name ||
+        JSON.stringify(normalizeArgs(parsed)) !== JSON.stringify(entry.args)
+      ) {
+        errors.push(`${where}: event does not match the log`);
+      }
+    }
+
+    const leaf = merkleLeaf(entry);
+    leaves.push(leaf);
+    if (!verifyMerkleProof(leaf, entry.merkleProof || [], bundle.merkleRoot)) {
+      errors.push(`${where}: Merkle proof does not lead to the bundle root`);
+    }
+  }
+  if (buildMerkleTree(leaves).root !== bundle.merkleRoot) {
+    errors.push("entries do not add up to the bundle's Merkle root");
+  }
+
+  return {
+    ok: errors.length === 0,
+    errors,
+    checked: {
+      blocks: Object.keys(bundle.blocks).length,
+      transactions: Object.keys(bundle.transactions).length,
+      entries: bundle.entries.length
+    }
+  };
+}
+
+module.exports = { BUNDLE_FORMAT, buildAuditBundle, verifyAuditBundle };
@@ -0,0 +1,193 @@
+// backend/src/auth.js
+//
+// Sign-In with Ethereum (EIP-4361 style) for API callers.
+//
+//   1. POST /api/auth/nonce   { address }          -> { nonce, message }
+//   2. the wallet signs `message` (personal_sign)
+//   3. POST /api/auth/verify  { nonce, signature } -> { token, address, expiresAt }
+//
+// The token is then sent as `Authorization: Bearer <token>` and requireSession
+// puts the verified address on req.actor. Challenges and sessions live in
+// memory: they are short-lived and a restart simply asks users to sign again.
+
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const SESSION_TTL_MS =
+  Number(process.env.SESSION_TTL_SECONDS || 60 * 60) * 1000;
+
+// nonce -> { address, message, expiresAt }
+const challenges = new Map();
+// token -> { address, expiresAt }
+const sessions = new Map();
+
+function purgeExpired(map) {
+  const now = Date.now();
+  for (const [key, value] of map.entries()) {
+    if (value.expiresAt <= now) {
+      map.delete(key);
+    }
+  }
+}
+
+function buildSiweMessage({
+  domain,
+  uri,
+  address,
+  chainId,
+  nonce,
+  issuedAt,
+  expiresAt
+}) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    "Sign in to PrivaMed to access and share medical records.",
+    "",
+    `URI: ${uri}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date(issuedAt).toISOString()}`,
+    `Expiration Time: ${new Date(expiresAt).toISOString()}`
+  ].join("\n");
+}
+
+// The URI a challenge names: SIWE_URI when configured, otherwise `origin`
+// (the app asking for the signature, normally the request's Origin header).
+// Throws with a user-facing message when `origin` is not an http(s) origin,
+// e.g. the "null" browsers send from sandboxed frames and file: pages.
+function siweUri(origin) {
+  if (process.env.SIWE_URI) return process.env.SIWE_URI;
+  if (!origin) return "http://localhost:3000";
+
+  let url;
+  try {
+    url = new URL(origin);
+  } catch {
+    url = null;
+  }
+  if (!url || !["http:", "https:"].includes(url.protocol) || !url.host) {
+    throw new Error(
+      `cannot sign in from Origin ${JSON.stringify(origin)}; SIWE needs an http(s) origin`
+    );
+  }
+  return url.origin;
+}
+
+// Issue a single-use challenge for `address`. `uri` comes from siweUri().
+function createChallenge({ address, chainId, uri }) {
+  purgeExpired(challenges);
+
+  const checksummed = ethers.getAddress(address);
+  const domain = process.env.SIWE_DOMAIN || new URL(uri).host;
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const issuedAt = Date.now();
+  const expiresAt = issuedAt + CHALLENGE_TTL_MS;
+
+  const message = buildSiweMessage({
+    domain,
+    uri,
+    address: checksummed,
+    chainId,
+    nonce,
+    issuedAt,
+    expiresAt
+  });
+
+  challenges.set(nonce, { address: checksummed, message, expiresAt });
+  return { nonce, message, expiresAt };
+}
+
+// Check `signature` against the challenge issued for `nonce` and open a
+// session. Throws with a user-facing message when anything does not line up.
+function verifyChallenge({ nonce, signature }) {
+  purgeExpired(challenges);
+
+  const challenge = challenges.get(nonce);
+  if (!challenge) {
+    throw new Error("unknown or expired nonce");
+  }
+  // Nonces are single-use whether or not the signature checks out.
+  challenges.delete(nonce);
+
+  let recovered;
+  try {
+    recovered = ethers.verifyMessage(challenge.message, signature);
+  } catch {
+    throw new Error("malformed signature");
+  }
+  if (recovered !== challenge.address) {
+    throw new Error("signature does not match address");
+  }
+
+  purgeExpired(sessions);
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  sessions.set(token, { address: challenge.address, expiresAt });
+
+  return { token, address: challenge.address, expiresAt };
+}
+
+function getBearerToken(req) {
+  const header = req.get("authorization") || "";
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : null;
+}
+
+function getSession(token) {
+  if (!token) return null;
+  const session = sessions.get(token);
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return session;
+}
+
+function endSession(token) {
+  if (token) sessions.delete(token);
+}
+
+// Express middleware: reject requests without a live session and expose the
+// signed-in address as req.actor.
+function requireSession(req, res, next) {
+  const session = getSession(getBearerToken(req));
+  if (!session) {
+    return res.status(401).json({ error: "sign-in required" });
+  }
+  req.actor = session.address;
+  req.authSession = session;
+  next();
+}
+
+// Express middleware factory: the address in req.params[paramName] must be the
+// signed-in actor. Use after requireSession.
+function requireSelf(paramName) {
+  return (req, res, next) => {
+    const value = req.params[paramName];
+    if (!value || !ethers.isAddress(value)) {
+      return res.status(400).json({ error: `${paramName} must be an address` });
+    }
+    if (ethers.getAddress(value) !== req.actor) {
+      return res
+        .status(403)
+        .json({ error: `${paramName} does not match the signed-in account` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  siweUri,
+  createChallenge,
+  verifyChallenge,
+  getBearerToken,
+  getSession,
+  endSession,
+  requireSession,
+  requireSelf
+};
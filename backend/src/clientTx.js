@@ -0,0 +1,107 @@
+// backend/src/clientTx.js
+//
+// PrivaMed's owner-only calls (addRecord, grantAccess, revokeAccess,
+// updateRecordCID, approveRequest, denyRequest), requestAccess and
+// emergencyAccess are always authorized by the user's own wallet, so the chain
+// shows the patient as the record owner. SIGNING_MODE picks how: "relay"
+// (default) has the user sign an EIP-712 request that relayer.js submits and
+// pays for; "client" has the wallet send the transaction itself and report the
+// hash back. In client mode (and for acceptAdmin, which is never relayed),
+// before any off-chain state changes we check that the transaction really is
+// what the caller claims: mined, successful, sent by the signed-in account to
+// PrivaMed, and emitting the expected event.
+
+const { ethers } = require("ethers");
+
+const SIGNING_MODES = ["relay", "client"];
+
+function getSigningMode() {
+  const mode = (process.env.SIGNING_MODE || "relay").toLowerCase();
+  if (!SIGNING_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown SIGNING_MODE "${mode}" (expected ${SIGNING_MODES.join(" or ")})`
+    );
+  }
+  return mode;
+}
+
+// Check a transaction the client sent itself. Resolves with { receipt, event }
+// where `event` is the first `eventName` log emitted by `contract` in `txHash`
+// whose args satisfy `matches`. Throws with a user-facing message when the
+// transaction does not check out.
+async function verifyClientTx(provider, contract, txHash, options) {
+  const { from, eventName, matches = () => true } = options;
+
+  if (typeof txHash !== "string" || !ethers.isHexString(txHash, 32)) {
+    throw new Error("txHash must be a transaction hash");
+  }
+
+  const [tx, receipt] = await Promise.all([
+    provider.getTransaction(txHash),
+    provider.getTransactionReceipt(txHash)
+  ]);
+  if (!tx) {
+    throw new Error("transaction not found");
+  }
+  if (!receipt) {
+    throw new Error("transaction has not been mined yet");
+  }
+  if (receipt.status !== 1) {
+    throw new Error("transaction reverted");
+  }
+
+  const contractAddress = await contract.getAddress();
+  if (
+    !tx.to ||
+    ethers.getAddress(tx.to) !== ethers.getAddress(contractAddress)
+  ) {
+    throw new Error("transaction was not sent to the PrivaMed contract");
+  }
+  if (ethers.getAddress(tx.from) !== ethers.getAddress(from)) {
+    throw new Error("transaction was not sent by the signed-in account");
+  }
+
+  return {
+    receipt,
+    event: findContractEvent(
+      contract,
+      contractAddress,
+      receipt,
+      eventName,
+      matches
+    )
+  };
+}
+
+// The first `eventName` log emitted by `contractAddress` in `receipt` whose
+// args satisfy `matches`, parsed with `contract`'s ABI.
+function findContractEvent(
+  contract,
+  contractAddress,
+  receipt,
+  eventName,
+  matches = () => true
+) {
+  for (const log of receipt.logs) {
+    if (ethers.getAddress(log.address) !== ethers.getAddress(contractAddress)) {
+      continue;
+    }
+    let parsed;
+    try {
+      parsed = contract.interface.parseLog(log);
+    } catch (_) {
+      continue;
+    }
+    if (parsed && parsed.name === eventName && matches(parsed.args)) {
+      return parsed;
+    }
+  }
+  throw new Error(`transaction did not emit the expected ${eventName} event`);
+}
+
+module.exports = {
+  SIGNING_MODES,
+  getSigningMode,
+  verifyClientTx,
+  findContractEvent
+};
@@ -0,0 +1,235 @@
+// backend/src/delivery/index.js
+//
+// Outbound delivery of notifications beyond the app. Each account may set an
+// email address and/or a webhook URL (store.deliveryTargets) and optionally
+// limit which notification types leave the app; every notification for it
+// then becomes one job per target, persisted in store.deliveries:
+//
+//   pending -> delivered
+//           -> (after DELIVERY_MAX_ATTEMPTS, or a permanent error) dead
+//
+// Failed attempts are retried with exponential backoff from
+// DELIVERY_RETRY_SECONDS. Dead jobs stay on the account's dead-letter list
+// until retried by hand. Transports are in transports.js.
+
+const crypto = require("crypto");
+const { NOTIFICATION_TYPES } = require("../notifications");
+const { checkWebhookUrl } = require("./webhookUrl");
+
+const MAX_ATTEMPTS = Number(process.env.DELIVERY_MAX_ATTEMPTS || 5);
+const RETRY_BASE_MS = Number(process.env.DELIVERY_RETRY_SECONDS || 30) * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const TICK_MS = 1000;
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+function renderMessage(channel, address, notification) {
+  if (channel === "email") {
+    return {
+      subject: `PrivaMed: ${NOTIFICATION_TYPES[notification.type].label}`,
+      text: [
+        notification.message,
+        "",
+        `Account: ${address}`,
+        `Time: ${new Date(notification.timestamp).toISOString()}`,
+        "",
+        "Sign in to PrivaMed for details."
+      ].join("\n")
+    };
+  }
+  return { body: { address, notification } };
+}
+
+// Body: { email, webhookUrl, types } -> stored targets. `current` keeps the
+// webhook secret while the URL stays the same. Rejects with a user-facing
+// message on invalid input, including a webhook URL that is not https or
+// resolves to a private address (see webhookUrl.js).
+async function normalizeTargets(body, current) {
+  const { email = null, webhookUrl = null, types = null } = body || {};
+  if (
+    email !== null &&
+    !(typeof email === "string" && EMAIL_PATTERN.test(email))
+  ) {
+    throw new Error("email must be an email address or null");
+  }
+  if (webhookUrl !== null) {
+    if (typeof webhookUrl !== "string") {
+      throw new Error("webhookUrl must be a URL or null");
+    }
+    await checkWebhookUrl(webhookUrl);
+  }
+  if (
+    types !== null &&
+    !(Array.isArray(types) && types.every((t) => NOTIFICATION_TYPES[t]))
+  ) {
+    throw new Error("types must be a list of notification types or null");
+  }
+
+  const keep = current && current.webhook && current.webhook.url === webhookUrl;
+  return {
+    email,
+    webhook: webhookUrl
+      ? {
+          url: webhookUrl,
+          secret: keep
+            ? current.webhook.secret
+            : crypto.randomBytes(32).toString("hex")
+        }
+      : null,
+    types
+  };
+}
+
+// Targets as shown to their owner; the webhook secret only when asked for
+function describeTargets(targets, { withSecret = false } = {}) {
+  const t = targets || { email: null, webhook: null, types: null };
+  return {
+    email: t.email,
+    webhookUrl: t.webhook ? t.webhook.url : null,
+    ...(withSecret && t.webhook ? { webhookSecret: t.webhook.secret } : {}),
+    types: t.types
+  };
+}
+
+// `deps`: { store, transports (see transports.js) }
+function createDeliveryQueue({ store, transports }) {
+  let timer = null;
+  let running = false;
+
+  // One job per configured target that wants this notification type
+  async function enqueue(address, notification) {
+    const targets = await store.deliveryTargets.get(address);
+    if (!targets) return [];
+    if (targets.types && !targets.types.includes(notification.type)) return [];
+
+    const jobs = [];
+    const wanted = [
+      ["email", targets.email],
+      ["webhook", targets.webhook && targets.webhook.url]
+    ];
+    for (const [channel, target] of wanted) {
+      if (!target || !transports[channel]) continue;
+      const job = {
+        id: crypto.randomUUID(),
+        channel,
+        address,
+        target,
+        notificationId: notification.id,
+        type: notification.type,
+        message: renderMessage(channel, address, notification),
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null,
+        createdAt: new Date().toISOString(),
+        deliveredAt: null
+      };
+      await store.deliveries.create(job);
+      jobs.push(job);
+    }
+    return jobs;
+  }
+
+  async function attempt(job) {
+    const transport = transports[job.channel];
+    let secret = null;
+    if (job.channel === "webhook") {
+      const targets = await store.deliveryTargets.get(job.address);
+      secret = targets && targets.webhook ? targets.webhook.secret : null;
+    }
+
+    const attempts = job.attempts + 1;
+    try {
+      if (!transport) throw new Error(`no ${job.channel} transport configured`);
+      if (job.channel === "webhook" && !secret) {
+        const err = new Error("webhook target was removed");
+        err.permanent = true;
+        throw err;
+      }
+      await transport.send({ ...job, secret });
+      await store.deliveries.update(job.id, {
+        status: "delivered",
+        attempts,
+        deliveredAt: new Date().toISOString(),
+        lastError: null
+      });
+    } catch (err) {
+      const dead = err.permanent || attempts >= MAX_ATTEMPTS;
+      const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+      await store.deliveries.update(job.id, {
+        status: dead ? "dead" : "pending",
+        attempts,
+        nextAttemptAt: dead ? null : Date.now() + delay,
+        lastError: err.message || String(err)
+      });
+      console.error(
+        `[DELIVERY] ${job.channel} delivery ${job.id} to ${job.target} failed` +
+          ` (attempt ${attempts}${dead ? ", dead-lettered" : ""}): ${err.message}`
+      );
+    }
+  }
+
+  // Due jobs, oldest first, one at a time
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const now = Date.now();
+      const due = (await store.deliveries.list({ status: "pending" }))
+        .filter((job) => job.nextAttemptAt <= now)
+        .reverse();
+      for (const job of due) {
+        await attempt(job);
+      }
+    } catch (err) {
+      console.error("[DELIVERY] Delivery pass failed:", err);
+    } finally {
+      running = false;
+    }
+  }
+
+  // Put a dead-lettered job of `address` back in the queue; resolves with the
+  // job, or null if `address` has no dead job `id`.
+  async function retry(address, id) {
+    const job = await store.deliveries.get(id);
+    if (
+      !job ||
+      job.status !== "dead" ||
+      job.address.toLowerCase() !== address.toLowerCase()
+    ) {
+      return null;
+    }
+    return store.deliveries.update(id, {
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null
+    });
+  }
+
+  function start() {
+    if (!timer) timer = setInterval(tick, TICK_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // Channels that can deliver right now
+  function channels() {
+    return {
+      email: Boolean(transports.email),
+      webhook: Boolean(transports.webhook),
+      sink: transports.sink ? transports.sink.name : null
+    };
+  }
+
+  return { enqueue, retry, tick, start, stop, channels };
+}
+
+module.exports = {
+  createDeliveryQueue,
+  normalizeTargets,
+  describeTargets
+};
@@ -0,0 +1,170 @@
+// backend/src/delivery/smtp.js
+//
+// Just enough SMTP (RFC 5321) to hand a plain-text message to a relay:
+// EHLO, STARTTLS when the server offers it (or implicit TLS with
+// `secure`), AUTH PLAIN when credentials are configured, then one message.
+
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+const crypto = require("crypto");
+
+const TIMEOUT_MS = 15 * 1000;
+
+class SmtpError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "SmtpError";
+    this.code = code;
+    // 5xx replies will not succeed on retry
+    this.permanent = code >= 500;
+  }
+}
+
+// Reads replies off `socket`, one (possibly multi-line) reply per read()
+function createReader(socket) {
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  function settle() {
+    while (waiting.length && (replies.length || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length) resolve(replies.shift());
+      else reject(failure);
+    }
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString("utf8");
+    let end;
+    while ((end = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line.slice(4));
+      // "250-..." continues a reply, "250 ..." ends it
+      if (line[3] !== "-") {
+        replies.push({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+    settle();
+  }
+
+  function onError(err) {
+    failure = failure || err;
+    settle();
+  }
+
+  function attach(target) {
+    target.on("data", onData);
+    target.on("error", onError);
+    target.on("close", () => onError(new Error("SMTP connection closed")));
+  }
+  attach(socket);
+
+  return {
+    read() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+      });
+    },
+    attach
+  };
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+function buildMessage({ from, to, subject, text, hostname }) {
+  const body = text
+    .replace(/\r?\n/g, "\r\n")
+    .split("\r\n")
+    // Dot-stuffing, so a line holding "." does not end the message
+    .map((line) => (line.startsWith(".") ? `.${line}` : line))
+    .join("\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${hostname}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+    "",
+    body
+  ].join("\r\n");
+}
+
+// `options`: { host, port, secure, user, pass } `message`: { from, to,
+// subject, text }. Resolves once the server has accepted the message; rejects
+// with an SmtpError (permanent for 5xx replies) or a connection error.
+async function sendMail(options, message) {
+  const { host, port = options.secure ? 465 : 587, secure = false } = options;
+  const hostname = process.env.SMTP_HELO_NAME || os.hostname();
+
+  let socket = secure
+    ? tls.connect({ host, port, servername: host })
+    : net.connect({ host, port });
+  socket.setTimeout(TIMEOUT_MS, () =>
+    socket.destroy(new Error("SMTP connection timed out"))
+  );
+  const reader = createReader(socket);
+
+  async function expect(command, okCodes) {
+    if (command !== null) socket.write(`${command}\r\n`);
+    const reply = await reader.read();
+    if (!okCodes.includes(reply.code)) {
+      const shown = command && command.startsWith("AUTH") ? "AUTH" : command;
+      throw new SmtpError(
+        `${shown || "greeting"}: ${reply.code} ${reply.lines.join(" ")}`,
+        reply.code
+      );
+    }
+    return reply;
+  }
+
+  try {
+    await expect(null, [220]);
+    let ehlo = await expect(`EHLO ${hostname}`, [250]);
+
+    if (!secure && ehlo.lines.some((l) => /^STARTTLS\b/i.test(l))) {
+      await expect("STARTTLS", [220]);
+      // From here on the raw socket carries TLS records, not replies
+      socket.removeAllListeners("data");
+      socket = tls.connect({ socket, servername: host });
+      reader.attach(socket);
+      await new Promise((resolve, reject) => {
+        socket.once("secureConnect", resolve);
+        socket.once("error", reject);
+      });
+      ehlo = await expect(`EHLO ${hostname}`, [250]);
+    }
+
+    if (options.user) {
+      const credentials = Buffer.from(
+        `\0${options.user}\0${options.pass || ""}`,
+        "utf8"
+      ).toString("base64");
+      await expect(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    const address = (value) => /<([^>]+)>/.exec(value)?.[1] || value;
+    await expect(`MAIL FROM:<${address(message.from)}>`, [250]);
+    await expect(`RCPT TO:<${address(message.to)}>`, [250, 251]);
+    await expect("DATA", [354]);
+    await expect(`${buildMessage({ ...message, hostname })}\r\n.`, [250]);
+    await expect("QUIT", [221]).catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
+
+module.exports = { sendMail, SmtpError };
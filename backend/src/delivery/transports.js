@@ -0,0 +1,171 @@
+// backend/src/delivery/transports.js
+//
+// Outbound transports. Each is { name, send(job) } where job carries the
+// rendered message for its channel (see renderMessage in index.js); send
+// resolves once the message has been handed over and rejects otherwise. An
+// error with `permanent: true` goes straight to the dead-letter list instead
+// of being retried.
+//
+//   email     SMTP relay (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER,
+//             SMTP_PASS, SMTP_FROM)
+//   webhook   HTTP POST of the notification as JSON, signed with the target's
+//             secret: X-PrivaMed-Signature: sha256=hex(HMAC(secret,
+//             `${X-PrivaMed-Timestamp}.${body}`)). The URL is checked again
+//             on every send and only public addresses are connected to (see
+//             webhookUrl.js).
+//   file      appends each message as a JSON line to a file
+//   loopback  keeps the latest messages in memory (see GET
+//             /api/delivery/loopback)
+// DELIVERY_SINK=file:<path> or loopback sends every channel to that sink
+// instead, for trying delivery out without a mail server or a webhook
+// receiver.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const { sendMail } = require("./smtp");
+const { checkWebhookUrl, publicLookup } = require("./webhookUrl");
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const LOOPBACK_LIMIT = 200;
+
+function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+}
+
+function createEmailTransport(config) {
+  return {
+    name: "email",
+    send: (job) =>
+      sendMail(config, {
+        from: config.from,
+        to: job.target,
+        subject: job.message.subject,
+        text: job.message.text
+      })
+  };
+}
+
+// POST `body` to `url` and resolve with the response status. Redirects are
+// not followed. The host is resolved through publicLookup, so the connection
+// itself refuses a private address.
+function post(url, headers, body) {
+  const client = url.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      url,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: publicLookup,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      },
+      (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+function createWebhookTransport() {
+  return {
+    name: "webhook",
+    async send(job) {
+      const url = await checkWebhookUrl(job.target);
+      const body = JSON.stringify(job.message.body);
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const status = await post(
+        url,
+        {
+          "Content-Type": "application/json",
+          "User-Agent": "PrivaMed-Webhook/1",
+          "X-PrivaMed-Delivery": job.id,
+          "X-PrivaMed-Timestamp": timestamp,
+          "X-PrivaMed-Signature": signWebhook(job.secret, timestamp, body)
+        },
+        body
+      );
+      if (status < 200 || status >= 300) {
+        const err = new Error(`webhook answered ${status}`);
+        // Client errors other than timeouts and rate limits won't go away
+        err.permanent =
+          status >= 400 && status < 500 && status !== 408 && status !== 429;
+        throw err;
+      }
+    }
+  };
+}
+
+function sinkEntry(job) {
+  return {
+    id: job.id,
+    channel: job.channel,
+    address: job.address,
+    target: job.target,
+    message: job.message,
+    deliveredAt: new Date().toISOString()
+  };
+}
+
+function createFileSink(file) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  return {
+    name: "file",
+    send: (job) =>
+      fs.promises.appendFile(file, `${JSON.stringify(sinkEntry(job))}\n`)
+  };
+}
+
+function createLoopbackSink() {
+  let messages = [];
+  return {
+    name: "loopback",
+    async send(job) {
+      messages = [sinkEntry(job), ...messages].slice(0, LOOPBACK_LIMIT);
+    },
+    // Newest first
+    list: (address) =>
+      messages.filter((m) => m.address.toLowerCase() === address.toLowerCase())
+  };
+}
+
+// channel -> transport from the environment, plus `sink` when DELIVERY_SINK
+// is set. Email is only available with SMTP_HOST or a sink.
+function createTransports(env = process.env) {
+  let sink = null;
+  if (env.DELIVERY_SINK === "loopback") {
+    sink = createLoopbackSink();
+  } else if (env.DELIVERY_SINK && env.DELIVERY_SINK.startsWith("file:")) {
+    sink = createFileSink(env.DELIVERY_SINK.slice("file:".length));
+  } else if (env.DELIVERY_SINK) {
+    throw new Error(
+      `DELIVERY_SINK must be loopback or file:<path>, not ${env.DELIVERY_SINK}`
+    );
+  }
+  if (sink) {
+    return { email: sink, webhook: sink, sink };
+  }
+
+  const transports = { webhook: createWebhookTransport(), sink: null };
+  if (env.SMTP_HOST) {
+    transports.email = createEmailTransport({
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT ? Number(env.SMTP_PORT) : undefined,
+      secure: env.SMTP_SECURE === "true",
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+      from: env.SMTP_FROM || "PrivaMed <no-reply@privamed.local>"
+    });
+  }
+  return transports;
+}
+
+module.exports = { createTransports, signWebhook };
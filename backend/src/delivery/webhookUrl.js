@@ -0,0 +1,105 @@
+// backend/src/delivery/webhookUrl.js
+//
+// Webhook URLs are typed in by users and the backend POSTs to them, so a
+// target must not reach into the backend's own network. Loopback, private,
+// link-local and other non-public addresses are refused when a target is saved
+// and again on every delivery: the host name is checked as the connection
+// resolves it, so a DNS answer that changes after the target was saved cannot
+// point a delivery inwards. Outside development (NODE_ENV=development) the URL
+// must be https.
+
+const dns = require("dns");
+const net = require("net");
+
+// Ranges a webhook may not connect to. BlockList checks IPv4-mapped IPv6
+// addresses (::ffff:127.0.0.1) against the IPv4 ranges.
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, cloud metadata services
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4] // reserved, broadcast
+]) {
+  BLOCKED.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 127], // unspecified, loopback
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8] // multicast
+]) {
+  BLOCKED.addSubnet(prefix, bits, "ipv6");
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// Errors here are the target's fault and will not go away on retry
+function refused(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+// dns.lookup() that fails for names resolving to a non-public address; given
+// to http(s).request as `lookup` so each connection is checked.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => !isPublicAddress(a.address));
+    if (blocked) {
+      return callback(refused(`${hostname} resolves to a non-public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Parse and check a webhook URL: http(s) (https outside development) to a host
+// that only resolves to public addresses. Resolves with the URL; rejects with
+// a user-facing message (and `permanent`) otherwise.
+async function checkWebhookUrl(value, env = process.env) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    url = null;
+  }
+  if (!url || (url.protocol !== "https:" && url.protocol !== "http:")) {
+    throw refused("webhookUrl must be an http(s) URL");
+  }
+  if (url.protocol !== "https:" && env.NODE_ENV !== "development") {
+    throw refused("webhookUrl must be an https URL");
+  }
+
+  // IPv6 literals keep their brackets in URL.hostname
+  const host = url.hostname.replace(/^\[(.*)\]$/, "$1");
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(
+        (a) => a.address
+      );
+    } catch {
+      throw refused(`webhookUrl host ${host} could not be resolved`);
+    }
+  }
+  if (!addresses.every(isPublicAddress)) {
+    throw refused("webhookUrl must not point at a private or local address");
+  }
+  return url;
+}
+
+module.exports = { checkWebhookUrl, publicLookup, isPublicAddress };
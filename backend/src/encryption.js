@@ -1,31 +1,105 @@
 const crypto = require("crypto");
 
+// Record content is encrypted and decrypted by the owner's and grantees'
+// clients (client/src/recordCrypto.js); the backend only ever sees ciphertext
+// and wrapped keys. What is left here is key wrapping, which the backend needs
+// for break-glass escrow and for sealing legacy plaintext keys.
+
 const ALGO = "aes-256-gcm";
 
-function generateSymmetricKey() {
-  return crypto.randomBytes(32);
+// -----------------------------------------------------------------------------
+// Key wrapping (ECIES over secp256k1)
+// A record key is wrapped to a recipient's uncompressed secp256k1 public key:
+// ephemeral ECDH -> HKDF-SHA256 (salt = ephemeral public key) -> AES-256-GCM.
+// The client implements the same scheme in client/src/keys.js.
+// -----------------------------------------------------------------------------
+const WRAP_SCHEME = "ecies-secp256k1-hkdf-aes256gcm";
+const WRAP_INFO = Buffer.from("privamed-key-wrap-v1", "utf8");
+
+function deriveWrappingKey(sharedX, ephemeralPublicKey) {
+  return Buffer.from(
+    crypto.hkdfSync("sha256", sharedX, ephemeralPublicKey, WRAP_INFO, 32)
+  );
 }
 
-function encryptRecord(plaintext, keyBuf) {
+function toKeyBuffer(hex) {
+  return Buffer.from(hex.replace(/^0x/, ""), "hex");
+}
+
+function wrapKey(keyBuf, recipientPublicKeyHex) {
+  const ecdh = crypto.createECDH("secp256k1");
+  ecdh.generateKeys();
+  const ephemeralPublicKey = ecdh.getPublicKey(); // uncompressed, 65 bytes
+  const sharedX = ecdh.computeSecret(toKeyBuffer(recipientPublicKeyHex));
+  const wrappingKey = deriveWrappingKey(sharedX, ephemeralPublicKey);
+
   const iv = crypto.randomBytes(12);
-  const cipher = crypto.createCipheriv(ALGO, keyBuf, iv);
-  const enc = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
-  const tag = cipher.getAuthTag();
+  const cipher = crypto.createCipheriv(ALGO, wrappingKey, iv);
+  const enc = Buffer.concat([cipher.update(keyBuf), cipher.final()]);
   return {
+    scheme: WRAP_SCHEME,
+    ephemeralPublicKey: ephemeralPublicKey.toString("hex"),
     iv: iv.toString("hex"),
-    tag: tag.toString("hex"),
+    tag: cipher.getAuthTag().toString("hex"),
     ciphertext: enc.toString("hex")
   };
 }
 
-function decryptRecord(encObj, keyBuf) {
-  const iv = Buffer.from(encObj.iv, "hex");
-  const tag = Buffer.from(encObj.tag, "hex");
-  const data = Buffer.from(encObj.ciphertext, "hex");
-  const decipher = crypto.createDecipheriv(ALGO, keyBuf, iv);
-  decipher.setAuthTag(tag);
-  const dec = Buffer.concat([decipher.update(data), decipher.final()]);
-  return dec.toString("utf8");
+function unwrapKey(wrapped, recipientPrivateKeyHex) {
+  if (!wrapped || wrapped.scheme !== WRAP_SCHEME) {
+    throw new Error("unsupported key wrapping scheme");
+  }
+  const ecdh = crypto.createECDH("secp256k1");
+  ecdh.setPrivateKey(toKeyBuffer(recipientPrivateKeyHex));
+  const ephemeralPublicKey = Buffer.from(wrapped.ephemeralPublicKey, "hex");
+  const sharedX = ecdh.computeSecret(ephemeralPublicKey);
+  const wrappingKey = deriveWrappingKey(sharedX, ephemeralPublicKey);
+
+  const decipher = crypto.createDecipheriv(
+    ALGO,
+    wrappingKey,
+    Buffer.from(wrapped.iv, "hex")
+  );
+  decipher.setAuthTag(Buffer.from(wrapped.tag, "hex"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(wrapped.ciphertext, "hex")),
+    decipher.final()
+  ]);
+}
+
+// Uncompressed secp256k1 public key (hex) for a private key, for wrapping keys
+// to a key pair the backend holds itself.
+function publicKeyFor(privateKeyHex) {
+  const ecdh = crypto.createECDH("secp256k1");
+  ecdh.setPrivateKey(toKeyBuffer(privateKeyHex));
+  return ecdh.getPublicKey("hex");
+}
+
+// Shape check for wrapped keys arriving from clients.
+function isWrappedKey(value) {
+  const hex = /^[0-9a-f]+$/i;
+  return Boolean(
+    value &&
+    value.scheme === WRAP_SCHEME &&
+    typeof value.ephemeralPublicKey === "string" &&
+    value.ephemeralPublicKey.length === 130 &&
+    hex.test(value.ephemeralPublicKey) &&
+    typeof value.iv === "string" &&
+    value.iv.length === 24 &&
+    hex.test(value.iv) &&
+    typeof value.tag === "string" &&
+    value.tag.length === 32 &&
+    hex.test(value.tag) &&
+    typeof value.ciphertext === "string" &&
+    value.ciphertext.length === 64 &&
+    hex.test(value.ciphertext)
+  );
 }
 
-module.exports = { generateSymmetricKey, encryptRecord, decryptRecord };
+module.exports = {
+  WRAP_SCHEME,
+  wrapKey,
+  unwrapKey,
+  publicKeyFor,
+  isWrappedKey
+};
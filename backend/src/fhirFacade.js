@@ -0,0 +1,277 @@
+// backend/src/fhirFacade.js
+//
+// Resources and search helpers for the read-only FHIR R4 facade (/fhir/*, see
+// index.js). Every PrivaMed record is a DocumentReference built from the
+// off-chain metadata alone, so searching never needs a record key. Its content
+// is a Binary holding the sealed record (SEALED_RECORD_TYPE): the envelope,
+// still encrypted, and the caller's wrapped record key, exactly what
+// GET /api/records/:recordId returns. The backend cannot read record content,
+// so the caller opens it (see client/src/recordCrypto.js); the attachment's
+// extension names the content type inside.
+
+const FHIR_VERSION = "4.0.1";
+
+// JSON { sealed, wrappedKey, scope, content } for the caller to open
+const SEALED_RECORD_TYPE = "application/vnd.privamed.sealed-record+json";
+const SEALED_CONTENT_TYPE_URL = "urn:privamed:sealed-content-type";
+
+// Record envelope kinds as DocumentReference.type
+const RECORD_KIND_SYSTEM = "urn:privamed:record-kind";
+const RECORD_KINDS = {
+  note: "Clinical note",
+  file: "File",
+  fhir: "FHIR Bundle"
+};
+const RECORD_ID_SYSTEM = "urn:privamed:record-id";
+const RECORD_ID_HASH_SYSTEM = "urn:privamed:record-id-hash";
+
+const FHIR_ID = /^[A-Za-z0-9\-.]{1,64}$/;
+
+// The FHIR id of a record: its record ID, or its on-chain ID without 0x when
+// the record ID is not a valid FHIR id. null if it has neither.
+function fhirIdFor(recordId, meta) {
+  if (FHIR_ID.test(recordId)) return recordId;
+  return meta.recordIdHash ? meta.recordIdHash.slice(2).toLowerCase() : null;
+}
+
+// FHIR id -> [recordId, meta] among `entries` (store.records.entries())
+function findRecordByFhirId(entries, id) {
+  for (const [recordId, meta] of entries) {
+    if (fhirIdFor(recordId, meta) === id) return [recordId, meta];
+  }
+  return null;
+}
+
+function contentTypeFor(meta) {
+  if (meta.contentType) return meta.contentType;
+  if (meta.kind === "fhir") return "application/fhir+json";
+  // Records from before kinds were kept could be a note or a file
+  return meta.kind === "note" ? "text/plain" : "application/octet-stream";
+}
+
+function createdAt(meta) {
+  const first = (meta.versions || [])[0];
+  return first ? first.createdAt : null;
+}
+
+function toDocumentReference(recordId, meta, base) {
+  const id = fhirIdFor(recordId, meta);
+  const versions = meta.versions || [];
+  const latest = versions[versions.length - 1];
+  const created = createdAt(meta);
+  return {
+    resourceType: "DocumentReference",
+    id,
+    meta: {
+      versionId: String(meta.version || 1),
+      ...(latest ? { lastUpdated: latest.createdAt } : {})
+    },
+    identifier: [
+      { system: RECORD_ID_SYSTEM, value: recordId },
+      ...(meta.recordIdHash
+        ? [{ system: RECORD_ID_HASH_SYSTEM, value: meta.recordIdHash }]
+        : [])
+    ],
+    status: "current",
+    ...(RECORD_KINDS[meta.kind]
+      ? {
+          type: {
+            coding: [
+              {
+                system: RECORD_KIND_SYSTEM,
+                code: meta.kind,
+                display: RECORD_KINDS[meta.kind]
+              }
+            ]
+          }
+        }
+      : {}),
+    subject: { reference: `Patient/${meta.owner}`, type: "Patient" },
+    ...(created ? { date: created } : {}),
+    content: [
+      {
+        attachment: {
+          contentType: SEALED_RECORD_TYPE,
+          extension: [
+            { url: SEALED_CONTENT_TYPE_URL, valueCode: contentTypeFor(meta) }
+          ],
+          url: `${base}/Binary/${id}`,
+          ...(created ? { creation: created } : {})
+        }
+      }
+    ]
+  };
+}
+
+// `resources` are the page to return; `total` counts every match, when known,
+// and `nextUrl` links the following page
+function searchsetBundle(resources, { base, selfUrl, nextUrl, total }) {
+  const link = [{ relation: "self", url: selfUrl }];
+  if (nextUrl) link.push({ relation: "next", url: nextUrl });
+  return {
+    resourceType: "Bundle",
+    type: "searchset",
+    total,
+    link,
+    entry: resources.map((resource) => ({
+      fullUrl: `${base}/${resource.resourceType}/${resource.id}`,
+      resource,
+      search: { mode: "match" }
+    }))
+  };
+}
+
+// issue code (see http://hl7.org/fhir/R4/valueset-issue-type.html)
+function operationOutcome(code, diagnostics, severity = "error") {
+  return {
+    resourceType: "OperationOutcome",
+    issue: [{ severity, code, diagnostics }]
+  };
+}
+
+function capabilityStatement(base) {
+  const read = { code: "read" };
+  return {
+    resourceType: "CapabilityStatement",
+    status: "active",
+    date: new Date().toISOString(),
+    kind: "instance",
+    software: { name: "PrivaMed" },
+    implementation: {
+      description: "PrivaMed read-only FHIR facade over shared records",
+      url: base
+    },
+    fhirVersion: FHIR_VERSION,
+    format: ["application/fhir+json", "json"],
+    rest: [
+      {
+        mode: "server",
+        security: {
+          description:
+            "Bearer session token from POST /api/auth/verify. Only records " +
+            "the signed-in account owns, or is authorized for on-chain " +
+            "(PrivaMed.isAuthorized), are visible. Content is end-to-end " +
+            `encrypted: a Binary is a ${SEALED_RECORD_TYPE} document ` +
+            "holding the sealed record and the caller's wrapped record key, " +
+            "which only the caller can open. Every Binary read is logged " +
+            "on-chain; DocumentReference reads and searches return metadata " +
+            "only and are not."
+        },
+        resource: [
+          {
+            type: "DocumentReference",
+            interaction: [read, { code: "search-type" }],
+            searchParam: [
+              { name: "_id", type: "token" },
+              {
+                name: "patient",
+                type: "reference",
+                documentation: "Patient/<wallet address> or the address"
+              },
+              {
+                name: "date",
+                type: "date",
+                documentation: "Creation date, with eq, lt, le, gt or ge"
+              },
+              {
+                name: "type",
+                type: "token",
+                documentation: `${RECORD_KIND_SYSTEM}|note, file or fhir`
+              },
+              { name: "_count", type: "number" },
+              {
+                name: "_offset",
+                type: "number",
+                documentation: "Where a page starts; follow the next link"
+              }
+            ]
+          },
+          { type: "Binary", interaction: [read] }
+        ]
+      }
+    ]
+  };
+}
+
+// ---- Search parameters ----
+
+const DATE_PREFIXES = ["eq", "lt", "le", "gt", "ge"];
+
+// Date search value -> [start, end) in ms covering its precision, e.g.
+// "2024-05" -> all of May 2024 (UTC)
+function dateRange(value) {
+  const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(value);
+  if (match) {
+    const [, y, m, d] = match;
+    const start = Date.UTC(Number(y), m ? Number(m) - 1 : 0, d ? Number(d) : 1);
+    const end = d
+      ? Date.UTC(Number(y), Number(m) - 1, Number(d) + 1)
+      : m
+        ? Date.UTC(Number(y), Number(m), 1)
+        : Date.UTC(Number(y) + 1, 0, 1);
+    return [start, end];
+  }
+  const ms = Date.parse(value);
+  if (!value.includes("T") || Number.isNaN(ms)) return null;
+  return [ms, ms + 1];
+}
+
+// One or more `date` values -> predicate on a timestamp (ms). Throws with a
+// user-facing message on an unsupported value.
+function parseDateSearch(values) {
+  const tests = [].concat(values).map((raw) => {
+    const prefix = DATE_PREFIXES.find((p) => raw.startsWith(p)) || "eq";
+    const value = raw.startsWith(prefix) ? raw.slice(2) : raw;
+    const range = dateRange(value);
+    if (!range) {
+      throw new Error(`date must be [eq|lt|le|gt|ge]<date>, not ${raw}`);
+    }
+    const [start, end] = range;
+    return {
+      eq: (t) => t >= start && t < end,
+      lt: (t) => t < start,
+      le: (t) => t < end,
+      gt: (t) => t >= end,
+      ge: (t) => t >= start
+    }[prefix];
+  });
+  return (t) => t !== null && tests.every((test) => test(t));
+}
+
+// `type` value ("code", "system|code" or "|code", comma-separated) ->
+// predicate on a record kind
+function parseTypeSearch(value) {
+  const codes = String(value)
+    .split(",")
+    .map((token) => {
+      const [system, code] = token.includes("|")
+        ? token.split("|")
+        : [null, token];
+      if (system && system !== RECORD_KIND_SYSTEM) return null;
+      return code;
+    });
+  return (kind) => codes.includes(kind);
+}
+
+// `patient` value ("Patient/<address>" or "<address>") -> address, or null
+function parsePatientSearch(value) {
+  const address = String(value).replace(/^Patient\//, "");
+  return /^0x[0-9a-fA-F]{40}$/.test(address) ? address : null;
+}
+
+module.exports = {
+  FHIR_VERSION,
+  SEALED_RECORD_TYPE,
+  RECORD_KIND_SYSTEM,
+  fhirIdFor,
+  findRecordByFhirId,
+  contentTypeFor,
+  createdAt,
+  toDocumentReference,
+  searchsetBundle,
+  operationOutcome,
+  capabilityStatement,
+  parseDateSearch,
+  parseTypeSearch,
+  parsePatientSearch
+};
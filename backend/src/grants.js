@@ -0,0 +1,171 @@
+// backend/src/grants.js
+//
+// Per-record grant state from the chain index, and the expiry scheduler that
+// warns patients and providers before a time-limited grant runs out and tells
+// them once it has. PrivaMed.isAuthorized already stops honoring a grant after
+// its validUntil; the scheduler only makes that visible.
+
+const { ethers } = require("ethers");
+
+const CHECK_SECONDS = Number(process.env.GRANT_EXPIRY_CHECK_SECONDS || 60);
+const WARNING_SECONDS = Number(
+  process.env.GRANT_EXPIRY_WARNING_SECONDS || 24 * 60 * 60
+);
+
+// The grant in force at `nowSeconds`, as PrivaMed.getEffectiveGrant sees it:
+// break-glass access stands in for the owner's grant unless that grant is live
+// and already covers the whole record for at least as long. An emergency that
+// ran out with no live grant behind it is reported as the expired emergency.
+function effectiveGrant(grant, nowSeconds) {
+  const ownerGrant = { ...grant, emergency: false };
+  if (!grant.emergencyUntil) return ownerGrant;
+  const live =
+    grant.active && (!grant.validUntil || nowSeconds <= grant.validUntil);
+  const covers =
+    live &&
+    grant.scope === ethers.ZeroHash &&
+    (!grant.validUntil || grant.validUntil >= grant.emergencyUntil);
+  if (covers || (live && nowSeconds > grant.emergencyUntil)) {
+    return ownerGrant;
+  }
+  return {
+    ...grant,
+    active: true,
+    validUntil: grant.emergencyUntil,
+    scope: ethers.ZeroHash,
+    emergency: true
+  };
+}
+
+// Every address that has been granted `recordIdHash` (including break-glass
+// access) with its grant as it stands now, from the chain index, in order of
+// first grant:
+// { grantee, active, validUntil (ISO or null), secondsLeft (null: no expiry),
+//   status: "active" | "expiring" | "expired" | "revoked", scope, emergency }
+function loadRecordGrants(indexer, recordIdHash, now = Date.now()) {
+  return indexer.grants({ recordIdHash }).map((indexed) => {
+    const grant = effectiveGrant(indexed, Math.floor(now / 1000));
+    const { validUntil } = grant;
+    const secondsLeft = validUntil ? Math.floor(validUntil - now / 1000) : null;
+    let status = "active";
+    if (!grant.active) status = "revoked";
+    else if (secondsLeft !== null && secondsLeft < 0) status = "expired";
+    else if (secondsLeft !== null && secondsLeft <= WARNING_SECONDS) {
+      status = "expiring";
+    }
+    return {
+      grantee: grant.grantee,
+      active: grant.active,
+      validUntil: validUntil ? new Date(validUntil * 1000).toISOString() : null,
+      secondsLeft,
+      status,
+      scope: grant.scope,
+      emergency: grant.emergency
+    };
+  });
+}
+
+// On-chain IDs (lowercased) of the records `grantee` holds a live grant or
+// break-glass access to, from the chain index. PrivaMed.isAuthorized still has
+// the final say; this narrows down which records to ask it about.
+function grantedRecordHashes(indexer, grantee, now = Date.now()) {
+  const nowSeconds = Math.floor(now / 1000);
+  const hashes = new Set();
+  for (const indexed of indexer.grants({ grantee })) {
+    const grant = effectiveGrant(indexed, nowSeconds);
+    if (grant.active && (!grant.validUntil || grant.validUntil >= nowSeconds)) {
+      hashes.add(grant.recordIdHash.toLowerCase());
+    }
+  }
+  return hashes;
+}
+
+// `deps`: { store, indexer, notify(address, notification) }
+function createExpiryScheduler({ store, indexer, notify }) {
+  let timer = null;
+  let running = false;
+
+  // Tell the owner and the grantee, once per grant and stage. Stages already
+  // announced are kept on the record (meta.expiryNotices, keyed by grantee and
+  // reset whenever the grant's validUntil changes).
+  async function announce(recordId, meta, grant, stage) {
+    const key = grant.grantee.toLowerCase();
+    const notices = meta.expiryNotices || {};
+    const seen =
+      notices[key] && notices[key].validUntil === grant.validUntil
+        ? notices[key]
+        : { validUntil: grant.validUntil, stages: [] };
+    if (seen.stages.includes(stage)) return false;
+
+    const notification = {
+      type: stage === "expired" ? "grant-expired" : "grant-expiring",
+      message:
+        stage === "expired"
+          ? `Access to ${recordId} for ${grant.grantee} has expired`
+          : `Access to ${recordId} for ${grant.grantee} expires at ${grant.validUntil}`,
+      recordId,
+      recordIdHash: meta.recordIdHash,
+      patientAddress: meta.owner,
+      providerAddress: grant.grantee,
+      validUntil: grant.validUntil
+    };
+    await notify(meta.owner, notification);
+    await notify(grant.grantee, notification);
+
+    seen.stages.push(stage);
+    meta.expiryNotices = { ...notices, [key]: seen };
+    return true;
+  }
+
+  // One pass over every on-chain record
+  async function scan() {
+    for (const [recordId, meta] of await store.records.entries()) {
+      if (!meta.recordIdHash) continue;
+      let changed = false;
+      for (const grant of loadRecordGrants(indexer, meta.recordIdHash)) {
+        if (grant.status === "expiring" || grant.status === "expired") {
+          changed =
+            (await announce(recordId, meta, grant, grant.status)) || changed;
+        }
+      }
+      if (changed) {
+        // Only the notices change, so a grant or rotation that landed
+        // meanwhile is kept
+        await store.records.update(recordId, (fresh) => {
+          fresh.expiryNotices = meta.expiryNotices;
+        });
+      }
+    }
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      await scan();
+    } catch (err) {
+      console.error("[EXPIRY] Grant expiry check failed:", err);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer || CHECK_SECONDS <= 0) return;
+    timer = setInterval(tick, CHECK_SECONDS * 1000);
+    tick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { scan, start, stop };
+}
+
+module.exports = {
+  loadRecordGrants,
+  grantedRecordHashes,
+  createExpiryScheduler
+};
@@ -0,0 +1,65 @@
+// backend/src/history.js
+//
+// Access history of records from the chain index: every grant, revoke, read
+// (AccessEvent, logged by the backend for each key fetch and read) and
+// break-glass access, newest first.
+
+const HISTORY_TYPES = {
+  AccessGranted: "grant",
+  AccessRevoked: "revoke",
+  AccessEvent: "read",
+  EmergencyAccess: "emergency"
+};
+
+function describeEvent(event) {
+  const { args } = event;
+  const entry = {
+    id: event.id,
+    type: HISTORY_TYPES[event.name],
+    recordIdHash: args.recordId,
+    actor:
+      event.name === "AccessEvent" || event.name === "EmergencyAccess"
+        ? args.actor
+        : args.grantee,
+    timestamp:
+      event.blockTime != null
+        ? new Date(event.blockTime * 1000).toISOString()
+        : null,
+    blockNumber: event.blockNumber,
+    txHash: event.txHash
+  };
+  if (event.name === "AccessEvent") {
+    entry.action = args.action;
+    entry.success = args.success;
+  }
+  if (event.name === "AccessGranted" || event.name === "EmergencyAccess") {
+    entry.validUntil = args.validUntil
+      ? new Date(args.validUntil * 1000).toISOString()
+      : null;
+  }
+  if (event.name === "AccessGranted") entry.scope = args.scope;
+  if (event.name === "EmergencyAccess") {
+    entry.justificationHash = args.justificationHash;
+  }
+  return entry;
+}
+
+// `filter`: { recordIdHashes (null: every record), actor, from, to (ms) }
+function loadAccessHistory(indexer, filter = {}) {
+  const wanted = filter.recordIdHashes
+    ? new Set(filter.recordIdHashes.map((h) => h.toLowerCase()))
+    : null;
+  return indexer
+    .events({ name: Object.keys(HISTORY_TYPES), address: filter.actor })
+    .filter((e) => !wanted || wanted.has(e.args.recordId.toLowerCase()))
+    .filter((e) => {
+      const ms = e.blockTime * 1000;
+      return (
+        (filter.from == null || ms >= filter.from) &&
+        (filter.to == null || ms <= filter.to)
+      );
+    })
+    .map(describeEvent);
+}
+
+module.exports = { HISTORY_TYPES, loadAccessHistory };
@@ -5,13 +5,87 @@ const morgan = require("morgan");
 const crypto = require("crypto");
 const { ethers } = require("ethers");
 const {
-  generateSymmetricKey,
-  encryptRecord,
-  decryptRecord
+  wrapKey,
+  unwrapKey,
+  publicKeyFor,
+  isWrappedKey
 } = require("./encryption");
-const { addJson, getJson } = require("./ipfs");
+const { addJson, getJson, addStream, catStream, unpin } = require("./ipfs");
+const { openStore } = require("./store");
+const {
+  siweUri,
+  createChallenge,
+  verifyChallenge,
+  getBearerToken,
+  getSession,
+  endSession,
+  requireSession,
+  requireSelf
+} = require("./auth");
+const {
+  checkRecordConsistency,
+  logConsistencyReport
+} = require("./store/consistency");
+const {
+  getSigningMode,
+  verifyClientTx,
+  findContractEvent
+} = require("./clientTx");
+const { createRelayer } = require("./relayer");
+const {
+  loadRecordGrants,
+  grantedRecordHashes,
+  createExpiryScheduler
+} = require("./grants");
+const { createIndexer, REORG_WINDOW } = require("./indexer");
+const { loadAccessHistory } = require("./history");
+const {
+  buildComplianceReport,
+  reportToCsv,
+  reportToPdf
+} = require("./reports");
+const { buildAuditBundle } = require("./auditBundle");
+const { createPushHub } = require("./push");
+const {
+  NOTIFICATION_TYPES,
+  createNotificationService
+} = require("./notifications");
+const {
+  createDeliveryQueue,
+  normalizeTargets,
+  describeTargets
+} = require("./delivery");
+const { createTransports } = require("./delivery/transports");
+const {
+  decodeScope,
+  scopeAllows,
+  BASE_SECTION,
+  isSectionName,
+  sectionScope
+} = require("./scopes");
+const {
+  SEALED_RECORD_TYPE,
+  fhirIdFor,
+  findRecordByFhirId,
+  createdAt,
+  toDocumentReference,
+  searchsetBundle,
+  operationOutcome,
+  capabilityStatement,
+  parseDateSearch,
+  parseTypeSearch,
+  parsePatientSearch
+} = require("./fhirFacade");
+const {
+  normalizeProfile,
+  profileHash,
+  verificationStatus,
+  matchesQuery
+} = require("./providers");
 const path = require("path");
 const fs = require("fs");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
 
 // -----------------------------------------------------------------------------
 // Blockchain setup
@@ -24,6 +98,21 @@ const ROLE_PATIENT = 1;
 const ROLE_PROVIDER = 2;
 const ROLE_AUDITOR = 3; // backend/admin
 
+// How users authorize record and grant transactions (see clientTx.js)
+const SIGNING_MODE = getSigningMode();
+
+// Optional break-glass key escrow (see "Emergency access" below)
+const EMERGENCY_ESCROW_KEY = process.env.EMERGENCY_ESCROW_KEY || null;
+const EMERGENCY_ESCROW_PUBLIC_KEY = EMERGENCY_ESCROW_KEY
+  ? publicKeyFor(EMERGENCY_ESCROW_KEY)
+  : null;
+
+// Accounts the admin registers as auditors on startup (comma-separated)
+const AUDITOR_ADDRESSES = (process.env.AUDITOR_ADDRESSES || "")
+  .split(",")
+  .map((a) => a.trim())
+  .filter(Boolean);
+
 // ---- Contract artifact (Truffle) ----
 const artifactPath = path.join(
   __dirname,
@@ -98,16 +187,55 @@ async function getSigner() {
   return provider.getSigner(address);
 }
 
-// Ensure the given address is registered on-chain with the given role
+// Account the backend logs access events from. PrivaMed only accepts access
+// logs from the record owner, the actor or a registered auditor, so this
+// account is registered as an auditor on startup (see registerAuditors).
+// Defaults to the node's last unlocked account, which /api/accounts then hides
+// so the demo never hands it out as a patient or provider.
+let auditLoggerAddress = process.env.AUDIT_LOGGER_ADDRESS || null;
+
+async function getAuditLoggerAddress() {
+  if (!auditLoggerAddress) {
+    const accounts = await provider.listAccounts();
+    if (!accounts.length) {
+      throw new Error("No accounts available from provider");
+    }
+    const last = accounts[accounts.length - 1];
+    auditLoggerAddress = typeof last === "string" ? last : last.address;
+  }
+  return auditLoggerAddress;
+}
+
+async function getAuditLogger() {
+  return provider.getSigner(await getAuditLoggerAddress());
+}
+
+// Whether the admin has deactivated `address`. Deactivated accounts stay
+// unregistered until the admin registers them again, so automatic registration
+// must never undo a suspension.
+async function wasDeactivated(contract, address) {
+  const events = await contract.queryFilter(
+    contract.filters.UserDeactivated(address)
+  );
+  return events.length > 0;
+}
+
+// Ensure the given address is registered on-chain with the given role.
+// Resolves false, without registering, for accounts the admin deactivated.
 async function ensureUserRegistered(contract, address, role) {
   try {
     const user = await contract.users(address); // { role, exists }
     if (user && user.exists) {
-      return;
+      return true;
+    }
+    if (await wasDeactivated(contract, address)) {
+      console.warn(`[CHAIN] Not re-registering deactivated user ${address}`);
+      return false;
     }
     console.log(`[CHAIN] Registering user ${address} with role ${role}`);
     const tx = await contract.registerUser(address, role);
     await tx.wait();
+    return true;
   } catch (err) {
     console.error(
       `[CHAIN] Failed to ensure user registered for ${address}:`,
@@ -117,6 +245,166 @@ async function ensureUserRegistered(contract, address, role) {
   }
 }
 
+// Decide whether `actor` may read the record described by `meta`.
+// The off-chain owner (the patient) and the on-chain owner are always allowed;
+// everyone else (granted providers, emergency grantees) must pass
+// PrivaMed.isAuthorized for the record's on-chain ID.
+async function isRecordReadAuthorized(meta, actor) {
+  if (meta.owner && meta.owner.toLowerCase() === actor.toLowerCase()) {
+    return true;
+  }
+
+  // Records that never made it on-chain cannot be shared with anyone else.
+  if (!meta.recordIdHash) {
+    return false;
+  }
+
+  const contract = await getContract(provider); // read-only calls
+  const onChain = await contract.records(meta.recordIdHash);
+  if (onChain.owner.toLowerCase() === actor.toLowerCase()) {
+    return true;
+  }
+
+  if (!(await contract.isAuthorized(meta.recordIdHash, actor))) {
+    return false;
+  }
+  return Boolean(await currentGrant(contract, meta.recordIdHash, actor));
+}
+
+// isAuthorized compares validUntil with the latest block's timestamp, which
+// lags behind on a chain that only mines on demand (Ganache). Checked against
+// the clock as well so an expired grant is not honored in the meantime.
+function grantExpired(grant) {
+  const validUntil = Number(grant.validUntil);
+  return validUntil !== 0 && validUntil * 1000 < Date.now();
+}
+
+// The grant `actor` holds on a record by the clock (see grantExpired), or
+// null. Break-glass access that is over by the clock but not yet by the chain
+// falls back to the owner's grant, as it will once the next block is mined.
+async function currentGrant(contract, recordIdHash, actor) {
+  const effective = await contract.getEffectiveGrant(recordIdHash, actor);
+  if (!grantExpired(effective)) return effective;
+  const stored = await contract.grants(recordIdHash, actor);
+  return stored.active && !grantExpired(stored) ? stored : null;
+}
+
+// The scope of `actor`'s grant on the record (bytes32 hex, see scopes.js), as
+// in force now: break-glass access covers the whole record while it lasts.
+// Owners have no grant and always get the full record.
+async function grantScopeFor(meta, actor) {
+  if (meta.owner && meta.owner.toLowerCase() === actor.toLowerCase()) {
+    return ethers.ZeroHash;
+  }
+  const contract = await getContract(provider);
+  const onChain = await contract.records(meta.recordIdHash);
+  if (onChain.owner.toLowerCase() === actor.toLowerCase()) {
+    return ethers.ZeroHash;
+  }
+  const grant =
+    (await currentGrant(contract, meta.recordIdHash, actor)) ||
+    (await contract.grants(meta.recordIdHash, actor));
+  return grant.scope;
+}
+
+// The wrapped keys `actor` may be handed for a record right now:
+// { wrappedKeys: { section: wrapped } }, or { wrappedKey } for a record sealed
+// under a single key before sections existed; null when there are none. The
+// owner gets all of theirs. Anyone else gets a section's key only while
+// PrivaMed.isAuthorizedFor covers that section's scope bits (and their grant
+// still does by the clock, see currentGrant), and a single-key record only
+// under a full grant. Call after checkRecordReadAuthorized.
+async function releasableKeys(meta, actor) {
+  const held = (meta.wrappedKeys || {})[actor.toLowerCase()];
+  if (!held) return null;
+  const single = isWrappedKey(held);
+
+  const contract = await getContract(provider);
+  const owner =
+    (meta.owner && meta.owner.toLowerCase() === actor.toLowerCase()) ||
+    (meta.recordIdHash &&
+      (await contract.records(meta.recordIdHash)).owner.toLowerCase() ===
+        actor.toLowerCase());
+  if (owner) {
+    return single ? { wrappedKey: held } : { wrappedKeys: held };
+  }
+  if (!meta.recordIdHash) return null;
+
+  const scope = await grantScopeFor(meta, actor);
+
+  if (single) {
+    const full =
+      BigInt(scope) === 0n &&
+      (await contract.isAuthorizedFor(
+        meta.recordIdHash,
+        actor,
+        ethers.toBeHex(ethers.MaxUint256, 32)
+      ));
+    return full ? { wrappedKey: held } : null;
+  }
+
+  const wrappedKeys = {};
+  for (const [section, wrapped] of Object.entries(held)) {
+    if (section !== BASE_SECTION && !scopeAllows(scope, section)) continue;
+    if (
+      !(await contract.isAuthorizedFor(
+        meta.recordIdHash,
+        actor,
+        sectionScope(section)
+      ))
+    ) {
+      continue;
+    }
+    wrappedKeys[section] = wrapped;
+  }
+  return Object.keys(wrappedKeys).length > 0 ? { wrappedKeys } : null;
+}
+
+// Emit an AccessEvent for a read attempt and tell the owner about reads and
+// refusals by anyone else. Failures are logged but never change the outcome of
+// the request that triggered them.
+async function logRecordAccess(recordId, meta, actor, success, action) {
+  if (!meta.recordIdHash) return;
+  if (meta.owner && meta.owner.toLowerCase() !== actor.toLowerCase()) {
+    // A successful key fetch is always followed by the read itself
+    if (!success || action === "READ") {
+      await notifier
+        .notify(meta.owner, {
+          type: success ? "record-accessed" : "access-refused",
+          message: success
+            ? `${actor} read ${recordId}`
+            : `${actor} was refused access to ${recordId}`,
+          recordId,
+          recordIdHash: meta.recordIdHash,
+          providerAddress: actor,
+          action
+        })
+        .catch((err) => {
+          console.error("[NOTIFY] Failed to notify record owner:", err);
+        });
+    }
+  }
+  try {
+    const contract = await getContract(await getAuditLogger());
+    const tx = await contract.logAccessEvent(
+      meta.recordIdHash,
+      actor,
+      success,
+      action
+    );
+    const receipt = await tx.wait();
+    await appendChainLog(
+      `Access ${success ? "allowed" : "denied"} (${action}) for ${actor}`,
+      receipt
+    );
+  } catch (err) {
+    console.error(
+      `[CHAIN] Failed to log access event for ${meta.recordIdHash} / ${actor}:`,
+      err
+    );
+  }
+}
+
 // -----------------------------------------------------------------------------
 // Express app
 // -----------------------------------------------------------------------------
@@ -127,32 +415,18 @@ app.use(morgan("dev"));
 
 const PORT = process.env.PORT || 3333;
 
-// In-memory PoC store: recordId (string) -> { cid, owner, keyHex, recordIdHash }
-const localRecords = new Map();
-const providerNotifications = new Map();
-const chainLogs = [];
-
-function pushProviderNotification(address, notification) {
-  if (!address) return;
-  const key = address.toLowerCase();
-  const existing = providerNotifications.get(key) || [];
-  const entry = {
-    id: crypto.randomUUID(),
-    timestamp: Date.now(),
-    ...notification
-  };
-  providerNotifications.set(key, [entry, ...existing].slice(0, 50));
-}
-
-function getProviderNotifications(address) {
-  if (!address) return [];
-  return providerNotifications.get(address.toLowerCase()) || [];
-}
-
-function clearProviderNotifications(address) {
-  if (!address) return;
-  providerNotifications.set(address.toLowerCase(), []);
-}
+// Persistent store (see ./store): records are recordId (string) ->
+// { cid, owner, recordIdHash, wrappedKeys }. Opened in start() before listening.
+let store = null;
+let relayer = null;
+let expiryScheduler = null;
+let indexer = null;
+let notifier = null;
+let delivery = null;
+let deliveryTransports = null;
+let lastConsistencyReport = null;
+// Server-Sent Events to signed-in clients (see push.js)
+const pushHub = createPushHub();
 
 async function appendChainLog(label, receipt) {
   if (!receipt) return;
@@ -185,17 +459,20 @@ async function appendChainLog(label, receipt) {
       blockTime
     };
 
-    chainLogs.unshift(entry);
-    if (chainLogs.length > 100) {
-      chainLogs.length = 100;
-    }
+    claimTx(entry.txHash, entry.blockNumber);
+    await store.chainLogs.append(entry);
+    pushHub.publish("chain-log", entry);
   } catch (err) {
     console.error("[LOG] Failed to append chain log entry", err);
   }
 }
 
-function clearChainLogs() {
-  chainLogs.length = 0;
+// Hides everything up to the current block from the console
+async function clearChainLogs() {
+  await store.chainLogs.clear(
+    Number(await provider.send("eth_blockNumber", []))
+  );
+  pushHub.publish("chain-logs-cleared", {});
 }
 
 app.get("/health", async (_req, res) => {
@@ -206,22 +483,53 @@ app.get("/health", async (_req, res) => {
     } catch {
       addr = null;
     }
-    res.json({ ok: true, network: WEB3_PROVIDER, contract: addr });
+    res.json({
+      ok: true,
+      network: WEB3_PROVIDER,
+      contract: addr,
+      signingMode: SIGNING_MODE,
+      store: {
+        driver: store.driver,
+        schemaVersion: store.schemaVersion,
+        consistent: lastConsistencyReport ? lastConsistencyReport.ok : null
+      }
+    });
   } catch (e) {
     res.status(500).json({ ok: false, error: "health check failed" });
   }
 });
 
+// Contract coordinates for clients that sign their own transactions
+app.get("/api/chain", async (_req, res) => {
+  try {
+    const network = await provider.getNetwork();
+    res.json({
+      signingMode: SIGNING_MODE,
+      chainId: Number(network.chainId),
+      contract: { address: await getPrivaMedAddress(), abi: PRIVAMED_ABI }
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to load chain configuration" });
+  }
+});
+
 // List Ganache accounts so the frontend can treat 0 as patient and others as providers
 app.get("/api/accounts", async (_req, res) => {
   try {
     const raw = await provider.listAccounts();
 
-    const accounts = (raw || []).map((a) =>
-      typeof a === "string" ? a : a.address
-    );
+    const logger = (await getAuditLoggerAddress()).toLowerCase();
+    const accounts = (raw || [])
+      .map((a) => (typeof a === "string" ? a : a.address))
+      .filter((a) => a.toLowerCase() !== logger);
+    // Registered auditors among them, for the auditor dashboard
+    const auditors = accounts.filter((a) => {
+      const user = indexer.user(a);
+      return user && user.active && user.role === ROLE_AUDITOR;
+    });
 
-    res.json({ accounts });
+    res.json({ accounts, auditors });
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: "failed to list accounts" });
@@ -229,372 +537,3745 @@ app.get("/api/accounts", async (_req, res) => {
 });
 
 // -----------------------------------------------------------------------------
-// Store a record (note + optional file) off-chain and TRY to register on-chain
+// Sign-In with Ethereum: challenge + signature -> short-lived session token
 // -----------------------------------------------------------------------------
-app.post("/api/records", async (req, res) => {
+app.post("/api/auth/nonce", async (req, res) => {
   try {
-    const { patientAddress, recordId, plaintext, fileMeta } = req.body;
-
-    const hasPlaintext =
-      typeof plaintext === "string" && plaintext.trim().length > 0;
-    const hasFile =
-      fileMeta &&
-      typeof fileMeta.base64 === "string" &&
-      fileMeta.base64.length > 0 &&
-      typeof fileMeta.name === "string";
-
-    if (!patientAddress || !recordId || (!hasPlaintext && !hasFile)) {
-      return res.status(400).json({
-        error:
-          "patientAddress and recordId required, plus either plaintext or fileMeta.base64"
-      });
+    const { address } = req.body;
+    if (typeof address !== "string" || !ethers.isAddress(address)) {
+      return res.status(400).json({ error: "valid address required" });
     }
 
-    // 1) Build an envelope that can hold either a note or a file
-    let contentEnvelope;
-    if (hasFile) {
-      contentEnvelope = {
-        kind: "file",
-        fileName: fileMeta.name,
-        mimeType: fileMeta.type || "application/octet-stream",
-        size: fileMeta.size || null,
-        base64: fileMeta.base64,
-        note: hasPlaintext ? plaintext : null
-      };
-    } else {
-      contentEnvelope = {
-        kind: "note",
-        text: plaintext
-      };
+    let uri;
+    try {
+      uri = siweUri(req.get("origin"));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
     }
 
-    // 2) Encrypt the envelope (JSON string)
-    const key = generateSymmetricKey();
-    const enc = encryptRecord(JSON.stringify(contentEnvelope), key);
-
-    // 3) Store encrypted blob in IPFS stub (or real IPFS later)
-    const cid = await addJson(enc);
-
-    // 4) Store mapping locally
-    localRecords.set(recordId, {
-      cid,
-      owner: patientAddress,
-      keyHex: key.toString("hex"),
-      recordIdHash: null
+    const network = await provider.getNetwork();
+    const challenge = createChallenge({
+      address,
+      chainId: Number(network.chainId),
+      uri
     });
+    res.json(challenge);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to create sign-in challenge" });
+  }
+});
 
-    // 5) TRY to talk to the PrivaMed contract (but don't fail the whole request
-    //    if the contract call reverts or contract is not deployed).
-    let recordIdHash = null;
-    try {
-      // Use the "admin" signer (first Ganache account) as the auditor
-      const adminSigner = await getSigner(); // account[0] from Ganache
-      const contract = await getContract(adminSigner);
-
-      // Ensure the patient is registered as a patient
-      await ensureUserRegistered(contract, patientAddress, ROLE_PATIENT);
+app.post("/api/auth/verify", (req, res) => {
+  const { nonce, signature } = req.body;
+  if (!nonce || !signature) {
+    return res.status(400).json({ error: "nonce and signature required" });
+  }
 
-      // addRecord will now accept msg.sender as Auditor OR Patient
-      const tx = await contract.addRecord(cid);
-      const receipt = await tx.wait();
+  try {
+    res.json(verifyChallenge({ nonce, signature }));
+  } catch (e) {
+    res.status(401).json({ error: e.message });
+  }
+});
 
-      await appendChainLog(
-        `Record registered${recordId ? ` (${recordId})` : ""}`,
-        receipt
-      );
+app.post("/api/auth/logout", (req, res) => {
+  endSession(getBearerToken(req));
+  res.json({ ok: true });
+});
 
-      // parse logs to find recordId (from RecordAdded event)
-      for (const log of receipt.logs) {
-        try {
-          const parsed = contract.interface.parseLog(log);
-          if (parsed.name === "RecordAdded") {
-            recordIdHash = parsed.args.recordId;
-            break;
-          }
-        } catch (_) {
-          // ignore logs that don't match this contract
-        }
-      }
+// Everything below this point acts on behalf of the signed-in address
+// (req.actor); addresses in bodies or URLs are never trusted on their own.
+app.use("/api", requireSession);
 
-      const meta = localRecords.get(recordId);
-      if (meta) {
-        meta.recordIdHash = recordIdHash;
-        localRecords.set(recordId, meta);
-      }
-    } catch (chainErr) {
-      console.error(
-        "[CHAIN] Failed to register record on-chain (continuing with off-chain storage only):",
-        chainErr
-      );
-    }
+app.get("/api/auth/session", (req, res) => {
+  res.json({ address: req.actor, expiresAt: req.authSession.expiresAt });
+});
 
-    res.json({ recordId, cid, recordIdHash });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: "failed to store record" });
+// Resolve the off-chain metadata for an on-chain record ID and make sure the
+// signed-in actor owns it. Sends the error response itself and returns null
+// when the caller may not manage the record.
+async function loadOwnedRecord(req, res, recordIdHash) {
+  const match = await store.records.findByHash(recordIdHash);
+  if (!match) {
+    res.status(404).json({ error: "record not found" });
+    return null;
   }
-});
+  const [recordId, meta] = match;
+  if (!meta.owner || meta.owner.toLowerCase() !== req.actor.toLowerCase()) {
+    res.status(403).json({ error: "only the record owner may do this" });
+    return null;
+  }
+  return { recordId, meta };
+}
 
 // -----------------------------------------------------------------------------
-// Fetch a record (decrypt and return envelope: note or file)
+// Encryption public keys
+// Record keys are never stored in the clear: they are wrapped to the public key
+// of the owner and of each grantee, and only the client holding the matching
+// private key can unwrap them (see encryption.js / client/src/keys.js).
 // -----------------------------------------------------------------------------
-app.get("/api/records/:recordId", async (req, res) => {
-  try {
-    const { recordId } = req.params;
-    const meta = localRecords.get(recordId);
-    if (!meta) {
-      return res.status(404).json({ error: "record not found" });
-    }
 
-    const enc = await getJson(meta.cid);
-    const keyBuf = Buffer.from(meta.keyHex, "hex");
-    const decrypted = decryptRecord(enc, keyBuf);
+// Seal any legacy plaintext record keys belonging to `owner` now that we know
+// the owner's public key.
+async function sealLegacyRecordKeys(owner, publicKey) {
+  for (const [recordId, meta] of await store.records.entries()) {
+    if (!meta.keyHex) continue;
+    if (!meta.owner || meta.owner.toLowerCase() !== owner.toLowerCase()) {
+      continue;
+    }
+    await store.records.update(recordId, (current) => {
+      if (!current.keyHex) return;
+      current.wrappedKeys = current.wrappedKeys || {};
+      current.wrappedKeys[owner.toLowerCase()] = wrapKey(
+        Buffer.from(current.keyHex, "hex"),
+        publicKey
+      );
+      delete current.keyHex;
+    });
+    console.log(`[KEYS] Sealed legacy key for record ${recordId}`);
+  }
+}
 
-    let payload;
+// Body: { publicKey } -- uncompressed or compressed secp256k1 public key
+app.post("/api/keys", async (req, res) => {
+  try {
+    let publicKey;
     try {
-      // New-style encrypted JSON envelope
-      payload = JSON.parse(decrypted);
+      publicKey = ethers.SigningKey.computePublicKey(req.body.publicKey, false);
     } catch {
-      // Backwards compatibility for legacy plaintext-only notes
-      payload = { kind: "note", text: decrypted };
+      return res
+        .status(400)
+        .json({ error: "valid secp256k1 publicKey required" });
     }
 
-    // NOTE: for production, you would call an on-chain
-    // isAuthorized(meta.recordIdHash, actorAddress) check here
-    // before returning the decrypted payload.
-    res.json({
-      recordId,
-      payload,
-      cid: meta.cid,
-      recordIdHash: meta.recordIdHash
+    await store.publicKeys.set(req.actor, {
+      publicKey,
+      registeredAt: Date.now()
     });
+    await sealLegacyRecordKeys(req.actor, publicKey);
+
+    res.json({ address: req.actor, publicKey });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: "failed to fetch record" });
+    res.status(500).json({ error: "failed to register public key" });
   }
 });
 
-// -----------------------------------------------------------------------------
-// List records owned by a specific patient (off-chain metadata only)
-// -----------------------------------------------------------------------------
-app.get("/api/patients/:patientAddress/records", async (req, res) => {
+app.get("/api/keys/:address", async (req, res) => {
   try {
-    const { patientAddress } = req.params;
-    if (!patientAddress) {
-      return res.status(400).json({ error: "patientAddress required" });
+    const { address } = req.params;
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ error: "address must be an address" });
     }
-
-    const target = patientAddress.toLowerCase();
-    const records = [];
-
-    for (const [recordId, meta] of localRecords.entries()) {
-      if (!meta.owner) continue;
-      if (meta.owner.toLowerCase() !== target) continue;
-      records.push({
-        recordId,
-        cid: meta.cid,
-        recordIdHash: meta.recordIdHash,
-        owner: meta.owner
-      });
+    const entry = await store.publicKeys.get(address);
+    if (!entry) {
+      return res
+        .status(404)
+        .json({ error: "no encryption key registered for this address" });
     }
-
-    res.json({ records });
+    res.json({ address: ethers.getAddress(address), ...entry });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: "failed to list patient records" });
+    res.status(500).json({ error: "failed to load public key" });
   }
 });
 
-// -----------------------------------------------------------------------------
-// Grant access to a provider
-// Body: { recordIdHash, providerAddress, validUntil?, scope? }
-// -----------------------------------------------------------------------------
-app.post("/api/access/grant", async (req, res) => {
-  try {
-    const { recordIdHash, providerAddress, validUntil, scope, recordId } =
-      req.body;
-    if (!recordIdHash || !providerAddress) {
-      return res
-        .status(400)
-        .json({ error: "recordIdHash and providerAddress required" });
-    }
+// Make sure `patientAddress` may create `recordId` and resolve with their
+// registered public key. Sends the error response itself and returns null
+// otherwise.
+async function checkNewRecord(res, recordId, patientAddress) {
+  const existing = await store.records.get(recordId);
+  if (
+    existing &&
+    existing.owner &&
+    existing.owner.toLowerCase() !== patientAddress.toLowerCase()
+  ) {
+    res.status(409).json({ error: "recordId already in use" });
+    return null;
+  }
 
-    const signer = await getSigner();
-    const contract = await getContract(signer);
+  const ownerKey = await store.publicKeys.get(patientAddress);
+  if (!ownerKey) {
+    res.status(409).json({
+      error: "register an encryption key (POST /api/keys) before uploading"
+    });
+    return null;
+  }
+  return ownerKey;
+}
 
-    // ensure provider is registered
-    await ensureUserRegistered(contract, providerAddress, ROLE_PROVIDER);
+// Shape check for one sealed section: AES-256-GCM output as hex, the same
+// layout the client's sealEnvelope produces (see client/src/recordCrypto.js)
+function isSealedEnvelope(value) {
+  const hex = /^[0-9a-f]*$/i;
+  return Boolean(
+    value &&
+    typeof value.iv === "string" &&
+    value.iv.length === 24 &&
+    hex.test(value.iv) &&
+    typeof value.tag === "string" &&
+    value.tag.length === 32 &&
+    hex.test(value.tag) &&
+    typeof value.ciphertext === "string" &&
+    value.ciphertext.length % 2 === 0 &&
+    hex.test(value.ciphertext)
+  );
+}
 
-    const tx = await contract.grantAccess(
-      recordIdHash,
-      providerAddress,
-      validUntil || 0,
-      scope || ethers.ZeroHash
-    );
-    const receipt = await tx.wait();
+const RECORD_KINDS = ["note", "file", "fhir"];
 
-    let resolvedRecordId = recordId || null;
-    let patientAddress = null;
+// A map of section name -> wrapped key covering exactly `sections`
+function isSectionKeys(value, sections) {
+  return Boolean(
+    value &&
+    typeof value === "object" &&
+    Object.keys(value).length === sections.length &&
+    sections.every((section) => isWrappedKey(value[section]))
+  );
+}
 
-    if (resolvedRecordId && localRecords.has(resolvedRecordId)) {
-      patientAddress = localRecords.get(resolvedRecordId)?.owner || null;
-    } else {
-      for (const [rid, meta] of localRecords.entries()) {
-        if (meta.recordIdHash && meta.recordIdHash === recordIdHash) {
-          resolvedRecordId = rid;
-          patientAddress = meta.owner || null;
-          break;
-        }
-      }
+// Validate the sealed parts of a record (new or rotated) sent by its owner's
+// client: { sealed, escrowKeys, storage }, where sealed is
+// { sections: { <section>: { iv, tag, ciphertext } } } with a base section
+// and otherwise scope names (see scopes.js). Returns an error message, or null.
+function checkSealedRecord({ sealed, escrowKeys, storage }) {
+  const sections = Object.keys((sealed && sealed.sections) || {});
+  if (
+    !sections.includes(BASE_SECTION) ||
+    !sections.every(
+      (section) =>
+        isSectionName(section) && isSealedEnvelope(sealed.sections[section])
+    )
+  ) {
+    return `sealed must be { sections } mapping "${BASE_SECTION}" and scope names to { iv, tag, ciphertext } (hex AES-256-GCM output)`;
+  }
+  if (EMERGENCY_ESCROW_PUBLIC_KEY && !isSectionKeys(escrowKeys, sections)) {
+    return "escrowKeys (every section key wrapped to GET /api/access/emergency/escrow-key) required";
+  }
+  if (storage !== undefined && storage !== null && storage !== "chunked") {
+    return 'storage must be "chunked" when given';
+  }
+  return null;
+}
+
+// Validate the keys an owner hands a grantee whose grant has `scope`: for a
+// sectioned record { section: wrapped } with the base section and only
+// sections the scope covers; for a record sealed under a single key before
+// sections existed, that one key, and only under a full grant. Returns
+// { keys } or { error }.
+function checkGrantedKeys(meta, { wrappedKeys, wrappedKey }, scope) {
+  if (!Array.isArray(meta.sections)) {
+    if (BigInt(scope || 0) !== 0n) {
+      return {
+        error:
+          "this record is sealed under a single key; re-key it before sharing part of it"
+      };
+    }
+    if (!isWrappedKey(wrappedKey)) {
+      return { error: "wrappedKey (the record key wrapped to them) required" };
     }
+    return { keys: wrappedKey };
+  }
 
-    pushProviderNotification(providerAddress, {
-      type: "record-shared",
-      message: `New record shared: ${resolvedRecordId || recordIdHash}`,
-      recordId: resolvedRecordId,
-      recordIdHash,
-      patientAddress
-    });
+  if (
+    !wrappedKeys ||
+    typeof wrappedKeys !== "object" ||
+    !isWrappedKey(wrappedKeys[BASE_SECTION])
+  ) {
+    return {
+      error: "wrappedKeys (the record's section keys wrapped to them) required"
+    };
+  }
+  for (const [section, wrapped] of Object.entries(wrappedKeys)) {
+    if (!meta.sections.includes(section) || !isWrappedKey(wrapped)) {
+      return { error: `wrappedKeys: no section "${section}" in this record` };
+    }
+    if (section !== BASE_SECTION && !scopeAllows(scope, section)) {
+      return { error: `wrappedKeys: the scope does not cover "${section}"` };
+    }
+  }
+  return { keys: wrappedKeys };
+}
 
-    await appendChainLog(
-      `Access granted to ${providerAddress}`,
-      receipt
-    );
+// Store a new record's sealed sections and its metadata, and make sure the
+// owner is registered on-chain. Resolves with the sealed record's CID. The
+// owner's client encrypted every section and wrapped its key; the server never
+// sees either in the clear.
+async function storeNewRecord(recordId, patientAddress, record) {
+  // 1) Store the sealed envelope in IPFS
+  const cid = await addJson(record.sealed);
 
-    res.json({ ok: true });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: "failed to grant access" });
+  // 2) Persist the mapping; the section keys only exist wrapped to the owner
+  //    (and to the escrow key when break-glass escrow is on)
+  try {
+    await store.records.set(recordId, {
+      cid,
+      owner: patientAddress,
+      recordIdHash: null,
+      // Kept in the clear for listings (see fhirFacade.js)
+      kind: record.kind,
+      contentType: record.contentType,
+      // A chunked file's ciphertext arrives separately through
+      // POST /api/records/:recordId/upload and is kept as
+      // content: { cid, size }
+      ...(record.storage === "chunked"
+        ? { storage: "chunked", content: null }
+        : {}),
+      sections: Object.keys(record.sealed.sections),
+      wrappedKeys: {
+        [patientAddress.toLowerCase()]: record.wrappedKeys
+      },
+      escrowKeys: EMERGENCY_ESCROW_PUBLIC_KEY ? record.escrowKeys : null,
+      version: 1,
+      versions: [
+        {
+          version: 1,
+          cid,
+          createdAt: new Date().toISOString(),
+          reason: "created"
+        }
+      ]
+    });
+  } catch (err) {
+    await unpinRetired([cid]);
+    throw err;
   }
-});
+
+  // 3) Make sure the contract knows the uploader as a patient. Registering
+  //    users is the admin's job; addRecord itself is authorized by the
+  //    patient's wallet through POST /api/records/:recordId/register.
+  try {
+    const contract = await getContract(await getSigner());
+    await ensureUserRegistered(contract, patientAddress, ROLE_PATIENT);
+  } catch (chainErr) {
+    console.error("[CHAIN] Failed to register patient on-chain:", chainErr);
+  }
+  return cid;
+}
 
 // -----------------------------------------------------------------------------
-// Revoke access from a provider
-// Body: { recordIdHash, providerAddress }
+// Store a sealed record (note, file or FHIR content) off-chain; the owner then
+// registers it on-chain through POST /api/records/:recordId/register
+// Body: { recordId, sealed, wrappedKeys, escrowKeys?, kind, contentType,
+//         storage? }
+//   sealed       the JSON envelope split into sections and encrypted
+//                client-side, each under a fresh key:
+//                { sections: { <section>: { iv, tag, ciphertext } } } (hex)
+//   wrappedKeys  section -> that section's key wrapped to the owner
+//   escrowKeys   section -> that section's key wrapped to the escrow key;
+//                required when break-glass escrow is on
+//   kind        "note", "file" or "fhir"; with contentType, kept in the clear
+//               for listings and the FHIR facade
+//   storage     "chunked" for a file whose ciphertext follows through
+//               POST /api/records/:recordId/upload
 // -----------------------------------------------------------------------------
-app.post("/api/access/revoke", async (req, res) => {
+app.post("/api/records", async (req, res) => {
   try {
-    const { recordIdHash, providerAddress } = req.body;
-    if (!recordIdHash || !providerAddress) {
+    const patientAddress = req.actor;
+    const { recordId, sealed, wrappedKeys, escrowKeys, kind, contentType } =
+      req.body;
+    const storage = req.body.storage || null;
+
+    if (typeof recordId !== "string" || !recordId.trim()) {
+      return res.status(400).json({ error: "recordId required" });
+    }
+    if (!RECORD_KINDS.includes(kind)) {
       return res
         .status(400)
-        .json({ error: "recordIdHash and providerAddress required" });
+        .json({ error: `kind must be one of ${RECORD_KINDS.join(", ")}` });
+    }
+    if (typeof contentType !== "string" || !contentType.trim()) {
+      return res.status(400).json({ error: "contentType required" });
+    }
+    const invalid = checkSealedRecord({ sealed, escrowKeys, storage });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (!isSectionKeys(wrappedKeys, Object.keys(sealed.sections))) {
+      return res.status(400).json({
+        error: "wrappedKeys (every section key wrapped to you) required"
+      });
+    }
+    if (storage && kind !== "file") {
+      return res
+        .status(400)
+        .json({ error: "only file records have chunked storage" });
     }
 
-    const signer = await getSigner();
-    const contract = await getContract(signer);
-
-    const tx = await contract.revokeAccess(recordIdHash, providerAddress);
-    const receipt = await tx.wait();
-
-    await appendChainLog(
-      `Access revoked for ${providerAddress}`,
-      receipt
-    );
+    if (!(await checkNewRecord(res, recordId, patientAddress))) return;
 
-    res.json({ ok: true });
+    const cid = await storeNewRecord(recordId, patientAddress, {
+      sealed,
+      wrappedKeys,
+      escrowKeys,
+      kind,
+      contentType,
+      storage
+    });
+    res.json({ recordId, cid, recordIdHash: null });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: "failed to revoke access" });
+    res.status(500).json({ error: "failed to store record" });
   }
 });
 
 // -----------------------------------------------------------------------------
-// List records a provider has access to
-// GET /api/providers/:providerAddress/records
+// Stream a (large) file's ciphertext into a record
+// POST /api/records/:recordId/upload
+// POST /api/records/:recordId/rotation/upload
+//   body: the encrypted file, as application/octet-stream
+// The owner's client encrypts the file chunk by chunk (see
+// client/src/recordCrypto.js) and keeps the chunk manifest, content key
+// included, inside the sealed envelope. The ciphertext is streamed to IPFS, so
+// neither the JSON body limit nor memory caps the file size; UPLOAD_MAX_MB
+// does (default 1024). It attaches to a record created with storage: "chunked"
+// (or to its pending rotation) that has no content yet, and
+// GET /api/records/:recordId/content streams it back.
 // -----------------------------------------------------------------------------
-app.get("/api/providers/:providerAddress/records", async (req, res) => {
-  try {
-    const { providerAddress } = req.params;
-    if (!providerAddress) {
-      return res.status(400).json({ error: "providerAddress required" });
-    }
+const UPLOAD_MAX_BYTES =
+  Number(process.env.UPLOAD_MAX_MB || 1024) * 1024 * 1024;
 
-    const contract = await getContract(provider); // read-only calls
-    const results = [];
-
-    for (const [recordId, meta] of localRecords.entries()) {
-      // If this record never got an on-chain ID, it can't participate in
-      // contract-based access control, so skip it for the provider view.
-      if (!meta.recordIdHash) continue;
+// Pass `source` through, failing once more than `max` bytes have gone by.
+// `counter.bytes` holds the number of bytes seen so far.
+async function* limitBytes(source, max, counter = {}) {
+  counter.bytes = 0;
+  for await (const piece of source) {
+    counter.bytes += piece.length;
+    if (counter.bytes > max) {
+      const err = new Error(`file exceeds ${max} bytes`);
+      err.status = 413;
+      throw err;
+    }
+    yield piece;
+  }
+}
 
-      let authorized = false;
+// Stream the request body into IPFS as the content of record `recordId`.
+// `slotOf(meta)` picks what the content belongs to -- the record or its
+// pending rotation -- and returns null when that is not waiting for content.
+// Responds itself.
+async function receiveContent(req, res, slotOf) {
+  const { recordId } = req.params;
+  const meta = await store.records.get(recordId);
+  if (!meta) {
+    return res.status(404).json({ error: "record not found" });
+  }
+  if (!meta.owner || meta.owner.toLowerCase() !== req.actor.toLowerCase()) {
+    return res.status(403).json({ error: "only the record owner may do this" });
+  }
+  const slot = slotOf(meta);
+  if (!slot || slot.storage !== "chunked" || slot.content) {
+    return res
+      .status(409)
+      .json({ error: "no chunked file content is expected here" });
+  }
+  // JSON bodies have already been parsed (and capped) by express.json
+  if (req.is("application/json")) {
+    return res
+      .status(400)
+      .json({ error: "send the file as application/octet-stream" });
+  }
+  if (Number(req.get("content-length")) > UPLOAD_MAX_BYTES) {
+    return res
+      .status(413)
+      .json({ error: `file exceeds ${UPLOAD_MAX_BYTES} bytes` });
+  }
+
+  const counter = {};
+  const cid = await addStream(limitBytes(req, UPLOAD_MAX_BYTES, counter));
+  const content = { cid, size: counter.bytes };
+
+  // Whatever was stored is unpinned again unless it ends up on the record
+  let attached = false;
+  try {
+    if (!req.complete) {
+      return res
+        .status(400)
+        .json({ error: "the upload ended before the whole file arrived" });
+    }
+    await store.records.update(recordId, (current) => {
+      const target = slotOf(current);
+      if (!target || target.content) return;
+      target.content = content;
+      attached = true;
+    });
+  } finally {
+    if (!attached) await unpinRetired([cid]);
+  }
+  if (!attached) {
+    return res
+      .status(409)
+      .json({ error: "the record changed while the file was uploading" });
+  }
+  res.json({ recordId, contentCid: cid, size: content.size });
+}
+
+function sendUploadError(res, e) {
+  if (e.status === 413) {
+    return res.status(413).json({ error: e.message });
+  }
+  console.error(e);
+  res.status(500).json({ error: "failed to store file content" });
+}
+
+app.post("/api/records/:recordId/upload", async (req, res) => {
+  try {
+    await receiveContent(req, res, (meta) => meta);
+  } catch (e) {
+    sendUploadError(res, e);
+  }
+});
+
+app.post("/api/records/:recordId/rotation/upload", async (req, res) => {
+  try {
+    await receiveContent(req, res, (meta) => meta.pendingRotation || null);
+  } catch (e) {
+    sendUploadError(res, e);
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Owner-authorized chain actions
+// -----------------------------------------------------------------------------
+
+// Carry out `action` (a relayer.js action name) with `params` for the
+// signed-in actor and resolve with { receipt, event }, where `event` is the
+// `eventName` log whose args satisfy `matches`. In relay mode the body carries
+// relay: { deadline, signature } over the typed data from
+// POST /api/relay/typed-data; in client mode the actor already sent the
+// transaction and the body carries its txHash. Throws with a user-facing
+// message.
+async function performChainAction(req, action, params, eventName, matches) {
+  const contract = await getContract(provider);
+  if (SIGNING_MODE === "client") {
+    const verified = await verifyClientTx(provider, contract, req.body.txHash, {
+      from: req.actor,
+      eventName,
+      matches
+    });
+    claimTx(verified.receipt.hash, verified.receipt.blockNumber);
+    return verified;
+  }
+
+  const relay = req.body.relay || {};
+  const { receipt } = await relayer.run({
+    action,
+    signer: req.actor,
+    params,
+    deadline: relay.deadline,
+    signature: relay.signature
+  });
+  return {
+    receipt,
+    event: findContractEvent(
+      contract,
+      await contract.getAddress(),
+      receipt,
+      eventName,
+      matches
+    )
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Register an uploaded record on-chain with its owner's authorization.
+// Body: { relay } or { txHash } (see performChainAction)
+// -----------------------------------------------------------------------------
+app.post("/api/records/:recordId/register", async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    const meta = await store.records.get(recordId);
+    if (!meta) {
+      return res.status(404).json({ error: "record not found" });
+    }
+    if (!meta.owner || meta.owner.toLowerCase() !== req.actor.toLowerCase()) {
+      return res
+        .status(403)
+        .json({ error: "only the record owner may do this" });
+    }
+    if (meta.recordIdHash) {
+      return res
+        .status(409)
+        .json({ error: "record is already registered on-chain" });
+    }
+    if (meta.storage === "chunked" && !meta.content) {
+      return res.status(409).json({
+        error: "upload the file (POST /api/records/:recordId/upload) first"
+      });
+    }
+
+    let verified;
+    try {
+      verified = await performChainAction(
+        req,
+        "addRecord",
+        { cid: meta.cid },
+        "RecordAdded",
+        (args) =>
+          args.owner.toLowerCase() === req.actor.toLowerCase() &&
+          args.cid === meta.cid
+      );
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const recordIdHash = verified.event.args.recordId;
+    if (await store.records.findByHash(recordIdHash)) {
+      return res
+        .status(409)
+        .json({ error: "transaction already registered another record" });
+    }
+
+    await store.records.update(recordId, (current) => {
+      current.recordIdHash = recordIdHash;
+    });
+    await appendChainLog(`Record registered (${recordId})`, verified.receipt);
+
+    res.json({ recordId, cid: meta.cid, recordIdHash });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to register record" });
+  }
+});
+
+async function checkRecordReadAuthorized(recordId, meta, actor) {
+  try {
+    return await isRecordReadAuthorized(meta, actor);
+  } catch (err) {
+    console.error(
+      `[CHAIN] Authorization check failed for record ${recordId} / actor ${actor}:`,
+      err
+    );
+    return false;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Fetch the caller's wrapped copies of a record's keys: the sections their
+// grant covers (see releasableKeys)
+// -----------------------------------------------------------------------------
+app.get("/api/records/:recordId/key", async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    const meta = await store.records.get(recordId);
+    if (!meta) {
+      return res.status(404).json({ error: "record not found" });
+    }
+
+    if (!(await checkRecordReadAuthorized(recordId, meta, req.actor))) {
+      // Denied here, the caller never reaches the read route, so log it now
+      await logRecordAccess(recordId, meta, req.actor, false, "KEY");
+      return res.status(403).json({ error: "not authorized for this record" });
+    }
+
+    const released = await releasableKeys(meta, req.actor);
+    if (!released) {
+      return res
+        .status(404)
+        .json({ error: "no record key has been shared with this account" });
+    }
+
+    res.json({ recordId, ...released });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to load record key" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Fetch a record: its sealed sections and the caller's wrapped keys for the
+// ones their grant covers (see releasableKeys)
+// Only the owner or an actor authorized on-chain gets them; every attempt is
+// recorded with logAccessEvent. The caller unwraps the keys and opens the
+// sections client-side (see client/src/recordCrypto.js); the server only ever
+// handles ciphertext. `scope` lists what a scoped grant covers (null for the
+// whole record) and `content` is set for chunked files, which are fetched
+// through GET /api/records/:recordId/content.
+// -----------------------------------------------------------------------------
+app.get("/api/records/:recordId", async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    const meta = await store.records.get(recordId);
+    if (!meta) {
+      return res.status(404).json({ error: "record not found" });
+    }
+
+    const actor = req.actor;
+    const authorized = await checkRecordReadAuthorized(recordId, meta, actor);
+
+    await logRecordAccess(recordId, meta, actor, authorized, "READ");
+
+    if (!authorized) {
+      return res.status(403).json({ error: "not authorized for this record" });
+    }
+
+    const released = await releasableKeys(meta, actor);
+    if (!released) {
+      return res
+        .status(404)
+        .json({ error: "no record key has been shared with this account" });
+    }
+
+    const scope = await grantScopeFor(meta, actor);
+    res.json({
+      recordId,
+      kind: meta.kind,
+      sealed: await getJson(meta.cid),
+      ...released,
+      scope: decodeScope(scope),
+      content: meta.content ? { size: meta.content.size } : null,
+      cid: meta.cid,
+      recordIdHash: meta.recordIdHash
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to fetch record" });
+  }
+});
+
+// Range header for a file of `size` bytes -> { start, end } (inclusive), null
+// to send the whole file, or false when the range cannot be satisfied. Only
+// single ranges are supported; anything else gets the whole file.
+function parseByteRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || "").trim());
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+  let start;
+  let end;
+  if (match[1] === "") {
+    // bytes=-n: the last n bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+    if (match[2] !== "" && Number(match[2]) < start) return null;
+  }
+  if (start >= size || end < start) return false;
+  return { start, end };
+}
+
+// Send a chunked file's ciphertext (content: { cid, size }), honoring a Range
+// header. Chunk offsets in the ciphertext match those in the file, so a
+// client decrypting a range only needs the chunks that cover it.
+async function sendContent(req, res, content) {
+  const { size } = content;
+  res.set("Accept-Ranges", "bytes");
+  const range = parseByteRange(req.get("range"), size);
+  if (range === false) {
+    return res
+      .status(416)
+      .set("Content-Range", `bytes */${size}`)
+      .json({ error: "range not satisfiable" });
+  }
+  const { start, end } = range || { start: 0, end: size - 1 };
+  if (range) {
+    res.status(206).set("Content-Range", `bytes ${start}-${end}/${size}`);
+  }
+  res.type("application/octet-stream");
+  res.set("Content-Length", String(end - start + 1));
+
+  if (size === 0) return res.end();
+  await pipeline(
+    Readable.from(
+      catStream(content.cid, { offset: start, length: end - start + 1 })
+    ),
+    res
+  );
+}
+
+// -----------------------------------------------------------------------------
+// Stream a record's encrypted file, whole or a byte range (Range: bytes=...)
+// Authorized and scoped like GET /api/records/:recordId; the caller decrypts
+// it with the chunk manifest from the record's envelope. Each download is
+// logged on-chain as DOWNLOAD once, on the request that starts at its first
+// byte, and refusals on every request; the owner only hears about refused
+// ones, since a viewer reads the record itself first. The log transaction is
+// not awaited, so it never holds up the stream (logRecordAccess reports its
+// own failures).
+// -----------------------------------------------------------------------------
+app.get("/api/records/:recordId/content", async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    const meta = await store.records.get(recordId);
+    if (!meta) {
+      return res.status(404).json({ error: "record not found" });
+    }
+
+    const actor = req.actor;
+    const authorized = await checkRecordReadAuthorized(recordId, meta, actor);
+    if (!authorized) {
+      logRecordAccess(recordId, meta, actor, false, "DOWNLOAD");
+      return res.status(403).json({ error: "not authorized for this record" });
+    }
+
+    if (!meta.content) {
+      return res
+        .status(404)
+        .json({ error: "this record holds no streamed file" });
+    }
+    const scope = await grantScopeFor(meta, actor);
+    if (!scopeAllows(scope, "read-attachments")) {
+      logRecordAccess(recordId, meta, actor, false, "DOWNLOAD");
+      return res
+        .status(403)
+        .json({ error: "the grant does not cover the attachment" });
+    }
+
+    const range = parseByteRange(req.get("range"), meta.content.size);
+    if (range !== false && (!range || range.start === 0)) {
+      logRecordAccess(recordId, meta, actor, true, "DOWNLOAD");
+    }
+    await sendContent(req, res, meta.content);
+  } catch (e) {
+    console.error(e);
+    // Mid-stream failures can only cut the response short
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({ error: "failed to fetch record content" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// List records owned by a specific patient (off-chain metadata only)
+// -----------------------------------------------------------------------------
+app.get(
+  "/api/patients/:patientAddress/records",
+  requireSelf("patientAddress"),
+  async (req, res) => {
+    try {
+      const { patientAddress } = req.params;
+      const target = patientAddress.toLowerCase();
+      const records = [];
+      const known = new Set();
+
+      await indexer.sync();
+      for (const [recordId, meta] of await store.records.entries()) {
+        if (!meta.owner) continue;
+        if (meta.owner.toLowerCase() !== target) continue;
+        const onChain = meta.recordIdHash
+          ? indexer.record(meta.recordIdHash)
+          : null;
+        if (meta.recordIdHash) known.add(meta.recordIdHash.toLowerCase());
+        records.push({
+          recordId,
+          cid: meta.cid,
+          recordIdHash: meta.recordIdHash,
+          owner: meta.owner,
+          version: meta.version || 1,
+          // null until the registration is indexed; cidMatches is false while
+          // the chain and the local metadata disagree on the current version
+          onChain: onChain
+            ? {
+                cid: onChain.cid,
+                cidMatches: onChain.cid === meta.cid,
+                blockNumber: onChain.blockNumber
+              }
+            : null
+        });
+      }
+
+      // Records the patient owns on-chain that were uploaded through another
+      // backend; there is no metadata (or key) for them here
+      const external = indexer
+        .records({ owner: patientAddress })
+        .filter((r) => !known.has(r.recordIdHash.toLowerCase()))
+        .map((r) => ({
+          recordIdHash: r.recordIdHash,
+          cid: r.cid,
+          blockNumber: r.blockNumber
+        }));
+
+      res.json({ records, external });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "failed to list patient records" });
+    }
+  }
+);
+
+// -----------------------------------------------------------------------------
+// Access history of a patient's records (see history.js)
+// GET /api/patients/:patientAddress/access-history
+//   ?recordId= (local ID or on-chain ID) &actor= &from= &to= (dates)
+// -----------------------------------------------------------------------------
+
+// Optional date query parameter -> ms since the epoch (or null); throws with a
+// user-facing message.
+function parseDateParam(value, name) {
+  if (value === undefined || value === "") return null;
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`${name} must be a date`);
+  }
+  return ms;
+}
+
+app.get(
+  "/api/patients/:patientAddress/access-history",
+  requireSelf("patientAddress"),
+  async (req, res) => {
+    try {
+      const { patientAddress } = req.params;
+      const { recordId, actor } = req.query;
+      let from;
+      let to;
       try {
-        authorized = await contract.isAuthorized(
-          meta.recordIdHash,
-          providerAddress
-        );
+        from = parseDateParam(req.query.from, "from");
+        to = parseDateParam(req.query.to, "to");
+        if (actor && !ethers.isAddress(actor)) {
+          throw new Error("actor must be an address");
+        }
       } catch (err) {
-        console.error(
-          `[CHAIN] isAuthorized failed for record ${recordId} / provider ${providerAddress}:`,
-          err
+        return res.status(400).json({ error: err.message });
+      }
+
+      await indexer.sync();
+      // Every record the patient owns on-chain, labelled with its local ID
+      // where this backend has one
+      const labels = new Map();
+      for (const [id, meta] of await store.records.entries()) {
+        if (meta.recordIdHash) labels.set(meta.recordIdHash.toLowerCase(), id);
+      }
+      let owned = indexer
+        .records({ owner: patientAddress })
+        .map((r) => r.recordIdHash);
+      if (recordId) {
+        owned = owned.filter(
+          (hash) =>
+            hash.toLowerCase() === String(recordId).toLowerCase() ||
+            labels.get(hash.toLowerCase()) === recordId
         );
-        // In a demo context, we just treat failure as "not authorized"
-        authorized = false;
       }
 
-      if (authorized) {
+      // Break-glass justifications are only kept off-chain
+      const justifications = new Map();
+      for (const entry of await store.emergencyAccess.list()) {
+        if (entry.txHash && entry.justification) {
+          justifications.set(entry.txHash.toLowerCase(), entry.justification);
+        }
+      }
+
+      const events = loadAccessHistory(indexer, {
+        recordIdHashes: owned,
+        actor,
+        from,
+        to
+      }).map((entry) => ({
+        ...entry,
+        recordId: labels.get(entry.recordIdHash.toLowerCase()) || null,
+        ...(entry.scope !== undefined
+          ? { scope: decodeScope(entry.scope) }
+          : {}),
+        ...(entry.type === "emergency"
+          ? {
+              justification:
+                justifications.get(entry.txHash.toLowerCase()) || null
+            }
+          : {})
+      }));
+
+      res.json({ events });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "failed to load access history" });
+    }
+  }
+);
+
+// -----------------------------------------------------------------------------
+// Version history of a record (owner only): one entry per CID the record has
+// pointed at, oldest first. Retired versions were encrypted under keys that
+// revoked providers may still hold.
+// -----------------------------------------------------------------------------
+app.get("/api/records/:recordId/versions", async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    const meta = await store.records.get(recordId);
+    if (!meta) {
+      return res.status(404).json({ error: "record not found" });
+    }
+    if (!meta.owner || meta.owner.toLowerCase() !== req.actor.toLowerCase()) {
+      return res
+        .status(403)
+        .json({ error: "only the record owner can view its history" });
+    }
+
+    res.json({
+      recordId,
+      version: meta.version || 1,
+      versions: meta.versions || []
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to load record versions" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Grants on a record (owner only): every grantee with its scope, expiry and
+// time left (see grants.js)
+// -----------------------------------------------------------------------------
+app.get("/api/records/:recordId/grants", async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    const meta = await store.records.get(recordId);
+    if (!meta) {
+      return res.status(404).json({ error: "record not found" });
+    }
+    if (!meta.owner || meta.owner.toLowerCase() !== req.actor.toLowerCase()) {
+      return res
+        .status(403)
+        .json({ error: "only the record owner can view its grants" });
+    }
+    if (!meta.recordIdHash) {
+      return res.json({ recordId, grants: [] });
+    }
+
+    await indexer.sync();
+    const grants = loadRecordGrants(indexer, meta.recordIdHash);
+    res.json({
+      recordId,
+      grants: grants.map((g) => ({ ...g, scope: decodeScope(g.scope) }))
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to load record grants" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Register a grantee as a provider on-chain
+// grantAccess requires the grantee to be a registered provider, and only the
+// admin may register users, so the owner's client asks for this before it
+// authorizes a grant of one of its records. Nobody can register themselves
+// here: providers otherwise come from the admin (POST /api/admin/users) or an
+// auditor's verification of their directory entry.
+// Body: { recordIdHash } (the record about to be granted; actor must own it)
+// -----------------------------------------------------------------------------
+app.post("/api/providers/:providerAddress/register", async (req, res) => {
+  try {
+    const { providerAddress } = req.params;
+    const { recordIdHash } = req.body || {};
+    if (!ethers.isAddress(providerAddress)) {
+      return res
+        .status(400)
+        .json({ error: "providerAddress must be an address" });
+    }
+    if (!ethers.isHexString(recordIdHash, 32)) {
+      return res
+        .status(400)
+        .json({ error: "recordIdHash of the record to grant is required" });
+    }
+    if (providerAddress.toLowerCase() === req.actor.toLowerCase()) {
+      return res
+        .status(400)
+        .json({ error: "the record owner cannot be its own grantee" });
+    }
+    if (!(await loadOwnedRecord(req, res, recordIdHash))) return;
+
+    const signer = await getSigner();
+    const contract = await getContract(signer);
+    if (
+      !(await ensureUserRegistered(contract, providerAddress, ROLE_PROVIDER))
+    ) {
+      return res
+        .status(409)
+        .json({ error: "provider has been deactivated by the admin" });
+    }
+
+    const user = await contract.users(providerAddress);
+    if (Number(user.role) !== ROLE_PROVIDER) {
+      return res
+        .status(409)
+        .json({ error: "address is registered with another role" });
+    }
+
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to register provider" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Provider directory
+// Providers describe themselves (name, specialty, organization, license
+// number); an auditor checks the entry and anchors its hash on-chain with
+// setProviderVerification from their own wallet. See providers.js.
+// -----------------------------------------------------------------------------
+
+const PROVIDER_VERDICTS = ["verified", "rejected"];
+
+// Directory entry plus its current verification status
+async function describeProviderEntry(contract, entry) {
+  const anchored = await contract.providerProfileHash(entry.address);
+  return { ...entry, status: verificationStatus(entry, anchored) };
+}
+
+// ?query= matches every word against name, specialty, organization, license
+// and address; ?status=verified|pending|rejected
+app.get("/api/providers", async (req, res) => {
+  try {
+    const contract = await getContract(provider);
+    let entries = await Promise.all(
+      (await store.providers.list())
+        .filter((entry) => matchesQuery(entry, req.query.query))
+        .map((entry) => describeProviderEntry(contract, entry))
+    );
+    if (req.query.status) {
+      entries = entries.filter((entry) => entry.status === req.query.status);
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    res.json({ providers: entries });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to search providers" });
+  }
+});
+
+app.get("/api/providers/:providerAddress", async (req, res) => {
+  try {
+    const { providerAddress } = req.params;
+    if (!ethers.isAddress(providerAddress)) {
+      return res
+        .status(400)
+        .json({ error: "providerAddress must be an address" });
+    }
+    const entry = await store.providers.get(providerAddress);
+    if (!entry) {
+      return res.status(404).json({ error: "provider not in directory" });
+    }
+    res.json({
+      provider: await describeProviderEntry(await getContract(provider), entry)
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to load provider" });
+  }
+});
+
+// Body: { name, specialty?, organization?, licenseNumber }
+// The actor must be a provider on-chain or not registered yet; an unregistered
+// provider becomes one once an auditor verifies the entry. Changing a verified
+// entry sends it back to "pending".
+app.put(
+  "/api/providers/:providerAddress/profile",
+  requireSelf("providerAddress"),
+  async (req, res) => {
+    try {
+      let profile;
+      try {
+        profile = normalizeProfile(req.body);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      const contract = await getContract(provider);
+      const user = await contract.users(req.actor);
+      if (
+        user.exists
+          ? Number(user.role) !== ROLE_PROVIDER
+          : await wasDeactivated(contract, req.actor)
+      ) {
+        return res
+          .status(403)
+          .json({ error: "only providers have a directory entry" });
+      }
+
+      const address = ethers.getAddress(req.actor);
+      const existing = await store.providers.get(address);
+      const entry = {
+        address,
+        ...profile,
+        profileHash: profileHash(address, profile),
+        verification: existing ? existing.verification : null,
+        updatedAt: new Date().toISOString()
+      };
+      await store.providers.set(address, entry);
+
+      res.json({ provider: await describeProviderEntry(contract, entry) });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "failed to save provider profile" });
+    }
+  }
+);
+
+// Body: { status: "verified" | "rejected", notes?, txHash }
+// txHash is the auditor's setProviderVerification transaction: the entry's
+// profileHash to verify it, or the zero hash to reject it (which also
+// withdraws an earlier verification). setProviderVerification only accepts
+// registered providers, so the auditor calls .../verification/prepare first.
+// Rejecting an entry whose address never became a provider has nothing to
+// anchor and needs no txHash.
+app.post("/api/providers/:providerAddress/verification", async (req, res) => {
+  try {
+    const { status, notes, txHash } = req.body;
+    if (!PROVIDER_VERDICTS.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of ${PROVIDER_VERDICTS.join(", ")}`
+      });
+    }
+    if (!(await requireAuditor(req, res))) return;
+
+    const entry = ethers.isAddress(req.params.providerAddress)
+      ? await store.providers.get(req.params.providerAddress)
+      : null;
+    if (!entry) {
+      return res.status(404).json({ error: "provider not in directory" });
+    }
+
+    const expectedHash =
+      status === "verified" ? entry.profileHash : ethers.ZeroHash;
+    const contract = await getContract(provider);
+    const user = await contract.users(entry.address);
+    const isProvider = user.exists && Number(user.role) === ROLE_PROVIDER;
+    if (status === "rejected" && !isProvider) {
+      entry.verification = {
+        status,
+        notes: typeof notes === "string" ? notes : "",
+        auditor: req.actor,
+        profileHash: entry.profileHash,
+        txHash: null,
+        reviewedAt: new Date().toISOString()
+      };
+      await store.providers.set(entry.address, entry);
+      await notifier.notify(entry.address, {
+        type: "provider-verification",
+        message: "Your directory entry was not verified",
+        status,
+        notes: entry.verification.notes
+      });
+      return res.json({
+        provider: await describeProviderEntry(contract, entry)
+      });
+    }
+
+    let verified;
+    try {
+      verified = await verifyClientTx(provider, contract, txHash, {
+        from: req.actor,
+        eventName: "ProviderVerified",
+        matches: (args) =>
+          args.provider.toLowerCase() === entry.address.toLowerCase() &&
+          args.profileHash === expectedHash
+      });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    entry.verification = {
+      status,
+      notes: typeof notes === "string" ? notes : "",
+      auditor: req.actor,
+      profileHash: entry.profileHash,
+      txHash: verified.receipt.hash,
+      reviewedAt: new Date().toISOString()
+    };
+    await store.providers.set(entry.address, entry);
+
+    await notifier.notify(entry.address, {
+      type: "provider-verification",
+      message:
+        status === "verified"
+          ? "Your directory entry has been verified"
+          : "Your directory entry was not verified",
+      status,
+      notes: entry.verification.notes
+    });
+    await appendChainLog(
+      `Provider ${entry.address} ${status}`,
+      verified.receipt
+    );
+
+    res.json({ provider: await describeProviderEntry(contract, entry) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to record provider verification" });
+  }
+});
+
+// Body: { status: "verified" | "rejected" }
+// Run by the auditor before signing setProviderVerification. To verify an
+// entry, its address is registered as a provider if it is not one yet; this
+// and the admin routes are the only ways to become a provider without being
+// granted a record. Answers { onChain } (whether the address is a provider and
+// the verdict needs a transaction).
+app.post(
+  "/api/providers/:providerAddress/verification/prepare",
+  async (req, res) => {
+    try {
+      const { status } = req.body || {};
+      if (!PROVIDER_VERDICTS.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of ${PROVIDER_VERDICTS.join(", ")}`
+        });
+      }
+      if (!(await requireAuditor(req, res))) return;
+
+      const entry = ethers.isAddress(req.params.providerAddress)
+        ? await store.providers.get(req.params.providerAddress)
+        : null;
+      if (!entry) {
+        return res.status(404).json({ error: "provider not in directory" });
+      }
+
+      const signer = await getSigner();
+      const contract = await getContract(signer);
+      if (status === "verified") {
+        if (
+          !(await ensureUserRegistered(contract, entry.address, ROLE_PROVIDER))
+        ) {
+          return res
+            .status(409)
+            .json({ error: "provider has been deactivated by the admin" });
+        }
+      }
+      const user = await contract.users(entry.address);
+      if (user.exists && Number(user.role) !== ROLE_PROVIDER) {
+        return res
+          .status(409)
+          .json({ error: "address is registered with another role" });
+      }
+      res.json({ onChain: user.exists });
+    } catch (e) {
+      console.error(e);
+      res
+        .status(500)
+        .json({ error: "failed to prepare provider verification" });
+    }
+  }
+);
+
+// Grant expiry from a request body -> unix seconds, 0 for a grant that never
+// expires. Throws with a user-facing message for anything else or a time that
+// has already passed.
+function parseValidUntil(value) {
+  const expiry = Number(value || 0);
+  if (
+    !Number.isInteger(expiry) ||
+    expiry < 0 ||
+    (expiry > 0 && expiry * 1000 <= Date.now())
+  ) {
+    throw new Error("validUntil must be 0 or a future unix time");
+  }
+  return expiry;
+}
+
+// -----------------------------------------------------------------------------
+// Grant access to a provider (signed-in actor must own the record)
+// Body: { recordIdHash, providerAddress, wrappedKeys, validUntil?, scope?,
+//         relay | txHash }
+// validUntil is a unix time in seconds after which the grant stops counting;
+// omitted or zero never expires.
+// scope is a bytes32 bitmask of the parts of the record the provider may read
+// (see scopes.js); omitted or zero grants the whole record.
+// wrappedKeys maps the base section and each section the scope covers to its
+// key wrapped to the provider's public key by the owner's client
+// (GET /api/keys/:address); records sealed under a single key take one
+// wrappedKey instead (see checkGrantedKeys). relay/txHash carry the owner's
+// authorization of grantAccess (see performChainAction).
+// -----------------------------------------------------------------------------
+app.post("/api/access/grant", async (req, res) => {
+  try {
+    const { recordIdHash, providerAddress, validUntil, scope } = req.body;
+    if (!recordIdHash || !providerAddress) {
+      return res
+        .status(400)
+        .json({ error: "recordIdHash and providerAddress required" });
+    }
+    if (scope && !ethers.isHexString(scope, 32)) {
+      return res.status(400).json({ error: "scope must be a bytes32 hex" });
+    }
+    let expiry;
+    try {
+      expiry = parseValidUntil(validUntil);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const owned = await loadOwnedRecord(req, res, recordIdHash);
+    if (!owned) return;
+    const granted = checkGrantedKeys(owned.meta, req.body, scope);
+    if (granted.error) {
+      return res.status(400).json({ error: granted.error });
+    }
+
+    let receipt;
+    try {
+      ({ receipt } = await performChainAction(
+        req,
+        "grantAccess",
+        {
+          recordId: recordIdHash,
+          grantee: providerAddress,
+          validUntil: expiry,
+          scope: scope || ethers.ZeroHash
+        },
+        "AccessGranted",
+        (args) =>
+          args.recordId.toLowerCase() === recordIdHash.toLowerCase() &&
+          args.grantee.toLowerCase() === providerAddress.toLowerCase() &&
+          Number(args.validUntil) === expiry &&
+          args.scope.toLowerCase() === (scope || ethers.ZeroHash).toLowerCase()
+      ));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    // A replayed grant transaction must not hand out a key after a later
+    // revoke
+    const contract = await getContract(provider);
+    if (!(await contract.isAuthorized(recordIdHash, providerAddress))) {
+      return res
+        .status(409)
+        .json({ error: "grant is no longer active on-chain" });
+    }
+
+    // Only now that the grant is on-chain does the provider get usable keys
+    await store.records.update(owned.recordId, (meta) => {
+      meta.wrappedKeys = meta.wrappedKeys || {};
+      meta.wrappedKeys[providerAddress.toLowerCase()] = granted.keys;
+    });
+
+    await notifier.notify(providerAddress, {
+      type: "record-shared",
+      message: `New record shared: ${owned.recordId}`,
+      recordId: owned.recordId,
+      recordIdHash,
+      patientAddress: owned.meta.owner,
+      scope: decodeScope(scope),
+      validUntil: expiry ? new Date(expiry * 1000).toISOString() : null
+    });
+
+    await appendChainLog(`Access granted to ${providerAddress}`, receipt);
+
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to grant access" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Key rotation
+// A rotation is prepared off-chain, then committed once updateRecordCID has
+// pointed the on-chain record at the new CID. The owner's client does the
+// cryptography: it opens the record, seals its sections again under fresh keys
+// (a chunked file under a fresh content key too, uploaded through
+// POST /api/records/:recordId/rotation/upload) and wraps the new keys for
+// itself and, as far as their grants reach, every grantee it wants to keep. The owner authorizes
+// updateRecordCID in between and reports it through
+// POST /api/records/:recordId/rotation.
+// -----------------------------------------------------------------------------
+
+// Pin a rotated record's sealed sections and keep them as the record's pending
+// rotation. Only the owner and grantees that are still authorized on-chain keep
+// wrapped keys, each grantee only for the sections isAuthorizedFor still
+// covers; everyone else (notably a provider that was just revoked) is left
+// holding keys to a CID that is about to be retired. A rotation prepared
+// earlier and never committed is dropped.
+async function prepareRotation(recordId, rotated) {
+  const meta = await store.records.get(recordId);
+  const contract = await getContract(provider);
+
+  const wrappedKeys = {};
+  for (const [holder, keys] of Object.entries(rotated.wrappedKeys)) {
+    if (holder === meta.owner.toLowerCase()) {
+      wrappedKeys[holder] = keys;
+      continue;
+    }
+    const kept = {};
+    for (const [section, wrapped] of Object.entries(keys)) {
+      if (
+        await contract.isAuthorizedFor(
+          meta.recordIdHash,
+          holder,
+          sectionScope(section)
+        )
+      ) {
+        kept[section] = wrapped;
+      }
+    }
+    if (!kept[BASE_SECTION]) {
+      console.warn(
+        `[ROTATE] ${holder} is no longer authorized; dropping their access to ${recordId}`
+      );
+      continue;
+    }
+    wrappedKeys[holder] = kept;
+  }
+
+  const cid = await addJson(rotated.sealed);
+  const pending = {
+    cid,
+    sections: Object.keys(rotated.sealed.sections),
+    wrappedKeys,
+    escrowKeys: EMERGENCY_ESCROW_PUBLIC_KEY ? rotated.escrowKeys : null,
+    reason: rotated.reason,
+    ...(rotated.storage === "chunked"
+      ? { storage: "chunked", content: null }
+      : {})
+  };
+  let superseded = null;
+  try {
+    await store.records.update(recordId, (current) => {
+      superseded = current.pendingRotation || null;
+      current.pendingRotation = pending;
+    });
+  } catch (err) {
+    await unpinRetired([cid]);
+    throw err;
+  }
+  if (superseded) {
+    await unpinRetired([superseded.cid, superseded.content?.cid]);
+  }
+  return pending;
+}
+
+// Unpin CIDs a record no longer points at (or never came to); failures are
+// only logged
+async function unpinRetired(cids) {
+  for (const retired of cids) {
+    if (!retired) continue;
+    try {
+      await unpin(retired);
+    } catch (err) {
+      console.error(`[IPFS] Failed to unpin retired CID ${retired}:`, err);
+    }
+  }
+}
+
+// Switch the record over to its prepared rotation now that `receipt` (an
+// updateRecordCID transaction) has landed, and unpin the retired CIDs.
+async function commitRotation(recordId, receipt) {
+  let pending;
+  let oldCid;
+  let oldContent;
+  let version;
+  await store.records.update(recordId, (meta) => {
+    pending = meta.pendingRotation;
+    oldCid = meta.cid;
+    oldContent = meta.content;
+    const now = new Date().toISOString();
+    const versions = meta.versions || [];
+    const current = versions[versions.length - 1];
+    if (current && current.cid === oldCid) {
+      current.retiredAt = now;
+    }
+    version = (meta.version || 1) + 1;
+    versions.push({
+      version,
+      cid: pending.cid,
+      createdAt: now,
+      reason: pending.reason,
+      txHash: receipt.hash
+    });
+
+    meta.cid = pending.cid;
+    meta.version = version;
+    meta.versions = versions;
+    meta.sections = pending.sections;
+    meta.wrappedKeys = pending.wrappedKeys;
+    meta.escrowKeys = pending.escrowKeys;
+    delete meta.escrowKey;
+    if (pending.storage === "chunked") {
+      meta.storage = "chunked";
+      meta.content = pending.content;
+    }
+    delete meta.pendingRotation;
+    delete meta.keyHex;
+  });
+
+  await appendChainLog(`Record ${recordId} re-keyed (v${version})`, receipt);
+
+  await unpinRetired([
+    oldCid,
+    pending.storage === "chunked" && oldContent ? oldContent.cid : null
+  ]);
+
+  return { cid: pending.cid, version };
+}
+
+// -----------------------------------------------------------------------------
+// Revoke access
+// Body: { recordIdHash, providerAddress, relay | txHash }
+// The provider's wrapped key is destroyed. Anything they already fetched stays
+// readable to them until the owner rotates the record key (see
+// POST /api/records/:recordId/rotation/prepare).
+// -----------------------------------------------------------------------------
+app.post("/api/access/revoke", async (req, res) => {
+  try {
+    const { recordIdHash, providerAddress } = req.body;
+    if (!recordIdHash || !providerAddress) {
+      return res
+        .status(400)
+        .json({ error: "recordIdHash and providerAddress required" });
+    }
+
+    const owned = await loadOwnedRecord(req, res, recordIdHash);
+    if (!owned) return;
+
+    let receipt;
+    try {
+      ({ receipt } = await performChainAction(
+        req,
+        "revokeAccess",
+        { recordId: recordIdHash, grantee: providerAddress },
+        "AccessRevoked",
+        (args) =>
+          args.recordId.toLowerCase() === recordIdHash.toLowerCase() &&
+          args.grantee.toLowerCase() === providerAddress.toLowerCase()
+      ));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    // Destroy the provider's wrapped copy of the record key
+    await store.records.update(owned.recordId, (meta) => {
+      if (meta.wrappedKeys) {
+        delete meta.wrappedKeys[providerAddress.toLowerCase()];
+      }
+    });
+
+    await appendChainLog(`Access revoked for ${providerAddress}`, receipt);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to revoke access" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Prepare a key rotation
+// Body: { sealed, wrappedKeys, escrowKeys?, storage?, reason? }
+//   sealed       the record's sections sealed under fresh keys, as for
+//                POST /api/records
+//   wrappedKeys  address -> { section: that section's key wrapped to the
+//                address }; must give the owner every section and anyone else
+//                the base section
+//   escrowKeys   as for POST /api/records
+//   storage      "chunked" when the re-encrypted file follows through
+//                POST /api/records/:recordId/rotation/upload
+// Responds with the new CID for the owner to authorize updateRecordCID with.
+// -----------------------------------------------------------------------------
+app.post("/api/records/:recordId/rotation/prepare", async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    const meta = await store.records.get(recordId);
+    if (!meta) {
+      return res.status(404).json({ error: "record not found" });
+    }
+    if (!meta.owner || meta.owner.toLowerCase() !== req.actor.toLowerCase()) {
+      return res
+        .status(403)
+        .json({ error: "only the record owner may do this" });
+    }
+    if (!meta.recordIdHash) {
+      return res
+        .status(409)
+        .json({ error: "record has not been registered on-chain yet" });
+    }
+
+    const { sealed, escrowKeys } = req.body;
+    const storage = req.body.storage || null;
+    const invalid = checkSealedRecord({ sealed, escrowKeys, storage });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    // The old manifest gave the content key away, so the file is re-encrypted
+    // too
+    if ((meta.storage === "chunked") !== (storage === "chunked")) {
+      return res.status(400).json({
+        error:
+          meta.storage === "chunked"
+            ? 'storage: "chunked" required; re-encrypt and upload the file again'
+            : "only streamed files have chunked storage"
+      });
+    }
+    const sections = Object.keys(sealed.sections);
+    const wrappedKeys = {};
+    for (const [holder, keys] of Object.entries(req.body.wrappedKeys || {})) {
+      const valid =
+        ethers.isAddress(holder) &&
+        keys &&
+        typeof keys === "object" &&
+        isWrappedKey(keys[BASE_SECTION]) &&
+        Object.entries(keys).every(
+          ([section, wrapped]) =>
+            sections.includes(section) && isWrappedKey(wrapped)
+        );
+      if (!valid) {
+        return res.status(400).json({
+          error:
+            "wrappedKeys must map addresses to { section: wrapped key } with the base section"
+        });
+      }
+      wrappedKeys[holder.toLowerCase()] = keys;
+    }
+    if (!isSectionKeys(wrappedKeys[meta.owner.toLowerCase()], sections)) {
+      return res.status(400).json({
+        error: "wrappedKeys must give the owner every section key"
+      });
+    }
+    const reason =
+      typeof req.body.reason === "string" && req.body.reason.trim()
+        ? req.body.reason.trim().slice(0, 200)
+        : "key rotated";
+
+    const pending = await prepareRotation(recordId, {
+      sealed,
+      wrappedKeys,
+      escrowKeys,
+      storage,
+      reason
+    });
+    res.json({
+      recordId,
+      cid: pending.cid,
+      holders: Object.keys(pending.wrappedKeys)
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to prepare key rotation" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Confirm a prepared key rotation
+// Body: { relay } or { txHash } authorizing
+// updateRecordCID(recordIdHash, pendingRotation.cid)
+// -----------------------------------------------------------------------------
+app.post("/api/records/:recordId/rotation", async (req, res) => {
+  try {
+    const { recordId } = req.params;
+    const meta = await store.records.get(recordId);
+    if (!meta) {
+      return res.status(404).json({ error: "record not found" });
+    }
+    if (!meta.owner || meta.owner.toLowerCase() !== req.actor.toLowerCase()) {
+      return res
+        .status(403)
+        .json({ error: "only the record owner may do this" });
+    }
+    if (!meta.pendingRotation) {
+      return res.status(409).json({ error: "no key rotation is pending" });
+    }
+    if (
+      meta.pendingRotation.storage === "chunked" &&
+      !meta.pendingRotation.content
+    ) {
+      return res.status(409).json({
+        error:
+          "upload the re-encrypted file (POST /api/records/:recordId/rotation/upload) first"
+      });
+    }
+
+    let receipt;
+    try {
+      ({ receipt } = await performChainAction(
+        req,
+        "updateRecordCID",
+        { recordId: meta.recordIdHash, newCid: meta.pendingRotation.cid },
+        "RecordUpdated",
+        (args) =>
+          args.recordId.toLowerCase() === meta.recordIdHash.toLowerCase() &&
+          args.newCid === meta.pendingRotation.cid
+      ));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const rotated = await commitRotation(recordId, receipt);
+    res.json({ ok: true, rotated: true, ...rotated });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to confirm key rotation" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Access requests
+// Providers ask for access on-chain (requestAccess); the record owner approves
+// (which creates the grant) or denies. The requests themselves live only on
+// chain; these helpers read them from the chain index and join them with local
+// record metadata.
+// -----------------------------------------------------------------------------
+
+function requestStatus(request) {
+  if (!request.fulfilled) return "pending";
+  return request.approved ? "approved" : "denied";
+}
+
+// All on-chain access requests as plain objects, oldest first.
+async function loadAccessRequests() {
+  await indexer.sync();
+  const requests = [];
+  for (const r of indexer.requests()) {
+    const match = await store.records.findByHash(r.recordIdHash);
+    const onChain = match ? null : indexer.record(r.recordIdHash);
+    requests.push({
+      requestId: r.requestId,
+      recordId: match ? match[0] : null,
+      recordIdHash: r.recordIdHash,
+      owner: match ? match[1].owner : onChain && onChain.owner,
+      requester: r.requester,
+      reason: r.reason,
+      createdAt:
+        r.createdAt === null
+          ? null
+          : new Date(r.createdAt * 1000).toISOString(),
+      status: r.status
+    });
+  }
+  return requests;
+}
+
+// Load request `requestId` for resolution by the signed-in owner, or send the
+// appropriate error and resolve null.
+async function loadPendingRequestForOwner(req, res) {
+  const requestId = Number(req.params.requestId);
+  const contract = await getContract(provider);
+  const count = Number(await contract.getRequestCount());
+  if (!Number.isInteger(requestId) || requestId < 0 || requestId >= count) {
+    res.status(404).json({ error: "request not found" });
+    return null;
+  }
+
+  const r = await contract.getRequest(requestId);
+  const owned = await loadOwnedRecord(req, res, r.recordId);
+  if (!owned) return null;
+  if (r.fulfilled) {
+    res.status(409).json({ error: `request already ${requestStatus(r)}` });
+    return null;
+  }
+
+  return {
+    requestId,
+    recordId: owned.recordId,
+    recordIdHash: r.recordId,
+    requester: r.requester
+  };
+}
+
+function filterByStatus(requests, status) {
+  return status ? requests.filter((r) => r.status === status) : requests;
+}
+
+// Tell the record owner about a new request (AccessRequested args, from the
+// verified receipt or the index)
+async function notifyAccessRequested(args) {
+  const match = await store.records.findByHash(args.recordId);
+  const onChain = match ? null : indexer.record(args.recordId);
+  const owner = match ? match[1].owner : onChain && onChain.owner;
+  const recordId = match ? match[0] : null;
+  await notifier.notify(owner, {
+    type: "request-created",
+    message: `${args.requester} asked for access to ${recordId || args.recordId}: ${args.reason}`,
+    requestId: Number(args.requestId),
+    recordId,
+    recordIdHash: args.recordId,
+    providerAddress: args.requester,
+    reason: args.reason
+  });
+}
+
+// Body: { recordIdHash, reason, relay | txHash } (actor must be a provider)
+app.post("/api/access/requests", async (req, res) => {
+  try {
+    const { recordIdHash, reason } = req.body;
+    if (!recordIdHash || typeof reason !== "string") {
+      return res
+        .status(400)
+        .json({ error: "recordIdHash and reason required" });
+    }
+
+    let verified;
+    try {
+      verified = await performChainAction(
+        req,
+        "requestAccess",
+        { recordId: recordIdHash, reason },
+        "AccessRequested",
+        (args) =>
+          args.recordId.toLowerCase() === recordIdHash.toLowerCase() &&
+          args.requester.toLowerCase() === req.actor.toLowerCase()
+      );
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (
+      !(await store.handledTxs.claim(verified.receipt.hash, "requestAccess"))
+    ) {
+      return res
+        .status(409)
+        .json({ error: "this transaction was already reported" });
+    }
+
+    await appendChainLog(`Access requested by ${req.actor}`, verified.receipt);
+    await notifyAccessRequested(verified.event.args);
+
+    res.json({ requestId: Number(verified.event.args.requestId) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to request access" });
+  }
+});
+
+// Requests for records the patient owns; ?status=pending|approved|denied
+app.get(
+  "/api/patients/:patientAddress/requests",
+  requireSelf("patientAddress"),
+  async (req, res) => {
+    try {
+      const target = req.params.patientAddress.toLowerCase();
+      const requests = (await loadAccessRequests()).filter(
+        (r) => r.owner && r.owner.toLowerCase() === target
+      );
+      res.json({ requests: filterByStatus(requests, req.query.status) });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "failed to list access requests" });
+    }
+  }
+);
+
+// Requests the provider has made; ?status=pending|approved|denied
+app.get(
+  "/api/providers/:providerAddress/requests",
+  requireSelf("providerAddress"),
+  async (req, res) => {
+    try {
+      const target = req.params.providerAddress.toLowerCase();
+      const requests = (await loadAccessRequests()).filter(
+        (r) => r.requester.toLowerCase() === target
+      );
+      res.json({ requests: filterByStatus(requests, req.query.status) });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "failed to list access requests" });
+    }
+  }
+);
+
+// Body: { wrappedKeys, validUntil?, scope?, relay | txHash }
+// wrappedKeys are the section keys wrapped to the requester, as for a grant.
+app.post("/api/access/requests/:requestId/approve", async (req, res) => {
+  try {
+    const { validUntil, scope } = req.body;
+    if (scope && !ethers.isHexString(scope, 32)) {
+      return res.status(400).json({ error: "scope must be a bytes32 hex" });
+    }
+    let expiry;
+    try {
+      expiry = parseValidUntil(validUntil);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const request = await loadPendingRequestForOwner(req, res);
+    if (!request) return;
+    const granted = checkGrantedKeys(
+      await store.records.get(request.recordId),
+      req.body,
+      scope
+    );
+    if (granted.error) {
+      return res.status(400).json({ error: granted.error });
+    }
+
+    let receipt;
+    try {
+      ({ receipt } = await performChainAction(
+        req,
+        "approveRequest",
+        {
+          requestId: request.requestId,
+          validUntil: expiry,
+          scope: scope || ethers.ZeroHash
+        },
+        "AccessRequestResolved",
+        (args) => Number(args.requestId) === request.requestId && args.approved
+      ));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    await store.records.update(request.recordId, (meta) => {
+      meta.wrappedKeys = meta.wrappedKeys || {};
+      meta.wrappedKeys[request.requester.toLowerCase()] = granted.keys;
+    });
+
+    await notifier.notify(request.requester, {
+      type: "request-approved",
+      message: `Access request approved: ${request.recordId}`,
+      requestId: request.requestId,
+      recordId: request.recordId,
+      recordIdHash: request.recordIdHash,
+      patientAddress: req.actor
+    });
+
+    await appendChainLog(
+      `Access request #${request.requestId} approved`,
+      receipt
+    );
+
+    res.json({ ok: true, requestId: request.requestId, status: "approved" });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to approve access request" });
+  }
+});
+
+// Body: { relay | txHash }
+app.post("/api/access/requests/:requestId/deny", async (req, res) => {
+  try {
+    const request = await loadPendingRequestForOwner(req, res);
+    if (!request) return;
+
+    let receipt;
+    try {
+      ({ receipt } = await performChainAction(
+        req,
+        "denyRequest",
+        { requestId: request.requestId },
+        "AccessRequestResolved",
+        (args) => Number(args.requestId) === request.requestId && !args.approved
+      ));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    await notifier.notify(request.requester, {
+      type: "request-denied",
+      message: `Access request denied: ${request.recordId}`,
+      requestId: request.requestId,
+      recordId: request.recordId,
+      recordIdHash: request.recordIdHash,
+      patientAddress: req.actor
+    });
+
+    await appendChainLog(
+      `Access request #${request.requestId} denied`,
+      receipt
+    );
+
+    res.json({ ok: true, requestId: request.requestId, status: "denied" });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to deny access request" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Emergency ("break-glass") access
+// A registered provider can grant themselves short-lived access to any record
+// (at most the contract's MAX_EMERGENCY_DURATION). The written justification is
+// kept here and only its keccak256 hash goes on-chain. The owner is notified,
+// and every event waits in a review queue until an auditor marks it justified
+// or unjustified.
+//
+// The patient's client is not involved, so the provider can only get the
+// record's keys from escrow. When EMERGENCY_ESCROW_KEY (a secp256k1 private
+// key) is set, owners' clients also wrap each section key to its public key
+// (GET /api/access/emergency/escrow-key), and a break-glass grant re-wraps
+// them for the provider. That re-wrap is the one place the backend holds a
+// record key.
+// Without escrow the grant is still recorded, but the owner has to share the
+// key.
+// -----------------------------------------------------------------------------
+
+app.get("/api/access/emergency/escrow-key", (_req, res) => {
+  res.json({ publicKey: EMERGENCY_ESCROW_PUBLIC_KEY });
+});
+
+// Wrap the escrowed keys in `meta` for `address`: every section, since
+// break-glass access covers the whole record (or the one key of a record
+// sealed before sections existed). Resolves with what to keep as their
+// wrappedKeys entry, or null when there is no escrow copy or no public key.
+// Keys are still only released while the chain allows (see releasableKeys).
+async function releaseEscrowedKeys(meta, address) {
+  if (!EMERGENCY_ESCROW_KEY || !(meta.escrowKeys || meta.escrowKey)) {
+    return null;
+  }
+  const entry = await store.publicKeys.get(address);
+  if (!entry) return null;
+
+  function rewrap(escrowed) {
+    const key = unwrapKey(escrowed, EMERGENCY_ESCROW_KEY);
+    const wrapped = wrapKey(key, entry.publicKey);
+    key.fill(0);
+    return wrapped;
+  }
+  if (!meta.escrowKeys) return rewrap(meta.escrowKey);
+  const wrappedKeys = {};
+  for (const [section, escrowed] of Object.entries(meta.escrowKeys)) {
+    wrappedKeys[section] = rewrap(escrowed);
+  }
+  return wrappedKeys;
+}
+
+async function registerAuditors() {
+  let logger;
+  try {
+    logger = await getAuditLoggerAddress();
+  } catch (err) {
+    console.error("[CHAIN] Could not resolve the audit logger account:", err);
+  }
+
+  for (const address of [logger, ...AUDITOR_ADDRESSES].filter(Boolean)) {
+    if (!ethers.isAddress(address)) {
+      console.warn(`[CHAIN] Ignoring invalid auditor address ${address}`);
+      continue;
+    }
+    try {
+      const contract = await getContract(await getSigner());
+      if (!(await ensureUserRegistered(contract, address, ROLE_AUDITOR))) {
+        continue;
+      }
+      const user = await contract.users(address);
+      if (Number(user.role) !== ROLE_AUDITOR) {
+        console.warn(
+          `[CHAIN] ${address} already has role ${user.role} and cannot act as an auditor`
+        );
+      }
+    } catch (err) {
+      console.error(`[CHAIN] Could not register auditor ${address}:`, err);
+    }
+  }
+}
+
+// Make sure the signed-in actor is registered on-chain as an auditor. Sends a
+// 403 and resolves false otherwise.
+async function requireAuditor(req, res) {
+  const contract = await getContract(provider);
+  const user = await contract.users(req.actor);
+  if (!user.exists || Number(user.role) !== ROLE_AUDITOR) {
+    res.status(403).json({ error: "auditor role required" });
+    return false;
+  }
+  return true;
+}
+
+const EMERGENCY_VERDICTS = ["justified", "unjustified"];
+
+// Body: { recordIdHash, justification, validForSeconds, relay | txHash }
+app.post("/api/access/emergency", async (req, res) => {
+  try {
+    const { recordIdHash, validForSeconds } = req.body;
+    const justification =
+      typeof req.body.justification === "string"
+        ? req.body.justification.trim()
+        : "";
+    if (!recordIdHash || !justification) {
+      return res
+        .status(400)
+        .json({ error: "recordIdHash and justification required" });
+    }
+    const seconds = Number(validForSeconds);
+    if (!Number.isInteger(seconds) || seconds <= 0) {
+      return res
+        .status(400)
+        .json({ error: "validForSeconds must be a positive integer" });
+    }
+
+    const match = await store.records.findByHash(recordIdHash);
+    if (!match) {
+      return res.status(404).json({ error: "record not found" });
+    }
+    const [recordId] = match;
+
+    // The client hashes the same text when it authorizes the call
+    const justificationHash = ethers.id(justification);
+
+    let verified;
+    try {
+      verified = await performChainAction(
+        req,
+        "emergencyAccess",
+        { recordId: recordIdHash, justificationHash, validForSeconds: seconds },
+        "EmergencyAccess",
+        (args) =>
+          args.recordId.toLowerCase() === recordIdHash.toLowerCase() &&
+          args.actor.toLowerCase() === req.actor.toLowerCase() &&
+          args.justificationHash === justificationHash
+      );
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const { receipt, event } = verified;
+
+    // A client-sent transaction could be posted again, after the emergency
+    // ended or was revoked; it must not release keys, queue a review or
+    // notify the patient twice.
+    const contract = await getContract(provider);
+    const [until, authorized, latest] = await Promise.all([
+      contract.emergencyUntil(recordIdHash, req.actor),
+      contract.isAuthorized(recordIdHash, req.actor),
+      provider.getBlock("latest")
+    ]);
+    if (!authorized || Number(until) < latest.timestamp) {
+      return res
+        .status(409)
+        .json({ error: "emergency access is no longer active on-chain" });
+    }
+    if (!(await store.handledTxs.claim(receipt.hash, "emergencyAccess"))) {
+      return res
+        .status(409)
+        .json({ error: "this transaction was already reported" });
+    }
+
+    const meta = await store.records.get(recordId);
+    const released = await releaseEscrowedKeys(meta, req.actor);
+    if (released) {
+      await store.records.update(recordId, (current) => {
+        current.wrappedKeys = current.wrappedKeys || {};
+        current.wrappedKeys[req.actor.toLowerCase()] = released;
+      });
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      recordId,
+      recordIdHash,
+      owner: meta.owner,
+      provider: req.actor,
+      justification,
+      justificationHash,
+      validUntil: new Date(Number(event.args.validUntil) * 1000).toISOString(),
+      txHash: receipt.hash,
+      keyReleased: Boolean(released),
+      createdAt: new Date().toISOString(),
+      review: null
+    };
+    await store.emergencyAccess.create(entry);
+
+    await notifier.notify(meta.owner, {
+      type: "emergency-access",
+      message: `Emergency access to ${recordId} by ${req.actor}`,
+      recordId,
+      recordIdHash,
+      providerAddress: req.actor,
+      justification,
+      validUntil: entry.validUntil
+    });
+
+    await appendChainLog(`Emergency access to ${recordId}`, receipt);
+
+    res.json({
+      id: entry.id,
+      recordId,
+      validUntil: entry.validUntil,
+      keyReleased: entry.keyReleased
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to record emergency access" });
+  }
+});
+
+// Break-glass events on the patient's records, newest first
+app.get(
+  "/api/patients/:patientAddress/emergency-access",
+  requireSelf("patientAddress"),
+  async (req, res) => {
+    try {
+      const target = req.params.patientAddress.toLowerCase();
+      const events = (await store.emergencyAccess.list()).filter(
+        (e) => e.owner && e.owner.toLowerCase() === target
+      );
+      res.json({ events });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "failed to list emergency access" });
+    }
+  }
+);
+
+// Auditor review queue; ?status=pending|reviewed
+app.get("/api/audit/emergency", async (req, res) => {
+  try {
+    if (!(await requireAuditor(req, res))) return;
+
+    let events = await store.emergencyAccess.list();
+    if (req.query.status === "pending") {
+      events = events.filter((e) => !e.review);
+    } else if (req.query.status === "reviewed") {
+      events = events.filter((e) => e.review);
+    }
+    res.json({ events });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to list emergency access" });
+  }
+});
+
+// Tamper-evident export of the indexed events (see auditBundle.js), checkable
+// with scripts/verify-audit-bundle.js.
+// ?recordIdHash= &address= &name=EventName[,EventName] &from= &to= (dates)
+app.get("/api/audit/export", async (req, res) => {
+  try {
+    if (!(await requireAuditor(req, res))) return;
+
+    const { recordIdHash, address, name } = req.query;
+    let from;
+    let to;
+    try {
+      from = parseDateParam(req.query.from, "from");
+      to = parseDateParam(req.query.to, "to");
+      if (address && !ethers.isAddress(address)) {
+        throw new Error("address must be an address");
+      }
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    await indexer.sync();
+    const events = indexer
+      .events({
+        name: name ? String(name).split(",") : null,
+        recordIdHash,
+        address
+      })
+      .filter((e) => {
+        const ms = e.blockTime * 1000;
+        return (from === null || ms >= from) && (to === null || ms <= to);
+      })
+      .reverse();
+
+    const labels = new Map();
+    for (const log of await store.chainLogs.list()) {
+      if (log.txHash) labels.set(log.txHash.toLowerCase(), log.label);
+    }
+
+    const contract = await getContract(provider);
+    const bundle = await buildAuditBundle(events, {
+      provider,
+      contract: await contract.getAddress(),
+      abi: contract.interface.fragments
+        .filter((f) => f.type === "event")
+        .map((f) => f.format("full")),
+      labels,
+      filter: {
+        recordIdHash: recordIdHash || null,
+        address: address || null,
+        name: name || null,
+        from: from === null ? null : new Date(from).toISOString(),
+        to: to === null ? null : new Date(to).toISOString()
+      }
+    });
+
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="privamed-audit-${bundle.generatedAt.slice(0, 10)}.json"`
+    );
+    res.json(bundle);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to export audit trail" });
+  }
+});
+
+// Compliance report (see reports.js); ?from= &to= (dates) &format=json|csv|pdf
+app.get("/api/audit/reports", async (req, res) => {
+  try {
+    if (!(await requireAuditor(req, res))) return;
+
+    const format = req.query.format || "json";
+    let from;
+    let to;
+    try {
+      from = parseDateParam(req.query.from, "from");
+      to = parseDateParam(req.query.to, "to");
+      if (!["json", "csv", "pdf"].includes(format)) {
+        throw new Error("format must be json, csv or pdf");
+      }
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    await indexer.sync();
+    const labels = new Map();
+    for (const [recordId, meta] of await store.records.entries()) {
+      if (meta.recordIdHash) {
+        labels.set(meta.recordIdHash.toLowerCase(), recordId);
+      }
+    }
+    const report = buildComplianceReport(indexer, {
+      from,
+      to,
+      labels,
+      emergencyEntries: await store.emergencyAccess.list()
+    });
+
+    if (format === "json") {
+      return res.json(report);
+    }
+    const fileName = `privamed-compliance-${report.generatedAt.slice(0, 10)}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    if (format === "csv") {
+      res.type("text/csv").send(reportToCsv(report));
+    } else {
+      res.type("application/pdf").send(reportToPdf(report));
+    }
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to build compliance report" });
+  }
+});
+
+// Body: { verdict: "justified" | "unjustified", notes? }
+app.post("/api/audit/emergency/:id/review", async (req, res) => {
+  try {
+    const { verdict, notes } = req.body;
+    if (!EMERGENCY_VERDICTS.includes(verdict)) {
+      return res.status(400).json({
+        error: `verdict must be one of ${EMERGENCY_VERDICTS.join(", ")}`
+      });
+    }
+    if (!(await requireAuditor(req, res))) return;
+
+    const entry = await store.emergencyAccess.get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: "emergency access not found" });
+    }
+    if (entry.review) {
+      return res.status(409).json({ error: "already reviewed" });
+    }
+
+    const updated = await store.emergencyAccess.update(entry.id, {
+      review: {
+        verdict,
+        notes: typeof notes === "string" ? notes : "",
+        reviewer: req.actor,
+        reviewedAt: new Date().toISOString()
+      }
+    });
+    res.json({ event: updated });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to review emergency access" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Role administration (signed-in actor must be the contract admin)
+// The admin registers users, changes their roles and deactivates them, and can
+// hand the admin role to another account (e.g. a multisig) in two steps:
+// transferAdmin, then acceptAdmin from the new account's own wallet. Admin
+// calls are sent by the backend's signer, so these routes only work while that
+// account is still the admin.
+// -----------------------------------------------------------------------------
+
+// Indexed by the Solidity Role enum
+const ROLE_NAMES = ["none", "patient", "provider", "auditor"];
+
+// Role name from a request body -> Role enum value, or null
+function parseRole(name) {
+  const role = ROLE_NAMES.indexOf(String(name).toLowerCase());
+  return role > 0 ? role : null;
+}
+
+// Make sure the signed-in actor is the contract admin. Sends a 403 and
+// resolves false otherwise.
+async function requireAdmin(req, res) {
+  const contract = await getContract(provider);
+  const admin = await contract.admin();
+  if (admin.toLowerCase() !== req.actor.toLowerCase()) {
+    res.status(403).json({ error: "admin role required" });
+    return false;
+  }
+  return true;
+}
+
+// PrivaMed connected to the backend's signer, or null (after sending a 409)
+// when that account is no longer the admin.
+async function getAdminContract(res) {
+  const signer = await getSigner();
+  const contract = await getContract(signer);
+  const admin = await contract.admin();
+  if (admin.toLowerCase() !== (await signer.getAddress()).toLowerCase()) {
+    res
+      .status(409)
+      .json({ error: "the backend signer is no longer the contract admin" });
+    return null;
+  }
+  return contract;
+}
+
+// Send `method(...args)` as the admin. Resolves with the receipt, or sends a
+// 400 with the revert reason and resolves null.
+async function sendAdminTx(res, contract, method, args) {
+  try {
+    await contract[method].staticCall(...args);
+  } catch (err) {
+    res
+      .status(400)
+      .json({ error: err.reason || err.shortMessage || "call would revert" });
+    return null;
+  }
+  const tx = await contract[method](...args);
+  return tx.wait();
+}
+
+async function describeUser(contract, address) {
+  const user = await contract.users(address);
+  return {
+    address: ethers.getAddress(address),
+    role: user.exists ? ROLE_NAMES[Number(user.role)] : null,
+    active: user.exists
+  };
+}
+
+// Every account the contract has registered, with its current role and its
+// role history, in order of first registration (from the chain index).
+async function loadUserDirectory() {
+  await indexer.sync();
+  const events = indexer
+    .events({ name: ["UserRegistered", "RoleChanged", "UserDeactivated"] })
+    .reverse();
+
+  const history = new Map();
+  for (const event of events) {
+    const address = event.args.user;
+    const role =
+      event.name === "RoleChanged"
+        ? event.args.newRole
+        : event.name === "UserDeactivated"
+          ? event.args.previousRole
+          : event.args.role;
+    if (!history.has(address)) history.set(address, []);
+    history.get(address).push({
+      event: event.name,
+      role: ROLE_NAMES[role],
+      blockNumber: event.blockNumber,
+      txHash: event.txHash
+    });
+  }
+
+  return [...history].map(([address, entries]) => {
+    const user = indexer.user(address);
+    return {
+      address,
+      role: user.active ? ROLE_NAMES[user.role] : null,
+      active: user.active,
+      history: entries
+    };
+  });
+}
+
+// Validate the :address URL parameter; sends a 400 and returns null if bad.
+function userAddressParam(req, res) {
+  if (!ethers.isAddress(req.params.address)) {
+    res.status(400).json({ error: "address must be an address" });
+    return null;
+  }
+  return ethers.getAddress(req.params.address);
+}
+
+// Current admin, pending admin (or null) and the account the backend sends
+// admin transactions from
+app.get("/api/admin", async (_req, res) => {
+  try {
+    const contract = await getContract(provider);
+    const [admin, pendingAdmin, signer] = await Promise.all([
+      contract.admin(),
+      contract.pendingAdmin(),
+      getSigner()
+    ]);
+    res.json({
+      admin,
+      pendingAdmin: pendingAdmin === ethers.ZeroAddress ? null : pendingAdmin,
+      backendSigner: await signer.getAddress()
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to load admin status" });
+  }
+});
+
+app.get("/api/admin/users", async (req, res) => {
+  try {
+    if (!(await requireAdmin(req, res))) return;
+    res.json({ users: await loadUserDirectory() });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to list users" });
+  }
+});
+
+// Body: { address, role: "patient" | "provider" | "auditor" }
+// Also reinstates a deactivated account.
+app.post("/api/admin/users", async (req, res) => {
+  try {
+    const { address } = req.body;
+    const role = parseRole(req.body.role);
+    if (!ethers.isAddress(address) || role === null) {
+      return res.status(400).json({
+        error: "address and role (patient, provider or auditor) required"
+      });
+    }
+    if (!(await requireAdmin(req, res))) return;
+    const contract = await getAdminContract(res);
+    if (!contract) return;
+
+    const user = await contract.users(address);
+    if (user.exists) {
+      return res
+        .status(409)
+        .json({ error: "user already registered; change their role instead" });
+    }
+
+    const receipt = await sendAdminTx(res, contract, "registerUser", [
+      address,
+      role
+    ]);
+    if (!receipt) return;
+    await appendChainLog(
+      `User ${address} registered as ${ROLE_NAMES[role]}`,
+      receipt
+    );
+
+    res.json({ user: await describeUser(contract, address) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to register user" });
+  }
+});
+
+// Body: { role: "patient" | "provider" | "auditor" }
+app.put("/api/admin/users/:address/role", async (req, res) => {
+  try {
+    const address = userAddressParam(req, res);
+    if (!address) return;
+    const role = parseRole(req.body.role);
+    if (role === null) {
+      return res
+        .status(400)
+        .json({ error: "role must be patient, provider or auditor" });
+    }
+    if (!(await requireAdmin(req, res))) return;
+    const contract = await getAdminContract(res);
+    if (!contract) return;
+
+    const receipt = await sendAdminTx(res, contract, "changeRole", [
+      address,
+      role
+    ]);
+    if (!receipt) return;
+    await appendChainLog(`User ${address} is now ${ROLE_NAMES[role]}`, receipt);
+
+    res.json({ user: await describeUser(contract, address) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to change role" });
+  }
+});
+
+// Suspends the account (see PrivaMed.deactivateUser): its grants lapse, and
+// come back if it is registered as a provider again.
+app.post("/api/admin/users/:address/deactivate", async (req, res) => {
+  try {
+    const address = userAddressParam(req, res);
+    if (!address) return;
+    if (!(await requireAdmin(req, res))) return;
+    const contract = await getAdminContract(res);
+    if (!contract) return;
+
+    const receipt = await sendAdminTx(res, contract, "deactivateUser", [
+      address
+    ]);
+    if (!receipt) return;
+    await appendChainLog(`User ${address} deactivated`, receipt);
+
+    res.json({ user: await describeUser(contract, address) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to deactivate user" });
+  }
+});
+
+// Body: { newAdmin } -- null cancels a pending transfer. The nominee then
+// calls acceptAdmin from its own wallet and reports it below.
+app.post("/api/admin/transfer", async (req, res) => {
+  try {
+    const { newAdmin } = req.body;
+    if (newAdmin != null && !ethers.isAddress(newAdmin)) {
+      return res.status(400).json({ error: "newAdmin must be an address" });
+    }
+    if (!(await requireAdmin(req, res))) return;
+    const contract = await getAdminContract(res);
+    if (!contract) return;
+
+    const nominee = newAdmin ? ethers.getAddress(newAdmin) : ethers.ZeroAddress;
+    const receipt = await sendAdminTx(res, contract, "transferAdmin", [
+      nominee
+    ]);
+    if (!receipt) return;
+    await appendChainLog(
+      newAdmin
+        ? `Admin transfer to ${nominee} started`
+        : "Admin transfer cancelled",
+      receipt
+    );
+
+    res.json({ pendingAdmin: newAdmin ? nominee : null });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to start admin transfer" });
+  }
+});
+
+// Body: { txHash } of the acceptAdmin transaction sent by the signed-in actor
+app.post("/api/admin/accept", async (req, res) => {
+  try {
+    let verified;
+    try {
+      verified = await verifyClientTx(
+        provider,
+        await getContract(provider),
+        req.body.txHash,
+        {
+          from: req.actor,
+          eventName: "AdminTransferred",
+          matches: (args) =>
+            args.newAdmin.toLowerCase() === req.actor.toLowerCase()
+        }
+      );
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    await appendChainLog(
+      `Admin role transferred to ${req.actor}`,
+      verified.receipt
+    );
+    res.json({ admin: req.actor });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to confirm admin transfer" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Meta-transaction relayer (SIGNING_MODE=relay)
+// The routes above submit signed requests through relayer.run(); these let
+// the client fetch what to sign and follow its jobs.
+// -----------------------------------------------------------------------------
+
+// Body: { action, params } -> EIP-712 typed data for the signed-in actor
+app.post("/api/relay/typed-data", async (req, res) => {
+  if (SIGNING_MODE !== "relay") {
+    return res.status(409).json({ error: "relaying is disabled" });
+  }
+  try {
+    const { action, params } = req.body;
+    res.json({
+      typedData: await relayer.buildTypedData(action, req.actor, params)
+    });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.get("/api/relay/jobs", async (req, res) => {
+  try {
+    res.json({ jobs: await store.relayJobs.list(req.actor) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to load relay jobs" });
+  }
+});
+
+app.get("/api/relay/jobs/:jobId", async (req, res) => {
+  try {
+    const job = await store.relayJobs.get(req.params.jobId);
+    if (!job || job.signer.toLowerCase() !== req.actor.toLowerCase()) {
+      return res.status(404).json({ error: "relay job not found" });
+    }
+    res.json({ job });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to load relay job" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// List records a provider has access to
+// GET /api/providers/:providerAddress/records
+// One getAuthorizedRecords call returns the provider's live grants; local
+// metadata is then joined by on-chain ID.
+// -----------------------------------------------------------------------------
+app.get(
+  "/api/providers/:providerAddress/records",
+  requireSelf("providerAddress"),
+  async (req, res) => {
+    try {
+      const { providerAddress } = req.params;
+
+      const contract = await getContract(provider); // read-only calls
+      const { recordIds, grantList } =
+        await contract.getAuthorizedRecords(providerAddress);
+
+      const byHash = new Map();
+      for (const [recordId, meta] of await store.records.entries()) {
+        if (meta.recordIdHash) {
+          byHash.set(meta.recordIdHash.toLowerCase(), [recordId, meta]);
+        }
+      }
+
+      const results = [];
+      recordIds.forEach((recordIdHash, i) => {
+        const grant = grantList[i];
+        const local = byHash.get(recordIdHash.toLowerCase());
+        // Records uploaded through another backend have no metadata here
+        if (!local || grantExpired(grant)) return;
+        const [recordId, meta] = local;
         results.push({
           recordId,
           cid: meta.cid,
           recordIdHash: meta.recordIdHash,
-          owner: meta.owner
+          owner: meta.owner,
+          scope: decodeScope(grant.scope),
+          validUntil: Number(grant.validUntil)
+            ? new Date(Number(grant.validUntil) * 1000).toISOString()
+            : null
         });
+      });
+
+      res.json({ records: results });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "failed to list provider records" });
+    }
+  }
+);
+
+// -----------------------------------------------------------------------------
+// Notifications for every account (see notifications.js)
+// -----------------------------------------------------------------------------
+
+// ?unread=true &type= &limit= (1-200)
+app.get(
+  "/api/users/:address/notifications",
+  requireSelf("address"),
+  async (req, res) => {
+    try {
+      const { type } = req.query;
+      const limit =
+        req.query.limit === undefined ? undefined : Number(req.query.limit);
+      if (type && !NOTIFICATION_TYPES[type]) {
+        return res
+          .status(400)
+          .json({ error: `unknown notification type ${type}` });
+      }
+      if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+        return res
+          .status(400)
+          .json({ error: "limit must be a positive integer" });
       }
+      res.json(
+        await notifier.list(req.params.address, {
+          unreadOnly: req.query.unread === "true",
+          type,
+          limit
+        })
+      );
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "failed to load notifications" });
     }
+  }
+);
 
-    res.json({ records: results });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: "failed to list provider records" });
+app.post(
+  "/api/users/:address/notifications/read",
+  requireSelf("address"),
+  async (req, res) => {
+    try {
+      const ids = await notifier.markAllRead(req.params.address);
+      res.json({ ok: true, marked: ids.length });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "failed to mark notifications read" });
+    }
+  }
+);
+
+app.post(
+  "/api/users/:address/notifications/clear",
+  requireSelf("address"),
+  async (req, res) => {
+    try {
+      await notifier.clear(req.params.address);
+      res.json({ ok: true });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "failed to clear notifications" });
+    }
+  }
+);
+
+app.post(
+  "/api/users/:address/notifications/:id/read",
+  requireSelf("address"),
+  async (req, res) => {
+    try {
+      const notification = await notifier.markRead(
+        req.params.address,
+        req.params.id
+      );
+      if (!notification) {
+        return res.status(404).json({ error: "notification not found" });
+      }
+      res.json({ notification });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "failed to mark notification read" });
+    }
+  }
+);
+
+// { preferences: { type: enabled }, types: { type: { label, audience } } }
+app.get(
+  "/api/users/:address/notification-preferences",
+  requireSelf("address"),
+  async (req, res) => {
+    try {
+      res.json({
+        preferences: await notifier.getPreferences(req.params.address),
+        types: NOTIFICATION_TYPES
+      });
+    } catch (e) {
+      console.error(e);
+      res
+        .status(500)
+        .json({ error: "failed to load notification preferences" });
+    }
+  }
+);
+
+// Body: { preferences: { type: enabled, ... } } (types left out keep their
+// current setting)
+app.put(
+  "/api/users/:address/notification-preferences",
+  requireSelf("address"),
+  async (req, res) => {
+    try {
+      let preferences;
+      try {
+        preferences = await notifier.setPreferences(
+          req.params.address,
+          req.body.preferences
+        );
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      res.json({ preferences });
+    } catch (e) {
+      console.error(e);
+      res
+        .status(500)
+        .json({ error: "failed to save notification preferences" });
+    }
+  }
+);
+
+// -----------------------------------------------------------------------------
+// Outbound delivery (see delivery/): where an account's notifications go
+// besides the app, and how those deliveries went
+// -----------------------------------------------------------------------------
+
+// { targets: { email, webhookUrl, types }, channels: { email, webhook, sink } }
+app.get(
+  "/api/users/:address/delivery",
+  requireSelf("address"),
+  async (req, res) => {
+    try {
+      res.json({
+        targets: describeTargets(
+          await store.deliveryTargets.get(req.params.address)
+        ),
+        channels: delivery.channels()
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "failed to load delivery settings" });
+    }
+  }
+);
+
+// Body: { email, webhookUrl, types } (null clears; types null means every
+// enabled type). A new webhook URL gets a new signing secret, returned here
+// as webhookSecret.
+app.put(
+  "/api/users/:address/delivery",
+  requireSelf("address"),
+  async (req, res) => {
+    try {
+      const { address } = req.params;
+      const current = await store.deliveryTargets.get(address);
+      let targets;
+      try {
+        targets = await normalizeTargets(req.body, current);
+        if (targets.email && !delivery.channels().email) {
+          throw new Error("email delivery is not configured on this server");
+        }
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      await store.deliveryTargets.set(address, targets);
+
+      const newSecret =
+        targets.webhook &&
+        (!current ||
+          !current.webhook ||
+          current.webhook.secret !== targets.webhook.secret);
+      res.json({
+        targets: describeTargets(targets, { withSecret: newSecret })
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "failed to save delivery settings" });
+    }
+  }
+);
+
+// ?status=pending|delivered|dead (dead: the dead-letter list)
+app.get(
+  "/api/users/:address/deliveries",
+  requireSelf("address"),
+  async (req, res) => {
+    try {
+      const { status } = req.query;
+      if (status && !["pending", "delivered", "dead"].includes(status)) {
+        return res
+          .status(400)
+          .json({ error: "status must be pending, delivered or dead" });
+      }
+      res.json({
+        deliveries: await store.deliveries.list({
+          address: req.params.address,
+          status
+        })
+      });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "failed to list deliveries" });
+    }
+  }
+);
+
+app.post(
+  "/api/users/:address/deliveries/:id/retry",
+  requireSelf("address"),
+  async (req, res) => {
+    try {
+      const job = await delivery.retry(req.params.address, req.params.id);
+      if (!job) {
+        return res
+          .status(404)
+          .json({ error: "no dead-lettered delivery with this id" });
+      }
+      res.json({ delivery: job });
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "failed to retry delivery" });
+    }
+  }
+);
+
+// Messages the loopback sink caught for the signed-in account
+// (DELIVERY_SINK=loopback only)
+app.get("/api/delivery/loopback", (req, res) => {
+  const { sink } = deliveryTransports;
+  if (!sink || !sink.list) {
+    return res.status(404).json({ error: "loopback sink is not enabled" });
   }
+  res.json({ messages: sink.list(req.actor) });
 });
 
 // -----------------------------------------------------------------------------
-// Provider notifications
+// Server push (see push.js)
+// One Server-Sent Events stream per signed-in client, authorized like any other
+// route by the bearer token (so clients read it with fetch rather than
+// EventSource). It carries:
+//   notification, notifications-read,    the signed-in account's own
+//   notifications-cleared
+//   chain-log, chain-logs-cleared        everyone's, like GET /api/logs
+//   grant-change                         grants on records the account owns
+//                                        or holds, as soon as they are indexed
+//   ready, resync                        connected; reload missed state
+// The stream ends when the session does.
 // -----------------------------------------------------------------------------
-app.get("/api/providers/:providerAddress/notifications", (req, res) => {
+app.get("/api/events/stream", (req, res) => {
+  const token = getBearerToken(req);
+  pushHub.subscribe(req, res, {
+    address: req.actor,
+    isActive: () => Boolean(getSession(token))
+  });
+});
+
+// -----------------------------------------------------------------------------
+// FHIR R4 facade (see fhirFacade.js)
+// Read-only FHIR REST over the same records and the same access rules as
+// /api/records, for EHR integrations:
+//   GET /fhir/metadata                  CapabilityStatement (no sign-in)
+//   GET /fhir/DocumentReference         search: patient, date, type, _id,
+//                                       _count, _offset
+//   GET /fhir/DocumentReference/:id     one record's metadata
+//   GET /fhir/Binary/:id                a record's sealed content, raw or as
+//                                       Binary
+// Callers sign in with the usual bearer token. Records are visible to their
+// owner and to whoever PrivaMed.isAuthorized allows. Content stays end-to-end
+// encrypted: a Binary carries the sealed envelope and the caller's wrapped
+// record key (SEALED_RECORD_TYPE, see fhirFacade.js) for the caller to open,
+// and every Binary read is logged on-chain (DocumentReferences are metadata
+// only and are not). Errors are OperationOutcomes.
+// -----------------------------------------------------------------------------
+const FHIR_JSON = "application/fhir+json";
+const FHIR_SEARCH_LIMIT = 200;
+
+function fhirBase(req) {
+  return (
+    process.env.FHIR_BASE_URL || `${req.protocol}://${req.get("host")}/fhir`
+  );
+}
+
+// This request's URL under `base` with `changes` made to its query
+function fhirRequestUrl(req, base, changes = {}) {
+  const url = new URL(req.originalUrl, "http://localhost");
+  for (const [name, value] of Object.entries(changes)) {
+    url.searchParams.set(name, String(value));
+  }
+  return `${base}${url.pathname.slice("/fhir".length)}${url.search}`;
+}
+
+function sendFhir(res, status, resource) {
+  res.status(status).type(FHIR_JSON).send(JSON.stringify(resource));
+}
+
+app.get("/fhir/metadata", (req, res) => {
+  sendFhir(res, 200, capabilityStatement(fhirBase(req)));
+});
+
+app.use("/fhir", (req, res, next) => {
+  const session = getSession(getBearerToken(req));
+  if (!session) {
+    return sendFhir(res, 401, operationOutcome("login", "sign-in required"));
+  }
+  req.actor = session.address;
+  next();
+});
+
+// The record behind a /fhir/<Type>/:id read that the actor may see. Sends the
+// error response itself and returns null otherwise.
+async function loadFhirRecord(req, res) {
+  const found = findRecordByFhirId(
+    await store.records.entries(),
+    req.params.id
+  );
+  if (!found || !found[1].owner) {
+    sendFhir(
+      res,
+      404,
+      operationOutcome("not-found", `no record with id ${req.params.id}`)
+    );
+    return null;
+  }
+  return found;
+}
+
+// Authorize and log a content read, then resolve with the sealed record for
+// the caller: { sealed, wrappedKeys (or wrappedKey), scope, content }. Sends
+// the error response itself and returns null on failure.
+async function openFhirRecord(req, res, recordId, meta) {
+  const authorized = await checkRecordReadAuthorized(recordId, meta, req.actor);
+  await logRecordAccess(recordId, meta, req.actor, authorized, "READ");
+  if (!authorized) {
+    sendFhir(
+      res,
+      403,
+      operationOutcome("forbidden", "not authorized for this record")
+    );
+    return null;
+  }
+
+  const released = await releasableKeys(meta, req.actor);
+  if (!released) {
+    sendFhir(
+      res,
+      403,
+      operationOutcome(
+        "security",
+        "no record key has been shared with this account"
+      )
+    );
+    return null;
+  }
+  return {
+    sealed: await getJson(meta.cid),
+    ...released,
+    scope: decodeScope(await grantScopeFor(meta, req.actor)),
+    // Chunked files are fetched, still encrypted, from the records API
+    content: meta.content
+      ? {
+          size: meta.content.size,
+          url: `/api/records/${encodeURIComponent(recordId)}/content`
+        }
+      : null
+  };
+}
+
+app.get("/fhir/DocumentReference", async (req, res) => {
   try {
-    const { providerAddress } = req.params;
-    if (!providerAddress) {
-      return res.status(400).json({ error: "providerAddress required" });
+    const {
+      patient,
+      date,
+      type,
+      _id: ids,
+      _count: count,
+      _offset: offsetParam
+    } = req.query;
+
+    let owner = null;
+    let dateMatches = null;
+    if (patient !== undefined) {
+      owner = parsePatientSearch(patient);
+      if (!owner) {
+        return sendFhir(
+          res,
+          400,
+          operationOutcome("value", "patient must be Patient/<address>")
+        );
+      }
+    }
+    if (date !== undefined) {
+      try {
+        dateMatches = parseDateSearch(date);
+      } catch (err) {
+        return sendFhir(res, 400, operationOutcome("value", err.message));
+      }
+    }
+    const typeMatches = type !== undefined ? parseTypeSearch(type) : null;
+    const idList = ids !== undefined ? String(ids).split(",") : null;
+    const limit = count === undefined ? 50 : Number(count);
+    if (!Number.isInteger(limit) || limit < 0) {
+      return sendFhir(
+        res,
+        400,
+        operationOutcome("value", "_count must be a non-negative integer")
+      );
+    }
+    const offset = offsetParam === undefined ? 0 : Number(offsetParam);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return sendFhir(
+        res,
+        400,
+        operationOutcome("value", "_offset must be a non-negative integer")
+      );
+    }
+
+    // Candidates come from the chain index: records the caller owns or holds
+    // a live grant to. Only those that make it onto the page are checked
+    // against the contract.
+    await indexer.sync();
+    const granted = grantedRecordHashes(indexer, req.actor);
+    const base = fhirBase(req);
+    const candidates = [];
+    for (const [recordId, meta] of await store.records.entries()) {
+      const id = fhirIdFor(recordId, meta);
+      if (!meta.owner || !id) continue;
+      if (idList && !idList.includes(id)) continue;
+      if (owner && meta.owner.toLowerCase() !== owner.toLowerCase()) continue;
+      if (typeMatches && !typeMatches(meta.kind)) continue;
+      const created = createdAt(meta);
+      if (dateMatches && !dateMatches(created ? Date.parse(created) : null)) {
+        continue;
+      }
+      const onChain = meta.recordIdHash
+        ? indexer.record(meta.recordIdHash)
+        : null;
+      const owners = [meta.owner, onChain && onChain.owner]
+        .filter(Boolean)
+        .map((a) => a.toLowerCase());
+      if (
+        !owners.includes(req.actor.toLowerCase()) &&
+        !(meta.recordIdHash && granted.has(meta.recordIdHash.toLowerCase()))
+      ) {
+        continue;
+      }
+      candidates.push({
+        recordId,
+        meta,
+        resource: toDocumentReference(recordId, meta, base)
+      });
     }
-    res.json({ notifications: getProviderNotifications(providerAddress) });
+    // Newest first
+    candidates.sort((a, b) =>
+      String(b.resource.date).localeCompare(String(a.resource.date))
+    );
+
+    // _offset counts candidates, so a page picks up where the previous one
+    // stopped checking. The total is only known once every candidate has
+    // been checked in one page.
+    const pageSize = Math.min(limit, FHIR_SEARCH_LIMIT);
+    const page = [];
+    let next = offset;
+    while (next < candidates.length && page.length < pageSize) {
+      const { recordId, meta, resource } = candidates[next];
+      next += 1;
+      if (await checkRecordReadAuthorized(recordId, meta, req.actor)) {
+        page.push(resource);
+      }
+    }
+    const more = pageSize > 0 && next < candidates.length;
+    const complete = offset === 0 && next >= candidates.length;
+
+    sendFhir(
+      res,
+      200,
+      searchsetBundle(page, {
+        base,
+        selfUrl: fhirRequestUrl(req, base),
+        nextUrl: more ? fhirRequestUrl(req, base, { _offset: next }) : null,
+        total: complete ? page.length : undefined
+      })
+    );
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: "failed to load notifications" });
+    sendFhir(res, 500, operationOutcome("exception", "failed to search"));
   }
 });
 
-app.post("/api/providers/:providerAddress/notifications/clear", (req, res) => {
+app.get("/fhir/DocumentReference/:id", async (req, res) => {
   try {
-    const { providerAddress } = req.params;
-    if (!providerAddress) {
-      return res.status(400).json({ error: "providerAddress required" });
+    const found = await loadFhirRecord(req, res);
+    if (!found) return;
+    const [recordId, meta] = found;
+    if (!(await checkRecordReadAuthorized(recordId, meta, req.actor))) {
+      return sendFhir(
+        res,
+        403,
+        operationOutcome("forbidden", "not authorized for this record")
+      );
     }
-    clearProviderNotifications(providerAddress);
-    res.json({ ok: true });
+    sendFhir(res, 200, toDocumentReference(recordId, meta, fhirBase(req)));
+  } catch (e) {
+    console.error(e);
+    sendFhir(res, 500, operationOutcome("exception", "failed to load record"));
+  }
+});
+
+// The sealed record as JSON by default; a Binary resource when the caller
+// accepts FHIR JSON
+app.get("/fhir/Binary/:id", async (req, res) => {
+  try {
+    const found = await loadFhirRecord(req, res);
+    if (!found) return;
+    const [recordId, meta] = found;
+    const opened = await openFhirRecord(req, res, recordId, meta);
+    if (!opened) return;
+
+    const asResource = /fhir\+json|application\/json/.test(
+      req.get("accept") || ""
+    );
+    const data = Buffer.from(JSON.stringify(opened), "utf8");
+    if (asResource) {
+      const id = fhirIdFor(recordId, meta);
+      return sendFhir(res, 200, {
+        resourceType: "Binary",
+        id,
+        contentType: SEALED_RECORD_TYPE,
+        securityContext: { reference: `DocumentReference/${id}` },
+        data: data.toString("base64")
+      });
+    }
+    res.type(SEALED_RECORD_TYPE).send(data);
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: "failed to clear notifications" });
+    sendFhir(res, 500, operationOutcome("exception", "failed to load record"));
   }
 });
 
 // -----------------------------------------------------------------------------
 // Chain log surface (advanced console)
+// The console lists the latest indexed PrivaMed transactions, newest first.
+// Those the backend sent or verified carry its label and gas usage from the
+// store's chain log, which also lists them until they are indexed.
 // -----------------------------------------------------------------------------
-app.get("/api/logs", (_req, res) => {
-  res.json({ logs: chainLogs });
+const CHAIN_LOG_LIMIT = 100;
+
+async function loadChainLogs() {
+  await indexer.sync();
+  const clearedThrough = await store.chainLogs.clearedThrough();
+  const { indexedBlock } = indexer.status();
+  const own = new Map();
+  for (const log of await store.chainLogs.list()) {
+    if (log.txHash) own.set(log.txHash.toLowerCase(), log);
+  }
+
+  // Not indexed yet (still short of INDEXER_CONFIRMATIONS)
+  const logs = [...own.values()].filter(
+    (log) => indexedBlock === null || log.blockNumber > indexedBlock
+  );
+  let last = null;
+  const events = indexer.events({
+    fromBlock: clearedThrough === null ? null : clearedThrough + 1
+  });
+  for (const e of events) {
+    if (last && last.txHash === e.txHash) {
+      last.events.push(e.name);
+      continue;
+    }
+    if (logs.length >= CHAIN_LOG_LIMIT) break;
+    const log = own.get(e.txHash.toLowerCase());
+    last = {
+      id: e.txHash,
+      label: null,
+      txHash: e.txHash,
+      gasUsed: null,
+      blockNumber: e.blockNumber,
+      blockTime:
+        e.blockTime === null
+          ? null
+          : new Date(e.blockTime * 1000).toISOString(),
+      ...log,
+      events: [e.name]
+    };
+    logs.push(last);
+  }
+  // Events come newest first; list each transaction's in log order
+  for (const log of logs) {
+    if (log.events) log.events.reverse();
+    if (!log.label) log.label = log.events.join(", ");
+  }
+  return logs;
+}
+
+app.get("/api/logs", async (_req, res) => {
+  try {
+    res.json({ logs: await loadChainLogs() });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to load chain logs" });
+  }
 });
 
-app.post("/api/logs/clear", (_req, res) => {
-  clearChainLogs();
-  res.json({ ok: true });
+app.post("/api/logs/clear", async (_req, res) => {
+  try {
+    await clearChainLogs();
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to clear chain logs" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Chain index (see indexer.js)
+// Transactions the backend neither sent nor verified -- a wallet calling the
+// contract directly, another backend -- are picked up from the index: they get
+// a chain log entry, and grants, request outcomes and break-glass access notify
+// the affected accounts as they would through the API.
+// -----------------------------------------------------------------------------
+
+// How long a newly indexed event waits before it counts as external, so a
+// client-mode route still verifying its transaction can claim it first
+const EXTERNAL_TX_GRACE_SECONDS = Number(
+  process.env.INDEXER_EXTERNAL_GRACE_SECONDS || 30
+);
+
+// Lowercased hashes of transactions the backend logged, verified or announced
+// -> their block number
+const claimedTxs = new Map();
+// [{ event, indexedAt }] waiting out the grace period
+let unclaimedEvents = [];
+let announcing = false;
+
+function claimTx(txHash, blockNumber) {
+  if (txHash) claimedTxs.set(txHash.toLowerCase(), blockNumber);
+}
+
+// A claim only matters while its transaction's events can still be indexed
+// (again, after a reorg) or wait in the queue; past the reorg window it goes.
+function pruneClaims() {
+  const { indexedBlock } = indexer.status();
+  if (indexedBlock === null) return;
+  const queued = new Set(
+    unclaimedEvents.map(({ event }) => event.txHash.toLowerCase())
+  );
+  for (const [txHash, blockNumber] of claimedTxs) {
+    if (
+      Number.isInteger(blockNumber) &&
+      blockNumber < indexedBlock - REORG_WINDOW &&
+      !queued.has(txHash)
+    ) {
+      claimedTxs.delete(txHash);
+    }
+  }
+}
+
+const GRANT_CHANGES = {
+  AccessGranted: "granted",
+  AccessRevoked: "revoked",
+  EmergencyAccess: "emergency"
+};
+
+// Grant changes go to the record owner and the grantee as soon as they are
+// indexed, however the transaction was sent
+function publishGrantChange(event) {
+  const { args } = event;
+  const record = indexer.record(args.recordId);
+  const grantee = event.name === "EmergencyAccess" ? args.actor : args.grantee;
+  pushHub.publish(
+    "grant-change",
+    {
+      change: GRANT_CHANGES[event.name],
+      recordIdHash: args.recordId,
+      owner: record ? record.owner : null,
+      grantee,
+      validUntil: args.validUntil
+        ? new Date(args.validUntil * 1000).toISOString()
+        : null,
+      scope: args.scope ? decodeScope(args.scope) : null,
+      blockNumber: event.blockNumber,
+      txHash: event.txHash
+    },
+    [record && record.owner, grantee]
+  );
+}
+
+// Events indexed while building the index from scratch are history, not news
+function queueIndexedEvents(events, { backfill }) {
+  if (backfill) {
+    events.forEach((event) => claimTx(event.txHash, event.blockNumber));
+    return;
+  }
+  const indexedAt = Date.now();
+  for (const event of events) {
+    unclaimedEvents.push({ event, indexedAt });
+    if (GRANT_CHANGES[event.name]) publishGrantChange(event);
+  }
+}
+
+async function announceExternalEvent(event, siblings) {
+  const { args } = event;
+  const match = args.recordId
+    ? await store.records.findByHash(args.recordId)
+    : null;
+  const [recordId, meta] = match || [null, null];
+  const label = recordId || args.recordId;
+  const onChain = args.recordId ? indexer.record(args.recordId) : null;
+  const owner = meta ? meta.owner : onChain && onChain.owner;
+
+  switch (event.name) {
+    case "AccessGranted":
+      // approveRequest grants too; the requester hears about the approval
+      if (siblings.some((e) => e.name === "AccessRequestResolved")) return;
+      await notifier.notify(args.grantee, {
+        type: "record-shared",
+        message: `New record shared: ${label}`,
+        recordId,
+        recordIdHash: args.recordId,
+        patientAddress: owner,
+        scope: decodeScope(args.scope),
+        validUntil: args.validUntil
+          ? new Date(args.validUntil * 1000).toISOString()
+          : null
+      });
+      break;
+    case "AccessRequestResolved":
+      await notifier.notify(args.requester, {
+        type: args.approved ? "request-approved" : "request-denied",
+        message: `Access request ${args.approved ? "approved" : "denied"}: ${label}`,
+        requestId: args.requestId,
+        recordId,
+        recordIdHash: args.recordId,
+        patientAddress: owner
+      });
+      break;
+    case "AccessRequested":
+      await notifyAccessRequested(args);
+      break;
+    case "EmergencyAccess": {
+      // Only the hash of the justification is on-chain
+      const entry = {
+        id: crypto.randomUUID(),
+        recordId,
+        recordIdHash: args.recordId,
+        owner,
+        provider: args.actor,
+        justification: null,
+        justificationHash: args.justificationHash,
+        validUntil: new Date(args.validUntil * 1000).toISOString(),
+        txHash: event.txHash,
+        keyReleased: false,
+        createdAt: new Date().toISOString(),
+        review: null
+      };
+      await store.emergencyAccess.create(entry);
+      await notifier.notify(owner, {
+        type: "emergency-access",
+        message: `Emergency access to ${label} by ${args.actor}`,
+        recordId,
+        recordIdHash: args.recordId,
+        providerAddress: args.actor,
+        justification: null,
+        validUntil: entry.validUntil
+      });
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+// Announce queued events whose grace period is over and whose transaction
+// nobody claimed, one transaction at a time.
+async function announceExternalTxs() {
+  if (announcing) return;
+  announcing = true;
+  try {
+    pruneClaims();
+    const cutoff = Date.now() - EXTERNAL_TX_GRACE_SECONDS * 1000;
+    const due = unclaimedEvents.filter((e) => e.indexedAt <= cutoff);
+    if (!due.length) return;
+    unclaimedEvents = unclaimedEvents.filter((e) => e.indexedAt > cutoff);
+
+    // The chain log survives restarts, the in-memory claims don't
+    for (const log of await store.chainLogs.list()) {
+      claimTx(log.txHash, log.blockNumber);
+    }
+    const backendAccounts = new Set(
+      [
+        await (await getSigner()).getAddress(),
+        await getAuditLoggerAddress()
+      ].map((a) => a.toLowerCase())
+    );
+
+    const byTx = new Map();
+    for (const { event } of due) {
+      if (!byTx.has(event.txHash)) byTx.set(event.txHash, []);
+      byTx.get(event.txHash).push(event);
+    }
+
+    for (const [txHash, events] of byTx) {
+      if (claimedTxs.has(txHash.toLowerCase())) continue;
+      claimTx(txHash, events[0].blockNumber);
+      const tx = await provider.getTransaction(txHash);
+      // Gone in a reorg, or sent by the backend itself (relayer, audit log)
+      if (!tx || backendAccounts.has(tx.from.toLowerCase())) continue;
+
+      for (const event of events) {
+        await announceExternalEvent(event, events);
+      }
+      await appendChainLog(
+        `${events.map((e) => e.name).join(", ")} (external, from ${tx.from})`,
+        { hash: txHash, blockNumber: events[0].blockNumber }
+      );
+    }
+  } catch (err) {
+    console.error("[INDEX] Failed to announce external transactions:", err);
+  } finally {
+    announcing = false;
+  }
+}
+
+app.get("/api/index/status", (_req, res) => {
+  res.json({ ...indexer.status(), pendingExternal: unclaimedEvents.length });
+});
+
+// Indexed events, newest first.
+// ?name=EventName[,EventName] &recordIdHash= &address= &fromBlock= &limit=
+app.get("/api/index/events", async (req, res) => {
+  try {
+    const { name, recordIdHash, address } = req.query;
+    if (address && !ethers.isAddress(address)) {
+      return res.status(400).json({ error: "address must be an address" });
+    }
+    const fromBlock =
+      req.query.fromBlock === undefined ? null : Number(req.query.fromBlock);
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (
+      (fromBlock !== null &&
+        !(Number.isInteger(fromBlock) && fromBlock >= 0)) ||
+      !(Number.isInteger(limit) && limit > 0 && limit <= 1000)
+    ) {
+      return res.status(400).json({
+        error: "fromBlock must be a block number and limit between 1 and 1000"
+      });
+    }
+
+    await indexer.sync();
+    res.json({
+      events: indexer.events({
+        name: name ? String(name).split(",") : null,
+        recordIdHash,
+        address,
+        fromBlock,
+        limit
+      })
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "failed to load indexed events" });
+  }
 });
 
 // -----------------------------------------------------------------------------
 // Start server
 // -----------------------------------------------------------------------------
-app.listen(PORT, () => {
-  console.log(`PrivaMed backend listening on port ${PORT}`);
+async function runConsistencyCheck() {
+  try {
+    const contract = await getContract(provider);
+    lastConsistencyReport = await checkRecordConsistency(store, contract);
+    logConsistencyReport(lastConsistencyReport);
+  } catch (err) {
+    console.error("[STORE] Consistency check against chain failed:", err);
+  }
+}
+
+async function start() {
+  store = await openStore();
+  deliveryTransports = createTransports();
+  delivery = createDeliveryQueue({ store, transports: deliveryTransports });
+  notifier = createNotificationService({
+    store,
+    publish: pushHub.publish,
+    deliver: delivery.enqueue
+  });
+  relayer = createRelayer({ store, getContract, getSigner, provider });
+
+  app.listen(PORT, () => {
+    console.log(`PrivaMed backend listening on port ${PORT}`);
+  });
+
+  // Don't block startup on the chain being reachable
+  runConsistencyCheck();
+  registerAuditors();
+  relayer.recover().catch((err) => {
+    console.error("[RELAY] Failed to recover unfinished jobs:", err);
+  });
+
+  indexer = createIndexer({
+    store,
+    getContract,
+    provider,
+    onEvents: queueIndexedEvents
+  });
+  indexer.start();
+  setInterval(announceExternalTxs, 5000);
+
+  expiryScheduler = createExpiryScheduler({
+    store,
+    indexer,
+    notify: notifier.notify
+  });
+  expiryScheduler.start();
+  delivery.start();
+}
+
+start().catch((err) => {
+  console.error("Failed to start PrivaMed backend:", err);
+  process.exit(1);
 });
@@ -0,0 +1,456 @@
+// backend/src/indexer.js
+//
+// Chain event indexer. Backfills every PrivaMed event from INDEXER_START_BLOCK
+// and then polls for new blocks, so the backend also learns about
+// transactions it did not send itself (client-mode wallets, other backends,
+// direct contract calls). Events are persisted in the store's chainIndex, one
+// row each so a pass only writes what it added or dropped, and are folded
+// into a projection of users, records, grants, access requests and access
+// events that routes can query without a round of RPC calls.
+//
+// Only blocks at least INDEXER_CONFIRMATIONS deep are indexed. The hashes of
+// recently indexed blocks are kept, and when the chain no longer agrees with
+// one of them (a reorg) every event above the fork point is dropped and those
+// blocks are indexed again. Blocks more than REORG_WINDOW below the cursor are
+// taken as final.
+
+const { ethers } = require("ethers");
+
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS || 0);
+const POLL_SECONDS = Number(process.env.INDEXER_POLL_SECONDS || 2);
+const START_BLOCK = Number(process.env.INDEXER_START_BLOCK || 0);
+const BATCH_BLOCKS = 2000;
+// Block hashes kept for reorg detection; deeper reorgs trigger a full rebuild
+const REORG_WINDOW = 64;
+
+function emptyIndex(contractAddress) {
+  return {
+    contract: contractAddress,
+    cursor: null, // { blockNumber, blockHash } of the last indexed block
+    recentBlocks: [], // [{ number, hash }], oldest first
+    events: [] // oldest first
+  };
+}
+
+// Event args -> plain JSON: checksummed addresses, numbers for uint values
+// that fit, strings for the rest.
+function normalizeArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    if (typeof value === "bigint") {
+      args[input.name] =
+        value <= BigInt(Number.MAX_SAFE_INTEGER)
+          ? Number(value)
+          : value.toString();
+    } else if (input.type === "address") {
+      args[input.name] = ethers.getAddress(value);
+    } else {
+      args[input.name] = value;
+    }
+  });
+  return args;
+}
+
+// Fold events (oldest first) into the current state they describe. Keys are
+// lowercased addresses / on-chain record IDs.
+function buildProjection(events) {
+  const users = new Map(); // address -> { address, role, active }
+  const records = new Map(); // recordIdHash -> { recordIdHash, owner, cid, ... }
+  // `${recordIdHash}:${grantee}` -> the owner's grant plus any break-glass
+  // access (emergencyUntil), kept side by side as PrivaMed keeps them
+  const grants = new Map();
+  const requests = new Map(); // requestId -> request
+  const accessEvents = [];
+
+  function setGrant(e, grantee, changes) {
+    const key = `${e.args.recordId.toLowerCase()}:${grantee.toLowerCase()}`;
+    grants.set(key, {
+      recordIdHash: e.args.recordId,
+      grantee,
+      active: false,
+      validUntil: 0,
+      scope: ethers.ZeroHash,
+      emergencyUntil: 0,
+      ...(grants.get(key) || {}),
+      ...changes,
+      blockNumber: e.blockNumber,
+      txHash: e.txHash
+    });
+  }
+
+  for (const e of events) {
+    const a = e.args;
+    switch (e.name) {
+      case "UserRegistered":
+        users.set(a.user.toLowerCase(), {
+          address: a.user,
+          role: a.role,
+          active: true
+        });
+        break;
+      case "RoleChanged":
+        users.set(a.user.toLowerCase(), {
+          address: a.user,
+          role: a.newRole,
+          active: true
+        });
+        break;
+      case "UserDeactivated":
+        users.set(a.user.toLowerCase(), {
+          address: a.user,
+          role: a.previousRole,
+          active: false
+        });
+        break;
+      case "RecordAdded":
+        records.set(a.recordId.toLowerCase(), {
+          recordIdHash: a.recordId,
+          owner: a.owner,
+          cid: a.cid,
+          blockNumber: e.blockNumber,
+          txHash: e.txHash
+        });
+        break;
+      case "RecordUpdated": {
+        const record = records.get(a.recordId.toLowerCase());
+        if (record) record.cid = a.newCid;
+        break;
+      }
+      case "AccessGranted":
+        setGrant(e, a.grantee, {
+          active: true,
+          validUntil: a.validUntil,
+          scope: a.scope
+        });
+        break;
+      case "EmergencyAccess":
+        setGrant(e, a.actor, { emergencyUntil: a.validUntil });
+        break;
+      case "AccessRevoked":
+        setGrant(e, a.grantee, { active: false, emergencyUntil: 0 });
+        break;
+      case "AccessRequested":
+        requests.set(a.requestId, {
+          requestId: a.requestId,
+          recordIdHash: a.recordId,
+          requester: a.requester,
+          reason: a.reason,
+          status: "pending",
+          createdAt: e.blockTime,
+          blockNumber: e.blockNumber
+        });
+        break;
+      case "AccessRequestResolved": {
+        const request = requests.get(a.requestId);
+        if (request) request.status = a.approved ? "approved" : "denied";
+        break;
+      }
+      case "AccessEvent":
+        accessEvents.push({
+          recordIdHash: a.recordId,
+          actor: a.actor,
+          success: a.success,
+          action: a.action,
+          timestamp: a.timestamp,
+          blockNumber: e.blockNumber,
+          txHash: e.txHash
+        });
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { users, records, grants, requests, accessEvents };
+}
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+// `deps`: { store, getContract(signerOrProvider), provider,
+//           onEvents(events, { backfill }) -- called after each pass that
+//           indexed new events; backfill is true when the pass started from
+//           an empty index }
+function createIndexer({ store, getContract, provider, onEvents }) {
+  let index = null;
+  // Events above this block are gone from `index` but not yet from the store
+  // (null: none; -1: all of them)
+  let dropAbove = null;
+  let projection = null;
+  let head = null;
+  let timer = null;
+  let syncing = Promise.resolve();
+
+  async function load() {
+    const contract = await getContract(provider);
+    const address = await contract.getAddress();
+    index = await store.chainIndex.load();
+    dropAbove = null;
+    if (!index || index.contract !== address) {
+      if (index && index.contract) {
+        console.warn(
+          `[INDEX] PrivaMed moved from ${index.contract} to ${address}; rebuilding the chain index`
+        );
+      }
+      index = emptyIndex(address);
+      dropAbove = -1;
+    }
+    projection = null;
+    return contract;
+  }
+
+  function remember(number, hash) {
+    const last = index.recentBlocks[index.recentBlocks.length - 1];
+    if (last && last.number === number) return;
+    index.recentBlocks.push({ number, hash });
+    if (index.recentBlocks.length > REORG_WINDOW) {
+      index.recentBlocks.splice(0, index.recentBlocks.length - REORG_WINDOW);
+    }
+  }
+
+  // Compare the remembered block hashes with the chain, newest first. Drops
+  // everything above the newest block that still matches; with no match at
+  // all the index is rebuilt from scratch. Resolves true if anything changed.
+  async function rollBackReorgs() {
+    if (!index.cursor) return false;
+    const recent = index.recentBlocks;
+    for (let i = recent.length - 1; i >= 0; i--) {
+      const block = await provider.getBlock(recent[i].number);
+      if (block && block.hash === recent[i].hash) {
+        if (i === recent.length - 1) return false;
+        const fork = recent[i];
+        const dropped = index.events.filter(
+          (e) => e.blockNumber > fork.number
+        ).length;
+        console.warn(
+          `[INDEX] Reorg below block ${index.cursor.blockNumber}; rolling back to ${fork.number} (${dropped} events dropped)`
+        );
+        index.events = index.events.filter((e) => e.blockNumber <= fork.number);
+        dropAbove =
+          dropAbove === null ? fork.number : Math.min(dropAbove, fork.number);
+        index.recentBlocks = recent.slice(0, i + 1);
+        index.cursor = { blockNumber: fork.number, blockHash: fork.hash };
+        return true;
+      }
+    }
+    console.warn("[INDEX] Chain no longer matches the index; rebuilding");
+    index = emptyIndex(index.contract);
+    dropAbove = -1;
+    return true;
+  }
+
+  async function tick() {
+    const contract = index ? await getContract(provider) : await load();
+    let changed = await rollBackReorgs();
+    const backfill = !index.cursor;
+
+    // eth_blockNumber directly: ethers caches getBlockNumber() briefly, and
+    // sync() must see a block mined a moment ago
+    head = Number(await provider.send("eth_blockNumber", []));
+    const target = head - CONFIRMATIONS;
+    let from = index.cursor ? index.cursor.blockNumber + 1 : START_BLOCK;
+    const added = [];
+
+    while (from <= target) {
+      const to = Math.min(target, from + BATCH_BLOCKS - 1);
+      const logs = await provider.getLogs({
+        address: index.contract,
+        fromBlock: from,
+        toBlock: to
+      });
+      const blockTimes = new Map();
+      for (const log of logs) {
+        let parsed;
+        try {
+          parsed = contract.interface.parseLog(log);
+        } catch (_) {
+          continue;
+        }
+        if (!parsed) continue;
+        if (!blockTimes.has(log.blockNumber)) {
+          const block = await provider.getBlock(log.blockNumber);
+          blockTimes.set(log.blockNumber, block ? block.timestamp : null);
+        }
+        remember(log.blockNumber, log.blockHash);
+        added.push({
+          id: `${log.transactionHash}:${log.index}`,
+          name: parsed.name,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          blockTime: blockTimes.get(log.blockNumber),
+          txHash: log.transactionHash,
+          logIndex: log.index,
+          args: normalizeArgs(parsed)
+        });
+      }
+
+      const block = await provider.getBlock(to);
+      index.cursor = { blockNumber: to, blockHash: block.hash };
+      remember(to, block.hash);
+      changed = true;
+      from = to + 1;
+    }
+
+    if (!changed) return [];
+    index.events.push(...added);
+    projection = null;
+    const { contract: address, cursor, recentBlocks } = index;
+    try {
+      await store.chainIndex.save(
+        { contract: address, cursor, recentBlocks },
+        { dropAbove, added }
+      );
+    } catch (err) {
+      // Start over from what the store has rather than lose this pass's rows
+      index = null;
+      throw err;
+    }
+    dropAbove = null;
+    if (added.length && onEvents) {
+      await onEvents(added, { backfill });
+    }
+    return added;
+  }
+
+  // Index up to the current head now. Concurrent callers share one pass at a
+  // time; resolves with the events the pass added.
+  function sync() {
+    const run = syncing.catch(() => {}).then(tick);
+    syncing = run;
+    return run;
+  }
+
+  function start() {
+    if (timer) return;
+    const poll = () =>
+      sync().catch((err) => {
+        console.error("[INDEX] Indexing failed:", err);
+      });
+    timer = setInterval(poll, POLL_SECONDS * 1000);
+    poll();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // Empty until the first pass has loaded the index
+  function project() {
+    if (!index) return buildProjection([]);
+    if (!projection) {
+      projection = buildProjection(index.events);
+    }
+    return projection;
+  }
+
+  function status() {
+    return {
+      contract: index ? index.contract : null,
+      indexedBlock: index && index.cursor ? index.cursor.blockNumber : null,
+      head,
+      confirmations: CONFIRMATIONS,
+      events: index ? index.events.length : 0
+    };
+  }
+
+  // Raw events, newest first. Filters: name (string or array), recordIdHash,
+  // address (any address argument), fromBlock, limit.
+  function events(filter = {}) {
+    const names = filter.name ? [].concat(filter.name) : null;
+    const out = [];
+    for (let i = (index ? index.events.length : 0) - 1; i >= 0; i--) {
+      const e = index.events[i];
+      if (names && !names.includes(e.name)) continue;
+      if (filter.fromBlock != null && e.blockNumber < filter.fromBlock) break;
+      if (
+        filter.recordIdHash &&
+        !(
+          e.args.recordId &&
+          e.args.recordId.toLowerCase() === filter.recordIdHash.toLowerCase()
+        )
+      ) {
+        continue;
+      }
+      if (
+        filter.address &&
+        !Object.values(e.args).some(
+          (v) => typeof v === "string" && sameAddress(v, filter.address)
+        )
+      ) {
+        continue;
+      }
+      out.push(e);
+      if (filter.limit && out.length >= filter.limit) break;
+    }
+    return out;
+  }
+
+  function user(address) {
+    return project().users.get(address.toLowerCase()) || null;
+  }
+
+  function users() {
+    return [...project().users.values()];
+  }
+
+  function record(recordIdHash) {
+    return project().records.get(recordIdHash.toLowerCase()) || null;
+  }
+
+  // On-chain records, optionally only those owned by `owner`
+  function records({ owner } = {}) {
+    return [...project().records.values()].filter(
+      (r) => !owner || sameAddress(r.owner, owner)
+    );
+  }
+
+  // Grants in order of first grant, filtered by recordIdHash and/or grantee
+  function grants({ recordIdHash, grantee } = {}) {
+    return [...project().grants.values()].filter(
+      (g) =>
+        (!recordIdHash || sameAddress(g.recordIdHash, recordIdHash)) &&
+        (!grantee || sameAddress(g.grantee, grantee))
+    );
+  }
+
+  function requests({ recordIdHash, requester } = {}) {
+    return [...project().requests.values()].filter(
+      (r) =>
+        (!recordIdHash || sameAddress(r.recordIdHash, recordIdHash)) &&
+        (!requester || sameAddress(r.requester, requester))
+    );
+  }
+
+  function accessEvents({ recordIdHash, actor } = {}) {
+    return project().accessEvents.filter(
+      (e) =>
+        (!recordIdHash || sameAddress(e.recordIdHash, recordIdHash)) &&
+        (!actor || sameAddress(e.actor, actor))
+    );
+  }
+
+  return {
+    start,
+    stop,
+    sync,
+    status,
+    events,
+    user,
+    users,
+    record,
+    records,
+    grants,
+    requests,
+    accessEvents
+  };
+}
+
+module.exports = {
+  REORG_WINDOW,
+  createIndexer,
+  buildProjection,
+  normalizeArgs
+};
@@ -46,4 +46,36 @@ async function getJson(cid) {
   return JSON.parse(content);
 }
 
-module.exports = { addJson, getJson };
+// Store a stream of bytes (an async iterable of Uint8Array) as-is, without
+// holding it in memory. Resolves with the CID string.
+async function addStream(source) {
+  const ipfs = await getIpfs();
+  const { cid, size } = await ipfs.add(source, { pin: true });
+  const cidStr = cid.toString();
+  console.log("[IPFS] Stored", size, "bytes under CID", cidStr);
+  return cidStr;
+}
+
+// Stream the bytes of a CID, or `length` bytes of it from `offset`
+function catStream(cid, { offset, length } = {}) {
+  return (async function* () {
+    const ipfs = await getIpfs();
+    yield* ipfs.cat(cid, { offset, length });
+  })();
+}
+
+// Drop our pin on a CID so the node may garbage-collect it. Copies already
+// fetched or pinned elsewhere are out of our hands. Not-pinned is not an error.
+async function unpin(cid) {
+  const ipfs = await getIpfs();
+  try {
+    await ipfs.pin.rm(cid);
+    console.log("[IPFS] Unpinned CID", cid);
+  } catch (err) {
+    if (!/not pinned/i.test(err.message || "")) {
+      throw err;
+    }
+  }
+}
+
+module.exports = { addJson, getJson, addStream, catStream, unpin };
@@ -0,0 +1,159 @@
+// backend/src/notifications.js
+//
+// In-app notifications for every account, whatever its role. Each
+// notification has one of the NOTIFICATION_TYPES below and a read flag; each
+// account can switch types off (store.notificationPreferences), in which case
+// notify() drops them. New notifications and read-state changes are pushed to
+// the account's open streams (see push.js), and new notifications are handed
+// to outbound delivery (email, webhooks; see delivery/).
+
+const crypto = require("crypto");
+
+// type -> { label, audience } (audience is a hint for settings screens)
+const NOTIFICATION_TYPES = {
+  "record-shared": {
+    label: "A patient shared a record with you",
+    audience: "provider"
+  },
+  "request-created": {
+    label: "A provider asked for access to your record",
+    audience: "patient"
+  },
+  "request-approved": {
+    label: "Your access request was approved",
+    audience: "provider"
+  },
+  "request-denied": {
+    label: "Your access request was denied",
+    audience: "provider"
+  },
+  "record-accessed": {
+    label: "A provider read your record",
+    audience: "patient"
+  },
+  "access-refused": {
+    label: "Someone was refused access to your record",
+    audience: "patient"
+  },
+  "emergency-access": {
+    label: "Emergency (break-glass) access to your record",
+    audience: "patient"
+  },
+  "grant-expiring": { label: "A grant is about to expire", audience: "all" },
+  "grant-expired": { label: "A grant has expired", audience: "all" },
+  "provider-verification": {
+    label: "Your directory entry was verified or rejected",
+    audience: "provider"
+  }
+};
+
+const LIST_LIMIT = 200;
+
+// { type: enabled } for every type, from the stored overrides
+function resolvePreferences(stored) {
+  const preferences = {};
+  for (const type of Object.keys(NOTIFICATION_TYPES)) {
+    preferences[type] = !stored || stored[type] !== false;
+  }
+  return preferences;
+}
+
+// `deps`: { store, publish(type, data, addresses), deliver(address, entry) }
+function createNotificationService({
+  store,
+  publish = () => {},
+  deliver = async () => {}
+}) {
+  // Store and push one notification; resolves with the entry, or null when
+  // the account has switched this type off.
+  async function notify(address, notification) {
+    if (!address) return null;
+    if (!NOTIFICATION_TYPES[notification.type]) {
+      throw new Error(`unknown notification type ${notification.type}`);
+    }
+    const stored = await store.notificationPreferences.get(address);
+    if (!resolvePreferences(stored)[notification.type]) return null;
+
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: Date.now(),
+      read: false,
+      ...notification
+    };
+    await store.notifications.push(address, entry);
+    publish("notification", entry, [address]);
+    try {
+      await deliver(address, entry);
+    } catch (err) {
+      console.error("[NOTIFY] Failed to queue outbound delivery:", err);
+    }
+    return entry;
+  }
+
+  // `options`: { unreadOnly, type, limit }. Newest first, with the number of
+  // unread notifications overall.
+  async function list(address, options = {}) {
+    const all = await store.notifications.list(address);
+    const notifications = all
+      .filter((n) => !options.unreadOnly || !n.read)
+      .filter((n) => !options.type || n.type === options.type)
+      .slice(0, Math.min(options.limit || LIST_LIMIT, LIST_LIMIT));
+    return { notifications, unread: all.filter((n) => !n.read).length };
+  }
+
+  // Resolves with the updated notification, or null if there is none with `id`
+  async function markRead(address, id) {
+    const entry = await store.notifications.update(address, id, {
+      read: true
+    });
+    if (entry) publish("notifications-read", { ids: [id] }, [address]);
+    return entry;
+  }
+
+  async function markAllRead(address) {
+    const ids = await store.notifications.markAllRead(address);
+    if (ids.length) publish("notifications-read", { ids }, [address]);
+    return ids;
+  }
+
+  async function clear(address) {
+    await store.notifications.clear(address);
+    publish("notifications-cleared", {}, [address]);
+  }
+
+  async function getPreferences(address) {
+    return resolvePreferences(await store.notificationPreferences.get(address));
+  }
+
+  // Merge `changes` ({ type: boolean }) into the account's preferences. Throws
+  // with a user-facing message on an unknown type or a non-boolean value.
+  async function setPreferences(address, changes) {
+    if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+      throw new Error("preferences must be an object of type -> boolean");
+    }
+    for (const [type, enabled] of Object.entries(changes)) {
+      if (!NOTIFICATION_TYPES[type]) {
+        throw new Error(`unknown notification type ${type}`);
+      }
+      if (typeof enabled !== "boolean") {
+        throw new Error(`preference for ${type} must be true or false`);
+      }
+    }
+    const stored = (await store.notificationPreferences.get(address)) || {};
+    const next = { ...stored, ...changes };
+    await store.notificationPreferences.set(address, next);
+    return resolvePreferences(next);
+  }
+
+  return {
+    notify,
+    list,
+    markRead,
+    markAllRead,
+    clear,
+    getPreferences,
+    setPreferences
+  };
+}
+
+module.exports = { NOTIFICATION_TYPES, createNotificationService };
@@ -0,0 +1,222 @@
+// backend/src/proofs.js
+//
+// Proof primitives for the audit export (see auditBundle.js):
+//  - Ethereum receipts tries. A block header commits to its receipts through
+//    receiptsRoot, the root of a Merkle Patricia trie keyed by rlp(tx index).
+//    Rebuilding that trie from the block's receipts gives an inclusion proof
+//    for any one receipt that checks against the header alone.
+//  - A sorted-pair binary Merkle tree (as in OpenZeppelin's MerkleProof) over
+//    the exported events, so a single entry can be shown to belong to a bundle.
+// Receipts here are raw JSON-RPC receipts (hex quantities), as returned by
+// eth_getTransactionReceipt.
+
+const { ethers } = require("ethers");
+
+// ---- Receipts ----
+
+function quantity(hex) {
+  return ethers.toBeArray(BigInt(hex));
+}
+
+// Consensus encoding of a (post-Byzantium) receipt: rlp([status,
+// cumulativeGasUsed, logsBloom, logs]), prefixed by the type byte for typed
+// transactions.
+function encodeReceipt(receipt) {
+  const payload = ethers.encodeRlp([
+    quantity(receipt.status),
+    quantity(receipt.cumulativeGasUsed),
+    receipt.logsBloom,
+    receipt.logs.map((log) => [log.address, log.topics, log.data])
+  ]);
+  const type = Number(receipt.type || 0);
+  return type === 0 ? payload : ethers.concat([ethers.toBeHex(type), payload]);
+}
+
+function receiptKey(transactionIndex) {
+  return ethers.encodeRlp(quantity(ethers.toQuantity(transactionIndex)));
+}
+
+// ---- Merkle Patricia trie ----
+
+function toNibbles(bytesLike) {
+  const nibbles = [];
+  for (const byte of ethers.getBytes(bytesLike)) {
+    nibbles.push(byte >> 4, byte & 15);
+  }
+  return nibbles;
+}
+
+function hexPrefix(nibbles, leaf) {
+  const odd = nibbles.length % 2;
+  const all = [(leaf ? 2 : 0) + odd, ...(odd ? [] : [0]), ...nibbles];
+  const bytes = new Uint8Array(all.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = (all[2 * i] << 4) | all[2 * i + 1];
+  }
+  return ethers.hexlify(bytes);
+}
+
+function decodeHexPrefix(encoded) {
+  const nibbles = toNibbles(encoded);
+  return {
+    leaf: nibbles[0] >= 2,
+    path: nibbles.slice(nibbles[0] % 2 ? 1 : 2)
+  };
+}
+
+// Follow `key` from the node hashed `rootHash`, loading hashed nodes through
+// lookup(hash) -> RLP or undefined. Resolves { value (hex or null), visited
+// (RLP of each hashed node on the way, root first) }; throws on a missing or
+// mismatched node.
+function walkTrie(rootHash, key, lookup) {
+  const visited = [];
+  let nibbles = toNibbles(key);
+
+  function resolve(ref) {
+    if (Array.isArray(ref)) return ref; // embedded node (< 32 bytes)
+    if (ref === "0x") return null;
+    const encoded = lookup(ref.toLowerCase());
+    if (!encoded || ethers.keccak256(encoded) !== ref.toLowerCase()) {
+      throw new Error(`missing trie node ${ref}`);
+    }
+    visited.push(encoded);
+    return ethers.decodeRlp(encoded);
+  }
+
+  let node = resolve(rootHash);
+  while (node) {
+    if (node.length === 17) {
+      if (!nibbles.length) {
+        return { value: node[16] === "0x" ? null : node[16], visited };
+      }
+      node = resolve(node[nibbles[0]]);
+      nibbles = nibbles.slice(1);
+      continue;
+    }
+    const { leaf, path } = decodeHexPrefix(node[0]);
+    const matches = path.every((n, i) => nibbles[i] === n);
+    if (leaf) {
+      const found = matches && path.length === nibbles.length;
+      return { value: found ? node[1] : null, visited };
+    }
+    if (!matches) break;
+    nibbles = nibbles.slice(path.length);
+    node = resolve(node[1]);
+  }
+  return { value: null, visited };
+}
+
+// Trie over [{ key, value }] (hex). Resolves { root, proof(key) -> [RLP] }.
+function buildTrie(items) {
+  const nodes = new Map(); // hash -> RLP
+
+  function ref(node) {
+    const encoded = ethers.encodeRlp(node);
+    if (ethers.dataLength(encoded) < 32) return node;
+    const hash = ethers.keccak256(encoded);
+    nodes.set(hash, encoded);
+    return hash;
+  }
+
+  function build(entries, depth) {
+    if (entries.length === 1) {
+      const [entry] = entries;
+      return [hexPrefix(entry.nibbles.slice(depth), true), entry.value];
+    }
+
+    let shared = 0;
+    while (
+      entries.every(
+        (e) =>
+          e.nibbles.length > depth + shared &&
+          e.nibbles[depth + shared] === entries[0].nibbles[depth + shared]
+      )
+    ) {
+      shared += 1;
+    }
+    if (shared > 0) {
+      const path = entries[0].nibbles.slice(depth, depth + shared);
+      return [hexPrefix(path, false), ref(build(entries, depth + shared))];
+    }
+
+    const branch = new Array(17).fill("0x");
+    for (let nibble = 0; nibble < 16; nibble++) {
+      const group = entries.filter(
+        (e) => e.nibbles.length > depth && e.nibbles[depth] === nibble
+      );
+      if (group.length) branch[nibble] = ref(build(group, depth + 1));
+    }
+    const here = entries.find((e) => e.nibbles.length === depth);
+    if (here) branch[16] = here.value;
+    return branch;
+  }
+
+  const rootNode = build(
+    items.map((item) => ({ nibbles: toNibbles(item.key), value: item.value })),
+    0
+  );
+  const rootEncoded = ethers.encodeRlp(rootNode);
+  const root = ethers.keccak256(rootEncoded);
+  nodes.set(root, rootEncoded);
+
+  return {
+    root,
+    proof: (key) => walkTrie(root, key, (hash) => nodes.get(hash)).visited
+  };
+}
+
+// The value proven for `key` under `root`, or null if the proof shows the key
+// is absent. Throws if the proof is incomplete or does not match `root`.
+function verifyTrieProof(root, key, proof) {
+  const nodes = new Map(proof.map((rlp) => [ethers.keccak256(rlp), rlp]));
+  return walkTrie(root, key, (hash) => nodes.get(hash)).value;
+}
+
+// ---- Binary Merkle tree ----
+
+function hashPair(a, b) {
+  return ethers.keccak256(
+    a.toLowerCase() < b.toLowerCase()
+      ? ethers.concat([a, b])
+      : ethers.concat([b, a])
+  );
+}
+
+// Resolves { root, proofs } where proofs[i] lists the sibling hashes from
+// leaves[i] up to the root. An odd node out is carried up unchanged.
+function buildMerkleTree(leaves) {
+  const proofs = leaves.map(() => []);
+  let layer = leaves.map((hash, i) => ({ hash, members: [i] }));
+  while (layer.length > 1) {
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      const left = layer[i];
+      const right = layer[i + 1];
+      if (!right) {
+        next.push(left);
+        continue;
+      }
+      left.members.forEach((m) => proofs[m].push(right.hash));
+      right.members.forEach((m) => proofs[m].push(left.hash));
+      next.push({
+        hash: hashPair(left.hash, right.hash),
+        members: [...left.members, ...right.members]
+      });
+    }
+    layer = next;
+  }
+  return { root: layer.length ? layer[0].hash : ethers.ZeroHash, proofs };
+}
+
+function verifyMerkleProof(leaf, proof, root) {
+  return proof.reduce(hashPair, leaf) === root.toLowerCase();
+}
+
+module.exports = {
+  encodeReceipt,
+  receiptKey,
+  buildTrie,
+  verifyTrieProof,
+  buildMerkleTree,
+  verifyMerkleProof
+};
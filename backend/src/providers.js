@@ -0,0 +1,83 @@
+// backend/src/providers.js
+//
+// Provider directory entries: who a provider account belongs to (name,
+// specialty, organization, license number). Entries live in the store; an
+// auditor who has checked one anchors its hash on-chain with
+// setProviderVerification, so editing a verified entry sends it back to
+// "pending" until it is verified again.
+
+const { ethers } = require("ethers");
+
+const PROFILE_FIELDS = ["name", "specialty", "organization", "licenseNumber"];
+const REQUIRED_FIELDS = ["name", "licenseNumber"];
+const MAX_FIELD_LENGTH = 200;
+
+// Request body -> { name, specialty, organization, licenseNumber }; throws with
+// a user-facing message on anything malformed.
+function normalizeProfile(body = {}) {
+  const profile = {};
+  for (const field of PROFILE_FIELDS) {
+    const value = body[field] == null ? "" : body[field];
+    if (typeof value !== "string") {
+      throw new Error(`${field} must be a string`);
+    }
+    profile[field] = value.trim();
+    if (profile[field].length > MAX_FIELD_LENGTH) {
+      throw new Error(
+        `${field} must be at most ${MAX_FIELD_LENGTH} characters`
+      );
+    }
+  }
+  const missing = REQUIRED_FIELDS.filter((field) => !profile[field]);
+  if (missing.length) {
+    throw new Error(`${missing.join(" and ")} required`);
+  }
+  return profile;
+}
+
+// keccak256 over the ABI-encoded address and profile fields. This is the value
+// an auditor anchors on-chain, so anyone holding the entry can check it.
+function profileHash(address, profile) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", ...PROFILE_FIELDS.map(() => "string")],
+      [address, ...PROFILE_FIELDS.map((field) => profile[field])]
+    )
+  );
+}
+
+// "verified" when the anchored hash matches the entry, "rejected" when an
+// auditor turned down this version of it, "pending" otherwise.
+function verificationStatus(entry, anchoredHash) {
+  if (anchoredHash && anchoredHash === entry.profileHash) return "verified";
+  const review = entry.verification;
+  if (
+    review &&
+    review.status === "rejected" &&
+    review.profileHash === entry.profileHash
+  ) {
+    return "rejected";
+  }
+  return "pending";
+}
+
+// Case-insensitive match of every word in `query` against the entry's fields
+// and address.
+function matchesQuery(entry, query) {
+  const words = String(query || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  const haystack = [entry.address, ...PROFILE_FIELDS.map((f) => entry[f])]
+    .join(" ")
+    .toLowerCase();
+  return words.every((word) => haystack.includes(word));
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  normalizeProfile,
+  profileHash,
+  verificationStatus,
+  matchesQuery
+};
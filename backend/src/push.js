@@ -0,0 +1,114 @@
+// backend/src/push.js
+//
+// Server push over Server-Sent Events. Each published event goes either to
+// every signed-in subscriber or only to the addresses it names, so a stream
+// never carries another account's notifications.
+//
+// Event IDs are "<boot>-<seq>". A client that reconnects with Last-Event-ID
+// gets the events it missed replayed from a short in-memory backlog; when that
+// is not possible (the backend restarted, or the client was away longer than
+// the backlog reaches) it gets a `resync` event and reloads instead.
+
+const crypto = require("crypto");
+
+const PUSH_BACKLOG = Number(process.env.PUSH_BACKLOG || 500);
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 3000;
+
+function createPushHub() {
+  const boot = crypto.randomBytes(4).toString("hex");
+  let seq = 0;
+  // [{ seq, type, data, to (Set of lowercased addresses, or null for all) }]
+  let backlog = [];
+  const subscribers = new Set();
+
+  function visibleTo(event, address) {
+    return !event.to || event.to.has(address);
+  }
+
+  function write(res, event) {
+    res.write(
+      `id: ${boot}-${event.seq}\nevent: ${event.type}\n` +
+        `data: ${JSON.stringify(event.data)}\n\n`
+    );
+  }
+
+  // `to`: addresses that may see the event; omit to send it to everyone
+  function publish(type, data, to = null) {
+    const event = {
+      seq: ++seq,
+      type,
+      data,
+      to: to ? new Set(to.filter(Boolean).map((a) => a.toLowerCase())) : null
+    };
+    backlog.push(event);
+    if (backlog.length > PUSH_BACKLOG) {
+      backlog = backlog.slice(-PUSH_BACKLOG);
+    }
+    for (const subscriber of subscribers) {
+      if (visibleTo(event, subscriber.address)) write(subscriber.res, event);
+    }
+  }
+
+  // Events after `lastEventId` for `address`, or null if they can't be told
+  function missedSince(lastEventId, address) {
+    const match = /^([0-9a-f]+)-(\d+)$/.exec(lastEventId || "");
+    if (!match || match[1] !== boot) return null;
+    const last = Number(match[2]);
+    const oldest = backlog.length ? backlog[0].seq : seq + 1;
+    if (last > seq || last < oldest - 1) return null;
+    return backlog.filter((e) => e.seq > last && visibleTo(e, address));
+  }
+
+  // Stream to `res` for the signed-in `address` until the client goes away or
+  // isActive() (checked on every heartbeat) turns false.
+  function subscribe(req, res, { address, isActive = () => true }) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const subscriber = { address: address.toLowerCase(), res };
+    const lastEventId = req.get("last-event-id") || req.query.lastEventId;
+    if (lastEventId) {
+      const missed = missedSince(lastEventId, subscriber.address);
+      if (missed) {
+        missed.forEach((event) => write(res, event));
+      } else {
+        write(res, { seq, type: "resync", data: {} });
+      }
+    }
+    write(res, { seq, type: "ready", data: { address } });
+    subscribers.add(subscriber);
+
+    const heartbeat = setInterval(() => {
+      if (!isActive()) {
+        res.end();
+        return;
+      }
+      res.write(": heartbeat\n\n");
+    }, HEARTBEAT_MS);
+
+    function close() {
+      clearInterval(heartbeat);
+      subscribers.delete(subscriber);
+    }
+    req.on("close", close);
+    res.on("close", close);
+  }
+
+  function status() {
+    return {
+      subscribers: subscribers.size,
+      lastEventId: `${boot}-${seq}`,
+      backlog: backlog.length
+    };
+  }
+
+  return { publish, subscribe, status };
+}
+
+module.exports = { createPushHub };
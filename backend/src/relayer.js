@@ -0,0 +1,358 @@
+// backend/src/relayer.js
+//
+// Gas-paying relayer for PrivaMed's EIP-712 signed requests (the *BySig
+// functions). The user signs typed data in their wallet; the relayer account
+// submits the transaction and pays for it, so patients need no ETH and the
+// chain still records them as the owner/requester.
+//
+// Every submission is a job persisted in the store that moves
+// queued -> submitted -> mined | failed. Jobs are sent one at a time so the
+// relayer's own transaction nonces never collide.
+
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+const DEADLINE_SECONDS = Number(process.env.RELAY_DEADLINE_SECONDS || 10 * 60);
+
+// action -> EIP-712 struct and the contract function that consumes it. The
+// struct is always [signerField, ...fields, nonce, deadline]; the function
+// takes (signer, ...fields, deadline, signature).
+const ACTIONS = {
+  addRecord: {
+    primaryType: "AddRecord",
+    signerField: "owner",
+    fields: [{ name: "cid", type: "string" }],
+    method: "addRecordBySig"
+  },
+  updateRecordCID: {
+    primaryType: "UpdateRecordCID",
+    signerField: "owner",
+    fields: [
+      { name: "recordId", type: "bytes32" },
+      { name: "newCid", type: "string" }
+    ],
+    method: "updateRecordCIDBySig"
+  },
+  grantAccess: {
+    primaryType: "GrantAccess",
+    signerField: "owner",
+    fields: [
+      { name: "recordId", type: "bytes32" },
+      { name: "grantee", type: "address" },
+      { name: "validUntil", type: "uint256" },
+      { name: "scope", type: "bytes32" }
+    ],
+    method: "grantAccessBySig"
+  },
+  revokeAccess: {
+    primaryType: "RevokeAccess",
+    signerField: "owner",
+    fields: [
+      { name: "recordId", type: "bytes32" },
+      { name: "grantee", type: "address" }
+    ],
+    method: "revokeAccessBySig"
+  },
+  requestAccess: {
+    primaryType: "RequestAccess",
+    signerField: "requester",
+    fields: [
+      { name: "recordId", type: "bytes32" },
+      { name: "reason", type: "string" }
+    ],
+    method: "requestAccessBySig"
+  },
+  approveRequest: {
+    primaryType: "ApproveRequest",
+    signerField: "owner",
+    fields: [
+      { name: "requestId", type: "uint256" },
+      { name: "validUntil", type: "uint256" },
+      { name: "scope", type: "bytes32" }
+    ],
+    method: "approveRequestBySig"
+  },
+  denyRequest: {
+    primaryType: "DenyRequest",
+    signerField: "owner",
+    fields: [{ name: "requestId", type: "uint256" }],
+    method: "denyRequestBySig"
+  },
+  emergencyAccess: {
+    primaryType: "EmergencyAccess",
+    signerField: "provider",
+    fields: [
+      { name: "recordId", type: "bytes32" },
+      { name: "justificationHash", type: "bytes32" },
+      { name: "validForSeconds", type: "uint256" }
+    ],
+    method: "emergencyAccessBySig"
+  }
+};
+
+function getAction(name) {
+  const action = Object.prototype.hasOwnProperty.call(ACTIONS, name)
+    ? ACTIONS[name]
+    : null;
+  if (!action) {
+    throw new Error(`unknown relay action "${name}"`);
+  }
+  return action;
+}
+
+// Normalize user-supplied params to the EIP-712 field types; throws with a
+// user-facing message on anything malformed.
+function normalizeParams(action, params = {}) {
+  const out = {};
+  for (const { name, type } of action.fields) {
+    const value = params[name];
+    if (type === "address") {
+      if (!ethers.isAddress(value)) {
+        throw new Error(`params.${name} must be an address`);
+      }
+      out[name] = ethers.getAddress(value);
+    } else if (type === "bytes32") {
+      if (!ethers.isHexString(value, 32)) {
+        throw new Error(`params.${name} must be a 32-byte hex string`);
+      }
+      out[name] = value.toLowerCase();
+    } else if (type === "uint256") {
+      try {
+        out[name] = BigInt(value == null ? 0 : value).toString();
+      } catch {
+        throw new Error(`params.${name} must be an unsigned integer`);
+      }
+      if (BigInt(out[name]) < 0n) {
+        throw new Error(`params.${name} must be an unsigned integer`);
+      }
+    } else {
+      if (typeof value !== "string") {
+        throw new Error(`params.${name} must be a string`);
+      }
+      out[name] = value;
+    }
+  }
+  return out;
+}
+
+function typesFor(action) {
+  return {
+    [action.primaryType]: [
+      { name: action.signerField, type: "address" },
+      ...action.fields,
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+}
+
+// `deps`: { store, getContract(signerOrProvider), getSigner(), provider }
+function createRelayer({ store, getContract, getSigner, provider }) {
+  // jobId -> { promise, resolve } for callers waiting on a job in this process
+  const waiters = new Map();
+  let queue = Promise.resolve();
+
+  async function getDomain() {
+    const contract = await getContract(provider);
+    const domain = await contract.eip712Domain();
+    return {
+      name: domain.name,
+      version: domain.version,
+      chainId: Number(domain.chainId),
+      verifyingContract: domain.verifyingContract
+    };
+  }
+
+  async function buildMessage(action, signer, params, deadline) {
+    const contract = await getContract(provider);
+    const nonce = await contract.nonces(signer);
+    return {
+      [action.signerField]: ethers.getAddress(signer),
+      ...params,
+      nonce: nonce.toString(),
+      deadline: String(deadline)
+    };
+  }
+
+  // Typed data for `signer` to sign with eth_signTypedData_v4 (minus the
+  // EIP712Domain type, which wallets derive from `domain`).
+  async function buildTypedData(actionName, signer, rawParams) {
+    const action = getAction(actionName);
+    const params = normalizeParams(action, rawParams);
+    const deadline = Math.floor(Date.now() / 1000) + DEADLINE_SECONDS;
+    return {
+      domain: await getDomain(),
+      types: typesFor(action),
+      primaryType: action.primaryType,
+      message: await buildMessage(action, signer, params, deadline)
+    };
+  }
+
+  function settle(job) {
+    const waiter = waiters.get(job.id);
+    if (waiter) {
+      waiters.delete(job.id);
+      waiter.resolve(job);
+    }
+  }
+
+  async function finish(id, changes) {
+    const job = await store.relayJobs.update(id, {
+      ...changes,
+      updatedAt: new Date().toISOString()
+    });
+    settle(job);
+    return job;
+  }
+
+  async function send(job, args) {
+    try {
+      const contract = await getContract(await getSigner());
+      const tx = await contract[getAction(job.action).method](...args);
+      await store.relayJobs.update(job.id, {
+        status: "submitted",
+        txHash: tx.hash,
+        updatedAt: new Date().toISOString()
+      });
+      const receipt = await tx.wait();
+      if (!receipt || receipt.status !== 1) {
+        return finish(job.id, {
+          status: "failed",
+          error: "transaction reverted"
+        });
+      }
+      return finish(job.id, {
+        status: "mined",
+        blockNumber: receipt.blockNumber
+      });
+    } catch (err) {
+      console.error(`[RELAY] Job ${job.id} (${job.action}) failed:`, err);
+      return finish(job.id, {
+        status: "failed",
+        error: err.shortMessage || err.message
+      });
+    }
+  }
+
+  // Check and queue a signed request. Rejects (with a user-facing message)
+  // requests that would certainly fail -- bad params, wrong signer, stale
+  // nonce, expired deadline, or a call the contract would revert -- before
+  // any gas is spent. Resolves with the queued job.
+  async function submit({
+    action: actionName,
+    signer,
+    params,
+    deadline,
+    signature
+  }) {
+    const action = getAction(actionName);
+    const normalized = normalizeParams(action, params);
+    if (!ethers.isHexString(signature)) {
+      throw new Error("relay.signature must be a hex signature");
+    }
+    if (!deadline || Number(deadline) * 1000 < Date.now()) {
+      throw new Error("relay.deadline is missing or has passed");
+    }
+
+    const message = await buildMessage(action, signer, normalized, deadline);
+    let recovered;
+    try {
+      recovered = ethers.verifyTypedData(
+        await getDomain(),
+        typesFor(action),
+        message,
+        signature
+      );
+    } catch {
+      throw new Error("malformed signature");
+    }
+    if (recovered !== ethers.getAddress(signer)) {
+      throw new Error(
+        "signature does not match this request (was it signed for an older nonce?)"
+      );
+    }
+
+    const args = [
+      message[action.signerField],
+      ...action.fields.map((f) => normalized[f.name]),
+      message.deadline,
+      signature
+    ];
+    const contract = await getContract(await getSigner());
+    try {
+      await contract[action.method].staticCall(...args);
+    } catch (err) {
+      throw new Error(err.reason || err.shortMessage || "call would revert");
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      action: actionName,
+      signer: message[action.signerField],
+      params: normalized,
+      deadline: message.deadline,
+      status: "queued",
+      txHash: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    await store.relayJobs.create(job);
+
+    let resolve;
+    const promise = new Promise((r) => {
+      resolve = r;
+    });
+    waiters.set(job.id, { promise, resolve });
+
+    queue = queue.catch(() => {}).then(() => send(job, args));
+    return job;
+  }
+
+  // Resolve once the job has been mined or has failed.
+  async function wait(jobId) {
+    const waiter = waiters.get(jobId);
+    if (waiter) return waiter.promise;
+    return store.relayJobs.get(jobId);
+  }
+
+  // submit + wait, for routes that need the outcome before answering.
+  // Resolves with { job, receipt }; throws if the job failed.
+  async function run(request) {
+    const queued = await submit(request);
+    const job = await wait(queued.id);
+    if (job.status !== "mined") {
+      throw new Error(job.error || "relayed transaction failed");
+    }
+    return { job, receipt: await provider.getTransactionReceipt(job.txHash) };
+  }
+
+  // Jobs left unfinished by a previous process: look up submitted ones on
+  // chain; queued ones never reached the chain and their signature may have
+  // expired, so they are failed and the user signs again.
+  async function recover() {
+    for (const job of await store.relayJobs.list()) {
+      if (job.status === "queued") {
+        await finish(job.id, {
+          status: "failed",
+          error: "relayer restarted before submitting"
+        });
+      } else if (job.status === "submitted") {
+        const receipt = await provider.getTransactionReceipt(job.txHash);
+        if (receipt) {
+          await finish(
+            job.id,
+            receipt.status === 1
+              ? { status: "mined", blockNumber: receipt.blockNumber }
+              : { status: "failed", error: "transaction reverted" }
+          );
+        }
+      }
+    }
+  }
+
+  return { buildTypedData, submit, wait, run, recover };
+}
+
+module.exports = { ACTIONS, createRelayer };
@@ -0,0 +1,340 @@
+// backend/src/reports.js
+//
+// Compliance reports for auditors, built from the chain index (see
+// history.js): access statistics across every patient and provider, and
+// anomalies worth a closer look:
+//   read-after-revoke       a successful read of a record after the reader's
+//                           grant was revoked and before any new grant
+//   repeated-failed-access  AUDIT_FAILED_ACCESS_THRESHOLD or more refused
+//                           accesses to one record by one account within a day
+//   frequent-emergency-use  AUDIT_EMERGENCY_THRESHOLD or more break-glass
+//                           accesses by one provider in the report period
+// A report renders as JSON, CSV, or a plain-text PDF.
+
+const { loadAccessHistory } = require("./history");
+
+const FAILED_ACCESS_THRESHOLD = Number(
+  process.env.AUDIT_FAILED_ACCESS_THRESHOLD || 3
+);
+const FAILED_ACCESS_WINDOW_MS = 24 * 60 * 60 * 1000;
+const EMERGENCY_THRESHOLD = Number(process.env.AUDIT_EMERGENCY_THRESHOLD || 3);
+
+function timeOf(entry) {
+  return entry.timestamp ? Date.parse(entry.timestamp) : NaN;
+}
+
+// Anomalies over the whole history (a revocation before the period still
+// matters for a read inside it), oldest first.
+function findAnomalies(history) {
+  const anomalies = [];
+  const revoked = new Set();
+  const failures = new Map();
+
+  for (const entry of history) {
+    const key = `${entry.recordIdHash}:${entry.actor}`.toLowerCase();
+    if (entry.type === "grant" || entry.type === "emergency") {
+      revoked.delete(key);
+    } else if (entry.type === "revoke") {
+      revoked.add(key);
+    } else if (entry.success && revoked.has(key)) {
+      anomalies.push({
+        type: "read-after-revoke",
+        actor: entry.actor,
+        recordIdHash: entry.recordIdHash,
+        timestamp: entry.timestamp,
+        txHash: entry.txHash,
+        message: `${entry.action} succeeded after access was revoked`
+      });
+    } else if (!entry.success) {
+      if (!failures.has(key)) failures.set(key, []);
+      failures.get(key).push(entry);
+    }
+  }
+
+  // The busiest day-long window of refusals for each account and record
+  for (const list of failures.values()) {
+    let best = null;
+    let start = 0;
+    list.forEach((entry, end) => {
+      while (timeOf(entry) - timeOf(list[start]) > FAILED_ACCESS_WINDOW_MS) {
+        start += 1;
+      }
+      const count = end - start + 1;
+      if (!best || count >= best.count) best = { count, first: start, end };
+    });
+    if (best.count >= FAILED_ACCESS_THRESHOLD) {
+      const last = list[best.end];
+      anomalies.push({
+        type: "repeated-failed-access",
+        actor: last.actor,
+        recordIdHash: last.recordIdHash,
+        timestamp: last.timestamp,
+        txHash: last.txHash,
+        count: best.count,
+        message: `${best.count} refused accesses since ${list[best.first].timestamp}`
+      });
+    }
+  }
+
+  return anomalies.sort((a, b) => timeOf(a) - timeOf(b));
+}
+
+// `options`: { from, to (ms or null), labels (recordIdHash -> local ID),
+//              emergencyEntries (store.emergencyAccess.list()), now }
+function buildComplianceReport(indexer, options = {}) {
+  const {
+    from = null,
+    to = null,
+    labels = new Map(),
+    now = Date.now()
+  } = options;
+  const inPeriod = (ms) =>
+    (from === null || ms >= from) && (to === null || ms <= to);
+  const history = loadAccessHistory(indexer).reverse();
+  const period = history.filter((entry) => inPeriod(timeOf(entry)));
+
+  const providers = new Map();
+  function providerStats(address) {
+    const key = address.toLowerCase();
+    if (!providers.has(key)) {
+      providers.set(key, {
+        address,
+        grants: 0,
+        revokes: 0,
+        reads: 0,
+        failedAccesses: 0,
+        emergencies: 0,
+        unjustifiedEmergencies: 0
+      });
+    }
+    return providers.get(key);
+  }
+
+  const totals = {
+    grants: 0,
+    revokes: 0,
+    reads: 0,
+    failedAccesses: 0,
+    emergencies: 0
+  };
+  for (const entry of period) {
+    const stats = providerStats(entry.actor);
+    const field =
+      entry.type === "grant"
+        ? "grants"
+        : entry.type === "revoke"
+          ? "revokes"
+          : entry.type === "emergency"
+            ? "emergencies"
+            : entry.success
+              ? "reads"
+              : "failedAccesses";
+    stats[field] += 1;
+    totals[field] += 1;
+  }
+  for (const entry of options.emergencyEntries || []) {
+    if (
+      entry.review &&
+      entry.review.verdict === "unjustified" &&
+      inPeriod(Date.parse(entry.createdAt))
+    ) {
+      providerStats(entry.provider).unjustifiedEmergencies += 1;
+    }
+  }
+
+  const anomalies = findAnomalies(history).filter((a) => inPeriod(timeOf(a)));
+  for (const stats of providers.values()) {
+    if (stats.emergencies >= EMERGENCY_THRESHOLD) {
+      anomalies.push({
+        type: "frequent-emergency-use",
+        actor: stats.address,
+        recordIdHash: null,
+        timestamp: null,
+        txHash: null,
+        count: stats.emergencies,
+        message: `${stats.emergencies} break-glass accesses in this period`
+      });
+    }
+  }
+
+  const records = indexer.records();
+  return {
+    generatedAt: new Date(now).toISOString(),
+    from: from === null ? null : new Date(from).toISOString(),
+    to: to === null ? null : new Date(to).toISOString(),
+    totals: {
+      records: records.length,
+      patients: new Set(records.map((r) => r.owner.toLowerCase())).size,
+      providers: providers.size,
+      ...totals
+    },
+    providers: [...providers.values()].sort(
+      (a, b) =>
+        b.reads +
+        b.failedAccesses +
+        b.emergencies -
+        (a.reads + a.failedAccesses + a.emergencies)
+    ),
+    anomalies: anomalies.map((a) => ({
+      ...a,
+      recordId: a.recordIdHash
+        ? labels.get(a.recordIdHash.toLowerCase()) || null
+        : null
+    }))
+  };
+}
+
+// ---- CSV ----
+
+function csvRow(values) {
+  return values
+    .map((value) => {
+      const text = value == null ? "" : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",");
+}
+
+const PROVIDER_COLUMNS = [
+  ["address", "Account"],
+  ["grants", "Grants"],
+  ["revokes", "Revokes"],
+  ["reads", "Reads"],
+  ["failedAccesses", "Refused accesses"],
+  ["emergencies", "Break-glass accesses"],
+  ["unjustifiedEmergencies", "Unjustified break-glass"]
+];
+
+function reportToCsv(report) {
+  const rows = [
+    ["PrivaMed compliance report"],
+    ["Generated", report.generatedAt],
+    ["From", report.from || "beginning"],
+    ["To", report.to || "now"],
+    [],
+    ["Total", "Count"],
+    ...Object.entries(report.totals),
+    [],
+    PROVIDER_COLUMNS.map(([, title]) => title),
+    ...report.providers.map((p) => PROVIDER_COLUMNS.map(([key]) => p[key])),
+    [],
+    ["Anomaly", "Account", "Record", "Time", "Transaction", "Details"],
+    ...report.anomalies.map((a) => [
+      a.type,
+      a.actor,
+      a.recordId || a.recordIdHash,
+      a.timestamp,
+      a.txHash,
+      a.message
+    ])
+  ];
+  return rows.map(csvRow).join("\n") + "\n";
+}
+
+// ---- PDF ----
+// Plain text in Courier on A4 pages; enough for a printable report without a
+// PDF library.
+
+const PDF_LINES_PER_PAGE = 64;
+const PDF_LINE_WIDTH = 92;
+
+function reportLines(report) {
+  const lines = [
+    "PrivaMed compliance report",
+    "",
+    `Generated  ${report.generatedAt}`,
+    `Period     ${report.from || "beginning"} .. ${report.to || "now"}`,
+    "",
+    "Totals"
+  ];
+  for (const [key, value] of Object.entries(report.totals)) {
+    lines.push(`  ${key.padEnd(16)} ${value}`);
+  }
+  lines.push(
+    "",
+    "Per account (grants revokes reads refused break-glass unjustified)"
+  );
+  if (!report.providers.length) lines.push("  none");
+  for (const p of report.providers) {
+    lines.push(
+      `  ${p.address} ${PROVIDER_COLUMNS.slice(1)
+        .map(([key]) => String(p[key]).padStart(4))
+        .join(" ")}`
+    );
+  }
+  lines.push("", "Anomalies");
+  if (!report.anomalies.length) lines.push("  none");
+  for (const a of report.anomalies) {
+    lines.push(`  ${a.type}  ${a.actor}`);
+    if (a.recordIdHash) {
+      lines.push(`    record ${a.recordId || a.recordIdHash}`);
+    }
+    lines.push(`    ${a.timestamp ? `${a.timestamp}  ` : ""}${a.message}`);
+    if (a.txHash) lines.push(`    tx ${a.txHash}`);
+  }
+
+  // Wrap long lines, keeping their indentation
+  return lines.flatMap((line) => {
+    const out = [];
+    let rest = line;
+    while (rest.length > PDF_LINE_WIDTH) {
+      out.push(rest.slice(0, PDF_LINE_WIDTH));
+      rest = `      ${rest.slice(PDF_LINE_WIDTH)}`;
+    }
+    out.push(rest);
+    return out;
+  });
+}
+
+function pdfText(line) {
+  return line.replace(/[^\x20-\x7e]/g, "?").replace(/[\\()]/g, "\\$&");
+}
+
+function reportToPdf(report) {
+  const lines = reportLines(report);
+  const pages = [];
+  for (let i = 0; i < lines.length; i += PDF_LINES_PER_PAGE) {
+    pages.push(lines.slice(i, i + PDF_LINES_PER_PAGE));
+  }
+
+  // Objects: 1 catalog, 2 page tree, 3 font, then a page and its content
+  // stream for each page
+  const objects = [];
+  const pageIds = pages.map((_, i) => 4 + i * 2);
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds
+    .map((id) => `${id} 0 R`)
+    .join(" ")}] /Count ${pages.length} >>`;
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>";
+  pages.forEach((pageLines, i) => {
+    const stream = [
+      "BT",
+      "/F1 9 Tf",
+      "11 TL",
+      "40 800 Td",
+      ...pageLines.map((line) => `(${pdfText(line)}) '`),
+      "ET"
+    ].join("\n");
+    objects[pageIds[i]] =
+      "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] " +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+    objects[pageIds[i] + 1] =
+      `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf);
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+module.exports = { buildComplianceReport, reportToCsv, reportToPdf };
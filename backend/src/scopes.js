@@ -0,0 +1,85 @@
+// backend/src/scopes.js
+//
+// Vocabulary for AccessGrant.scope. On-chain a scope is an opaque bytes32
+// bitmask (PrivaMed.isAuthorizedFor checks that a grant covers given bits);
+// this table gives each bit its meaning. A zero scope is a full grant, which
+// is also what every grant made before scopes existed carries.
+// client/src/scopes.js mirrors this table for the grant form.
+
+const { ethers } = require("ethers");
+
+// scope name -> bit
+const SCOPE_BITS = {
+  // Sections of the record envelope
+  "read-note": 0,
+  "read-attachments": 1,
+  // FHIR resource types inside a record's FHIR bundle
+  "fhir:Patient": 16,
+  "fhir:Encounter": 17,
+  "fhir:Condition": 18,
+  "fhir:Observation": 19,
+  "fhir:MedicationRequest": 20,
+  "fhir:MedicationStatement": 21,
+  "fhir:AllergyIntolerance": 22,
+  "fhir:Immunization": 23,
+  "fhir:Procedure": 24,
+  "fhir:DiagnosticReport": 25,
+  "fhir:DocumentReference": 26
+};
+
+const SCOPE_NAMES = Object.keys(SCOPE_BITS);
+
+// Names -> bytes32 hex; throws on unknown names. No names is a full grant.
+function encodeScope(names = []) {
+  let mask = 0n;
+  for (const name of names) {
+    if (!Object.prototype.hasOwnProperty.call(SCOPE_BITS, name)) {
+      throw new Error(`unknown scope "${name}"`);
+    }
+    mask |= 1n << BigInt(SCOPE_BITS[name]);
+  }
+  return ethers.toBeHex(mask, 32);
+}
+
+// bytes32 hex -> names, or null for a full grant. Bits outside the vocabulary
+// are ignored.
+function decodeScope(scope) {
+  const mask = BigInt(scope || 0);
+  if (mask === 0n) return null;
+  return SCOPE_NAMES.filter((name) => (mask >> BigInt(SCOPE_BITS[name])) & 1n);
+}
+
+function scopeAllows(scope, name) {
+  const names = decodeScope(scope);
+  return names === null || names.includes(name);
+}
+
+// Records are sealed section by section, each under its own key, so that a
+// grantee is only ever handed the keys its scope covers. The base section (the
+// kind of record, a bundle's own metadata) goes to every grantee; every other
+// section is named after the scope that covers it.
+const BASE_SECTION = "base";
+
+function isSectionName(name) {
+  return (
+    name === BASE_SECTION ||
+    Object.prototype.hasOwnProperty.call(SCOPE_BITS, name)
+  );
+}
+
+// The bits PrivaMed.isAuthorizedFor must find granted before `section`'s key
+// is released (none for the base section)
+function sectionScope(section) {
+  return section === BASE_SECTION ? ethers.ZeroHash : encodeScope([section]);
+}
+
+module.exports = {
+  SCOPE_BITS,
+  SCOPE_NAMES,
+  encodeScope,
+  decodeScope,
+  scopeAllows,
+  BASE_SECTION,
+  isSectionName,
+  sectionScope
+};
@@ -0,0 +1,104 @@
+// backend/src/store/consistency.js
+//
+// Startup check that the persisted record metadata still matches the chain.
+// A Ganache restart or a redeployed contract silently invalidates every stored
+// recordIdHash, and a lost store leaves on-chain records whose keys are gone;
+// both are worth shouting about before anyone tries to share a record.
+
+async function checkRecordConsistency(store, contract) {
+  const events = await contract.queryFilter(
+    contract.filters.RecordAdded(),
+    0,
+    "latest"
+  );
+  // Key rotation re-points records at new CIDs (oldest first)
+  const updates = await contract.queryFilter(
+    contract.filters.RecordUpdated(),
+    0,
+    "latest"
+  );
+
+  // recordIdHash (lowercase) -> { cid, owner, blockNumber }
+  const onChain = new Map();
+  for (const ev of events) {
+    onChain.set(ev.args.recordId.toLowerCase(), {
+      cid: ev.args.cid,
+      owner: ev.args.owner,
+      blockNumber: ev.blockNumber
+    });
+  }
+  for (const ev of updates) {
+    const chainRecord = onChain.get(ev.args.recordId.toLowerCase());
+    if (chainRecord) {
+      chainRecord.cid = ev.args.newCid;
+    }
+  }
+
+  const report = {
+    checkedAt: new Date().toISOString(),
+    onChainCount: onChain.size,
+    localCount: 0,
+    offChainOnly: [],
+    missingOnChain: [],
+    cidMismatch: [],
+    unknownLocally: []
+  };
+
+  const seen = new Set();
+  for (const [recordId, meta] of await store.records.entries()) {
+    report.localCount += 1;
+    if (!meta.recordIdHash) {
+      report.offChainOnly.push(recordId);
+      continue;
+    }
+
+    const key = meta.recordIdHash.toLowerCase();
+    seen.add(key);
+    const chainRecord = onChain.get(key);
+    if (!chainRecord) {
+      report.missingOnChain.push({ recordId, recordIdHash: meta.recordIdHash });
+    } else if (chainRecord.cid !== meta.cid) {
+      report.cidMismatch.push({
+        recordId,
+        recordIdHash: meta.recordIdHash,
+        localCid: meta.cid,
+        chainCid: chainRecord.cid
+      });
+    }
+  }
+
+  for (const [key, chainRecord] of onChain.entries()) {
+    if (seen.has(key)) continue;
+    report.unknownLocally.push({ recordIdHash: key, ...chainRecord });
+  }
+
+  report.ok =
+    report.missingOnChain.length === 0 &&
+    report.cidMismatch.length === 0 &&
+    report.unknownLocally.length === 0;
+
+  return report;
+}
+
+function logConsistencyReport(report) {
+  console.log(
+    `[STORE] Consistency check: ${report.localCount} local records, ${report.onChainCount} RecordAdded events`
+  );
+  for (const r of report.missingOnChain) {
+    console.warn(
+      `[STORE] Record ${r.recordId} (${r.recordIdHash}) has no RecordAdded event on this chain`
+    );
+  }
+  for (const r of report.cidMismatch) {
+    console.warn(
+      `[STORE] Record ${r.recordId} CID mismatch: local ${r.localCid}, chain ${r.chainCid}`
+    );
+  }
+  for (const r of report.unknownLocally) {
+    console.warn(
+      `[STORE] On-chain record ${r.recordIdHash} (CID ${r.cid}) has no local metadata; its key is unrecoverable`
+    );
+  }
+}
+
+module.exports = { checkRecordConsistency, logConsistencyReport };
@@ -0,0 +1,138 @@
+// backend/src/store/drivers.js
+//
+// Persistence drivers for the backend store. The store keeps its collections
+// as rows -- (collection, key) -> JSON value -- and a driver only moves those
+// rows in and out of some medium:
+//
+//   load()          -> Promise<[{ collection, key, value }] | null>
+//                      every row, oldest first (null when nothing was saved)
+//   write(changes)  -> Promise<void>
+//                      apply [{ collection, key, value }] atomically; a
+//                      value of undefined deletes the row. A row written again
+//                      keeps its place in the load order.
+//
+// `write(changes, { replace: true })` drops every existing row first. A driver
+// that finds data in an older whole-state format can have load() return a
+// single { collection: "snapshot", value: state } row instead; the store then
+// migrates that state and writes it back with replace. Anything else (a KV
+// service, another database, ...) can be plugged in by implementing those two
+// methods and passing it to createStore().
+
+const fs = require("fs");
+const path = require("path");
+
+function rowId(collection, key) {
+  return `${collection}\u0000${key}`;
+}
+
+// Keeps rows in process memory only; useful for tests and throwaway demos.
+function createMemoryDriver() {
+  // Insertion-ordered, so overwriting a row keeps its place like SQLite does
+  let rows = null;
+  return {
+    name: "memory",
+    async load() {
+      if (!rows) return null;
+      return [...rows.values()].map((row) => ({
+        ...row,
+        value: JSON.parse(row.value)
+      }));
+    },
+    async write(changes, { replace = false } = {}) {
+      const next = new Map(replace || !rows ? [] : rows);
+      for (const { collection, key, value } of changes) {
+        if (value === undefined) {
+          next.delete(rowId(collection, key));
+        } else {
+          next.set(rowId(collection, key), {
+            collection,
+            key,
+            value: JSON.stringify(value)
+          });
+        }
+      }
+      rows = next;
+    }
+  };
+}
+
+// Keeps rows in a SQLite database (privamed.db). Each write() is one
+// transaction, and SQLite's journal makes it all-or-nothing across crashes. A
+// JSON file from the earlier single-file store (privamed-store.json) found
+// next to an empty database is returned by load() once so the store can
+// import it; it is renamed to privamed-store.json.imported afterwards.
+function createSqliteDriver(dataDir) {
+  const Database = require("better-sqlite3");
+
+  fs.mkdirSync(dataDir, { recursive: true });
+  const filePath = path.join(dataDir, "privamed.db");
+  const legacyPath = path.join(dataDir, "privamed-store.json");
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS entries (
+      id INTEGER PRIMARY KEY,
+      collection TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      UNIQUE (collection, key)
+    )
+  `);
+
+  const selectAll = db.prepare(
+    "SELECT collection, key, value FROM entries ORDER BY id"
+  );
+  const upsert = db.prepare(`
+    INSERT INTO entries (collection, key, value) VALUES (?, ?, ?)
+    ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value
+  `);
+  const remove = db.prepare(
+    "DELETE FROM entries WHERE collection = ? AND key = ?"
+  );
+  const removeAll = db.prepare("DELETE FROM entries");
+
+  const apply = db.transaction((changes, replace) => {
+    if (replace) removeAll.run();
+    for (const { collection, key, value } of changes) {
+      if (value === undefined) {
+        remove.run(collection, String(key));
+      } else {
+        upsert.run(collection, String(key), JSON.stringify(value));
+      }
+    }
+  });
+
+  let legacy = null;
+
+  return {
+    name: "sqlite",
+    filePath,
+    db,
+    async load() {
+      const rows = selectAll.all();
+      if (rows.length > 0) {
+        return rows.map((row) => ({ ...row, value: JSON.parse(row.value) }));
+      }
+      try {
+        legacy = JSON.parse(await fs.promises.readFile(legacyPath, "utf8"));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+      console.log(`[STORE] Importing ${legacyPath} into ${filePath}`);
+      return [{ collection: "snapshot", key: "state", value: legacy }];
+    },
+    async write(changes, { replace = false } = {}) {
+      apply(changes, replace);
+      if (legacy && replace) {
+        legacy = null;
+        await fs.promises.rename(legacyPath, `${legacyPath}.imported`);
+      }
+    },
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createMemoryDriver, createSqliteDriver };
@@ -0,0 +1,477 @@
+// backend/src/store/index.js
+//
+// Persistent backend state: record metadata (recordId -> CID/wrapped keys/
+// on-chain ID), users' encryption public keys, per-address notifications and
+// notification preferences, outbound delivery targets and jobs, the chain log
+// console, relayer jobs, break-glass events, the provider directory, the
+// chain event index and the client transactions routes have acted on. The
+// collections below are the only way the rest of the backend touches this
+// data; where the bytes end up is decided by the driver (see drivers.js).
+//
+// The whole state is held in memory and every change is written through to
+// the driver as the rows it touched, so a write costs the rows it changes
+// rather than the size of the store.
+
+const path = require("path");
+const { createMemoryDriver, createSqliteDriver } = require("./drivers");
+const { runMigrations } = require("./migrations");
+
+const NOTIFICATION_LIMIT = 200;
+const CHAIN_LOG_LIMIT = 100;
+const RELAY_JOB_LIMIT = 500;
+const DELIVERY_LIMIT = 1000;
+
+// Collections kept as key -> value maps (one row per key)
+const MAP_COLLECTIONS = [
+  "records",
+  "publicKeys",
+  "notifications",
+  "notificationPreferences",
+  "deliveryTargets",
+  "providers",
+  "handledTxs"
+];
+// Collections kept as lists, newest first (one row per item, keyed by its id)
+const LIST_COLLECTIONS = [
+  "chainLogs",
+  "relayJobs",
+  "emergencyAccess",
+  "deliveries"
+];
+// Collections kept as lists, oldest first (one row per item, keyed by its id)
+const APPEND_COLLECTIONS = ["chainEvents"];
+// Anything else at the top level (schemaVersion, chainIndex, ...) is one row
+// in the "meta" collection
+const META = "meta";
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+// Driver rows (oldest first) -> state
+function stateFromRows(rows) {
+  const state = {};
+  for (const name of MAP_COLLECTIONS) state[name] = {};
+  for (const name of LIST_COLLECTIONS) state[name] = [];
+  for (const name of APPEND_COLLECTIONS) state[name] = [];
+  for (const { collection, key, value } of rows) {
+    if (collection === META) {
+      state[key] = value;
+    } else if (LIST_COLLECTIONS.includes(collection)) {
+      (state[collection] = state[collection] || []).unshift(value);
+    } else if (APPEND_COLLECTIONS.includes(collection)) {
+      (state[collection] = state[collection] || []).push(value);
+    } else {
+      (state[collection] = state[collection] || {})[key] = value;
+    }
+  }
+  return state;
+}
+
+// state -> every row it is made of, oldest first
+function rowsFromState(state) {
+  const rows = [];
+  for (const [name, value] of Object.entries(state)) {
+    if (MAP_COLLECTIONS.includes(name)) {
+      for (const [key, entry] of Object.entries(value)) {
+        rows.push({ collection: name, key, value: entry });
+      }
+    } else if (LIST_COLLECTIONS.includes(name)) {
+      for (const item of [...value].reverse()) {
+        rows.push({ collection: name, key: item.id, value: item });
+      }
+    } else if (APPEND_COLLECTIONS.includes(name)) {
+      for (const item of value) {
+        rows.push({ collection: name, key: item.id, value: item });
+      }
+    } else {
+      rows.push({ collection: META, key: name, value });
+    }
+  }
+  return rows;
+}
+
+async function createStore(driver) {
+  const rows = (await driver.load()) || [];
+  const snapshot = rows.find((row) => row.collection === "snapshot");
+  const state = snapshot ? snapshot.value : stateFromRows(rows);
+  const applied = runMigrations(state);
+
+  // Serialize writes so concurrent requests reach the driver in order. Values
+  // are copied when a change is made, not when it is written.
+  let pendingWrite = Promise.resolve();
+  function write(changes, options) {
+    pendingWrite = pendingWrite
+      .catch(() => {})
+      .then(() => driver.write(changes, options));
+    return pendingWrite;
+  }
+  function put(collection, key, value) {
+    return { collection, key, value: clone(value) };
+  }
+  function persist(...changes) {
+    return write(changes);
+  }
+
+  if (applied.length > 0 || snapshot) {
+    // Migrations may touch any row; rewrite them all once
+    await write(rowsFromState(clone(state)), { replace: true });
+  }
+
+  // Keep a list collection within `limit`, dropping from the oldest end the
+  // items `droppable` allows (all of them by default). Returns the delete rows.
+  function trim(name, limit, droppable = () => true) {
+    const list = state[name];
+    const dropped = [];
+    for (let i = list.length - 1; list.length > limit && i >= 0; i--) {
+      if (droppable(list[i])) {
+        dropped.push(list[i]);
+        list.splice(i, 1);
+      }
+    }
+    return dropped.map((item) => put(name, item.id, undefined));
+  }
+
+  // Merge `changes` into the item with `id` in a list collection; resolves
+  // with the updated item (or null).
+  async function updateListItem(name, id, changes) {
+    const item = state[name].find((entry) => entry.id === id);
+    if (!item) return null;
+    Object.assign(item, clone(changes));
+    await persist(put(name, id, item));
+    return clone(item);
+  }
+
+  const records = {
+    async get(recordId) {
+      return clone(state.records[recordId]) || null;
+    },
+    async has(recordId) {
+      return Object.prototype.hasOwnProperty.call(state.records, recordId);
+    },
+    async set(recordId, meta) {
+      state.records[recordId] = clone(meta);
+      await persist(put("records", recordId, meta));
+    },
+    // Read-modify-write one record without other writers interleaving: `fn`
+    // gets a copy of the metadata to mutate and runs synchronously, so nothing
+    // else can change the record between the read and the write. Resolves with
+    // the updated metadata, or null (without calling `fn`) if there is no such
+    // record. If `fn` throws, nothing is written.
+    async update(recordId, fn) {
+      const current = state.records[recordId];
+      if (!current) return null;
+      const meta = clone(current);
+      fn(meta);
+      state.records[recordId] = meta;
+      await persist(put("records", recordId, meta));
+      return clone(meta);
+    },
+    // Returns [recordId, meta] pairs, like Map.prototype.entries().
+    async entries() {
+      return Object.entries(clone(state.records));
+    },
+    async findByHash(recordIdHash) {
+      if (!recordIdHash) return null;
+      const target = recordIdHash.toLowerCase();
+      for (const [recordId, meta] of Object.entries(state.records)) {
+        if (meta.recordIdHash && meta.recordIdHash.toLowerCase() === target) {
+          return [recordId, clone(meta)];
+        }
+      }
+      return null;
+    }
+  };
+
+  const publicKeys = {
+    async get(address) {
+      return clone(state.publicKeys[address.toLowerCase()]) || null;
+    },
+    async set(address, entry) {
+      const key = address.toLowerCase();
+      state.publicKeys[key] = clone(entry);
+      await persist(put("publicKeys", key, entry));
+    }
+  };
+
+  const notifications = {
+    // Newest first; past NOTIFICATION_LIMIT the oldest read notifications go
+    // first, so unread ones are only dropped once nothing else is left.
+    async push(address, entry) {
+      const key = address.toLowerCase();
+      const list = [clone(entry), ...(state.notifications[key] || [])];
+      for (
+        let i = list.length - 1;
+        list.length > NOTIFICATION_LIMIT && i;
+        i--
+      ) {
+        if (list[i].read) list.splice(i, 1);
+      }
+      state.notifications[key] = list.slice(0, NOTIFICATION_LIMIT);
+      await persist(put("notifications", key, state.notifications[key]));
+    },
+    async list(address) {
+      return clone(state.notifications[address.toLowerCase()]) || [];
+    },
+    // Merge `changes` into one notification; resolves with it (or null).
+    async update(address, id, changes) {
+      const key = address.toLowerCase();
+      const list = state.notifications[key] || [];
+      const entry = list.find((n) => n.id === id);
+      if (!entry) return null;
+      Object.assign(entry, clone(changes));
+      await persist(put("notifications", key, list));
+      return clone(entry);
+    },
+    // Resolves with the IDs that were unread
+    async markAllRead(address) {
+      const key = address.toLowerCase();
+      const list = state.notifications[key] || [];
+      const unread = list.filter((n) => !n.read);
+      unread.forEach((n) => {
+        n.read = true;
+      });
+      if (unread.length) await persist(put("notifications", key, list));
+      return unread.map((n) => n.id);
+    },
+    async clear(address) {
+      const key = address.toLowerCase();
+      state.notifications[key] = [];
+      await persist(put("notifications", key, []));
+    }
+  };
+
+  const notificationPreferences = {
+    async get(address) {
+      return (
+        clone(state.notificationPreferences[address.toLowerCase()]) || null
+      );
+    },
+    async set(address, preferences) {
+      const key = address.toLowerCase();
+      state.notificationPreferences[key] = clone(preferences);
+      await persist(put("notificationPreferences", key, preferences));
+    }
+  };
+
+  const deliveryTargets = {
+    async get(address) {
+      return clone(state.deliveryTargets[address.toLowerCase()]) || null;
+    },
+    async set(address, targets) {
+      const key = address.toLowerCase();
+      state.deliveryTargets[key] = clone(targets);
+      await persist(put("deliveryTargets", key, targets));
+    }
+  };
+
+  // Outbound delivery jobs, newest first. Past DELIVERY_LIMIT the oldest
+  // delivered jobs go first; pending and dead-lettered ones are kept.
+  const deliveries = {
+    async create(job) {
+      state.deliveries.unshift(clone(job));
+      const dropped = trim(
+        "deliveries",
+        DELIVERY_LIMIT,
+        (j) => j.status === "delivered"
+      );
+      await persist(put("deliveries", job.id, job), ...dropped);
+    },
+    // Merge `changes` into a job; resolves with the updated job (or null).
+    async update(id, changes) {
+      return updateListItem("deliveries", id, changes);
+    },
+    async get(id) {
+      return clone(state.deliveries.find((j) => j.id === id)) || null;
+    },
+    // `filter`: { address, status }
+    async list(filter = {}) {
+      return clone(
+        state.deliveries.filter(
+          (j) =>
+            (!filter.address ||
+              j.address.toLowerCase() === filter.address.toLowerCase()) &&
+            (!filter.status || j.status === filter.status)
+        )
+      );
+    }
+  };
+
+  // The backend's own entries for the chain log console: a label and the gas
+  // used for each transaction it sent or verified (see GET /api/logs)
+  const chainLogs = {
+    async append(entry) {
+      state.chainLogs.unshift(clone(entry));
+      const dropped = trim("chainLogs", CHAIN_LOG_LIMIT);
+      await persist(put("chainLogs", entry.id, entry), ...dropped);
+    },
+    async list() {
+      return clone(state.chainLogs);
+    },
+    // Block number the console was last cleared at, or null
+    async clearedThrough() {
+      return state.chainLogsClearedThrough;
+    },
+    async clear(throughBlock) {
+      const dropped = state.chainLogs.map((e) => put("chainLogs", e.id));
+      state.chainLogs = [];
+      state.chainLogsClearedThrough = throughBlock;
+      await persist(
+        ...dropped,
+        put(META, "chainLogsClearedThrough", throughBlock)
+      );
+    }
+  };
+
+  const relayJobs = {
+    async create(job) {
+      state.relayJobs.unshift(clone(job));
+      const dropped = trim("relayJobs", RELAY_JOB_LIMIT);
+      await persist(put("relayJobs", job.id, job), ...dropped);
+    },
+    // Merge `changes` into a job; resolves with the updated job (or null).
+    async update(id, changes) {
+      return updateListItem("relayJobs", id, changes);
+    },
+    async get(id) {
+      return clone(state.relayJobs.find((j) => j.id === id)) || null;
+    },
+    // All jobs, or only those signed by `signer`; newest first.
+    async list(signer) {
+      const jobs = signer
+        ? state.relayJobs.filter(
+            (j) => j.signer.toLowerCase() === signer.toLowerCase()
+          )
+        : state.relayJobs;
+      return clone(jobs);
+    }
+  };
+
+  // Break-glass events are audit evidence, so unlike logs they are never
+  // trimmed.
+  const emergencyAccess = {
+    async create(entry) {
+      state.emergencyAccess.unshift(clone(entry));
+      await persist(put("emergencyAccess", entry.id, entry));
+    },
+    // Merge `changes` into an entry; resolves with the updated entry (or null).
+    async update(id, changes) {
+      return updateListItem("emergencyAccess", id, changes);
+    },
+    async get(id) {
+      return clone(state.emergencyAccess.find((e) => e.id === id)) || null;
+    },
+    // Newest first
+    async list() {
+      return clone(state.emergencyAccess);
+    }
+  };
+
+  // Client-sent transactions a route has acted on, so posting one again
+  // cannot repeat its side effects
+  const handledTxs = {
+    // Resolves false if `txHash` was already claimed
+    async claim(txHash, action) {
+      const key = txHash.toLowerCase();
+      if (state.handledTxs[key]) return false;
+      state.handledTxs[key] = { action, handledAt: new Date().toISOString() };
+      await persist(put("handledTxs", key, state.handledTxs[key]));
+      return true;
+    }
+  };
+
+  const providers = {
+    async get(address) {
+      return clone(state.providers[address.toLowerCase()]) || null;
+    },
+    async set(address, entry) {
+      const key = address.toLowerCase();
+      state.providers[key] = clone(entry);
+      await persist(put("providers", key, entry));
+    },
+    async list() {
+      return clone(Object.values(state.providers));
+    }
+  };
+
+  // The indexer owns the chain index: a small head row ({ contract, cursor,
+  // recentBlocks }) plus one row per event, so a pass only writes what it
+  // changed rather than every event indexed so far.
+  const chainIndex = {
+    // { contract, cursor, recentBlocks, events } or null
+    async load() {
+      if (!state.chainIndex) return null;
+      return { ...clone(state.chainIndex), events: clone(state.chainEvents) };
+    },
+    // Write back one indexing pass: the new head, the events above block
+    // `dropAbove` removed (after a reorg or rebuild; null keeps them all) and
+    // `added` appended, all in one write.
+    async save(head, { dropAbove = null, added = [] } = {}) {
+      const changes = [put(META, "chainIndex", head)];
+      const cut =
+        dropAbove === null
+          ? -1
+          : state.chainEvents.findIndex((e) => e.blockNumber > dropAbove);
+      if (cut !== -1) {
+        for (const e of state.chainEvents.splice(cut)) {
+          changes.push(put("chainEvents", e.id, undefined));
+        }
+      }
+      for (const e of added) {
+        state.chainEvents.push(clone(e));
+        changes.push(put("chainEvents", e.id, e));
+      }
+      state.chainIndex = clone(head);
+      await persist(...changes);
+    }
+  };
+
+  return {
+    driver: driver.name,
+    schemaVersion: state.schemaVersion,
+    records,
+    publicKeys,
+    notifications,
+    notificationPreferences,
+    deliveryTargets,
+    deliveries,
+    chainLogs,
+    relayJobs,
+    emergencyAccess,
+    providers,
+    chainIndex,
+    handledTxs,
+    // Resolves once every write issued so far has reached the driver.
+    flush: () => pendingWrite
+  };
+}
+
+// Build the store configured through the environment:
+//   PRIVAMED_STORE     "sqlite" (default) or "memory"; "file", the name of the
+//                      earlier single-JSON-file store, opens the SQLite store
+//                      and imports that file on first start
+//   PRIVAMED_DATA_DIR  directory for the SQLite database (default:
+//                      backend/data)
+async function openStore() {
+  const kind = (process.env.PRIVAMED_STORE || "sqlite").toLowerCase();
+  let driver;
+  if (kind === "memory") {
+    driver = createMemoryDriver();
+  } else if (kind === "sqlite" || kind === "file") {
+    const dataDir =
+      process.env.PRIVAMED_DATA_DIR || path.join(__dirname, "..", "..", "data");
+    driver = createSqliteDriver(dataDir);
+  } else {
+    throw new Error(
+      `Unknown PRIVAMED_STORE "${kind}" (expected sqlite or memory)`
+    );
+  }
+
+  const store = await createStore(driver);
+  console.log(
+    `[STORE] Using ${store.driver} store (schema v${store.schemaVersion})`
+  );
+  return store;
+}
+
+module.exports = { createStore, openStore };
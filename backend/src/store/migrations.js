@@ -0,0 +1,161 @@
+// backend/src/store/migrations.js
+//
+// Ordered schema migrations for the persisted backend state. Each migration
+// receives the raw state object and mutates it in place; `version` is the
+// schemaVersion the state has once `up` has run. Never edit a migration that
+// has shipped -- append a new one instead.
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "initial collections: records, notifications, chainLogs",
+    up(state) {
+      // recordId -> { cid, owner, keyHex, recordIdHash }
+      state.records = state.records || {};
+      // lowercased address -> [notification, ...] (newest first)
+      state.notifications = state.notifications || {};
+      // [chain log entry, ...] (newest first)
+      state.chainLogs = state.chainLogs || [];
+    }
+  },
+  {
+    version: 2,
+    description: "publicKeys collection and per-recipient wrapped record keys",
+    up(state) {
+      // lowercased address -> { publicKey, registeredAt }
+      state.publicKeys = state.publicKeys || {};
+      // records gain wrappedKeys: lowercased address -> wrapped record key.
+      // Legacy keyHex entries are sealed to the owner once they register a
+      // public key (see POST /api/keys).
+      for (const meta of Object.values(state.records)) {
+        meta.wrappedKeys = meta.wrappedKeys || {};
+      }
+    }
+  },
+  {
+    version: 3,
+    description: "per-record version history for key rotation",
+    up(state) {
+      // records gain version (current number) and versions: [{ version, cid,
+      // createdAt, reason, retiredAt?, txHash? }, ...] (oldest first)
+      for (const meta of Object.values(state.records)) {
+        meta.version = meta.version || 1;
+        meta.versions = meta.versions || [
+          { version: 1, cid: meta.cid, createdAt: null, reason: "created" }
+        ];
+      }
+    }
+  },
+  {
+    version: 4,
+    description: "relayJobs collection for the meta-transaction relayer",
+    up(state) {
+      // [relay job, ...] (newest first), see relayer.js
+      state.relayJobs = state.relayJobs || [];
+    }
+  },
+  {
+    version: 5,
+    description: "emergencyAccess collection for break-glass review",
+    up(state) {
+      // [break-glass event, ...] (newest first), see POST /api/access/emergency
+      state.emergencyAccess = state.emergencyAccess || [];
+    }
+  },
+  {
+    version: 6,
+    description: "providers collection for the provider directory",
+    up(state) {
+      // lowercased address -> directory entry, see providers.js
+      state.providers = state.providers || {};
+    }
+  },
+  {
+    version: 7,
+    description: "chainIndex for the chain event indexer",
+    up(state) {
+      // { contract, cursor, recentBlocks, events } or null, see indexer.js
+      state.chainIndex = state.chainIndex || null;
+    }
+  },
+  {
+    version: 8,
+    description: "read state and per-user preferences for notifications",
+    up(state) {
+      for (const list of Object.values(state.notifications)) {
+        for (const entry of list) {
+          entry.read = entry.read || false;
+        }
+      }
+      // lowercased address -> { type: enabled }, see notifications.js
+      state.notificationPreferences = state.notificationPreferences || {};
+    }
+  },
+  {
+    version: 9,
+    description: "outbound notification delivery: targets and jobs",
+    up(state) {
+      // lowercased address -> { email, webhook, types }, see delivery/
+      state.deliveryTargets = state.deliveryTargets || {};
+      // [delivery job, ...] (newest first), see delivery/index.js
+      state.deliveries = state.deliveries || [];
+    }
+  },
+  {
+    version: 10,
+    description: "chain index events kept as rows of their own",
+    up(state) {
+      // [indexed event, ...] (oldest first), see indexer.js; chainIndex keeps
+      // only { contract, cursor, recentBlocks }
+      const { events = [], ...head } = state.chainIndex || {};
+      state.chainEvents = events;
+      state.chainIndex = state.chainIndex ? head : null;
+      // The chain log console now lists indexed transactions; clearing it
+      // hides those up to this block (null: never cleared)
+      state.chainLogsClearedThrough = null;
+    }
+  },
+  {
+    version: 11,
+    description: "client transactions already acted on",
+    up(state) {
+      // lowercased txHash -> { action, handledAt }, see index.js handledTxs.
+      // Break-glass events recorded so far were acted on already.
+      state.handledTxs = state.handledTxs || {};
+      for (const entry of state.emergencyAccess || []) {
+        if (!entry.txHash) continue;
+        state.handledTxs[entry.txHash.toLowerCase()] = {
+          action: "emergencyAccess",
+          handledAt: entry.createdAt
+        };
+      }
+    }
+  }
+];
+
+const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Bring `state` up to LATEST_SCHEMA_VERSION. Returns the list of versions that
+// were applied so callers know whether the state needs to be written back.
+function runMigrations(state) {
+  const current = state.schemaVersion || 0;
+  if (current > LATEST_SCHEMA_VERSION) {
+    throw new Error(
+      `Store schema version ${current} is newer than this backend supports (${LATEST_SCHEMA_VERSION})`
+    );
+  }
+
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= current) continue;
+    console.log(
+      `[STORE] Applying migration ${migration.version}: ${migration.description}`
+    );
+    migration.up(state);
+    state.schemaVersion = migration.version;
+    applied.push(migration.version);
+  }
+  return applied;
+}
+
+module.exports = { MIGRATIONS, LATEST_SCHEMA_VERSION, runMigrations };
@@ -1,8 +1,41 @@
-import React, { useMemo, useState, useEffect, useCallback } from "react";
+import React, {
+  useMemo,
+  useState,
+  useEffect,
+  useCallback,
+  useRef
+} from "react";
 import axios from "axios";
+import { ethers } from "ethers";
 import "./App.css";
 import bgPattern from "./assets/privamed-bg.svg";
 import FileViewerModal from "./components/FileViewerModal";
+import { signIn, signOut } from "./auth";
+import { deriveEncryptionKey, unwrapRecordKey, wrapRecordKey } from "./keys";
+import {
+  forgetKeystore,
+  hasInjectedWallet,
+  requestInjectedAccount,
+  unlockKeystore
+} from "./wallet";
+import { authorizeChainAction, sendPrivaMedTx } from "./chain";
+import {
+  SCOPE_OPTIONS,
+  describeScope,
+  encodeScope,
+  joinSections,
+  sectionCovered,
+  splitEnvelope
+} from "./scopes";
+import {
+  decryptFile,
+  encryptFile,
+  openEnvelope,
+  openSections,
+  sealSections
+} from "./recordCrypto";
+import { FHIR_VERSION, normalizeFhir } from "./fhir";
+import { openPushStream } from "./push";
 
 const API_BASE = process.env.REACT_APP_BACKEND_URL || "http://localhost:3333";
 
@@ -16,14 +49,50 @@ const ROLES = [
   "MAYO_CLINIC",
   "CEDARS_SINAI",
   "DIGNITY_HEALTH",
-  "ADVENTIST_HEALTH"
+  "ADVENTIST_HEALTH",
+  "AUDITOR"
 ];
 
+// Name shown for providers[idx]; ROLES[1..] name the provider accounts in order
+function providerRoleName(idx) {
+  const name = ROLES[idx + 1];
+  return name && name !== "AUDITOR" ? name : "PROVIDER";
+}
+
+// Date inputs (YYYY-MM-DD) -> { from, to } query params covering whole days in
+// local time
+function dayRangeParams(range) {
+  const params = {};
+  if (range.from) params.from = new Date(`${range.from}T00:00:00`).toISOString();
+  if (range.to) params.to = new Date(`${range.to}T23:59:59.999`).toISOString();
+  return params;
+}
+
 const FOOTER_LOG_LIMIT = 12;
+// The backend keeps the latest 100 chain log entries
+const CHAIN_LOG_LIMIT = 100;
+
+const PUSH_STATUS_LABELS = {
+  connecting: "Connecting...",
+  connected: "Live",
+  reconnecting: "Reconnecting...",
+  closed: "Offline"
+};
+
+// Grant form expiry choices; "date" uses the date input (end of that day)
+const GRANT_DURATIONS = [
+  { value: "never", label: "Never", seconds: 0 },
+  { value: "1d", label: "In 1 day", seconds: 24 * 3600 },
+  { value: "7d", label: "In 7 days", seconds: 7 * 24 * 3600 },
+  { value: "30d", label: "In 30 days", seconds: 30 * 24 * 3600 },
+  { value: "date", label: "On a date..." }
+];
 
 export default function App() {
   const [role, setRole] = useState("PATIENT");
   const [address, setAddress] = useState("");
+  const [session, setSession] = useState(null);
+  const [encryptionKey, setEncryptionKey] = useState(null);
   const [status, setStatus] = useState("Ready");
   const [statusLog, setStatusLog] = useState(() => [
     {
@@ -37,20 +106,72 @@ export default function App() {
   const [noteRecordId, setNoteRecordId] = useState("Med_History_Example");
   const [noteText, setNoteText] = useState("");
   const [fileToUpload, setFileToUpload] = useState(null);
+  // "document" (note and/or file) or "fhir" (FHIR R4 JSON in fhirText)
+  const [uploadKind, setUploadKind] = useState("document");
+  const [fhirText, setFhirText] = useState("");
+  // Percentage of a streamed file upload sent so far, or null
+  const [uploadProgress, setUploadProgress] = useState(null);
   const [notifications, setNotifications] = useState([]);
   const [notificationsOpen, setNotificationsOpen] = useState(false);
+  // { preferences: { type: enabled }, types: { type: { label, audience } } },
+  // loaded when the settings are opened
+  const [notificationSettings, setNotificationSettings] = useState(null);
+  // Outbound delivery (GET /api/users/:addr/delivery) and its form
+  const [deliverySettings, setDeliverySettings] = useState(null);
+  const [deliveryForm, setDeliveryForm] = useState({ email: "", webhookUrl: "" });
   const [searchValue, setSearchValue] = useState("");
   const [showAdvancedLogs, setShowAdvancedLogs] = useState(false);
   const [chainLogs, setChainLogs] = useState([]);
   const [chainLogsLoading, setChainLogsLoading] = useState(false);
+  const [pushStatus, setPushStatus] = useState("closed");
 
   const [patientAddress, setPatientAddress] = useState("");
   const [providers, setProviders] = useState([]);
   const [records, setRecords] = useState([]);
   const [selectedRecordId, setSelectedRecordId] = useState("");
   const [selectedProvider, setSelectedProvider] = useState("");
+  const [rotateOnRevoke, setRotateOnRevoke] = useState(true);
+  // Scope names for the next grant; none selected grants the whole record
+  const [grantScopes, setGrantScopes] = useState([]);
+  const [grantDuration, setGrantDuration] = useState("never");
+  const [grantExpiryDate, setGrantExpiryDate] = useState("");
+  const [recordGrants, setRecordGrants] = useState([]);
+  const [accessHistory, setAccessHistory] = useState([]);
+  const [historyFilter, setHistoryFilter] = useState({
+    recordId: "",
+    actor: "",
+    from: "",
+    to: ""
+  });
   const [providerRecords, setProviderRecords] = useState([]);
   const [viewingRecord, setViewingRecord] = useState(null);
+  const [accessRequests, setAccessRequests] = useState([]);
+  const [requestRecordIdHash, setRequestRecordIdHash] = useState("");
+  const [requestReason, setRequestReason] = useState("");
+  const [emergencyRecordIdHash, setEmergencyRecordIdHash] = useState("");
+  const [emergencyJustification, setEmergencyJustification] = useState("");
+  const [emergencyHours, setEmergencyHours] = useState(1);
+  // null unless the signed-in account is an on-chain auditor
+  const [emergencyQueue, setEmergencyQueue] = useState(null);
+  const [auditors, setAuditors] = useState([]);
+  const [auditReport, setAuditReport] = useState(null);
+  const [reportRange, setReportRange] = useState({ from: "", to: "" });
+  // { admin, pendingAdmin, backendSigner }; users is only loaded for the admin
+  const [adminStatus, setAdminStatus] = useState(null);
+  const [adminUsers, setAdminUsers] = useState(null);
+  const [newUserAddress, setNewUserAddress] = useState("");
+  const [newUserRole, setNewUserRole] = useState("provider");
+  const [newAdminAddress, setNewAdminAddress] = useState("");
+  // Provider directory entries (see GET /api/providers)
+  const [providerDirectory, setProviderDirectory] = useState([]);
+  const [providerQuery, setProviderQuery] = useState("");
+  const [providerMatches, setProviderMatches] = useState(null);
+  const [profileForm, setProfileForm] = useState({
+    name: "",
+    specialty: "",
+    organization: "",
+    licenseNumber: ""
+  });
 
   const logStatus = useCallback((message) => {
     setStatus(message);
@@ -65,7 +186,27 @@ export default function App() {
     });
   }, []);
 
-  const signedIn = Boolean(address);
+  const signedIn = Boolean(session);
+
+  // SIWE sign-in for `addr`; the backend derives the acting address from the
+  // resulting session token rather than anything we put in a request.
+  // Signing in also unlocks the account's encryption key and (re)registers its
+  // public key so record keys can be wrapped to this account.
+  const signInAs = useCallback(
+    async (addr) => {
+      logStatus(`Signing in as ${addr}...`);
+      const result = await signIn(API_BASE, addr);
+      const key = await deriveEncryptionKey(result.address);
+      await axios.post(`${API_BASE}/api/keys`, { publicKey: key.publicKey });
+      setSession(result);
+      setEncryptionKey(key);
+      setAddress(result.address);
+      logStatus(`Signed in as ${result.address}`);
+      return result;
+    },
+    [logStatus]
+  );
+
   const shellStyle = useMemo(
     () => ({
       backgroundImage: `url(${bgPattern})`,
@@ -83,23 +224,38 @@ export default function App() {
     [records, selectedRecordId]
   );
 
+  // Directory search results, or every listed provider followed by the demo
+  // accounts that have no directory entry yet
+  const grantProviderOptions = useMemo(() => {
+    if (providerMatches) {
+      return providerMatches.map((p) => p.address);
+    }
+    const listed = providerDirectory.map((p) => p.address);
+    const listedLower = listed.map((a) => a.toLowerCase());
+    return [
+      ...listed,
+      ...providers.filter((p) => !listedLower.includes(p.toLowerCase()))
+    ];
+  }, [providerMatches, providerDirectory, providers]);
+
   useEffect(() => {
     let cancelled = false;
 
     async function loadAccounts() {
+      let accounts = [];
       try {
         logStatus("Requesting Ganache accounts...");
         const res = await axios.get(`${API_BASE}/api/accounts`);
         if (cancelled) return;
 
-        const accounts = res.data.accounts || [];
+        accounts = res.data.accounts || [];
         if (!accounts.length) {
           logStatus("No accounts returned from backend.");
           return;
         }
 
         setPatientAddress(accounts[0]);
-        setAddress(accounts[0]);
+        setAuditors(res.data.auditors || []);
         const provs = accounts.slice(1);
         setProviders(provs);
         if (provs.length > 0) {
@@ -111,6 +267,16 @@ export default function App() {
         if (!cancelled) {
           logStatus("Failed to load accounts from backend.");
         }
+        return;
+      }
+
+      try {
+        await signInAs(accounts[0]);
+      } catch (err) {
+        console.error(err);
+        if (!cancelled) {
+          logStatus("Sign-in failed.");
+        }
       }
     }
 
@@ -119,11 +285,15 @@ export default function App() {
     return () => {
       cancelled = true;
     };
-  }, [logStatus]);
+  }, [logStatus, signInAs]);
 
   const refreshPatientRecords = useCallback(
     async (options = {}) => {
-      if (!patientAddress) {
+      const isPatientSession =
+        session &&
+        patientAddress &&
+        session.address.toLowerCase() === patientAddress.toLowerCase();
+      if (!isPatientSession) {
         setRecords([]);
         setSelectedRecordId("");
         return;
@@ -155,7 +325,7 @@ export default function App() {
         logStatus("Failed to load patient records.");
       }
     },
-    [patientAddress, logStatus]
+    [patientAddress, session, logStatus]
   );
 
   useEffect(() => {
@@ -164,7 +334,7 @@ export default function App() {
 
   const fetchNotifications = useCallback(
     async (options = {}) => {
-      if (role === "PATIENT" || !address) {
+      if (!address || !session) {
         setNotifications([]);
         return;
       }
@@ -173,7 +343,7 @@ export default function App() {
 
       try {
         const res = await axios.get(
-          `${API_BASE}/api/providers/${address}/notifications`
+          `${API_BASE}/api/users/${address}/notifications`
         );
         setNotifications(res.data.notifications || []);
         if (!silent) {
@@ -188,29 +358,21 @@ export default function App() {
         }
       }
     },
-    [role, address, logStatus]
+    [address, session, logStatus]
   );
 
   useEffect(() => {
-    let intervalId = null;
-
     fetchNotifications({ silent: true });
+  }, [fetchNotifications]);
 
-    if (role !== "PATIENT" && address) {
-      intervalId = window.setInterval(() => {
-        fetchNotifications({ silent: true });
-      }, 10000);
-    }
-
-    return () => {
-      if (intervalId) {
-        window.clearInterval(intervalId);
-      }
-    };
-  }, [fetchNotifications, role, address]);
+  const unreadNotifications = useMemo(
+    () => notifications.filter((n) => !n.read).length,
+    [notifications]
+  );
 
   const fetchChainLogs = useCallback(
     async (options = {}) => {
+      if (!session) return;
       const silent = Boolean(options.silent);
       setChainLogsLoading(true);
 
@@ -231,63 +393,312 @@ export default function App() {
         setChainLogsLoading(false);
       }
     },
-    [logStatus]
+    [session, logStatus]
   );
 
-  useEffect(() => {
-    if (!showAdvancedLogs) {
-      return undefined;
-    }
-
-    fetchChainLogs({ silent: true });
-    const intervalId = window.setInterval(() => {
-      fetchChainLogs({ silent: true });
-    }, 8000);
-
-    return () => {
-      window.clearInterval(intervalId);
-    };
-  }, [showAdvancedLogs, fetchChainLogs]);
-
-  useEffect(() => {
-    async function loadProviderRecords() {
+  const refreshProviderRecords = useCallback(
+    async (options = {}) => {
       if (role === "PATIENT") {
         setProviderRecords([]);
         return;
       }
-      if (!address) {
+      if (!address || !session) {
         logStatus("Provider address unavailable.");
         return;
       }
 
       try {
-        logStatus("Loading provider-linked records...");
+        if (!options.silent) {
+          logStatus("Loading provider-linked records...");
+        }
         const res = await axios.get(`${API_BASE}/api/providers/${address}/records`);
         setProviderRecords(res.data.records || []);
-        logStatus(
-          `Loaded ${res.data.records?.length || 0} records for provider ${address}`
-        );
+        if (!options.silent) {
+          logStatus(
+            `Loaded ${res.data.records?.length || 0} records for provider ${address}`
+          );
+        }
       } catch (err) {
         console.error(err);
         logStatus("Failed to load provider records.");
       }
+    },
+    [role, address, session, logStatus]
+  );
+
+  useEffect(() => {
+    refreshProviderRecords();
+  }, [refreshProviderRecords]);
+
+  // Patients see requests for their records; providers see the ones they made
+  const refreshAccessRequests = useCallback(
+    async (options = {}) => {
+      if (!address || !session) {
+        setAccessRequests([]);
+        return;
+      }
+
+      const path = role === "PATIENT" ? "patients" : "providers";
+      try {
+        const res = await axios.get(
+          `${API_BASE}/api/${path}/${address}/requests`
+        );
+        setAccessRequests(res.data.requests || []);
+        if (!options.silent) {
+          logStatus(`Loaded ${res.data.requests?.length || 0} access requests.`);
+        }
+      } catch (err) {
+        console.error(err);
+        if (!options.silent) {
+          logStatus("Failed to load access requests.");
+        }
+      }
+    },
+    [role, address, session, logStatus]
+  );
+
+  useEffect(() => {
+    refreshAccessRequests({ silent: true });
+  }, [refreshAccessRequests]);
+
+  const refreshEmergencyQueue = useCallback(async () => {
+    if (!session) {
+      setEmergencyQueue(null);
+      return;
     }
 
-    loadProviderRecords();
-  }, [role, address, logStatus]);
+    try {
+      const res = await axios.get(`${API_BASE}/api/audit/emergency`);
+      setEmergencyQueue(res.data.events || []);
+    } catch (err) {
+      // 403 for everyone who is not an auditor
+      setEmergencyQueue(null);
+    }
+  }, [session]);
 
-  function fileToBase64(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => {
-        const result = reader.result || "";
-        const [, base64] = result.split(",");
-        resolve(base64 || "");
-      };
-      reader.onerror = reject;
-      reader.readAsDataURL(file);
+  useEffect(() => {
+    refreshEmergencyQueue();
+  }, [refreshEmergencyQueue]);
+
+  const refreshAuditReport = useCallback(async () => {
+    if (!session || role !== "AUDITOR") {
+      setAuditReport(null);
+      return;
+    }
+
+    try {
+      const res = await axios.get(`${API_BASE}/api/audit/reports`, {
+        params: dayRangeParams(reportRange)
+      });
+      setAuditReport(res.data);
+    } catch (err) {
+      // 403 unless the signed-in account is a registered auditor
+      console.error(err);
+      setAuditReport(null);
+    }
+  }, [session, role, reportRange]);
+
+  useEffect(() => {
+    refreshAuditReport();
+  }, [refreshAuditReport]);
+
+  const refreshRecordGrants = useCallback(async () => {
+    if (!session || !selectedRecord || !selectedRecord.recordIdHash) {
+      setRecordGrants([]);
+      return;
+    }
+
+    try {
+      const res = await axios.get(
+        `${API_BASE}/api/records/${selectedRecord.recordId}/grants`
+      );
+      setRecordGrants(res.data.grants || []);
+    } catch (err) {
+      console.error(err);
+      setRecordGrants([]);
+    }
+  }, [session, selectedRecord]);
+
+  useEffect(() => {
+    refreshRecordGrants();
+  }, [refreshRecordGrants]);
+
+  const refreshAccessHistory = useCallback(async () => {
+    if (!address || !session || role !== "PATIENT") {
+      setAccessHistory([]);
+      return;
+    }
+
+    const params = dayRangeParams(historyFilter);
+    if (historyFilter.recordId) params.recordId = historyFilter.recordId;
+    if (ethers.isAddress(historyFilter.actor)) params.actor = historyFilter.actor;
+
+    try {
+      const res = await axios.get(
+        `${API_BASE}/api/patients/${address}/access-history`,
+        { params }
+      );
+      setAccessHistory(res.data.events || []);
+    } catch (err) {
+      console.error(err);
+      setAccessHistory([]);
+    }
+  }, [role, address, session, historyFilter]);
+
+  useEffect(() => {
+    refreshAccessHistory();
+  }, [refreshAccessHistory]);
+
+  // Server push (GET /api/events/stream) replaces polling. The handler is kept
+  // in a ref so the stream stays open while the callbacks it uses change.
+  const pushHandlerRef = useRef(null);
+  pushHandlerRef.current = (type, data) => {
+    switch (type) {
+      case "notification":
+        setNotifications((prev) => [
+          data,
+          ...prev.filter((n) => n.id !== data.id)
+        ]);
+        break;
+      case "notifications-read":
+        setNotifications((prev) =>
+          prev.map((n) => (data.ids.includes(n.id) ? { ...n, read: true } : n))
+        );
+        break;
+      case "notifications-cleared":
+        setNotifications([]);
+        break;
+      case "chain-log":
+        setChainLogs((prev) =>
+          [data, ...prev.filter((l) => l.id !== data.id)].slice(
+            0,
+            CHAIN_LOG_LIMIT
+          )
+        );
+        break;
+      case "chain-logs-cleared":
+        setChainLogs([]);
+        break;
+      case "grant-change":
+        refreshPatientRecords({ silent: true });
+        refreshRecordGrants();
+        refreshAccessHistory();
+        refreshProviderRecords({ silent: true });
+        refreshAccessRequests({ silent: true });
+        break;
+      case "resync":
+        // Connected for the first time, or events were missed for good
+        fetchNotifications({ silent: true });
+        fetchChainLogs({ silent: true });
+        pushHandlerRef.current("grant-change", data);
+        break;
+      default:
+        break;
+    }
+  };
+
+  useEffect(() => {
+    if (!session) {
+      setPushStatus("closed");
+      return undefined;
+    }
+
+    let synced = false;
+    setPushStatus("connecting");
+    const close = openPushStream(API_BASE, {
+      onEvent: (type, data) => {
+        // Reconnects replay what was missed; only the first connection (or a
+        // failed replay) needs a full reload
+        if (type === "ready") {
+          if (synced) return;
+          synced = true;
+          pushHandlerRef.current("resync", data);
+          return;
+        }
+        pushHandlerRef.current(type, data);
+      },
+      onStatus: setPushStatus
     });
-  }
+    return close;
+  }, [session]);
+
+  const refreshProviderDirectory = useCallback(async () => {
+    if (!session) {
+      setProviderDirectory([]);
+      return;
+    }
+
+    try {
+      const res = await axios.get(`${API_BASE}/api/providers`);
+      const entries = res.data.providers || [];
+      setProviderDirectory(entries);
+      const own = entries.find(
+        (p) => p.address.toLowerCase() === address.toLowerCase()
+      );
+      if (own) {
+        setProfileForm({
+          name: own.name,
+          specialty: own.specialty,
+          organization: own.organization,
+          licenseNumber: own.licenseNumber
+        });
+      }
+    } catch (err) {
+      console.error(err);
+      logStatus("Failed to load provider directory.");
+    }
+  }, [session, address, logStatus]);
+
+  useEffect(() => {
+    refreshProviderDirectory();
+  }, [refreshProviderDirectory]);
+
+  // Search the directory as the patient types in the grant form
+  useEffect(() => {
+    const query = providerQuery.trim();
+    if (!session || !query) {
+      setProviderMatches(null);
+      return;
+    }
+
+    let cancelled = false;
+    axios
+      .get(`${API_BASE}/api/providers`, { params: { query } })
+      .then((res) => {
+        if (!cancelled) setProviderMatches(res.data.providers || []);
+      })
+      .catch((err) => console.error(err));
+    return () => {
+      cancelled = true;
+    };
+  }, [session, providerQuery]);
+
+  const refreshAdmin = useCallback(async () => {
+    if (!session) {
+      setAdminStatus(null);
+      setAdminUsers(null);
+      return;
+    }
+
+    try {
+      const res = await axios.get(`${API_BASE}/api/admin`);
+      setAdminStatus(res.data);
+      if (res.data.admin.toLowerCase() === address.toLowerCase()) {
+        const usersRes = await axios.get(`${API_BASE}/api/admin/users`);
+        setAdminUsers(usersRes.data.users || []);
+      } else {
+        setAdminUsers(null);
+      }
+    } catch (err) {
+      console.error(err);
+      setAdminStatus(null);
+      setAdminUsers(null);
+    }
+  }, [session, address]);
+
+  useEffect(() => {
+    refreshAdmin();
+  }, [refreshAdmin]);
 
   async function handleAccessUpload(e) {
     e.preventDefault();
@@ -300,40 +711,255 @@ export default function App() {
       logStatus("Record ID is required when uploading.");
       return;
     }
-    if (!noteText.trim() && !fileToUpload) {
+    if (uploadKind === "document" && !noteText.trim() && !fileToUpload) {
       logStatus("Either note text or a file is required.");
       return;
     }
 
-    try {
-      logStatus("Uploading encrypted record...");
+    let fhir = null;
+    if (uploadKind === "fhir") {
+      try {
+        fhir = normalizeFhir(JSON.parse(fhirText));
+      } catch (err) {
+        // normalizeFhir names the elements it rejected
+        logStatus(
+          err instanceof SyntaxError
+            ? "FHIR content is not valid JSON."
+            : err.message
+        );
+        return;
+      }
+    }
 
-      let fileMeta = null;
-      if (fileToUpload) {
-        const base64 = await fileToBase64(fileToUpload);
-        fileMeta = {
-          name: fileToUpload.name,
-          type: fileToUpload.type,
+    try {
+      // Build an envelope that holds a note, a file or a FHIR Bundle, and seal
+      // it here; the server only ever sees the ciphertext
+      logStatus("Encrypting record...");
+      const note = noteText.trim() ? noteText : null;
+      let envelope;
+      let ciphertext = null;
+      if (fhir) {
+        envelope = { kind: "fhir", fhirVersion: FHIR_VERSION, fhir, note };
+      } else if (fileToUpload) {
+        // Files are encrypted chunk by chunk and uploaded after the envelope
+        const encrypted = await encryptFile(fileToUpload);
+        ciphertext = encrypted.ciphertext;
+        envelope = {
+          kind: "file",
+          storage: "chunked",
+          fileName: fileToUpload.name,
+          mimeType: fileToUpload.type || "application/octet-stream",
           size: fileToUpload.size,
-          base64
+          content: encrypted.content,
+          note
         };
+      } else {
+        envelope = { kind: "note", text: noteText };
       }
 
+      logStatus("Uploading encrypted record...");
+      const { sealed, keys } = await sealSections(splitEnvelope(envelope));
       const res = await axios.post(`${API_BASE}/api/records`, {
-        patientAddress,
         recordId: noteRecordId,
-        plaintext: noteText,
-        fileMeta
+        kind: envelope.kind,
+        contentType:
+          envelope.kind === "fhir"
+            ? "application/fhir+json"
+            : envelope.mimeType || "text/plain",
+        storage: ciphertext ? "chunked" : undefined,
+        sealed,
+        ...(await wrapOwnKeys(keys))
       });
+      if (ciphertext) {
+        await uploadCiphertext(`/api/records/${res.data.recordId}/upload`, ciphertext);
+      }
+
+      // The record is stored; registering it on-chain needs our signature
+      logStatus("Record stored. Approve the addRecord request in your wallet...");
+      const authorization = await authorizeChainAction(
+        API_BASE,
+        address,
+        "addRecord",
+        { cid: res.data.cid }
+      );
+      await axios.post(
+        `${API_BASE}/api/records/${res.data.recordId}/register`,
+        authorization
+      );
 
       setSelectedRecordId(res.data.recordId);
       setFileToUpload(null);
+      setFhirText("");
       logStatus("Record stored and registered on-chain.");
       await refreshPatientRecords({ silent: true });
     } catch (err) {
       console.error(err);
-      logStatus("Failed to upload record.");
+      logStatus(err.response?.data?.error || "Failed to upload record.");
+    } finally {
+      setUploadProgress(null);
+    }
+  }
+
+  // Unwrap the keys the server released to this account: { keys } mapping
+  // each section to its key, or { recordKey } for a record sealed under a
+  // single key before sections existed.
+  async function unwrapReleasedKeys({ wrappedKeys, wrappedKey }) {
+    if (!encryptionKey) {
+      throw new Error("Encryption key not unlocked; sign in again.");
+    }
+    if (!wrappedKeys) {
+      return { recordKey: await unwrapRecordKey(wrappedKey, encryptionKey) };
+    }
+    const keys = {};
+    for (const [section, wrapped] of Object.entries(wrappedKeys)) {
+      keys[section] = await unwrapRecordKey(wrapped, encryptionKey);
+    }
+    return { keys };
+  }
+
+  // Fetch this account's wrapped record keys and unwrap them locally.
+  async function loadRecordKeys(recordId) {
+    const res = await axios.get(`${API_BASE}/api/records/${recordId}/key`);
+    return unwrapReleasedKeys(res.data);
+  }
+
+  // Wrap the section keys a grant of `names` (null for the whole record)
+  // covers to `publicKey`: { wrappedKeys }, or { wrappedKey } for a
+  // single-key record, which can only be shared whole.
+  async function wrapKeysFor(loaded, publicKey, names) {
+    if (loaded.recordKey) {
+      if (names) {
+        throw new Error(
+          "This record predates per-section keys. Re-key it (revoke with re-keying) before sharing part of it."
+        );
+      }
+      return { wrappedKey: await wrapRecordKey(loaded.recordKey, publicKey) };
+    }
+    const wrappedKeys = {};
+    for (const [section, keyHex] of Object.entries(loaded.keys)) {
+      if (sectionCovered(section, names)) {
+        wrappedKeys[section] = await wrapRecordKey(keyHex, publicKey);
+      }
+    }
+    return { wrappedKeys };
+  }
+
+  // Fetch a record's sealed sections and open the ones this account has keys
+  // for. Resolves with the record as the server describes it plus
+  // { payload, withheld } (see joinSections).
+  async function openRecord(recordId) {
+    const res = await axios.get(`${API_BASE}/api/records/${recordId}`);
+    const loaded = await unwrapReleasedKeys(res.data);
+    if (loaded.recordKey) {
+      const payload = await openEnvelope(res.data.sealed, loaded.recordKey);
+      return { ...res.data, payload, withheld: [] };
+    }
+    const parts = await openSections(res.data.sealed, loaded.keys);
+    return { ...res.data, ...joinSections(res.data.sealed, parts) };
+  }
+
+  // Download and decrypt a streamed file's content
+  async function loadFileContent(recordId, envelope) {
+    const res = await axios.get(`${API_BASE}/api/records/${recordId}/content`, {
+      responseType: "blob"
+    });
+    return decryptFile(res.data, envelope.content);
+  }
+
+  // A new record's section keys wrapped to this account and, when break-glass
+  // escrow is on, to the escrow key: { wrappedKeys, escrowKeys }
+  async function wrapOwnKeys(keys) {
+    const escrow = await axios.get(
+      `${API_BASE}/api/access/emergency/escrow-key`
+    );
+    const loaded = { keys };
+    return {
+      wrappedKeys: (await wrapKeysFor(loaded, encryptionKey.publicKey, null))
+        .wrappedKeys,
+      escrowKeys: escrow.data.publicKey
+        ? (await wrapKeysFor(loaded, escrow.data.publicKey, null)).wrappedKeys
+        : null
+    };
+  }
+
+  async function uploadCiphertext(path, ciphertext) {
+    logStatus("Uploading encrypted file...");
+    await axios.post(`${API_BASE}${path}`, ciphertext, {
+      headers: { "Content-Type": "application/octet-stream" },
+      onUploadProgress: (event) => {
+        if (event.total) {
+          setUploadProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      }
+    });
+  }
+
+  // Re-key a record after a revoke: seal its sections again under fresh keys
+  // (a streamed file is re-encrypted too, since the old envelope held its
+  // content key), wrap them to this account and, as far as each grant
+  // reaches, every grantee still holding access, and point the on-chain
+  // record at the new envelope. The server also drops any holder or section
+  // the chain no longer authorizes. Records sealed under a single key come
+  // out sectioned.
+  async function rotateRecordKey(record, revoked) {
+    logStatus("Re-encrypting record...");
+    const opened = await openRecord(record.recordId);
+    let envelope = opened.payload;
+    let ciphertext = null;
+    if (envelope.storage === "chunked") {
+      const file = await loadFileContent(record.recordId, envelope);
+      const encrypted = await encryptFile(file, {
+        chunkSize: envelope.content.chunkSize
+      });
+      ciphertext = encrypted.ciphertext;
+      envelope = { ...envelope, content: encrypted.content };
+    }
+
+    const { sealed, keys } = await sealSections(splitEnvelope(envelope));
+    const own = await wrapOwnKeys(keys);
+    const wrappedKeys = { [address.toLowerCase()]: own.wrappedKeys };
+    const grantsRes = await axios.get(
+      `${API_BASE}/api/records/${record.recordId}/grants`
+    );
+    for (const grant of grantsRes.data.grants) {
+      if (grant.status !== "active" && grant.status !== "expiring") continue;
+      // The chain index may not have seen the revoke yet
+      if (addressesEqual(grant.grantee, revoked)) continue;
+      const keyRes = await axios.get(`${API_BASE}/api/keys/${grant.grantee}`);
+      wrappedKeys[grant.grantee.toLowerCase()] = (
+        await wrapKeysFor({ keys }, keyRes.data.publicKey, grant.scope)
+      ).wrappedKeys;
+    }
+
+    const prepared = await axios.post(
+      `${API_BASE}/api/records/${record.recordId}/rotation/prepare`,
+      {
+        sealed,
+        wrappedKeys,
+        escrowKeys: own.escrowKeys,
+        storage: ciphertext ? "chunked" : undefined,
+        reason: "access revoked"
+      }
+    );
+    if (ciphertext) {
+      await uploadCiphertext(
+        `/api/records/${record.recordId}/rotation/upload`,
+        ciphertext
+      );
     }
+
+    logStatus("Approve the re-keyed record in your wallet...");
+    const authorization = await authorizeChainAction(
+      API_BASE,
+      address,
+      "updateRecordCID",
+      { recordId: record.recordIdHash, newCid: prepared.data.cid }
+    );
+    const res = await axios.post(
+      `${API_BASE}/api/records/${record.recordId}/rotation`,
+      authorization
+    );
+    return res.data.version;
   }
 
   async function handleGrantAccess(e) {
@@ -347,22 +973,85 @@ export default function App() {
       return;
     }
 
+    let providerKey;
+    try {
+      const res = await axios.get(`${API_BASE}/api/keys/${selectedProvider}`);
+      providerKey = res.data.publicKey;
+    } catch (err) {
+      console.error(err);
+      logStatus(
+        "Provider has no encryption key yet; they need to sign in once first."
+      );
+      return;
+    }
+
+    const validUntil = grantValidUntil();
+    if (validUntil === null) {
+      logStatus("Pick an expiry date in the future.");
+      return;
+    }
+
+    const scope = encodeScope(grantScopes);
     try {
       logStatus("Granting access...");
+      const wrapped = await wrapKeysFor(
+        await loadRecordKeys(selectedRecord.recordId),
+        providerKey,
+        grantScopes.length ? grantScopes : null
+      );
+      await axios.post(`${API_BASE}/api/providers/${selectedProvider}/register`, {
+        recordIdHash: selectedRecord.recordIdHash
+      });
+      logStatus("Approve the grantAccess request in your wallet...");
+      const authorization = await authorizeChainAction(
+        API_BASE,
+        address,
+        "grantAccess",
+        {
+          recordId: selectedRecord.recordIdHash,
+          grantee: selectedProvider,
+          validUntil,
+          scope
+        }
+      );
       await axios.post(`${API_BASE}/api/access/grant`, {
         recordIdHash: selectedRecord.recordIdHash,
         providerAddress: selectedProvider,
-        recordId: selectedRecord.recordId,
-        validUntil: 0,
-        scope: null
+        ...wrapped,
+        validUntil,
+        scope,
+        ...authorization
       });
-      logStatus("Access granted.");
+      logStatus(
+        `Access granted (${describeScope(grantScopes.length ? grantScopes : null)}, ` +
+          `${validUntil ? `until ${formatDateTime(validUntil * 1000)}` : "no expiry"}).`
+      );
+      await refreshRecordGrants();
+      await refreshAccessHistory();
     } catch (err) {
       console.error(err);
       logStatus("Failed to grant access.");
     }
   }
 
+  // Unix seconds for the chosen expiry, 0 for none, or null if the chosen date
+  // is missing or already over
+  function grantValidUntil() {
+    if (grantDuration === "date") {
+      if (!grantExpiryDate) return null;
+      const end = new Date(`${grantExpiryDate}T23:59:59`).getTime();
+      return end > Date.now() ? Math.floor(end / 1000) : null;
+    }
+    const option = GRANT_DURATIONS.find((d) => d.value === grantDuration);
+    return option.seconds ? Math.floor(Date.now() / 1000) + option.seconds : 0;
+  }
+
+  function toggleGrantScope(name) {
+    setGrantScopes((prev) =>
+      prev.includes(name) ? prev.filter((n) => n !== name) : [...prev, name]
+    );
+  }
+
   async function handleRevokeAccess(e) {
     e.preventDefault();
     if (!selectedRecord || !selectedProvider) {
@@ -375,29 +1064,375 @@ export default function App() {
     }
 
     try {
-      logStatus("Revoking access...");
+      logStatus("Approve the revokeAccess request in your wallet...");
+      const authorization = await authorizeChainAction(
+        API_BASE,
+        address,
+        "revokeAccess",
+        { recordId: selectedRecord.recordIdHash, grantee: selectedProvider }
+      );
       await axios.post(`${API_BASE}/api/access/revoke`, {
         recordIdHash: selectedRecord.recordIdHash,
-        providerAddress: selectedProvider
+        providerAddress: selectedProvider,
+        ...authorization
       });
-      logStatus("Access revoked.");
+      await refreshRecordGrants();
+      await refreshAccessHistory();
     } catch (err) {
       console.error(err);
       logStatus("Failed to revoke access.");
+      return;
     }
-  }
 
-  function handleSearchSubmit(e) {
-    e.preventDefault();
-    if (!searchValue.trim()) {
-      logStatus("Enter a keyword to search");
+    if (!rotateOnRevoke) {
+      logStatus("Access revoked.");
       return;
     }
-    logStatus(`Searching records for "${searchValue}" (demo)`);
-  }
-
-  function handleNotificationsClick() {
-    setNotificationsOpen((open) => {
+    try {
+      const version = await rotateRecordKey(selectedRecord, selectedProvider);
+      logStatus(`Access revoked; record re-keyed as version ${version}.`);
+      await refreshPatientRecords({ silent: true });
+    } catch (err) {
+      console.error(err);
+      logStatus(
+        "Access revoked, but re-keying the record failed; try revoking again."
+      );
+    } finally {
+      setUploadProgress(null);
+    }
+  }
+
+  async function handleRequestAccess(e) {
+    e.preventDefault();
+    const recordIdHash = requestRecordIdHash.trim();
+    if (!ethers.isHexString(recordIdHash, 32)) {
+      logStatus("Enter the record's on-chain ID (0x followed by 64 hex digits).");
+      return;
+    }
+    if (!requestReason.trim()) {
+      logStatus("Enter a reason for the request.");
+      return;
+    }
+
+    try {
+      logStatus("Approve the requestAccess request in your wallet...");
+      const authorization = await authorizeChainAction(
+        API_BASE,
+        address,
+        "requestAccess",
+        { recordId: recordIdHash, reason: requestReason.trim() }
+      );
+      const res = await axios.post(`${API_BASE}/api/access/requests`, {
+        recordIdHash,
+        reason: requestReason.trim(),
+        ...authorization
+      });
+      logStatus(`Access request #${res.data.requestId} sent to the patient.`);
+      setRequestRecordIdHash("");
+      setRequestReason("");
+      await refreshAccessRequests({ silent: true });
+    } catch (err) {
+      console.error(err);
+      logStatus("Failed to request access.");
+    }
+  }
+
+  async function handleApproveRequest(request) {
+    let requesterKey;
+    try {
+      const res = await axios.get(`${API_BASE}/api/keys/${request.requester}`);
+      requesterKey = res.data.publicKey;
+    } catch (err) {
+      console.error(err);
+      logStatus("Requester has no encryption key yet; they need to sign in once first.");
+      return;
+    }
+
+    try {
+      logStatus(`Approving access request #${request.requestId}...`);
+      const wrapped = await wrapKeysFor(
+        await loadRecordKeys(request.recordId),
+        requesterKey,
+        null
+      );
+      logStatus("Approve the approveRequest request in your wallet...");
+      const authorization = await authorizeChainAction(
+        API_BASE,
+        address,
+        "approveRequest",
+        { requestId: request.requestId, validUntil: 0, scope: ethers.ZeroHash }
+      );
+      await axios.post(
+        `${API_BASE}/api/access/requests/${request.requestId}/approve`,
+        { ...wrapped, validUntil: 0, scope: ethers.ZeroHash, ...authorization }
+      );
+      logStatus(`Access request #${request.requestId} approved.`);
+      await refreshAccessRequests({ silent: true });
+    } catch (err) {
+      console.error(err);
+      logStatus("Failed to approve access request.");
+    }
+  }
+
+  async function handleDenyRequest(request) {
+    try {
+      logStatus("Approve the denyRequest request in your wallet...");
+      const authorization = await authorizeChainAction(
+        API_BASE,
+        address,
+        "denyRequest",
+        { requestId: request.requestId }
+      );
+      await axios.post(
+        `${API_BASE}/api/access/requests/${request.requestId}/deny`,
+        authorization
+      );
+      logStatus(`Access request #${request.requestId} denied.`);
+      await refreshAccessRequests({ silent: true });
+    } catch (err) {
+      console.error(err);
+      logStatus("Failed to deny access request.");
+    }
+  }
+
+  async function handleEmergencyAccess(e) {
+    e.preventDefault();
+    const recordIdHash = emergencyRecordIdHash.trim();
+    const justification = emergencyJustification.trim();
+    if (!ethers.isHexString(recordIdHash, 32)) {
+      logStatus("Enter the record's on-chain ID (0x followed by 64 hex digits).");
+      return;
+    }
+    if (!justification) {
+      logStatus("A justification is required for emergency access.");
+      return;
+    }
+    if (!window.confirm("Emergency access is reported to the patient and reviewed by an auditor. Continue?")) {
+      return;
+    }
+
+    const validForSeconds = Number(emergencyHours) * 3600;
+    try {
+      logStatus("Approve the emergencyAccess request in your wallet...");
+      const authorization = await authorizeChainAction(
+        API_BASE,
+        address,
+        "emergencyAccess",
+        {
+          recordId: recordIdHash,
+          justificationHash: ethers.id(justification),
+          validForSeconds
+        }
+      );
+      const res = await axios.post(`${API_BASE}/api/access/emergency`, {
+        recordIdHash,
+        justification,
+        validForSeconds,
+        ...authorization
+      });
+      logStatus(
+        res.data.keyReleased
+          ? `Emergency access to ${res.data.recordId} until ${formatDateTime(res.data.validUntil)}.`
+          : `Emergency access granted, but the record key is not escrowed; ask the patient to share it.`
+      );
+      setEmergencyRecordIdHash("");
+      setEmergencyJustification("");
+    } catch (err) {
+      console.error(err);
+      logStatus("Failed to obtain emergency access.");
+    }
+  }
+
+  async function handleReviewEmergency(event, verdict) {
+    const notes = window.prompt(`Notes for marking this access ${verdict} (optional)`, "");
+    if (notes === null) return;
+
+    try {
+      await axios.post(`${API_BASE}/api/audit/emergency/${event.id}/review`, {
+        verdict,
+        notes
+      });
+      logStatus(`Emergency access to ${event.recordId} marked ${verdict}.`);
+      await refreshEmergencyQueue();
+      await refreshAuditReport();
+    } catch (err) {
+      console.error(err);
+      logStatus("Failed to review emergency access.");
+    }
+  }
+
+  async function handleDownloadReport(format) {
+    try {
+      const res = await axios.get(`${API_BASE}/api/audit/reports`, {
+        params: { ...dayRangeParams(reportRange), format },
+        responseType: "blob"
+      });
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `privamed-compliance-report.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+      logStatus(`Compliance report downloaded (${format.toUpperCase()}).`);
+    } catch (err) {
+      console.error(err);
+      logStatus("Failed to download compliance report.");
+    }
+  }
+
+  async function handleSaveProfile(e) {
+    e.preventDefault();
+    if (!profileForm.name.trim() || !profileForm.licenseNumber.trim()) {
+      logStatus("Name and license number are required.");
+      return;
+    }
+
+    try {
+      const res = await axios.put(
+        `${API_BASE}/api/providers/${address}/profile`,
+        profileForm
+      );
+      logStatus(
+        res.data.provider.status === "verified"
+          ? "Directory entry saved."
+          : "Directory entry saved; an auditor will verify it."
+      );
+      await refreshProviderDirectory();
+    } catch (err) {
+      console.error(err);
+      logStatus("Failed to save directory entry.");
+    }
+  }
+
+  async function handleVerifyProvider(entry, status) {
+    const notes = window.prompt(`Notes for marking ${entry.name} ${status} (optional)`, "");
+    if (notes === null) return;
+
+    try {
+      const prepared = await axios.post(
+        `${API_BASE}/api/providers/${entry.address}/verification/prepare`,
+        { status }
+      );
+      let txHash = null;
+      if (prepared.data.onChain) {
+        logStatus("Confirm the setProviderVerification transaction in your wallet...");
+        txHash = await sendPrivaMedTx(API_BASE, address, "setProviderVerification", [
+          entry.address,
+          status === "verified" ? entry.profileHash : ethers.ZeroHash
+        ]);
+      }
+      await axios.post(`${API_BASE}/api/providers/${entry.address}/verification`, {
+        status,
+        notes,
+        txHash
+      });
+      logStatus(`${entry.name} marked ${status}.`);
+      await refreshProviderDirectory();
+    } catch (err) {
+      console.error(err);
+      logStatus("Failed to record provider verification.");
+    }
+  }
+
+  async function handleRegisterUser(e) {
+    e.preventDefault();
+    const target = newUserAddress.trim();
+    if (!ethers.isAddress(target)) {
+      logStatus("Enter the address of the account to register.");
+      return;
+    }
+
+    try {
+      await axios.post(`${API_BASE}/api/admin/users`, {
+        address: target,
+        role: newUserRole
+      });
+      logStatus(`Registered ${getAccountFriendlyLabel(target)} as ${newUserRole}.`);
+      setNewUserAddress("");
+      await refreshAdmin();
+    } catch (err) {
+      console.error(err);
+      logStatus("Failed to register user.");
+    }
+  }
+
+  async function handleChangeUserRole(user, newRole) {
+    try {
+      await axios.put(`${API_BASE}/api/admin/users/${user.address}/role`, {
+        role: newRole
+      });
+      logStatus(`${getAccountFriendlyLabel(user.address)} is now ${newRole}.`);
+      await refreshAdmin();
+    } catch (err) {
+      console.error(err);
+      logStatus("Failed to change role.");
+    }
+  }
+
+  async function handleDeactivateUser(user) {
+    if (!window.confirm(`Deactivate ${user.address}? Their grants stop working until they are registered again.`)) {
+      return;
+    }
+
+    try {
+      await axios.post(`${API_BASE}/api/admin/users/${user.address}/deactivate`);
+      logStatus(`Deactivated ${getAccountFriendlyLabel(user.address)}.`);
+      await refreshAdmin();
+    } catch (err) {
+      console.error(err);
+      logStatus("Failed to deactivate user.");
+    }
+  }
+
+  async function handleTransferAdmin(e, cancel = false) {
+    e.preventDefault();
+    const target = newAdminAddress.trim();
+    if (!cancel && !ethers.isAddress(target)) {
+      logStatus("Enter the address of the new admin.");
+      return;
+    }
+
+    try {
+      await axios.post(`${API_BASE}/api/admin/transfer`, {
+        newAdmin: cancel ? null : target
+      });
+      logStatus(
+        cancel
+          ? "Admin transfer cancelled."
+          : `Admin transfer started; ${getAccountFriendlyLabel(target)} must accept it.`
+      );
+      setNewAdminAddress("");
+      await refreshAdmin();
+    } catch (err) {
+      console.error(err);
+      logStatus("Failed to transfer admin role.");
+    }
+  }
+
+  async function handleAcceptAdmin() {
+    try {
+      logStatus("Confirm the acceptAdmin transaction in your wallet...");
+      const txHash = await sendPrivaMedTx(API_BASE, address, "acceptAdmin", []);
+      await axios.post(`${API_BASE}/api/admin/accept`, { txHash });
+      logStatus("You are now the PrivaMed admin.");
+      await refreshAdmin();
+    } catch (err) {
+      console.error(err);
+      logStatus("Failed to accept admin role.");
+    }
+  }
+
+  function handleSearchSubmit(e) {
+    e.preventDefault();
+    if (!searchValue.trim()) {
+      logStatus("Enter a keyword to search");
+      return;
+    }
+    logStatus(`Searching records for "${searchValue}" (demo)`);
+  }
+
+  function handleNotificationsClick() {
+    setNotificationsOpen((open) => {
       const next = !open;
       if (next) {
         fetchNotifications({ silent: true });
@@ -414,16 +1449,14 @@ export default function App() {
   }
 
   async function handleClearNotifications() {
-    if (role === "PATIENT" || !address) {
+    if (!address) {
       setNotifications([]);
       logStatus("Notifications cleared.");
       return;
     }
 
     try {
-      await axios.post(
-        `${API_BASE}/api/providers/${address}/notifications/clear`
-      );
+      await axios.post(`${API_BASE}/api/users/${address}/notifications/clear`);
       setNotifications([]);
       logStatus("Notifications cleared.");
     } catch (err) {
@@ -432,6 +1465,88 @@ export default function App() {
     }
   }
 
+  // `id` marks one notification read; without it, all of them
+  async function handleMarkNotificationsRead(id) {
+    if (!address) return;
+
+    try {
+      await axios.post(
+        id
+          ? `${API_BASE}/api/users/${address}/notifications/${id}/read`
+          : `${API_BASE}/api/users/${address}/notifications/read`
+      );
+      setNotifications((prev) =>
+        prev.map((n) => (!id || n.id === id ? { ...n, read: true } : n))
+      );
+    } catch (err) {
+      console.error(err);
+      logStatus("Failed to mark notifications read.");
+    }
+  }
+
+  async function toggleNotificationSettings() {
+    if (notificationSettings) {
+      setNotificationSettings(null);
+      return;
+    }
+
+    try {
+      const [prefs, delivery] = await Promise.all([
+        axios.get(`${API_BASE}/api/users/${address}/notification-preferences`),
+        axios.get(`${API_BASE}/api/users/${address}/delivery`)
+      ]);
+      setNotificationSettings(prefs.data);
+      setDeliverySettings(delivery.data);
+      setDeliveryForm({
+        email: delivery.data.targets.email || "",
+        webhookUrl: delivery.data.targets.webhookUrl || ""
+      });
+    } catch (err) {
+      console.error(err);
+      logStatus("Failed to load notification settings.");
+    }
+  }
+
+  async function handleSaveDelivery(e) {
+    e.preventDefault();
+    try {
+      const res = await axios.put(`${API_BASE}/api/users/${address}/delivery`, {
+        email: deliveryForm.email.trim() || null,
+        webhookUrl: deliveryForm.webhookUrl.trim() || null,
+        types: deliverySettings.targets.types
+      });
+      setDeliverySettings((prev) => ({ ...prev, targets: res.data.targets }));
+      // The signing secret is only shown when the webhook URL changes
+      logStatus(
+        res.data.targets.webhookSecret
+          ? `Delivery saved. Webhook signing secret: ${res.data.targets.webhookSecret}`
+          : "Delivery saved."
+      );
+    } catch (err) {
+      console.error(err);
+      logStatus(err.response?.data?.error || "Failed to save delivery settings.");
+    }
+  }
+
+  async function handleNotificationPreference(type, enabled) {
+    try {
+      const res = await axios.put(
+        `${API_BASE}/api/users/${address}/notification-preferences`,
+        { preferences: { [type]: enabled } }
+      );
+      setNotificationSettings((prev) => ({
+        ...prev,
+        preferences: res.data.preferences
+      }));
+      logStatus(
+        `${notificationSettings.types[type].label}: ${enabled ? "on" : "off"}`
+      );
+    } catch (err) {
+      console.error(err);
+      logStatus("Failed to save notification settings.");
+    }
+  }
+
   function toggleAdvancedLogs() {
     setShowAdvancedLogs((prev) => {
       const next = !prev;
@@ -445,45 +1560,157 @@ export default function App() {
     });
   }
 
-  function handleRoleChange(e) {
+  async function handleRoleChange(e) {
     const newRole = e.target.value;
-    setRole(newRole);
+    let addr;
 
     if (newRole === "PATIENT") {
-      if (patientAddress) {
-        setAddress(patientAddress);
-        logStatus(`Switched to PATIENT at ${patientAddress}`);
-      } else {
+      if (!patientAddress) {
         logStatus("No patient address loaded yet.");
+        return;
       }
-      return;
+      addr = patientAddress;
+    } else if (newRole === "AUDITOR") {
+      if (!auditors.length) {
+        logStatus("No auditor account is registered on-chain.");
+        return;
+      }
+      addr = auditors[0];
+    } else {
+      const roleIndex = ROLES.indexOf(newRole);
+      const providerIndex = roleIndex - 1;
+
+      if (providerIndex < 0 || providerIndex >= providers.length) {
+        logStatus("Provider address not available in Ganache.");
+        return;
+      }
+      addr = providers[providerIndex];
+    }
+
+    try {
+      await signInAs(addr);
+      setRole(newRole);
+      logStatus(`Switched to ${newRole} at ${addr}`);
+    } catch (err) {
+      console.error(err);
+      logStatus(`Sign-in as ${newRole} failed.`);
     }
+  }
 
-    const roleIndex = ROLES.indexOf(newRole);
-    const providerIndex = roleIndex - 1;
+  function roleForAddress(addr) {
+    if (patientAddress && addressesEqual(addr, patientAddress)) {
+      return "PATIENT";
+    }
+    if (auditors.some((a) => addressesEqual(a, addr))) {
+      return "AUDITOR";
+    }
+    const idx = findProviderIndex(addr);
+    return idx === -1 ? null : providerRoleName(idx);
+  }
 
-    if (providerIndex < 0 || providerIndex >= providers.length) {
-      logStatus("Provider address not available in Ganache.");
-      return;
+  async function handleSignIn() {
+    try {
+      const addr = hasInjectedWallet()
+        ? await requestInjectedAccount()
+        : window.prompt("Account address (0x...)");
+      if (!addr) return;
+
+      await signInAs(addr);
+      const matchedRole = roleForAddress(addr);
+      if (matchedRole) {
+        setRole(matchedRole);
+      }
+      setProfileOpen(false);
+    } catch (err) {
+      console.error(err);
+      logStatus("Sign-in failed.");
+    }
+  }
+
+  // Sign in with an encrypted JSON keystore instead of a browser wallet; the
+  // decrypted account stays in this tab's memory only.
+  async function handleKeystoreSelected(e) {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const password = window.prompt(`Password for ${file.name}`);
+      if (password === null) return;
+
+      logStatus("Unlocking keystore...");
+      const addr = await unlockKeystore(await file.text(), password);
+      await signInAs(addr);
+      const matchedRole = roleForAddress(addr);
+      if (matchedRole) {
+        setRole(matchedRole);
+      }
+      setProfileOpen(false);
+    } catch (err) {
+      console.error(err);
+      logStatus("Could not unlock keystore.");
     }
+  }
 
-    const addr = providers[providerIndex];
-    setAddress(addr);
-    logStatus(`Switched to ${newRole} at ${addr}`);
+  async function handleSignOut() {
+    try {
+      await signOut(API_BASE);
+    } catch (err) {
+      console.error(err);
+    }
+    forgetKeystore();
+    setSession(null);
+    setEncryptionKey(null);
+    setAddress("");
+    setProfileOpen(false);
+    logStatus("Signed out");
   }
 
   async function openRecordViewer(recordId) {
     try {
       logStatus("Loading record...");
-      const res = await axios.get(`${API_BASE}/api/records/${recordId}`);
-      setViewingRecord(res.data);
+      const { payload, withheld, ...opened } = await openRecord(recordId);
+      // Streamed uploads keep the file out of the envelope; fetch it separately
+      let contentBlob = null;
+      if (
+        payload.kind === "file" &&
+        payload.storage === "chunked" &&
+        !withheld.includes("read-attachments")
+      ) {
+        logStatus("Downloading file...");
+        contentBlob = await loadFileContent(recordId, payload);
+      }
+      setViewingRecord({
+        recordId,
+        cid: opened.cid,
+        recordIdHash: opened.recordIdHash,
+        scope: opened.scope,
+        payload,
+        withheld,
+        contentBlob
+      });
       logStatus("Record loaded.");
     } catch (err) {
       console.error(err);
-      logStatus("Failed to load record");
+      if (err.response?.status === 403) {
+        logStatus("Access denied: you are not authorized for this record.");
+      } else {
+        logStatus("Failed to load record");
+      }
     }
   }
 
+  function findDirectoryEntry(addr) {
+    if (!addr) return null;
+    return providerDirectory.find((p) => addressesEqual(p.address, addr)) || null;
+  }
+
+  function getDirectoryLabel(entry) {
+    const details = [entry.specialty, entry.organization].filter(Boolean).join(", ");
+    const verified = entry.status === "verified" ? " ✓" : " (unverified)";
+    return `${entry.name}${details ? ` · ${details}` : ""}${verified}`;
+  }
+
   function getProviderLabel(addr) {
     if (!addr) return "Unknown provider";
     const idx = findProviderIndex(addr);
@@ -491,12 +1718,14 @@ export default function App() {
       addr && addr.startsWith("0x")
         ? `${addr.slice(0, 6)}...${addr.slice(-4)}`
         : addr;
+    const entry = findDirectoryEntry(addr);
+    if (entry) {
+      return `${getDirectoryLabel(entry)} (${short})`;
+    }
     if (idx === -1) {
       return short;
     }
-    const roleIndex = idx + 1;
-    const name = ROLES[roleIndex] || "PROVIDER";
-    return `${name} (${short})`;
+    return `${providerRoleName(idx)} (${short})`;
   }
 
   function findProviderIndex(addr) {
@@ -516,11 +1745,12 @@ export default function App() {
     if (patientAddress && addressesEqual(addr, patientAddress)) {
       return `PATIENT (${short})`;
     }
+    if (auditors.some((a) => addressesEqual(a, addr))) {
+      return `AUDITOR (${short})`;
+    }
     const idx = findProviderIndex(addr);
     if (idx !== -1) {
-      const roleIndex = idx + 1;
-      const name = ROLES[roleIndex] || "PROVIDER";
-      return `${name} (${short})`;
+      return `${providerRoleName(idx)} (${short})`;
     }
     return short;
   }
@@ -538,6 +1768,12 @@ export default function App() {
     return shortenMiddle(hash, 6, 6);
   }
 
+  // Settings list the notification types that can reach the current view
+  function notificationAudienceMatches(audience) {
+    if (audience === "all" || role === "AUDITOR") return true;
+    return audience === (role === "PATIENT" ? "patient" : "provider");
+  }
+
   function renderNotificationText(notif) {
     if (!notif) return "";
     if (notif.type === "record-shared") {
@@ -547,6 +1783,31 @@ export default function App() {
       const recordLabel = notif.recordId || formatHash(notif.recordIdHash);
       return `${owner} shared ${recordLabel}`;
     }
+    if (notif.type === "grant-expiring" || notif.type === "grant-expired") {
+      const grantee = getAccountFriendlyLabel(notif.providerAddress);
+      return notif.type === "grant-expired"
+        ? `Access to ${notif.recordId} for ${grantee} has expired`
+        : `Access to ${notif.recordId} for ${grantee} expires ${formatDateTime(notif.validUntil)}`;
+    }
+    if (notif.type === "request-created") {
+      const requester = getAccountFriendlyLabel(notif.providerAddress);
+      const recordLabel = notif.recordId || formatHash(notif.recordIdHash);
+      return `${requester} asked for access to ${recordLabel}: "${notif.reason}"`;
+    }
+    if (notif.type === "record-accessed" || notif.type === "access-refused") {
+      const actor = getAccountFriendlyLabel(notif.providerAddress);
+      return notif.type === "record-accessed"
+        ? `${actor} read ${notif.recordId}`
+        : `${actor} was refused access to ${notif.recordId}`;
+    }
+    if (notif.type === "emergency-access") {
+      const actor = getAccountFriendlyLabel(notif.providerAddress);
+      const recordLabel = notif.recordId || formatHash(notif.recordIdHash);
+      // Break-glass calls made outside PrivaMed only leave the hash on-chain
+      return notif.justification
+        ? `${actor} used emergency access on ${recordLabel}: "${notif.justification}"`
+        : `${actor} used emergency access on ${recordLabel} outside PrivaMed`;
+    }
     return notif.message || "New activity";
   }
 
@@ -560,9 +1821,31 @@ export default function App() {
     }
   }
 
-  function formatDateTime(value) {
-    if (!value) return "";
-    try {
+  function describeHistoryEntry(ev) {
+    const who = getAccountFriendlyLabel(ev.actor);
+    if (ev.type === "grant") {
+      return (
+        `Shared with ${who} (${describeScope(ev.scope)}, ` +
+        `${ev.validUntil ? `until ${formatDateTime(ev.validUntil)}` : "no expiry"})`
+      );
+    }
+    if (ev.type === "revoke") {
+      return `Access revoked for ${who}`;
+    }
+    if (ev.type === "emergency") {
+      return ev.justification
+        ? `${who} used emergency access: "${ev.justification}"`
+        : `${who} used emergency access outside PrivaMed`;
+    }
+    if (!ev.success) {
+      return `${who} was refused (${ev.action.toLowerCase()})`;
+    }
+    return ev.action === "KEY" ? `${who} fetched the record key` : `${who} read the record`;
+  }
+
+  function formatDateTime(value) {
+    if (!value) return "";
+    try {
       const date = new Date(value);
       if (Number.isNaN(date.getTime())) {
         return "";
@@ -574,6 +1857,18 @@ export default function App() {
     }
   }
 
+  // Seconds until a grant expires -> "3d 4h", "25m", ...
+  function formatTimeLeft(seconds) {
+    if (seconds === null || seconds === undefined) return "No expiry";
+    if (seconds < 0) return "Expired";
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m`;
+  }
+
   function renderStatusLogs() {
     if (statusLog.length === 0) {
       return <p className="muted">No log entries yet.</p>;
@@ -678,7 +1973,13 @@ export default function App() {
           <div className="breadcrumb">
             <span>Access</span>
             <span className="crumb">›</span>
-            <strong>{role === "PATIENT" ? "Patient Dashboard" : "Provider Dashboard"}</strong>
+            <strong>
+              {role === "PATIENT"
+                ? "Patient Dashboard"
+                : role === "AUDITOR"
+                  ? "Auditor Dashboard"
+                  : "Provider Dashboard"}
+            </strong>
           </div>
           <div className="header-actions">
             <form onSubmit={handleSearchSubmit}>
@@ -696,24 +1997,94 @@ export default function App() {
                 onClick={handleNotificationsClick}
               >
                 🔔
-                {notifications.length > 0 && <span className="dot">{notifications.length}</span>}
+                {unreadNotifications > 0 && <span className="dot">{unreadNotifications}</span>}
               </button>
               {notificationsOpen && (
                 <div className="notifications-menu">
                   <header>
                     <strong>Notifications</strong>
-                    <button onClick={handleClearNotifications}>Clear all</button>
+                    <div>
+                      {unreadNotifications > 0 && (
+                        <button onClick={() => handleMarkNotificationsRead()}>
+                          Mark all read
+                        </button>
+                      )}
+                      <button onClick={handleClearNotifications}>Clear all</button>
+                      <button onClick={toggleNotificationSettings}>
+                        {notificationSettings ? "Done" : "Settings"}
+                      </button>
+                    </div>
                   </header>
-                  {notifications.length === 0 ? (
+                  {notificationSettings ? (
+                    <ul className="notification-settings">
+                      {Object.entries(notificationSettings.types)
+                        .filter(([, t]) => notificationAudienceMatches(t.audience))
+                        .map(([type, t]) => (
+                          <li key={type}>
+                            <label>
+                              <input
+                                type="checkbox"
+                                checked={notificationSettings.preferences[type]}
+                                onChange={(e) =>
+                                  handleNotificationPreference(type, e.target.checked)
+                                }
+                              />{" "}
+                              {t.label}
+                            </label>
+                          </li>
+                        ))}
+                      {deliverySettings && (
+                        <li>
+                          <form className="access-form" onSubmit={handleSaveDelivery}>
+                            <label className="field">
+                              <span>
+                                Email
+                                {!deliverySettings.channels.email && " (not configured)"}
+                              </span>
+                              <input
+                                type="email"
+                                value={deliveryForm.email}
+                                disabled={!deliverySettings.channels.email}
+                                onChange={(e) =>
+                                  setDeliveryForm((f) => ({ ...f, email: e.target.value }))
+                                }
+                                placeholder="clinic@example.org"
+                              />
+                            </label>
+                            <label className="field">
+                              <span>Webhook URL</span>
+                              <input
+                                type="url"
+                                value={deliveryForm.webhookUrl}
+                                onChange={(e) =>
+                                  setDeliveryForm((f) => ({
+                                    ...f,
+                                    webhookUrl: e.target.value
+                                  }))
+                                }
+                                placeholder="https://..."
+                              />
+                            </label>
+                            <button type="submit">Save delivery</button>
+                          </form>
+                        </li>
+                      )}
+                    </ul>
+                  ) : notifications.length === 0 ? (
                     <p className="muted">No new alerts</p>
                   ) : (
                     <ul>
                       {notifications.map((n) => (
-                        <li key={n.id}>
+                        <li key={n.id} className={n.read ? "" : "unread"}>
                           <div>
                             <strong>{renderNotificationText(n)}</strong>
                             <span>{formatNotificationTime(n.timestamp)}</span>
                           </div>
+                          {!n.read && (
+                            <button onClick={() => handleMarkNotificationsRead(n.id)}>
+                              Mark read
+                            </button>
+                          )}
                         </li>
                       ))}
                     </ul>
@@ -735,28 +2106,22 @@ export default function App() {
                   </div>
                   <hr />
                   {!signedIn ? (
-                    <button
-                      className="profile-action"
-                      onClick={() => {
-                        const addr = window.prompt("Demo address (0x...)");
-                        if (addr) {
-                          setAddress(addr);
-                          setProfileOpen(false);
-                          logStatus("Signed in");
-                        }
-                      }}
-                    >
-                      Sign In
-                    </button>
+                    <>
+                      <button className="profile-action" onClick={handleSignIn}>
+                        Sign In
+                      </button>
+                      <label className="profile-action">
+                        Sign In with keystore file
+                        <input
+                          type="file"
+                          accept=".json,application/json"
+                          hidden
+                          onChange={handleKeystoreSelected}
+                        />
+                      </label>
+                    </>
                   ) : (
-                    <button
-                      className="profile-action"
-                      onClick={() => {
-                        setAddress("");
-                        setProfileOpen(false);
-                        logStatus("Signed out");
-                      }}
-                    >
+                    <button className="profile-action" onClick={handleSignOut}>
                       Sign Out
                     </button>
                   )}
@@ -796,7 +2161,20 @@ export default function App() {
                   </label>
 
                   <label className="field">
-                    <span>Note text</span>
+                    <span>Content</span>
+                    <select
+                      value={uploadKind}
+                      onChange={(e) => setUploadKind(e.target.value)}
+                    >
+                      <option value="document">Note and/or file</option>
+                      <option value="fhir">FHIR R4 resource or Bundle</option>
+                    </select>
+                  </label>
+
+                  <label className="field">
+                    <span>
+                      {uploadKind === "fhir" ? "Note (optional)" : "Note text"}
+                    </span>
                     <textarea
                       rows={4}
                       value={noteText}
@@ -805,23 +2183,54 @@ export default function App() {
                     />
                   </label>
 
-                  <label className="field">
-                    <span>Attach file (optional)</span>
-                    <input
-                      type="file"
-                      onChange={(e) => {
-                        const file = e.target.files && e.target.files[0];
-                        setFileToUpload(file || null);
-                      }}
-                    />
-                    {fileToUpload && (
+                  {uploadKind === "fhir" ? (
+                    <label className="field">
+                      <span>FHIR JSON</span>
+                      <textarea
+                        rows={8}
+                        value={fhirText}
+                        onChange={(e) => setFhirText(e.target.value)}
+                        placeholder='{"resourceType": "Bundle", "type": "collection", "entry": [...]}'
+                      />
+                      <input
+                        type="file"
+                        accept=".json,application/json,application/fhir+json"
+                        onChange={async (e) => {
+                          const file = e.target.files && e.target.files[0];
+                          if (file) setFhirText(await file.text());
+                        }}
+                      />
                       <small>
-                        Selected: {fileToUpload.name} ({Math.round(fileToUpload.size / 1024)} KB)
+                        Patient, Observation, Condition, MedicationStatement
+                        and DocumentReference resources are accepted.
                       </small>
-                    )}
-                  </label>
+                    </label>
+                  ) : (
+                    <label className="field">
+                      <span>Attach file (optional)</span>
+                      <input
+                        type="file"
+                        onChange={(e) => {
+                          const file = e.target.files && e.target.files[0];
+                          setFileToUpload(file || null);
+                        }}
+                      />
+                      {fileToUpload && (
+                        <small>
+                          Selected: {fileToUpload.name} ({Math.round(fileToUpload.size / 1024)} KB)
+                        </small>
+                      )}
+                      {uploadProgress !== null && (
+                        <small>Uploading: {uploadProgress}%</small>
+                      )}
+                    </label>
+                  )}
 
-                  <button type="submit" className="btn-primary">
+                  <button
+                    type="submit"
+                    className="btn-primary"
+                    disabled={uploadProgress !== null}
+                  >
                     Upload & register on-chain
                   </button>
                 </form>
@@ -902,6 +2311,16 @@ export default function App() {
                     />
                   </label>
 
+                  <label className="field">
+                    <span>Find a provider</span>
+                    <input
+                      type="text"
+                      value={providerQuery}
+                      onChange={(e) => setProviderQuery(e.target.value)}
+                      placeholder="Name, specialty, organization or license"
+                    />
+                  </label>
+
                   <label className="field">
                     <span>Provider</span>
                     <select
@@ -909,7 +2328,7 @@ export default function App() {
                       onChange={(e) => setSelectedProvider(e.target.value)}
                     >
                       <option value="">Select a provider</option>
-                      {providers.map((p) => (
+                      {grantProviderOptions.map((p) => (
                         <option key={p} value={p}>
                           {getProviderLabel(p)}
                         </option>
@@ -917,6 +2336,59 @@ export default function App() {
                     </select>
                   </label>
 
+                  <div className="scope-picker">
+                    <span>Scope</span>
+                    <div className="scope-options">
+                      {SCOPE_OPTIONS.map((o) => (
+                        <label key={o.name} className="advanced-toggle">
+                          <input
+                            type="checkbox"
+                            checked={grantScopes.includes(o.name)}
+                            onChange={() => toggleGrantScope(o.name)}
+                          />
+                          <span>{o.label}</span>
+                        </label>
+                      ))}
+                    </div>
+                    <small className="muted">
+                      Leave everything unchecked to share the whole record.
+                    </small>
+                  </div>
+
+                  <label className="field">
+                    <span>Expires</span>
+                    <select
+                      value={grantDuration}
+                      onChange={(e) => setGrantDuration(e.target.value)}
+                    >
+                      {GRANT_DURATIONS.map((d) => (
+                        <option key={d.value} value={d.value}>
+                          {d.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+
+                  {grantDuration === "date" && (
+                    <label className="field">
+                      <span>Expiry date</span>
+                      <input
+                        type="date"
+                        value={grantExpiryDate}
+                        onChange={(e) => setGrantExpiryDate(e.target.value)}
+                      />
+                    </label>
+                  )}
+
+                  <label className="advanced-toggle">
+                    <input
+                      type="checkbox"
+                      checked={rotateOnRevoke}
+                      onChange={(e) => setRotateOnRevoke(e.target.checked)}
+                    />
+                    <span>Rotate the record key when revoking</span>
+                  </label>
+
                   <div className="actions">
                     <button type="submit" className="btn-primary">
                       Grant access
@@ -928,6 +2400,452 @@ export default function App() {
                 </form>
               </div>
 
+              {selectedRecord && selectedRecord.recordIdHash && (
+                <div className="card notes-card">
+                  <h3>Grants on {selectedRecord.recordId}</h3>
+                  {recordGrants.length === 0 ? (
+                    <p>This record has not been shared with anyone.</p>
+                  ) : (
+                    <table className="simple-table">
+                      <thead>
+                        <tr>
+                          <th>Provider</th>
+                          <th>Scope</th>
+                          <th>Expires</th>
+                          <th>Time left</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {recordGrants.map((g) => (
+                          <tr key={g.grantee}>
+                            <td>
+                              <code title={g.grantee}>{getProviderLabel(g.grantee)}</code>
+                              {g.emergency ? " (emergency)" : ""}
+                            </td>
+                            <td>{describeScope(g.scope)}</td>
+                            <td>{g.validUntil ? formatDateTime(g.validUntil) : "Never"}</td>
+                            <td>
+                              {g.status === "revoked"
+                                ? "Revoked"
+                                : formatTimeLeft(g.secondsLeft)}
+                              {g.status === "expiring" ? " (expiring soon)" : ""}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              )}
+
+              <div className="card notes-card">
+                <h3>Access requests</h3>
+                {accessRequests.length === 0 ? (
+                  <p>No providers have asked for access to your records.</p>
+                ) : (
+                  <table className="simple-table">
+                    <thead>
+                      <tr>
+                        <th>Record ID</th>
+                        <th>Provider</th>
+                        <th>Reason</th>
+                        <th>Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {accessRequests.map((r) => (
+                        <tr key={r.requestId}>
+                          <td>{r.recordId || "unknown"}</td>
+                          <td>
+                            <code title={r.requester}>{getAccountFriendlyLabel(r.requester)}</code>
+                          </td>
+                          <td>{r.reason}</td>
+                          <td>
+                            {r.status === "pending" ? (
+                              <div className="actions">
+                                <button
+                                  type="button"
+                                  className="btn-primary"
+                                  style={{ marginTop: 0, padding: "6px 10px" }}
+                                  onClick={() => handleApproveRequest(r)}
+                                >
+                                  Approve
+                                </button>
+                                <button
+                                  type="button"
+                                  className="btn-primary"
+                                  style={{ marginTop: 0, padding: "6px 10px" }}
+                                  onClick={() => handleDenyRequest(r)}
+                                >
+                                  Deny
+                                </button>
+                              </div>
+                            ) : (
+                              r.status
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              <div className="card notes-card">
+                <h3>Access history</h3>
+                <form className="access-form" onSubmit={(e) => e.preventDefault()}>
+                  <label className="field">
+                    <span>Record</span>
+                    <select
+                      value={historyFilter.recordId}
+                      onChange={(e) => setHistoryFilter({ ...historyFilter, recordId: e.target.value })}
+                    >
+                      <option value="">All records</option>
+                      {records.map((r) => (
+                        <option key={r.recordId} value={r.recordId}>
+                          {r.recordId}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="field">
+                    <span>Provider address</span>
+                    <input
+                      type="text"
+                      value={historyFilter.actor}
+                      onChange={(e) => setHistoryFilter({ ...historyFilter, actor: e.target.value.trim() })}
+                      placeholder="Anyone"
+                    />
+                  </label>
+                  <label className="field">
+                    <span>From</span>
+                    <input
+                      type="date"
+                      value={historyFilter.from}
+                      onChange={(e) => setHistoryFilter({ ...historyFilter, from: e.target.value })}
+                    />
+                  </label>
+                  <label className="field">
+                    <span>To</span>
+                    <input
+                      type="date"
+                      value={historyFilter.to}
+                      onChange={(e) => setHistoryFilter({ ...historyFilter, to: e.target.value })}
+                    />
+                  </label>
+                </form>
+                {accessHistory.length === 0 ? (
+                  <p>No access to your records matches these filters.</p>
+                ) : (
+                  <table className="simple-table">
+                    <thead>
+                      <tr>
+                        <th>When</th>
+                        <th>Record ID</th>
+                        <th>What happened</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {accessHistory.map((ev) => (
+                        <tr key={ev.id}>
+                          <td>{formatDateTime(ev.timestamp)}</td>
+                          <td>{ev.recordId || <code title={ev.recordIdHash}>{formatHash(ev.recordIdHash)}</code>}</td>
+                          <td>{describeHistoryEntry(ev)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              <div className="card status-card">
+                <h3>Status</h3>
+                <p>{status}</p>
+                <div className="role-info">
+                  <span>Role</span>
+                  <strong>{role}</strong>
+                </div>
+                <div className="role-info">
+                  <span>Address</span>
+                  <code>{address || "Not set"}</code>
+                </div>
+              </div>
+            </>
+          ) : role === "AUDITOR" ? (
+            <>
+              <div className="card patient-card">
+                <div className="patient-header">
+                  <div className="patient-avatar blank-avatar" aria-hidden="true">
+                    AU
+                  </div>
+                  <div>
+                    <h2>Auditor View</h2>
+                    <p>
+                      Role: {role} · Address: <code>{address || "N/A"}</code>
+                    </p>
+                  </div>
+                </div>
+
+                {!auditReport ? (
+                  <p>Sign in with a registered auditor account to see compliance reports.</p>
+                ) : (
+                  <>
+                    <form className="access-form" onSubmit={(e) => e.preventDefault()}>
+                      <h3>Compliance report</h3>
+                      <label className="field">
+                        <span>From</span>
+                        <input
+                          type="date"
+                          value={reportRange.from}
+                          onChange={(e) => setReportRange({ ...reportRange, from: e.target.value })}
+                        />
+                      </label>
+                      <label className="field">
+                        <span>To</span>
+                        <input
+                          type="date"
+                          value={reportRange.to}
+                          onChange={(e) => setReportRange({ ...reportRange, to: e.target.value })}
+                        />
+                      </label>
+                      <div className="actions">
+                        <button type="button" className="btn-primary" onClick={() => handleDownloadReport("csv")}>
+                          Download CSV
+                        </button>
+                        <button type="button" className="btn-primary" onClick={() => handleDownloadReport("pdf")}>
+                          Download PDF
+                        </button>
+                      </div>
+                    </form>
+
+                    <div className="records-list">
+                      <h3>Access across all patients</h3>
+                      <table className="simple-table">
+                        <tbody>
+                          <tr>
+                            <td>Records on-chain</td>
+                            <td>{auditReport.totals.records}</td>
+                          </tr>
+                          <tr>
+                            <td>Patients</td>
+                            <td>{auditReport.totals.patients}</td>
+                          </tr>
+                          <tr>
+                            <td>Grants / revokes</td>
+                            <td>
+                              {auditReport.totals.grants} / {auditReport.totals.revokes}
+                            </td>
+                          </tr>
+                          <tr>
+                            <td>Reads / refused</td>
+                            <td>
+                              {auditReport.totals.reads} / {auditReport.totals.failedAccesses}
+                            </td>
+                          </tr>
+                          <tr>
+                            <td>Break-glass accesses</td>
+                            <td>{auditReport.totals.emergencies}</td>
+                          </tr>
+                        </tbody>
+                      </table>
+                    </div>
+                  </>
+                )}
+              </div>
+
+              {auditReport && (
+                <div className="card notes-card">
+                  <h3>Activity per account</h3>
+                  {auditReport.providers.length === 0 ? (
+                    <p>No access in this period.</p>
+                  ) : (
+                    <table className="simple-table">
+                      <thead>
+                        <tr>
+                          <th>Account</th>
+                          <th>Reads</th>
+                          <th>Refused</th>
+                          <th>Break-glass</th>
+                          <th>Unjustified</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {auditReport.providers.map((p) => (
+                          <tr key={p.address}>
+                            <td>
+                              <code title={p.address}>{getAccountFriendlyLabel(p.address)}</code>
+                            </td>
+                            <td>{p.reads}</td>
+                            <td>{p.failedAccesses}</td>
+                            <td>{p.emergencies}</td>
+                            <td>{p.unjustifiedEmergencies}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              )}
+
+              {auditReport && (
+                <div className="card notes-card">
+                  <h3>Anomalies</h3>
+                  {auditReport.anomalies.length === 0 ? (
+                    <p>Nothing unusual in this period.</p>
+                  ) : (
+                    <table className="simple-table">
+                      <thead>
+                        <tr>
+                          <th>When</th>
+                          <th>Account</th>
+                          <th>Record ID</th>
+                          <th>What happened</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {auditReport.anomalies.map((a) => (
+                          <tr key={`${a.type}:${a.actor}:${a.recordIdHash}:${a.txHash}`}>
+                            <td>{a.timestamp ? formatDateTime(a.timestamp) : "This period"}</td>
+                            <td>
+                              <code title={a.actor}>{getAccountFriendlyLabel(a.actor)}</code>
+                            </td>
+                            <td>
+                              {a.recordIdHash
+                                ? a.recordId || <code title={a.recordIdHash}>{formatHash(a.recordIdHash)}</code>
+                                : "—"}
+                            </td>
+                            <td title={a.type}>{a.message}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              )}
+
+              {emergencyQueue && (
+                <div className="card notes-card">
+                  <h3>Provider verification</h3>
+                  {providerDirectory.length === 0 ? (
+                    <p>No providers have listed themselves yet.</p>
+                  ) : (
+                    <table className="simple-table">
+                      <thead>
+                        <tr>
+                          <th>Provider</th>
+                          <th>License</th>
+                          <th>Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {providerDirectory.map((p) => (
+                          <tr key={p.address}>
+                            <td title={p.address}>
+                              {p.name}
+                              {p.specialty || p.organization
+                                ? ` · ${[p.specialty, p.organization].filter(Boolean).join(", ")}`
+                                : ""}
+                            </td>
+                            <td>{p.licenseNumber}</td>
+                            <td>
+                              {p.status === "pending" ? (
+                                <div className="actions">
+                                  <button
+                                    type="button"
+                                    className="btn-primary"
+                                    style={{ marginTop: 0, padding: "6px 10px" }}
+                                    onClick={() => handleVerifyProvider(p, "verified")}
+                                  >
+                                    Verify
+                                  </button>
+                                  <button
+                                    type="button"
+                                    className="btn-primary"
+                                    style={{ marginTop: 0, padding: "6px 10px" }}
+                                    onClick={() => handleVerifyProvider(p, "rejected")}
+                                  >
+                                    Reject
+                                  </button>
+                                </div>
+                              ) : p.status === "verified" ? (
+                                <div className="actions">
+                                  <span title={p.verification?.notes}>verified</span>
+                                  <button
+                                    type="button"
+                                    className="btn-primary"
+                                    style={{ marginTop: 0, padding: "6px 10px" }}
+                                    onClick={() => handleVerifyProvider(p, "rejected")}
+                                  >
+                                    Withdraw
+                                  </button>
+                                </div>
+                              ) : (
+                                <span title={p.verification?.notes}>{p.status}</span>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              )}
+
+              {emergencyQueue && (
+                <div className="card notes-card">
+                  <h3>Emergency access review</h3>
+                  {emergencyQueue.length === 0 ? (
+                    <p>No break-glass events yet.</p>
+                  ) : (
+                    <table className="simple-table">
+                      <thead>
+                        <tr>
+                          <th>Record ID</th>
+                          <th>Provider</th>
+                          <th>Justification</th>
+                          <th>Review</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {emergencyQueue.map((ev) => (
+                          <tr key={ev.id}>
+                            <td title={formatDateTime(ev.createdAt)}>{ev.recordId || formatHash(ev.recordIdHash)}</td>
+                            <td>
+                              <code title={ev.provider}>{getAccountFriendlyLabel(ev.provider)}</code>
+                            </td>
+                            <td>{ev.justification ?? <em title={ev.justificationHash}>not recorded</em>}</td>
+                            <td>
+                              {ev.review ? (
+                                <span title={ev.review.notes}>{ev.review.verdict}</span>
+                              ) : (
+                                <div className="actions">
+                                  <button
+                                    type="button"
+                                    className="btn-primary"
+                                    style={{ marginTop: 0, padding: "6px 10px" }}
+                                    onClick={() => handleReviewEmergency(ev, "justified")}
+                                  >
+                                    Justified
+                                  </button>
+                                  <button
+                                    type="button"
+                                    className="btn-primary"
+                                    style={{ marginTop: 0, padding: "6px 10px" }}
+                                    onClick={() => handleReviewEmergency(ev, "unjustified")}
+                                  >
+                                    Unjustified
+                                  </button>
+                                </div>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              )}
+
               <div className="card status-card">
                 <h3>Status</h3>
                 <p>{status}</p>
@@ -967,6 +2885,8 @@ export default function App() {
                           <th>Record ID</th>
                           <th>Owner (patient)</th>
                           <th>On-chain ID</th>
+                          <th>Scope</th>
+                          <th>Expires</th>
                           <th>View</th>
                         </tr>
                       </thead>
@@ -984,6 +2904,8 @@ export default function App() {
                                 "n/a"
                               )}
                             </td>
+                            <td>{describeScope(r.scope)}</td>
+                            <td>{r.validUntil ? formatDateTime(r.validUntil) : "Never"}</td>
                             <td>
                               <button
                                 type="button"
@@ -1002,6 +2924,140 @@ export default function App() {
                 </div>
               </div>
 
+              <div className="card notes-card">
+                <h3>Request access</h3>
+                <form className="access-form" onSubmit={handleRequestAccess}>
+                  <label className="field">
+                    <span>Record on-chain ID</span>
+                    <input
+                      type="text"
+                      value={requestRecordIdHash}
+                      onChange={(e) => setRequestRecordIdHash(e.target.value)}
+                      placeholder="0x..."
+                    />
+                  </label>
+
+                  <label className="field">
+                    <span>Reason</span>
+                    <input
+                      type="text"
+                      value={requestReason}
+                      onChange={(e) => setRequestReason(e.target.value)}
+                      placeholder="e.g. Referral follow-up"
+                    />
+                  </label>
+
+                  <div className="actions">
+                    <button type="submit" className="btn-primary">
+                      Request access
+                    </button>
+                  </div>
+                </form>
+
+                {accessRequests.length > 0 && (
+                  <table className="simple-table">
+                    <thead>
+                      <tr>
+                        <th>#</th>
+                        <th>On-chain ID</th>
+                        <th>Reason</th>
+                        <th>Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {accessRequests.map((r) => (
+                        <tr key={r.requestId}>
+                          <td>{r.requestId}</td>
+                          <td>
+                            <code title={r.recordIdHash}>{formatHash(r.recordIdHash)}</code>
+                          </td>
+                          <td>{r.reason}</td>
+                          <td>{r.status}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              <div className="card notes-card">
+                <h3>Directory profile</h3>
+                <p>
+                  Patients find you by this entry when they share records.{" "}
+                  {findDirectoryEntry(address)
+                    ? `Status: ${findDirectoryEntry(address).status}.`
+                    : "You are not listed yet."}
+                </p>
+                <form className="access-form" onSubmit={handleSaveProfile}>
+                  {[
+                    ["name", "Name"],
+                    ["specialty", "Specialty"],
+                    ["organization", "Organization"],
+                    ["licenseNumber", "License number"]
+                  ].map(([field, label]) => (
+                    <label className="field" key={field}>
+                      <span>{label}</span>
+                      <input
+                        type="text"
+                        value={profileForm[field]}
+                        onChange={(e) =>
+                          setProfileForm((form) => ({ ...form, [field]: e.target.value }))
+                        }
+                      />
+                    </label>
+                  ))}
+
+                  <div className="actions">
+                    <button type="submit" className="btn-primary">
+                      Save profile
+                    </button>
+                  </div>
+                </form>
+              </div>
+
+              <div className="card notes-card">
+                <h3>Emergency access</h3>
+                <form className="access-form" onSubmit={handleEmergencyAccess}>
+                  <label className="field">
+                    <span>Record on-chain ID</span>
+                    <input
+                      type="text"
+                      value={emergencyRecordIdHash}
+                      onChange={(e) => setEmergencyRecordIdHash(e.target.value)}
+                      placeholder="0x..."
+                    />
+                  </label>
+
+                  <label className="field">
+                    <span>Justification</span>
+                    <textarea
+                      rows={3}
+                      value={emergencyJustification}
+                      onChange={(e) => setEmergencyJustification(e.target.value)}
+                      placeholder="Why the patient's consent cannot be obtained"
+                    />
+                  </label>
+
+                  <label className="field">
+                    <span>Duration</span>
+                    <select
+                      value={emergencyHours}
+                      onChange={(e) => setEmergencyHours(Number(e.target.value))}
+                    >
+                      <option value={1}>1 hour</option>
+                      <option value={4}>4 hours</option>
+                      <option value={24}>24 hours</option>
+                    </select>
+                  </label>
+
+                  <div className="actions">
+                    <button type="submit" className="btn-primary">
+                      Break glass
+                    </button>
+                  </div>
+                </form>
+              </div>
+
               <div className="card status-card">
                 <h3>Status</h3>
                 <p>{status}</p>
@@ -1016,6 +3072,139 @@ export default function App() {
               </div>
             </>
           )}
+
+          {adminStatus && addressesEqual(adminStatus.pendingAdmin, address) && (
+            <div className="card notes-card">
+              <h3>Admin transfer</h3>
+              <p>
+                {getAccountFriendlyLabel(adminStatus.admin)} has nominated you as the
+                PrivaMed admin.
+              </p>
+              <div className="actions">
+                <button type="button" className="btn-primary" onClick={handleAcceptAdmin}>
+                  Accept admin role
+                </button>
+              </div>
+            </div>
+          )}
+
+          {adminUsers && (
+            <div className="card notes-card">
+              <h3>User administration</h3>
+              {!addressesEqual(adminStatus.backendSigner, adminStatus.admin) && (
+                <p>The backend's signer is no longer the admin, so changes made here will be rejected.</p>
+              )}
+              <table className="simple-table">
+                <thead>
+                  <tr>
+                    <th>Account</th>
+                    <th>Role</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {adminUsers.map((u) => (
+                    <tr key={u.address}>
+                      <td>
+                        <code title={u.address}>{getAccountFriendlyLabel(u.address)}</code>
+                      </td>
+                      <td>{u.active ? u.role : "deactivated"}</td>
+                      <td>
+                        {u.active ? (
+                          <div className="actions">
+                            <select
+                              value={u.role}
+                              onChange={(e) => handleChangeUserRole(u, e.target.value)}
+                            >
+                              <option value="patient">patient</option>
+                              <option value="provider">provider</option>
+                              <option value="auditor">auditor</option>
+                            </select>
+                            <button
+                              type="button"
+                              className="btn-primary"
+                              style={{ marginTop: 0, padding: "6px 10px" }}
+                              onClick={() => handleDeactivateUser(u)}
+                            >
+                              Deactivate
+                            </button>
+                          </div>
+                        ) : (
+                          <button
+                            type="button"
+                            className="btn-primary"
+                            style={{ marginTop: 0, padding: "6px 10px" }}
+                            onClick={() => {
+                              setNewUserAddress(u.address);
+                              setNewUserRole(u.history[u.history.length - 1].role);
+                            }}
+                          >
+                            Reinstate…
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <form className="access-form" onSubmit={handleRegisterUser}>
+                <label className="field">
+                  <span>Register account</span>
+                  <input
+                    type="text"
+                    value={newUserAddress}
+                    onChange={(e) => setNewUserAddress(e.target.value)}
+                    placeholder="0x..."
+                  />
+                </label>
+                <label className="field">
+                  <span>Role</span>
+                  <select value={newUserRole} onChange={(e) => setNewUserRole(e.target.value)}>
+                    <option value="patient">Patient</option>
+                    <option value="provider">Provider</option>
+                    <option value="auditor">Auditor</option>
+                  </select>
+                </label>
+                <div className="actions">
+                  <button type="submit" className="btn-primary">
+                    Register
+                  </button>
+                </div>
+              </form>
+
+              <form className="access-form" onSubmit={(e) => handleTransferAdmin(e)}>
+                <label className="field">
+                  <span>Transfer admin role</span>
+                  <input
+                    type="text"
+                    value={newAdminAddress}
+                    onChange={(e) => setNewAdminAddress(e.target.value)}
+                    placeholder="0x... (e.g. a multisig)"
+                  />
+                </label>
+                {adminStatus.pendingAdmin && (
+                  <p>
+                    Waiting for <code>{adminStatus.pendingAdmin}</code> to accept.
+                  </p>
+                )}
+                <div className="actions">
+                  <button type="submit" className="btn-primary">
+                    Nominate
+                  </button>
+                  {adminStatus.pendingAdmin && (
+                    <button
+                      type="button"
+                      className="btn-primary"
+                      onClick={(e) => handleTransferAdmin(e, true)}
+                    >
+                      Cancel transfer
+                    </button>
+                  )}
+                </div>
+              </form>
+            </div>
+          )}
         </section>
 
         <footer className="console-footer">
@@ -1023,7 +3212,8 @@ export default function App() {
             <strong>{showAdvancedLogs ? "Chain console" : "Console log"}</strong>
             <div className="console-footer-controls">
               <span>
-                {role} · {address ? shortenMiddle(address, 6, 4) : "No wallet"}
+                {role} · {address ? shortenMiddle(address, 6, 4) : "No wallet"} ·{" "}
+                {PUSH_STATUS_LABELS[pushStatus]}
               </span>
               <label className="advanced-toggle">
                 <input
@@ -0,0 +1,34 @@
+// src/auth.js
+import axios from "axios";
+import { signMessage } from "./wallet";
+
+// Sign-In with Ethereum against the backend: fetch a challenge for `address`,
+// have the wallet sign it and exchange the signature for a session token.
+// The token is attached to every subsequent axios request.
+export async function signIn(apiBase, address) {
+  const challenge = await axios.post(`${apiBase}/api/auth/nonce`, { address });
+  const signature = await signMessage(address, challenge.data.message);
+  const res = await axios.post(`${apiBase}/api/auth/verify`, {
+    nonce: challenge.data.nonce,
+    signature
+  });
+
+  setSessionToken(res.data.token);
+  return res.data; // { token, address, expiresAt }
+}
+
+export async function signOut(apiBase) {
+  try {
+    await axios.post(`${apiBase}/api/auth/logout`);
+  } finally {
+    setSessionToken(null);
+  }
+}
+
+function setSessionToken(token) {
+  if (token) {
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    delete axios.defaults.headers.common.Authorization;
+  }
+}
@@ -0,0 +1,84 @@
+// src/chain.js
+import axios from "axios";
+import { ethers } from "ethers";
+import { getWalletSigner, signTypedData } from "./wallet";
+
+// Record and grant transactions are always authorized by the user's own
+// wallet, so the chain records them (not the backend) as the record owner.
+// With the backend's SIGNING_MODE=relay (default) the wallet signs an EIP-712
+// request and the backend's relayer submits it and pays the gas; with
+// SIGNING_MODE=client the wallet sends the transaction itself and the backend
+// verifies the hash.
+
+let chainConfigPromise = null;
+
+// { signingMode, chainId, contract: { address, abi } }, fetched once.
+export function loadChainConfig(apiBase) {
+  if (!chainConfigPromise) {
+    chainConfigPromise = axios
+      .get(`${apiBase}/api/chain`)
+      .then((res) => res.data)
+      .catch((err) => {
+        chainConfigPromise = null;
+        throw err;
+      });
+  }
+  return chainConfigPromise;
+}
+
+// Action params (as named in the backend's relayer) -> PrivaMed call
+const CONTRACT_CALLS = {
+  addRecord: (p) => ["addRecord", [p.cid]],
+  updateRecordCID: (p) => ["updateRecordCID", [p.recordId, p.newCid]],
+  grantAccess: (p) => [
+    "grantAccess",
+    [p.recordId, p.grantee, p.validUntil, p.scope]
+  ],
+  revokeAccess: (p) => ["revokeAccess", [p.recordId, p.grantee]],
+  requestAccess: (p) => ["requestAccess", [p.recordId, p.reason]],
+  approveRequest: (p) => [
+    "approveRequest",
+    [p.requestId, p.validUntil, p.scope]
+  ],
+  denyRequest: (p) => ["denyRequest", [p.requestId]],
+  emergencyAccess: (p) => [
+    "emergencyAccess",
+    [p.recordId, p.justificationHash, p.validForSeconds]
+  ]
+};
+
+// Send PrivaMed.<method>(...args) from `address` and wait for it to be mined.
+// Resolves with the transaction hash for the backend to verify. Also used
+// directly for calls that are never relayed, such as acceptAdmin.
+export async function sendPrivaMedTx(apiBase, address, method, args) {
+  const { contract } = await loadChainConfig(apiBase);
+  const signer = await getWalletSigner(address);
+  const privaMed = new ethers.Contract(contract.address, contract.abi, signer);
+
+  const tx = await privaMed[method](...args);
+  const receipt = await tx.wait();
+  if (!receipt || receipt.status !== 1) {
+    throw new Error(`${method} transaction failed`);
+  }
+  return receipt.hash;
+}
+
+// Have `address` authorize `action` and resolve with the fields to merge into
+// the API request that performs it: { relay: { deadline, signature } } or
+// { txHash }.
+export async function authorizeChainAction(apiBase, address, action, params) {
+  const { signingMode } = await loadChainConfig(apiBase);
+
+  if (signingMode === "client") {
+    const [method, args] = CONTRACT_CALLS[action](params);
+    return { txHash: await sendPrivaMedTx(apiBase, address, method, args) };
+  }
+
+  const res = await axios.post(`${apiBase}/api/relay/typed-data`, {
+    action,
+    params
+  });
+  const { typedData } = res.data;
+  const signature = await signTypedData(address, typedData);
+  return { relay: { deadline: typedData.message.deadline, signature } };
+}
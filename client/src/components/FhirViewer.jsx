@@ -0,0 +1,361 @@
+// src/components/FhirViewer.jsx
+import React from "react";
+
+// Order in which resource types are shown
+const SECTIONS = [
+  ["Patient", "Patient"],
+  ["Condition", "Conditions"],
+  ["Observation", "Observations"],
+  ["MedicationStatement", "Medications"],
+  ["DocumentReference", "Documents"]
+];
+
+function codeText(concept) {
+  if (!concept) return "";
+  if (concept.text) return concept.text;
+  const coding = (concept.coding || [])[0];
+  if (!coding) return "";
+  return coding.display || `${coding.code || ""}`;
+}
+
+function codeTitle(concept) {
+  return (concept && concept.coding ? concept.coding : [])
+    .map((c) => [c.system, c.code].filter(Boolean).join("|"))
+    .join(", ");
+}
+
+function formatQuantity(q) {
+  if (!q) return "";
+  return [q.comparator, q.value, q.unit || q.code]
+    .filter((v) => v != null)
+    .join(" ");
+}
+
+function formatPeriod(p) {
+  if (!p) return "";
+  return `${p.start || "?"} – ${p.end || "ongoing"}`;
+}
+
+function formatRange(r) {
+  if (!r) return "";
+  return `${formatQuantity(r.low) || "?"} – ${formatQuantity(r.high) || "?"}`;
+}
+
+// The value of a choice element (value[x], onset[x], ...) as text
+function choiceValue(resource, prefix) {
+  const name = Object.keys(resource).find(
+    (k) => k.startsWith(prefix) && /^[A-Z]/.test(k.slice(prefix.length))
+  );
+  if (!name) return "";
+  const value = resource[name];
+  switch (name.slice(prefix.length)) {
+    case "Quantity":
+    case "Age":
+      return formatQuantity(value);
+    case "CodeableConcept":
+      return codeText(value);
+    case "Period":
+      return formatPeriod(value);
+    case "Range":
+      return formatRange(value);
+    case "Ratio":
+      return `${formatQuantity(value.numerator)} / ${formatQuantity(value.denominator)}`;
+    case "Reference":
+      return value.display || value.reference || "";
+    case "Boolean":
+      return value ? "yes" : "no";
+    default:
+      return String(value);
+  }
+}
+
+function humanName(names) {
+  const name =
+    (names || []).find((n) => n.use === "official") || (names || [])[0];
+  if (!name) return "";
+  return (
+    name.text ||
+    [...(name.prefix || []), ...(name.given || []), name.family]
+      .filter(Boolean)
+      .join(" ")
+  );
+}
+
+function Coded({ concept }) {
+  return <span title={codeTitle(concept)}>{codeText(concept)}</span>;
+}
+
+function PatientView({ patient }) {
+  return (
+    <dl className="fhir-details">
+      <dt>Name</dt>
+      <dd>{humanName(patient.name) || "—"}</dd>
+      <dt>Gender</dt>
+      <dd>{patient.gender || "—"}</dd>
+      <dt>Birth date</dt>
+      <dd>{patient.birthDate || "—"}</dd>
+      {(patient.identifier || []).length > 0 && (
+        <>
+          <dt>Identifiers</dt>
+          <dd>
+            {patient.identifier.map((id, i) => (
+              <div key={i}>
+                {id.value}
+                {id.system && <small> ({id.system})</small>}
+              </div>
+            ))}
+          </dd>
+        </>
+      )}
+      {(patient.telecom || []).length > 0 && (
+        <>
+          <dt>Contact</dt>
+          <dd>
+            {patient.telecom.map((t, i) => (
+              <div key={i}>
+                {t.system && `${t.system}: `}
+                {t.value}
+              </div>
+            ))}
+          </dd>
+        </>
+      )}
+      {(patient.address || []).length > 0 && (
+        <>
+          <dt>Address</dt>
+          <dd>
+            {patient.address.map((a, i) => (
+              <div key={i}>
+                {a.text ||
+                  [...(a.line || []), a.city, a.postalCode, a.country]
+                    .filter(Boolean)
+                    .join(", ")}
+              </div>
+            ))}
+          </dd>
+        </>
+      )}
+    </dl>
+  );
+}
+
+function ObservationTable({ observations }) {
+  return (
+    <table className="simple-table">
+      <thead>
+        <tr>
+          <th>Observation</th>
+          <th>Value</th>
+          <th>Reference range</th>
+          <th>When</th>
+          <th>Status</th>
+        </tr>
+      </thead>
+      <tbody>
+        {observations.map((o, i) => (
+          <tr key={o.id || i}>
+            <td>
+              <Coded concept={o.code} />
+            </td>
+            <td>
+              {choiceValue(o, "value") ||
+                (o.dataAbsentReason && codeText(o.dataAbsentReason))}
+              {(o.interpretation || []).length > 0 && (
+                <small> ({o.interpretation.map(codeText).join(", ")})</small>
+              )}
+              {(o.component || []).map((c, j) => (
+                <div key={j}>
+                  <Coded concept={c.code} />: {choiceValue(c, "value")}
+                </div>
+              ))}
+            </td>
+            <td>
+              {(o.referenceRange || [])
+                .map((r) => r.text || formatRange(r))
+                .join("; ")}
+            </td>
+            <td>{choiceValue(o, "effective") || o.issued || ""}</td>
+            <td>{o.status}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function ConditionTable({ conditions }) {
+  return (
+    <table className="simple-table">
+      <thead>
+        <tr>
+          <th>Condition</th>
+          <th>Clinical status</th>
+          <th>Verification</th>
+          <th>Severity</th>
+          <th>Onset</th>
+          <th>Abatement</th>
+        </tr>
+      </thead>
+      <tbody>
+        {conditions.map((c, i) => (
+          <tr key={c.id || i}>
+            <td>
+              <Coded concept={c.code} />
+            </td>
+            <td>{codeText(c.clinicalStatus)}</td>
+            <td>{codeText(c.verificationStatus)}</td>
+            <td>{codeText(c.severity)}</td>
+            <td>{choiceValue(c, "onset") || c.recordedDate || ""}</td>
+            <td>{choiceValue(c, "abatement")}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function MedicationTable({ statements }) {
+  return (
+    <table className="simple-table">
+      <thead>
+        <tr>
+          <th>Medication</th>
+          <th>Dosage</th>
+          <th>Taken</th>
+          <th>Reason</th>
+          <th>Status</th>
+        </tr>
+      </thead>
+      <tbody>
+        {statements.map((m, i) => (
+          <tr key={m.id || i}>
+            <td>
+              {m.medicationCodeableConcept ? (
+                <Coded concept={m.medicationCodeableConcept} />
+              ) : (
+                choiceValue(m, "medication")
+              )}
+            </td>
+            <td>
+              {(m.dosage || [])
+                .map((d) => d.text || d.patientInstruction)
+                .filter(Boolean)
+                .join("; ")}
+            </td>
+            <td>{choiceValue(m, "effective") || m.dateAsserted || ""}</td>
+            <td>{(m.reasonCode || []).map(codeText).join(", ")}</td>
+            <td>{m.status}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function DocumentTable({ documents }) {
+  return (
+    <table className="simple-table">
+      <thead>
+        <tr>
+          <th>Document</th>
+          <th>Date</th>
+          <th>Status</th>
+          <th>Content</th>
+        </tr>
+      </thead>
+      <tbody>
+        {documents.map((d, i) => (
+          <tr key={d.id || i}>
+            <td>
+              <Coded concept={d.type} />
+              {d.description && <div>{d.description}</div>}
+            </td>
+            <td>{d.date || ""}</td>
+            <td>{d.docStatus ? `${d.status} (${d.docStatus})` : d.status}</td>
+            <td>
+              {(d.content || []).map(({ attachment: a }, j) => {
+                const label = a.title || a.contentType || "attachment";
+                // Inline data is offered as a download; URLs are only linked
+                const href = a.data
+                  ? `data:${a.contentType || "application/octet-stream"};base64,${a.data}`
+                  : a.url;
+                return (
+                  <div key={j}>
+                    {href ? (
+                      <a
+                        href={href}
+                        download={a.data ? a.title || "document" : undefined}
+                        target="_blank"
+                        rel="noreferrer"
+                      >
+                        {label}
+                      </a>
+                    ) : (
+                      label
+                    )}
+                  </div>
+                );
+              })}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Structured view of a FHIR Bundle from a `kind: "fhir"` record. `withheld`
+// lists scope names the viewer's grant does not cover; entries of those
+// fhir:<Type> scopes were left out of the bundle before it got here.
+export default function FhirViewer({ bundle, withheld = [] }) {
+  const resources = ((bundle && bundle.entry) || [])
+    .map((e) => e.resource)
+    .filter(Boolean);
+  const byType = (type) => resources.filter((r) => r.resourceType === type);
+  const withheldTypes = withheld
+    .filter((name) => name.startsWith("fhir:"))
+    .map((name) => name.slice("fhir:".length));
+
+  return (
+    <div className="fhir-viewer">
+      {withheldTypes.length > 0 && (
+        <p className="fhir-withheld">
+          Not shared with you: {withheldTypes.join(", ")} entries.
+        </p>
+      )}
+      {resources.length === 0 && <p>No FHIR entries are visible to you.</p>}
+
+      {SECTIONS.map(([type, title]) => {
+        const items = byType(type);
+        if (items.length === 0) return null;
+        let body;
+        if (type === "Patient") {
+          body = items.map((p, i) => (
+            <PatientView key={p.id || i} patient={p} />
+          ));
+        } else if (type === "Observation") {
+          body = <ObservationTable observations={items} />;
+        } else if (type === "Condition") {
+          body = <ConditionTable conditions={items} />;
+        } else if (type === "MedicationStatement") {
+          body = <MedicationTable statements={items} />;
+        } else {
+          body = <DocumentTable documents={items} />;
+        }
+        return (
+          <section key={type} className="fhir-section">
+            <h3>
+              {title} <small>({items.length})</small>
+            </h3>
+            {body}
+          </section>
+        );
+      })}
+
+      <details className="fhir-raw">
+        <summary>Raw FHIR JSON</summary>
+        <pre>{JSON.stringify(bundle, null, 2)}</pre>
+      </details>
+    </div>
+  );
+}
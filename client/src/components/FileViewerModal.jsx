@@ -1,5 +1,6 @@
 // src/components/FileViewerModal.jsx
 import React, { useMemo, useEffect } from "react";
+import FhirViewer from "./FhirViewer";
 
 function b64toBlob(base64, mime) {
   const byteChars = atob(base64);
@@ -17,17 +18,28 @@ export default function FileViewerModal({ record, onClose }) {
   if (!record || !record.payload) return null;
 
   const { payload, recordId } = record;
+  // Scope names the viewer's grant does not cover (parts left out of payload)
+  const withheld = record.withheld || [];
 
-  // Build a Blob URL to use in iframe/img/download/open-in-new-tab
+  // Build a Blob URL to use in iframe/img/download/open-in-new-tab. Streamed
+  // uploads arrive as a separately downloaded contentBlob.
+  const { contentBlob } = record;
   const fileUrl = useMemo(() => {
-    if (payload.kind !== "file" || !payload.base64) return null;
+    if (payload.kind !== "file") return null;
+    if (contentBlob) {
+      const typed = new Blob([contentBlob], {
+        type: payload.mimeType || "application/octet-stream"
+      });
+      return URL.createObjectURL(typed);
+    }
+    if (!payload.base64) return null;
     try {
       const blob = b64toBlob(payload.base64, payload.mimeType);
       return URL.createObjectURL(blob);
     } catch {
       return null;
     }
-  }, [payload]);
+  }, [payload, contentBlob]);
 
   useEffect(() => {
     return () => {
@@ -40,7 +52,9 @@ export default function FileViewerModal({ record, onClose }) {
   let contentElement = null;
 
   if (payload.kind === "file") {
-    if (fileUrl) {
+    if (withheld.includes("read-attachments")) {
+      contentElement = <p>The attachment has not been shared with you.</p>;
+    } else if (fileUrl) {
       if ((payload.mimeType || "").includes("pdf")) {
         contentElement = (
           <iframe
@@ -76,7 +90,9 @@ export default function FileViewerModal({ record, onClose }) {
       contentElement = <p>Unable to generate a preview for this file.</p>;
     }
   } else if (payload.kind === "note") {
-    contentElement = (
+    contentElement = withheld.includes("read-note") ? (
+      <p>The note has not been shared with you.</p>
+    ) : (
       <pre
         style={{
           whiteSpace: "pre-wrap",
@@ -86,6 +102,8 @@ export default function FileViewerModal({ record, onClose }) {
         {payload.text}
       </pre>
     );
+  } else if (payload.kind === "fhir") {
+    contentElement = <FhirViewer bundle={payload.fhir} withheld={withheld} />;
   } else {
     contentElement = <p>Unsupported record type.</p>;
   }
@@ -104,6 +122,14 @@ export default function FileViewerModal({ record, onClose }) {
                 {payload.mimeType && <span>({payload.mimeType})</span>}
               </p>
             )}
+            {payload.kind === "fhir" && (
+              <p>
+                FHIR R{(payload.fhirVersion || "4").split(".")[0]} Bundle
+                {payload.fhir && payload.fhir.type && (
+                  <span> ({payload.fhir.type})</span>
+                )}
+              </p>
+            )}
           </div>
           <div className="modal-header-actions">
             {payload.kind === "file" && fileUrl && (
@@ -131,18 +157,17 @@ export default function FileViewerModal({ record, onClose }) {
           </div>
         </header>
 
-        <div className="modal-body">
-          {contentElement}
-        </div>
+        <div className="modal-body">{contentElement}</div>
 
-        {payload.kind === "file" && payload.note && (
-          <footer className="modal-footer">
-            <div className="attached-note">
-              <strong>Attached note:</strong>
-              <div className="attached-note-text">{payload.note}</div>
-            </div>
-          </footer>
-        )}
+        {(payload.kind === "file" || payload.kind === "fhir") &&
+          payload.note && (
+            <footer className="modal-footer">
+              <div className="attached-note">
+                <strong>Attached note:</strong>
+                <div className="attached-note-text">{payload.note}</div>
+              </div>
+            </footer>
+          )}
       </div>
     </div>
   );
@@ -0,0 +1,606 @@
+// src/fhir.js
+//
+// HL7 FHIR R4 content for `kind: "fhir"` record envelopes. A record holds one
+// Bundle; a single resource is wrapped in a `collection` Bundle. Every entry
+// is checked against the R4 base definition of its resource type: known
+// elements only, required elements present, cardinality, primitive formats
+// and required value sets. Profiles and terminology bindings other than
+// required ones are not checked. Envelopes are sealed in the browser and the
+// backend never sees them, so this runs here, before encryption.
+//
+// Supported resource types: Patient, Observation, Condition,
+// MedicationStatement and DocumentReference. Their entries are what
+// `fhir:<ResourceType>` grant scopes select (see scopes.js).
+
+// ---- Primitive types (regular expressions from the R4 specification) ----
+
+const DATE = "([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)";
+const MONTH_DAY = "(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1]))?)?";
+const TIME = "([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\\.[0-9]+)?";
+const ZONE = "(Z|(\\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00))";
+
+const PRIMITIVES = {
+  string: (v) => typeof v === "string" && /^[ \r\n\t\S]+$/.test(v),
+  markdown: (v) => typeof v === "string" && /^[ \r\n\t\S]+$/.test(v),
+  code: (v) => typeof v === "string" && /^[^\s]+( [^\s]+)*$/.test(v),
+  id: (v) => typeof v === "string" && /^[A-Za-z0-9\-.]{1,64}$/.test(v),
+  uri: (v) => typeof v === "string" && /^\S*$/.test(v),
+  boolean: (v) => typeof v === "boolean",
+  integer: (v) => Number.isInteger(v),
+  positiveInt: (v) => Number.isInteger(v) && v > 0,
+  unsignedInt: (v) => Number.isInteger(v) && v >= 0,
+  decimal: (v) => typeof v === "number" && Number.isFinite(v),
+  date: (v) =>
+    typeof v === "string" && new RegExp(`^${DATE}${MONTH_DAY}$`).test(v),
+  dateTime: (v) =>
+    typeof v === "string" &&
+    new RegExp(
+      `^${DATE}(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1])(T${TIME}${ZONE})?)?)?$`
+    ).test(v),
+  instant: (v) =>
+    typeof v === "string" &&
+    new RegExp(
+      `^${DATE}-(0[1-9]|1[0-2])-(0[1-9]|[1-2][0-9]|3[0-1])T${TIME}${ZONE}$`
+    ).test(v),
+  time: (v) => typeof v === "string" && new RegExp(`^${TIME}$`).test(v),
+  base64Binary: (v) =>
+    typeof v === "string" && /^(\s*([0-9a-zA-Z+/=]){4}\s*)+$/.test(v)
+};
+PRIMITIVES.url = PRIMITIVES.uri;
+PRIMITIVES.canonical = PRIMITIVES.uri;
+
+// ---- Element definitions ----
+// Each element is [type, min, max] with max "*" for arrays; a fourth entry
+// lists the codes of a required binding. Choice elements (value[x]) are
+// spelled out, one element per allowed type, and grouped in CHOICES.
+
+const ELEMENT = {
+  id: ["string", 0, 1],
+  extension: ["Extension", 0, "*"]
+};
+const BACKBONE = { ...ELEMENT, modifierExtension: ["Extension", 0, "*"] };
+
+const DATATYPES = {
+  Extension: {
+    ...ELEMENT,
+    url: ["uri", 1, 1],
+    valueString: ["string", 0, 1],
+    valueCode: ["code", 0, 1],
+    valueBoolean: ["boolean", 0, 1],
+    valueInteger: ["integer", 0, 1],
+    valueDecimal: ["decimal", 0, 1],
+    valueDate: ["date", 0, 1],
+    valueDateTime: ["dateTime", 0, 1],
+    valueUri: ["uri", 0, 1],
+    valueCoding: ["Coding", 0, 1],
+    valueCodeableConcept: ["CodeableConcept", 0, 1],
+    valueQuantity: ["Quantity", 0, 1],
+    valueReference: ["Reference", 0, 1],
+    valuePeriod: ["Period", 0, 1],
+    valueIdentifier: ["Identifier", 0, 1]
+  },
+  Meta: {
+    ...ELEMENT,
+    versionId: ["id", 0, 1],
+    lastUpdated: ["instant", 0, 1],
+    source: ["uri", 0, 1],
+    profile: ["canonical", 0, "*"],
+    security: ["Coding", 0, "*"],
+    tag: ["Coding", 0, "*"]
+  },
+  Narrative: {
+    ...ELEMENT,
+    status: ["code", 1, 1, ["generated", "extensions", "additional", "empty"]],
+    div: ["string", 1, 1]
+  },
+  Coding: {
+    ...ELEMENT,
+    system: ["uri", 0, 1],
+    version: ["string", 0, 1],
+    code: ["code", 0, 1],
+    display: ["string", 0, 1],
+    userSelected: ["boolean", 0, 1]
+  },
+  CodeableConcept: {
+    ...ELEMENT,
+    coding: ["Coding", 0, "*"],
+    text: ["string", 0, 1]
+  },
+  Period: { ...ELEMENT, start: ["dateTime", 0, 1], end: ["dateTime", 0, 1] },
+  Quantity: {
+    ...ELEMENT,
+    value: ["decimal", 0, 1],
+    comparator: ["code", 0, 1, ["<", "<=", ">=", ">"]],
+    unit: ["string", 0, 1],
+    system: ["uri", 0, 1],
+    code: ["code", 0, 1]
+  },
+  Range: { ...ELEMENT, low: ["Quantity", 0, 1], high: ["Quantity", 0, 1] },
+  Ratio: {
+    ...ELEMENT,
+    numerator: ["Quantity", 0, 1],
+    denominator: ["Quantity", 0, 1]
+  },
+  Identifier: {
+    ...ELEMENT,
+    use: ["code", 0, 1, ["usual", "official", "temp", "secondary", "old"]],
+    type: ["CodeableConcept", 0, 1],
+    system: ["uri", 0, 1],
+    value: ["string", 0, 1],
+    period: ["Period", 0, 1],
+    assigner: ["Reference", 0, 1]
+  },
+  Reference: {
+    ...ELEMENT,
+    reference: ["string", 0, 1],
+    type: ["uri", 0, 1],
+    identifier: ["Identifier", 0, 1],
+    display: ["string", 0, 1]
+  },
+  HumanName: {
+    ...ELEMENT,
+    use: [
+      "code",
+      0,
+      1,
+      ["usual", "official", "temp", "nickname", "anonymous", "old", "maiden"]
+    ],
+    text: ["string", 0, 1],
+    family: ["string", 0, 1],
+    given: ["string", 0, "*"],
+    prefix: ["string", 0, "*"],
+    suffix: ["string", 0, "*"],
+    period: ["Period", 0, 1]
+  },
+  ContactPoint: {
+    ...ELEMENT,
+    system: [
+      "code",
+      0,
+      1,
+      ["phone", "fax", "email", "pager", "url", "sms", "other"]
+    ],
+    value: ["string", 0, 1],
+    use: ["code", 0, 1, ["home", "work", "temp", "old", "mobile"]],
+    rank: ["positiveInt", 0, 1],
+    period: ["Period", 0, 1]
+  },
+  Address: {
+    ...ELEMENT,
+    use: ["code", 0, 1, ["home", "work", "temp", "old", "billing"]],
+    type: ["code", 0, 1, ["postal", "physical", "both"]],
+    text: ["string", 0, 1],
+    line: ["string", 0, "*"],
+    city: ["string", 0, 1],
+    district: ["string", 0, 1],
+    state: ["string", 0, 1],
+    postalCode: ["string", 0, 1],
+    country: ["string", 0, 1],
+    period: ["Period", 0, 1]
+  },
+  Annotation: {
+    ...ELEMENT,
+    authorReference: ["Reference", 0, 1],
+    authorString: ["string", 0, 1],
+    time: ["dateTime", 0, 1],
+    text: ["markdown", 1, 1]
+  },
+  Attachment: {
+    ...ELEMENT,
+    contentType: ["code", 0, 1],
+    language: ["code", 0, 1],
+    data: ["base64Binary", 0, 1],
+    url: ["url", 0, 1],
+    size: ["unsignedInt", 0, 1],
+    hash: ["base64Binary", 0, 1],
+    title: ["string", 0, 1],
+    creation: ["dateTime", 0, 1]
+  },
+  Dosage: {
+    ...BACKBONE,
+    sequence: ["integer", 0, 1],
+    text: ["string", 0, 1],
+    additionalInstruction: ["CodeableConcept", 0, "*"],
+    patientInstruction: ["string", 0, 1],
+    asNeededBoolean: ["boolean", 0, 1],
+    asNeededCodeableConcept: ["CodeableConcept", 0, 1],
+    site: ["CodeableConcept", 0, 1],
+    route: ["CodeableConcept", 0, 1],
+    method: ["CodeableConcept", 0, 1]
+  },
+  Age: {
+    ...ELEMENT,
+    value: ["decimal", 0, 1],
+    comparator: ["code", 0, 1, ["<", "<=", ">=", ">"]],
+    unit: ["string", 0, 1],
+    system: ["uri", 0, 1],
+    code: ["code", 0, 1]
+  }
+};
+
+const DOMAIN_RESOURCE = {
+  resourceType: ["code", 1, 1],
+  id: ["id", 0, 1],
+  meta: ["Meta", 0, 1],
+  implicitRules: ["uri", 0, 1],
+  language: ["code", 0, 1],
+  text: ["Narrative", 0, 1],
+  extension: ["Extension", 0, "*"],
+  modifierExtension: ["Extension", 0, "*"]
+};
+
+const RESOURCES = {
+  Patient: {
+    ...DOMAIN_RESOURCE,
+    identifier: ["Identifier", 0, "*"],
+    active: ["boolean", 0, 1],
+    name: ["HumanName", 0, "*"],
+    telecom: ["ContactPoint", 0, "*"],
+    gender: ["code", 0, 1, ["male", "female", "other", "unknown"]],
+    birthDate: ["date", 0, 1],
+    deceasedBoolean: ["boolean", 0, 1],
+    deceasedDateTime: ["dateTime", 0, 1],
+    address: ["Address", 0, "*"],
+    maritalStatus: ["CodeableConcept", 0, 1],
+    multipleBirthBoolean: ["boolean", 0, 1],
+    multipleBirthInteger: ["integer", 0, 1],
+    communication: ["Patient.communication", 0, "*"],
+    generalPractitioner: ["Reference", 0, "*"],
+    managingOrganization: ["Reference", 0, 1]
+  },
+  Observation: {
+    ...DOMAIN_RESOURCE,
+    identifier: ["Identifier", 0, "*"],
+    basedOn: ["Reference", 0, "*"],
+    partOf: ["Reference", 0, "*"],
+    status: [
+      "code",
+      1,
+      1,
+      [
+        "registered",
+        "preliminary",
+        "final",
+        "amended",
+        "corrected",
+        "cancelled",
+        "entered-in-error",
+        "unknown"
+      ]
+    ],
+    category: ["CodeableConcept", 0, "*"],
+    code: ["CodeableConcept", 1, 1],
+    subject: ["Reference", 0, 1],
+    focus: ["Reference", 0, "*"],
+    encounter: ["Reference", 0, 1],
+    effectiveDateTime: ["dateTime", 0, 1],
+    effectivePeriod: ["Period", 0, 1],
+    effectiveInstant: ["instant", 0, 1],
+    issued: ["instant", 0, 1],
+    performer: ["Reference", 0, "*"],
+    valueQuantity: ["Quantity", 0, 1],
+    valueCodeableConcept: ["CodeableConcept", 0, 1],
+    valueString: ["string", 0, 1],
+    valueBoolean: ["boolean", 0, 1],
+    valueInteger: ["integer", 0, 1],
+    valueRange: ["Range", 0, 1],
+    valueRatio: ["Ratio", 0, 1],
+    valueTime: ["time", 0, 1],
+    valueDateTime: ["dateTime", 0, 1],
+    valuePeriod: ["Period", 0, 1],
+    dataAbsentReason: ["CodeableConcept", 0, 1],
+    interpretation: ["CodeableConcept", 0, "*"],
+    note: ["Annotation", 0, "*"],
+    bodySite: ["CodeableConcept", 0, 1],
+    method: ["CodeableConcept", 0, 1],
+    specimen: ["Reference", 0, 1],
+    device: ["Reference", 0, 1],
+    referenceRange: ["Observation.referenceRange", 0, "*"],
+    hasMember: ["Reference", 0, "*"],
+    derivedFrom: ["Reference", 0, "*"],
+    component: ["Observation.component", 0, "*"]
+  },
+  Condition: {
+    ...DOMAIN_RESOURCE,
+    identifier: ["Identifier", 0, "*"],
+    clinicalStatus: ["CodeableConcept", 0, 1],
+    verificationStatus: ["CodeableConcept", 0, 1],
+    category: ["CodeableConcept", 0, "*"],
+    severity: ["CodeableConcept", 0, 1],
+    code: ["CodeableConcept", 0, 1],
+    bodySite: ["CodeableConcept", 0, "*"],
+    subject: ["Reference", 1, 1],
+    encounter: ["Reference", 0, 1],
+    onsetDateTime: ["dateTime", 0, 1],
+    onsetAge: ["Age", 0, 1],
+    onsetPeriod: ["Period", 0, 1],
+    onsetRange: ["Range", 0, 1],
+    onsetString: ["string", 0, 1],
+    abatementDateTime: ["dateTime", 0, 1],
+    abatementAge: ["Age", 0, 1],
+    abatementPeriod: ["Period", 0, 1],
+    abatementRange: ["Range", 0, 1],
+    abatementString: ["string", 0, 1],
+    recordedDate: ["dateTime", 0, 1],
+    recorder: ["Reference", 0, 1],
+    asserter: ["Reference", 0, 1],
+    note: ["Annotation", 0, "*"]
+  },
+  MedicationStatement: {
+    ...DOMAIN_RESOURCE,
+    identifier: ["Identifier", 0, "*"],
+    basedOn: ["Reference", 0, "*"],
+    partOf: ["Reference", 0, "*"],
+    status: [
+      "code",
+      1,
+      1,
+      [
+        "active",
+        "completed",
+        "entered-in-error",
+        "intended",
+        "stopped",
+        "on-hold",
+        "unknown",
+        "not-taken"
+      ]
+    ],
+    statusReason: ["CodeableConcept", 0, "*"],
+    category: ["CodeableConcept", 0, 1],
+    medicationCodeableConcept: ["CodeableConcept", 0, 1],
+    medicationReference: ["Reference", 0, 1],
+    subject: ["Reference", 1, 1],
+    context: ["Reference", 0, 1],
+    effectiveDateTime: ["dateTime", 0, 1],
+    effectivePeriod: ["Period", 0, 1],
+    dateAsserted: ["dateTime", 0, 1],
+    informationSource: ["Reference", 0, 1],
+    derivedFrom: ["Reference", 0, "*"],
+    reasonCode: ["CodeableConcept", 0, "*"],
+    reasonReference: ["Reference", 0, "*"],
+    note: ["Annotation", 0, "*"],
+    dosage: ["Dosage", 0, "*"]
+  },
+  DocumentReference: {
+    ...DOMAIN_RESOURCE,
+    masterIdentifier: ["Identifier", 0, 1],
+    identifier: ["Identifier", 0, "*"],
+    status: ["code", 1, 1, ["current", "superseded", "entered-in-error"]],
+    docStatus: [
+      "code",
+      0,
+      1,
+      ["preliminary", "final", "amended", "entered-in-error"]
+    ],
+    type: ["CodeableConcept", 0, 1],
+    category: ["CodeableConcept", 0, "*"],
+    subject: ["Reference", 0, 1],
+    date: ["instant", 0, 1],
+    author: ["Reference", 0, "*"],
+    authenticator: ["Reference", 0, 1],
+    custodian: ["Reference", 0, 1],
+    description: ["string", 0, 1],
+    securityLabel: ["CodeableConcept", 0, "*"],
+    content: ["DocumentReference.content", 1, "*"]
+  }
+};
+
+// Backbone elements of the resources above
+Object.assign(DATATYPES, {
+  "Patient.communication": {
+    ...BACKBONE,
+    language: ["CodeableConcept", 1, 1],
+    preferred: ["boolean", 0, 1]
+  },
+  "Observation.referenceRange": {
+    ...BACKBONE,
+    low: ["Quantity", 0, 1],
+    high: ["Quantity", 0, 1],
+    type: ["CodeableConcept", 0, 1],
+    appliesTo: ["CodeableConcept", 0, "*"],
+    age: ["Range", 0, 1],
+    text: ["string", 0, 1]
+  },
+  "Observation.component": {
+    ...BACKBONE,
+    code: ["CodeableConcept", 1, 1],
+    valueQuantity: ["Quantity", 0, 1],
+    valueCodeableConcept: ["CodeableConcept", 0, 1],
+    valueString: ["string", 0, 1],
+    valueBoolean: ["boolean", 0, 1],
+    valueInteger: ["integer", 0, 1],
+    valueRange: ["Range", 0, 1],
+    valueRatio: ["Ratio", 0, 1],
+    valueTime: ["time", 0, 1],
+    valueDateTime: ["dateTime", 0, 1],
+    valuePeriod: ["Period", 0, 1],
+    dataAbsentReason: ["CodeableConcept", 0, 1],
+    interpretation: ["CodeableConcept", 0, "*"]
+  },
+  "DocumentReference.content": {
+    ...BACKBONE,
+    attachment: ["Attachment", 1, 1],
+    format: ["Coding", 0, 1]
+  }
+});
+
+// Choice elements: at most one of each group; `required` groups need one
+const CHOICES = {
+  Patient: [{ prefix: "deceased" }, { prefix: "multipleBirth" }],
+  Observation: [{ prefix: "effective" }, { prefix: "value" }],
+  "Observation.component": [{ prefix: "value" }],
+  Condition: [{ prefix: "onset" }, { prefix: "abatement" }],
+  MedicationStatement: [
+    { prefix: "medication", required: true },
+    { prefix: "effective" }
+  ],
+  Extension: [{ prefix: "value" }],
+  Dosage: [{ prefix: "asNeeded" }],
+  Annotation: [{ prefix: "author" }]
+};
+
+const BUNDLE_TYPES = [
+  "document",
+  "message",
+  "transaction",
+  "transaction-response",
+  "batch",
+  "batch-response",
+  "history",
+  "searchset",
+  "collection"
+];
+
+export const FHIR_VERSION = "4.0.1";
+export const SUPPORTED_RESOURCE_TYPES = Object.keys(RESOURCES);
+
+// ---- Validation ----
+
+function validateElements(value, typeName, definition, path, errors) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    errors.push(`${path}: must be an object (${typeName})`);
+    return;
+  }
+  for (const key of Object.keys(value)) {
+    // _element carries extensions of a primitive element
+    if (key.startsWith("_") && definition[key.slice(1)]) continue;
+    if (!definition[key]) {
+      errors.push(`${path}.${key}: unknown element of ${typeName}`);
+    }
+  }
+
+  for (const [name, [type, min, max, codes]] of Object.entries(definition)) {
+    const present = value[name] !== undefined && value[name] !== null;
+    if (!present) {
+      if (min > 0) errors.push(`${path}.${name}: required`);
+      continue;
+    }
+    const items = max === "*" ? value[name] : [value[name]];
+    if (max === "*" && !Array.isArray(items)) {
+      errors.push(`${path}.${name}: must be an array`);
+      continue;
+    }
+    if (max !== "*" && Array.isArray(value[name])) {
+      errors.push(`${path}.${name}: must not be an array`);
+      continue;
+    }
+    if (items.length < min) {
+      errors.push(`${path}.${name}: needs at least ${min} item(s)`);
+    }
+    items.forEach((item, i) => {
+      const itemPath =
+        max === "*" ? `${path}.${name}[${i}]` : `${path}.${name}`;
+      validateValue(item, type, itemPath, errors);
+      if (codes && !codes.includes(item)) {
+        errors.push(`${itemPath}: must be one of ${codes.join(", ")}`);
+      }
+    });
+  }
+
+  for (const group of CHOICES[typeName] || []) {
+    const used = Object.keys(definition).filter(
+      (name) =>
+        name.startsWith(group.prefix) &&
+        /^[A-Z]/.test(name.slice(group.prefix.length)) &&
+        value[name] !== undefined
+    );
+    if (used.length > 1) {
+      errors.push(`${path}: only one of ${used.join(", ")} allowed`);
+    }
+    if (group.required && used.length === 0) {
+      errors.push(`${path}.${group.prefix}[x]: required`);
+    }
+  }
+}
+
+function validateValue(value, type, path, errors) {
+  if (PRIMITIVES[type]) {
+    if (!PRIMITIVES[type](value)) errors.push(`${path}: invalid ${type}`);
+    return;
+  }
+  validateElements(value, type, DATATYPES[type], path, errors);
+}
+
+function validateResource(resource, path, errors) {
+  if (!resource || typeof resource !== "object" || Array.isArray(resource)) {
+    errors.push(`${path}: must be a resource object`);
+    return;
+  }
+  const type = resource.resourceType;
+  if (!RESOURCES[type]) {
+    errors.push(
+      `${path}: unsupported resourceType ${JSON.stringify(type)} ` +
+        `(supported: ${SUPPORTED_RESOURCE_TYPES.join(", ")})`
+    );
+    return;
+  }
+  validateElements(resource, type, RESOURCES[type], path, errors);
+}
+
+const BUNDLE_ELEMENTS = {
+  resourceType: ["code", 1, 1],
+  id: ["id", 0, 1],
+  meta: ["Meta", 0, 1],
+  implicitRules: ["uri", 0, 1],
+  language: ["code", 0, 1],
+  identifier: ["Identifier", 0, 1],
+  type: ["code", 1, 1, BUNDLE_TYPES],
+  timestamp: ["instant", 0, 1],
+  total: ["unsignedInt", 0, 1]
+};
+
+// A Bundle or a single supported resource -> a Bundle. Throws with every
+// problem found (err.details lists them) when the input is not valid R4.
+export function normalizeFhir(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("fhir must be a FHIR resource or Bundle object");
+  }
+  const bundle =
+    input.resourceType === "Bundle"
+      ? input
+      : {
+          resourceType: "Bundle",
+          id: window.crypto.randomUUID(),
+          type: "collection",
+          timestamp: new Date().toISOString(),
+          entry: [{ resource: input }]
+        };
+
+  const errors = [];
+  const { entry, link, signature, ...rest } = bundle;
+  validateElements(rest, "Bundle", BUNDLE_ELEMENTS, "Bundle", errors);
+  if (link !== undefined || signature !== undefined) {
+    errors.push("Bundle: link and signature are not supported in records");
+  }
+  if (!Array.isArray(entry) || entry.length === 0) {
+    errors.push("Bundle.entry: needs at least one entry");
+  } else {
+    entry.forEach((e, i) => {
+      const path = `Bundle.entry[${i}]`;
+      if (!e || typeof e !== "object" || Array.isArray(e)) {
+        errors.push(`${path}: must be an object`);
+        return;
+      }
+      for (const key of Object.keys(e)) {
+        if (!["fullUrl", "resource"].includes(key)) {
+          errors.push(`${path}.${key}: not supported in records`);
+        }
+      }
+      if (e.fullUrl !== undefined && !PRIMITIVES.uri(e.fullUrl)) {
+        errors.push(`${path}.fullUrl: invalid uri`);
+      }
+      validateResource(e.resource, `${path}.resource`, errors);
+    });
+  }
+
+  if (errors.length) {
+    const err = new Error(
+      `invalid FHIR content: ${errors.slice(0, 5).join("; ")}` +
+        (errors.length > 5 ? ` (and ${errors.length - 5} more)` : "")
+    );
+    err.details = errors;
+    throw err;
+  }
+  return bundle;
+}
@@ -0,0 +1,103 @@
+// src/keys.js
+import { ethers } from "ethers";
+import { signMessage } from "./wallet";
+
+// Client half of the record key envelope scheme (see backend/src/encryption.js):
+// every user has a secp256k1 encryption key derived from a wallet signature,
+// and record keys are wrapped to its public key with
+// ephemeral ECDH -> HKDF-SHA256 -> AES-256-GCM. Only the holder of the wallet
+// can re-derive the private key, so only they can unwrap.
+
+const WRAP_SCHEME = "ecies-secp256k1-hkdf-aes256gcm";
+const WRAP_INFO = new TextEncoder().encode("privamed-key-wrap-v1");
+
+function keyDerivationMessage(address) {
+  return [
+    "PrivaMed encryption key v1",
+    "",
+    "Signing this message unlocks the key used to open medical records",
+    "shared with this account. Only sign it on the PrivaMed app.",
+    "",
+    `Account: ${ethers.getAddress(address)}`
+  ].join("\n");
+}
+
+// Deterministic per-account key: the wallet signature over a fixed message is
+// hashed into a private key, so the same wallet always yields the same key.
+export async function deriveEncryptionKey(address) {
+  const signature = await signMessage(address, keyDerivationMessage(address));
+  return new ethers.SigningKey(ethers.keccak256(signature));
+}
+
+function hexToBytes(hex) {
+  return ethers.getBytes(hex.startsWith("0x") ? hex : `0x${hex}`);
+}
+
+function bytesToHex(bytes) {
+  return ethers.hexlify(bytes).slice(2);
+}
+
+async function deriveWrappingKey(sharedPoint, ephemeralPublicKey, usage) {
+  // computeSharedSecret returns the uncompressed point; HKDF uses its X.
+  const sharedX = hexToBytes(sharedPoint).slice(1, 33);
+  const ikm = await window.crypto.subtle.importKey(
+    "raw",
+    sharedX,
+    "HKDF",
+    false,
+    ["deriveKey"]
+  );
+  return window.crypto.subtle.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt: ephemeralPublicKey, info: WRAP_INFO },
+    ikm,
+    { name: "AES-GCM", length: 256 },
+    false,
+    [usage]
+  );
+}
+
+// Returns the raw record key as a hex string (no 0x prefix).
+export async function unwrapRecordKey(wrapped, encryptionKey) {
+  if (!wrapped || wrapped.scheme !== WRAP_SCHEME) {
+    throw new Error("Unsupported key wrapping scheme");
+  }
+  const ephemeralPublicKey = hexToBytes(wrapped.ephemeralPublicKey);
+  const shared = encryptionKey.computeSharedSecret(ephemeralPublicKey);
+  const aesKey = await deriveWrappingKey(shared, ephemeralPublicKey, "decrypt");
+
+  const sealed = ethers.concat([
+    hexToBytes(wrapped.ciphertext),
+    hexToBytes(wrapped.tag)
+  ]);
+  const plain = await window.crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: hexToBytes(wrapped.iv) },
+    aesKey,
+    ethers.getBytes(sealed)
+  );
+  return bytesToHex(new Uint8Array(plain));
+}
+
+// Wrap a raw record key (hex) to `recipientPublicKey` (uncompressed, 0x04...).
+export async function wrapRecordKey(recordKeyHex, recipientPublicKey) {
+  const ephemeral = new ethers.SigningKey(ethers.randomBytes(32));
+  const ephemeralPublicKey = hexToBytes(ephemeral.publicKey);
+  const shared = ephemeral.computeSharedSecret(recipientPublicKey);
+  const aesKey = await deriveWrappingKey(shared, ephemeralPublicKey, "encrypt");
+
+  const iv = ethers.randomBytes(12);
+  const sealed = new Uint8Array(
+    await window.crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      aesKey,
+      hexToBytes(recordKeyHex)
+    )
+  );
+  // WebCrypto appends the 16-byte GCM tag; the backend keeps it separate.
+  return {
+    scheme: WRAP_SCHEME,
+    ephemeralPublicKey: bytesToHex(ephemeralPublicKey),
+    iv: bytesToHex(iv),
+    tag: bytesToHex(sealed.slice(-16)),
+    ciphertext: bytesToHex(sealed.slice(0, -16))
+  };
+}
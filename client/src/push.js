@@ -0,0 +1,108 @@
+// src/push.js
+import axios from "axios";
+
+// Live updates from the backend's Server-Sent Events stream
+// (GET /api/events/stream). EventSource cannot send the session's bearer
+// token, so the stream is read with fetch and parsed here. On a dropped
+// connection it reconnects with backoff and sends the last event ID, so the
+// backend replays what was missed (or sends `resync` when it can't).
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+// Split an SSE buffer into complete events; returns [events, rest]
+function parseEvents(buffer) {
+  const events = [];
+  const blocks = buffer.split(/\r?\n\r?\n/);
+  const rest = blocks.pop();
+  for (const block of blocks) {
+    const event = { id: null, type: "message", data: [] };
+    for (const line of block.split(/\r?\n/)) {
+      if (!line || line.startsWith(":")) continue;
+      const colon = line.indexOf(":");
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+      if (field === "id") event.id = value;
+      else if (field === "event") event.type = value;
+      else if (field === "data") event.data.push(value);
+    }
+    if (event.data.length || event.id) events.push(event);
+  }
+  return [events, rest];
+}
+
+// Calls onEvent(type, data) for each event and onStatus("connected" |
+// "reconnecting" | "closed"). Returns a function that closes the stream.
+export function openPushStream(apiBase, { onEvent, onStatus = () => {} }) {
+  let controller = null;
+  let closed = false;
+  let lastEventId = null;
+  let retryMs = MIN_RETRY_MS;
+  let retryTimer = null;
+
+  async function connect() {
+    controller = new AbortController();
+    const headers = { Accept: "text/event-stream" };
+    const authorization = axios.defaults.headers.common.Authorization;
+    if (authorization) headers.Authorization = authorization;
+    if (lastEventId) headers["Last-Event-ID"] = lastEventId;
+
+    try {
+      const res = await fetch(`${apiBase}/api/events/stream`, {
+        headers,
+        signal: controller.signal
+      });
+      if (res.status === 401 || res.status === 403) {
+        // The session is gone; signing in again opens a new stream
+        closed = true;
+        onStatus("closed");
+        return;
+      }
+      if (!res.ok || !res.body) {
+        throw new Error(`event stream returned ${res.status}`);
+      }
+
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const [events, rest] = parseEvents(buffer);
+        buffer = rest;
+        for (const event of events) {
+          if (event.id) lastEventId = event.id;
+          if (event.type === "ready") {
+            retryMs = MIN_RETRY_MS;
+            onStatus("connected");
+          }
+          let data = null;
+          try {
+            data = JSON.parse(event.data.join("\n"));
+          } catch {
+            data = null;
+          }
+          onEvent(event.type, data);
+        }
+      }
+    } catch (err) {
+      if (closed) return;
+      console.error(err);
+    }
+
+    if (!closed) {
+      onStatus("reconnecting");
+      retryTimer = window.setTimeout(connect, retryMs);
+      retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+    }
+  }
+
+  connect();
+
+  return () => {
+    closed = true;
+    window.clearTimeout(retryTimer);
+    if (controller) controller.abort();
+  };
+}
@@ -0,0 +1,214 @@
+// src/recordCrypto.js
+import { ethers } from "ethers";
+
+// Record content encryption. Records are sealed and opened here, in the
+// owner's or grantee's browser; the backend stores and serves only the
+// ciphertext and the record key wrapped to each holder (see keys.js).
+//
+// A record envelope (the JSON describing a note, FHIR bundle or file) is split
+// into sections and each is sealed with AES-256-GCM under a key of its own,
+// stored as hex { iv, tag, ciphertext }. Records from before sections were
+// sealed whole under one key in the same format, and keep opening.
+
+const TAG_BYTES = 16;
+
+function hexToBytes(hex) {
+  return ethers.getBytes(hex.startsWith("0x") ? hex : `0x${hex}`);
+}
+
+function bytesToHex(bytes) {
+  return ethers.hexlify(bytes).slice(2);
+}
+
+function importKey(keyHex, usage) {
+  return window.crypto.subtle.importKey(
+    "raw",
+    hexToBytes(keyHex),
+    "AES-GCM",
+    false,
+    [usage]
+  );
+}
+
+// WebCrypto appends the tag to the ciphertext; the stored formats keep it apart
+async function seal(aesKey, plain, additionalData) {
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const params = { name: "AES-GCM", iv };
+  if (additionalData) params.additionalData = additionalData;
+  const sealed = new Uint8Array(
+    await window.crypto.subtle.encrypt(params, aesKey, plain)
+  );
+  return {
+    iv,
+    ciphertext: sealed.subarray(0, sealed.length - TAG_BYTES),
+    tag: sealed.subarray(sealed.length - TAG_BYTES)
+  };
+}
+
+async function open(aesKey, { iv, ciphertext, tag }, additionalData) {
+  const params = { name: "AES-GCM", iv };
+  if (additionalData) params.additionalData = additionalData;
+  const sealed = new Uint8Array(ciphertext.length + tag.length);
+  sealed.set(ciphertext);
+  sealed.set(tag, ciphertext.length);
+  return new Uint8Array(
+    await window.crypto.subtle.decrypt(params, aesKey, sealed)
+  );
+}
+
+// Fresh 256-bit record key, hex without 0x (what keys.js wraps and unwraps)
+export function generateRecordKey() {
+  return bytesToHex(window.crypto.getRandomValues(new Uint8Array(32)));
+}
+
+export async function sealEnvelope(envelope, keyHex) {
+  const aesKey = await importKey(keyHex, "encrypt");
+  const plain = new TextEncoder().encode(JSON.stringify(envelope));
+  const { iv, tag, ciphertext } = await seal(aesKey, plain);
+  return {
+    iv: bytesToHex(iv),
+    tag: bytesToHex(tag),
+    ciphertext: bytesToHex(ciphertext)
+  };
+}
+
+// Records from before envelopes were JSON hold the note text as is
+export async function openEnvelope(sealed, keyHex) {
+  const aesKey = await importKey(keyHex, "decrypt");
+  const plain = await open(aesKey, {
+    iv: hexToBytes(sealed.iv),
+    tag: hexToBytes(sealed.tag),
+    ciphertext: hexToBytes(sealed.ciphertext)
+  });
+  const text = new TextDecoder().decode(plain);
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { kind: "note", text };
+  }
+}
+
+// Seal each of `parts` ({ section: part }, see splitEnvelope in scopes.js)
+// under a key of its own. Resolves with { sealed: { sections }, keys } where
+// keys maps each section to its key (hex).
+export async function sealSections(parts) {
+  const sections = {};
+  const keys = {};
+  for (const [name, part] of Object.entries(parts)) {
+    keys[name] = generateRecordKey();
+    sections[name] = await sealEnvelope(part, keys[name]);
+  }
+  return { sealed: { sections }, keys };
+}
+
+// Open the sections of `sealed` there is a key for in `keys`
+export async function openSections(sealed, keys) {
+  const parts = {};
+  for (const [name, keyHex] of Object.entries(keys)) {
+    if (sealed.sections[name]) {
+      parts[name] = await openEnvelope(sealed.sections[name], keyHex);
+    }
+  }
+  return parts;
+}
+
+// -----------------------------------------------------------------------------
+// Chunked encryption for large files
+// A file is split into CHUNK_SIZE pieces, each sealed with AES-256-GCM under a
+// per-file content key with its own IV. The chunk's index and whether it is
+// the last one are bound in as additional data, so chunks cannot be reordered,
+// dropped or the file truncated without failing authentication. The
+// ciphertext is uploaded as one blob of the same length as the file, with the
+// IVs and tags kept in a manifest:
+//   { scheme, chunkSize, size, key, chunks: [{ iv, tag }] }
+// The manifest holds the content key, so it only travels inside a sealed
+// record envelope. Because offsets in the blob match offsets in the file, a
+// byte range only needs the chunks that cover it.
+// -----------------------------------------------------------------------------
+export const CHUNK_SCHEME = "aes-256-gcm-chunked-v1";
+export const CHUNK_SIZE = 1024 * 1024;
+
+function chunkAad(index, last) {
+  return new TextEncoder().encode(`${CHUNK_SCHEME}:${index}:${last ? 1 : 0}`);
+}
+
+function chunkCount(content) {
+  return Math.max(1, Math.ceil(content.size / content.chunkSize));
+}
+
+// Encrypt a File or Blob under a fresh content key, one chunk in memory at a
+// time. Resolves with { content, ciphertext }: the manifest to put in the
+// record envelope and the Blob to upload. `onProgress(done, total)` is called
+// after each chunk.
+export async function encryptFile(
+  file,
+  { chunkSize = CHUNK_SIZE, onProgress } = {}
+) {
+  const keyHex = generateRecordKey();
+  const aesKey = await importKey(keyHex, "encrypt");
+  const content = {
+    scheme: CHUNK_SCHEME,
+    chunkSize,
+    size: file.size,
+    key: keyHex,
+    chunks: []
+  };
+  const total = chunkCount(content);
+  const parts = [];
+
+  // An empty file still gets one (empty) chunk to authenticate
+  for (let index = 0; index < total; index++) {
+    const start = index * chunkSize;
+    const plain = new Uint8Array(
+      await file.slice(start, start + chunkSize).arrayBuffer()
+    );
+    const { iv, tag, ciphertext } = await seal(
+      aesKey,
+      plain,
+      chunkAad(index, index === total - 1)
+    );
+    content.chunks.push({ iv: bytesToHex(iv), tag: bytesToHex(tag) });
+    parts.push(ciphertext);
+    if (onProgress) onProgress(index + 1, total);
+  }
+
+  return {
+    content,
+    ciphertext: new Blob(parts, { type: "application/octet-stream" })
+  };
+}
+
+// Decrypt a chunked file's ciphertext (Blob) with its manifest. Rejects if any
+// chunk fails authentication or the ciphertext is the wrong length.
+export async function decryptFile(ciphertext, content) {
+  if (!content || content.scheme !== CHUNK_SCHEME) {
+    throw new Error("Unsupported chunked content scheme");
+  }
+  if (ciphertext.size !== content.size) {
+    throw new Error("Encrypted file is incomplete");
+  }
+  const aesKey = await importKey(content.key, "decrypt");
+  const total = chunkCount(content);
+  const parts = [];
+
+  for (let index = 0; index < total; index++) {
+    const start = index * content.chunkSize;
+    const chunk = content.chunks[index];
+    const data = new Uint8Array(
+      await ciphertext.slice(start, start + content.chunkSize).arrayBuffer()
+    );
+    parts.push(
+      await open(
+        aesKey,
+        {
+          iv: hexToBytes(chunk.iv),
+          tag: hexToBytes(chunk.tag),
+          ciphertext: data
+        },
+        chunkAad(index, index === total - 1)
+      )
+    );
+  }
+
+  return new Blob(parts);
+}
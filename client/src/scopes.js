@@ -0,0 +1,110 @@
+// src/scopes.js
+import { ethers } from "ethers";
+
+// Grant scope vocabulary, mirrored from backend/src/scopes.js: each name is one
+// bit of the bytes32 AccessGrant.scope. Granting no scopes grants the whole
+// record.
+
+export const SCOPE_OPTIONS = [
+  { name: "read-note", bit: 0, label: "Notes" },
+  { name: "read-attachments", bit: 1, label: "Attachments" },
+  { name: "fhir:Patient", bit: 16, label: "Patient demographics" },
+  { name: "fhir:Encounter", bit: 17, label: "Encounters" },
+  { name: "fhir:Condition", bit: 18, label: "Conditions" },
+  { name: "fhir:Observation", bit: 19, label: "Observations" },
+  { name: "fhir:MedicationRequest", bit: 20, label: "Prescriptions" },
+  { name: "fhir:MedicationStatement", bit: 21, label: "Medications" },
+  { name: "fhir:AllergyIntolerance", bit: 22, label: "Allergies" },
+  { name: "fhir:Immunization", bit: 23, label: "Immunizations" },
+  { name: "fhir:Procedure", bit: 24, label: "Procedures" },
+  { name: "fhir:DiagnosticReport", bit: 25, label: "Diagnostic reports" },
+  { name: "fhir:DocumentReference", bit: 26, label: "Documents" }
+];
+
+// Scope names -> bytes32 hex for grantAccess / approveRequest
+export function encodeScope(names) {
+  let mask = 0n;
+  for (const option of SCOPE_OPTIONS) {
+    if (names.includes(option.name)) {
+      mask |= 1n << ethers.toBigInt(option.bit);
+    }
+  }
+  return ethers.toBeHex(mask, 32);
+}
+
+// Human-readable summary of a decoded scope (null means the whole record)
+export function describeScope(names) {
+  if (!names) return "Full record";
+  return names
+    .map((name) => SCOPE_OPTIONS.find((o) => o.name === name)?.label || name)
+    .join(", ");
+}
+
+// Records are sealed section by section, each under its own key (see
+// backend/src/scopes.js), so a grantee only ever gets the keys its scope
+// covers. The base section says what kind of record it is and goes to every
+// grantee; every other section is named after the scope that covers it.
+export const BASE_SECTION = "base";
+
+// Whether a grant of `names` (null for the whole record) covers `section`
+export function sectionCovered(section, names) {
+  return section === BASE_SECTION || !names || names.includes(section);
+}
+
+// Split an opened record envelope into { section: part }. FHIR entries go to
+// the section of their resource type, with their place in the bundle.
+export function splitEnvelope(envelope) {
+  const { kind, note } = envelope;
+  const sections = {};
+  const add = (name, part) => {
+    sections[name] = { ...(sections[name] || {}), ...part };
+  };
+
+  if (kind === "fhir") {
+    const { entry = [], ...bundle } = envelope.fhir || {};
+    add(BASE_SECTION, {
+      kind,
+      fhirVersion: envelope.fhirVersion,
+      fhir: bundle
+    });
+    entry.forEach((e, index) => {
+      const name = `fhir:${e.resource && e.resource.resourceType}`;
+      if (!SCOPE_OPTIONS.some((o) => o.name === name)) {
+        throw new Error(`No grant scope covers ${name.slice(5)} resources`);
+      }
+      sections[name] = {
+        entry: [...(sections[name]?.entry || []), { index, entry: e }]
+      };
+    });
+  } else if (kind === "file") {
+    const { storage, note: _note, ...attachment } = envelope;
+    add(BASE_SECTION, storage ? { kind, storage } : { kind });
+    delete attachment.kind;
+    add("read-attachments", attachment);
+  } else {
+    add(BASE_SECTION, { kind });
+    add("read-note", { text: envelope.text });
+  }
+  if (note) add("read-note", { note });
+
+  return sections;
+}
+
+// Put opened sections back together into an envelope. Returns
+// { payload, withheld } where withheld lists the sections of `sealed` that
+// could not be opened.
+export function joinSections(sealed, parts) {
+  const payload = { ...parts[BASE_SECTION] };
+  const entries = [];
+  for (const [name, part] of Object.entries(parts)) {
+    if (name === BASE_SECTION) continue;
+    if (name.startsWith("fhir:")) entries.push(...part.entry);
+    else Object.assign(payload, part);
+  }
+  if (payload.kind === "fhir") {
+    entries.sort((a, b) => a.index - b.index);
+    payload.fhir = { ...payload.fhir, entry: entries.map((e) => e.entry) };
+  }
+  const withheld = Object.keys(sealed.sections).filter((name) => !parts[name]);
+  return { payload, withheld };
+}
@@ -0,0 +1,99 @@
+// src/wallet.js
+import { ethers } from "ethers";
+
+// JSON-RPC node used when no browser wallet is injected. In the lab setup this
+// is Ganache, whose accounts are unlocked and can sign on request.
+const RPC_URL = process.env.REACT_APP_WEB3_PROVIDER || "http://127.0.0.1:8545";
+
+let rpcProvider = null;
+// Account unlocked from an encrypted JSON keystore (see unlockKeystore). It
+// takes precedence over the injected wallet for its own address.
+let keystoreWallet = null;
+
+export function hasInjectedWallet() {
+  return typeof window !== "undefined" && Boolean(window.ethereum);
+}
+
+function getRpcProvider() {
+  if (!rpcProvider) {
+    rpcProvider = new ethers.JsonRpcProvider(RPC_URL);
+  }
+  return rpcProvider;
+}
+
+// Ask the injected wallet (EIP-1193) which account the user wants to use.
+export async function requestInjectedAccount() {
+  if (!hasInjectedWallet()) {
+    throw new Error("No browser wallet available");
+  }
+  const accounts = await window.ethereum.request({
+    method: "eth_requestAccounts"
+  });
+  if (!accounts || !accounts.length) {
+    throw new Error("Wallet returned no accounts");
+  }
+  return ethers.getAddress(accounts[0]);
+}
+
+// Decrypt an Ethereum JSON keystore (V3, as exported by geth/MetaMask/ethers)
+// and keep the account in memory for this tab. Returns its address.
+export async function unlockKeystore(json, password) {
+  const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+  keystoreWallet = wallet.connect(getRpcProvider());
+  return keystoreWallet.address;
+}
+
+export function forgetKeystore() {
+  keystoreWallet = null;
+}
+
+function keystoreSignerFor(address) {
+  if (!keystoreWallet) return null;
+  return ethers.getAddress(address) === keystoreWallet.address
+    ? keystoreWallet
+    : null;
+}
+
+// Signer for `address`: an unlocked keystore account, else the injected
+// wallet when present, otherwise the unlocked account on the JSON-RPC node.
+export async function getWalletSigner(address) {
+  const keystoreSigner = keystoreSignerFor(address);
+  if (keystoreSigner) {
+    return keystoreSigner;
+  }
+  if (hasInjectedWallet()) {
+    const browserProvider = new ethers.BrowserProvider(window.ethereum);
+    return browserProvider.getSigner(address);
+  }
+  return getRpcProvider().getSigner(address);
+}
+
+// EIP-191 personal message signature. Ganache does not implement
+// personal_sign, but its eth_sign applies the same "\x19Ethereum Signed
+// Message" prefix, so the RPC fallback uses that.
+export async function signMessage(address, message) {
+  if (keystoreSignerFor(address) || hasInjectedWallet()) {
+    const signer = await getWalletSigner(address);
+    return signer.signMessage(message);
+  }
+  return getRpcProvider().send("eth_sign", [
+    address,
+    ethers.hexlify(ethers.toUtf8Bytes(message))
+  ]);
+}
+
+// EIP-712 signature over `typedData` ({ domain, types, primaryType, message }
+// without the EIP712Domain type). Ganache's eth_signTypedData_v4 wants the
+// payload as an object rather than the JSON string MetaMask expects, so the
+// RPC fallback builds the request itself.
+export async function signTypedData(address, typedData) {
+  const { domain, types, message } = typedData;
+  if (keystoreSignerFor(address) || hasInjectedWallet()) {
+    const signer = await getWalletSigner(address);
+    return signer.signTypedData(domain, types, message);
+  }
+  return getRpcProvider().send("eth_signTypedData_v4", [
+    address,
+    ethers.TypedDataEncoder.getPayload(domain, types, message)
+  ]);
+}
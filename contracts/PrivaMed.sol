@@ -1,12 +1,15 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.0;
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 
 /// =============================================================================================================
 /// Project:            CSC196D: DApp-based Medical Record Access Control
 /// Author:             Ian Andersen (updated with auditor-support for addRecord)
 /// =============================================================================================================
 
-contract PrivaMed {
+contract PrivaMed is EIP712 {
     /// =============================================================================================================
     /// Fields & Structures
     /// =============================================================================================================
@@ -41,16 +44,38 @@ contract PrivaMed {
         bytes32 recordId;
         string reason;
         uint256 createdAt;
-        bool fulfilled;
+        bool fulfilled; // resolved by the record owner, either way
+        bool approved; // only meaningful once fulfilled
     }
 
     // Events
     event UserRegistered(address indexed user, Role role);
+    event RoleChanged(address indexed user, Role previousRole, Role newRole);
+    event UserDeactivated(address indexed user, Role previousRole);
+    event AdminTransferStarted(
+        address indexed currentAdmin,
+        address indexed pendingAdmin
+    );
+    event AdminTransferred(
+        address indexed previousAdmin,
+        address indexed newAdmin
+    );
+    event ProviderVerified(
+        address indexed provider,
+        bytes32 profileHash,
+        address indexed auditor
+    );
     event RecordAdded(
         bytes32 indexed recordId,
         address indexed owner,
         string cid
     );
+    event RecordUpdated(
+        bytes32 indexed recordId,
+        address indexed owner,
+        string oldCid,
+        string newCid
+    );
     event AccessGranted(
         bytes32 indexed recordId,
         address indexed grantee,
@@ -64,6 +89,12 @@ contract PrivaMed {
         address indexed requester,
         string reason
     );
+    event AccessRequestResolved(
+        uint256 indexed requestId,
+        bytes32 indexed recordId,
+        address indexed requester,
+        bool approved
+    );
     event AccessEvent(
         bytes32 indexed recordId,
         address indexed actor,
@@ -87,9 +118,67 @@ contract PrivaMed {
     mapping(bytes32 => Record) public records;
     mapping(bytes32 => mapping(address => AccessGrant)) public grants;
 
+    /// Break-glass access: until when `actor` may read `recordId` without the
+    /// owner (0 if never). Kept apart from `grants` so an emergency neither
+    /// replaces nor outlives the grant the owner gave.
+    mapping(bytes32 => mapping(address => uint256)) public emergencyUntil;
+
+    /// Everyone who has ever been granted a record and every record a grantee
+    /// has ever been granted, in order of first grant. Entries are never
+    /// removed; check the grant itself for its current state.
+    mapping(bytes32 => address[]) private recordGrantees;
+    mapping(address => bytes32[]) private granteeRecords;
+    mapping(bytes32 => mapping(address => bool)) private grantIndexed;
+
     AccessRequest[] public requests;
 
     address public admin;
+    /// Nominated by transferAdmin; becomes admin once it calls acceptAdmin.
+    address public pendingAdmin;
+
+    /// Hash of each provider's off-chain directory entry as last verified by
+    /// an auditor; zero while unverified.
+    mapping(address => bytes32) public providerProfileHash;
+
+    /// Longest break-glass grant a provider can give themselves.
+    uint256 public constant MAX_EMERGENCY_DURATION = 24 hours;
+
+    /// Per-signer counter for EIP-712 signed requests; each accepted signature
+    /// consumes the current value, so a signature can never be replayed.
+    mapping(address => uint256) public nonces;
+
+    bytes32 private constant ADD_RECORD_TYPEHASH =
+        keccak256(
+            "AddRecord(address owner,string cid,uint256 nonce,uint256 deadline)"
+        );
+    bytes32 private constant UPDATE_RECORD_CID_TYPEHASH =
+        keccak256(
+            "UpdateRecordCID(address owner,bytes32 recordId,string newCid,uint256 nonce,uint256 deadline)"
+        );
+    bytes32 private constant GRANT_ACCESS_TYPEHASH =
+        keccak256(
+            "GrantAccess(address owner,bytes32 recordId,address grantee,uint256 validUntil,bytes32 scope,uint256 nonce,uint256 deadline)"
+        );
+    bytes32 private constant REVOKE_ACCESS_TYPEHASH =
+        keccak256(
+            "RevokeAccess(address owner,bytes32 recordId,address grantee,uint256 nonce,uint256 deadline)"
+        );
+    bytes32 private constant REQUEST_ACCESS_TYPEHASH =
+        keccak256(
+            "RequestAccess(address requester,bytes32 recordId,string reason,uint256 nonce,uint256 deadline)"
+        );
+    bytes32 private constant APPROVE_REQUEST_TYPEHASH =
+        keccak256(
+            "ApproveRequest(address owner,uint256 requestId,uint256 validUntil,bytes32 scope,uint256 nonce,uint256 deadline)"
+        );
+    bytes32 private constant DENY_REQUEST_TYPEHASH =
+        keccak256(
+            "DenyRequest(address owner,uint256 requestId,uint256 nonce,uint256 deadline)"
+        );
+    bytes32 private constant EMERGENCY_ACCESS_TYPEHASH =
+        keccak256(
+            "EmergencyAccess(address provider,bytes32 recordId,bytes32 justificationHash,uint256 validForSeconds,uint256 nonce,uint256 deadline)"
+        );
 
     modifier onlyAdmin() {
         require(msg.sender == admin, "Admin only");
@@ -104,10 +193,27 @@ contract PrivaMed {
         _;
     }
 
-    constructor() {
+    constructor() EIP712("PrivaMed", "1") {
         admin = msg.sender;
     }
 
+    /// Check an EIP-712 signature by `signer` over `structHash` and consume
+    /// their nonce. The struct hash must embed nonces[signer].
+    function _useSignature(
+        address signer,
+        bytes32 structHash,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal {
+        require(block.timestamp <= deadline, "Signature expired");
+        address recovered = ECDSA.recover(
+            _hashTypedDataV4(structHash),
+            signature
+        );
+        require(recovered == signer, "Invalid signature");
+        nonces[signer] += 1;
+    }
+
     /// =============================================================================================================
     /// User Management
     /// =============================================================================================================
@@ -120,40 +226,183 @@ contract PrivaMed {
         emit UserRegistered(userAddr, role);
     }
 
+    /// Switch a registered user to another role. Grants a provider holds stop
+    /// counting while they are not a provider (see isAuthorized).
+    function changeRole(address userAddr, Role role) external onlyAdmin {
+        require(users[userAddr].exists, "User not registered");
+        require(role != Role.None, "invalid role");
+        Role previous = users[userAddr].role;
+        require(previous != role, "Role unchanged");
+
+        users[userAddr].role = role;
+        emit RoleChanged(userAddr, previous, role);
+    }
+
+    /// Suspend a user by removing their registration. This does not void
+    /// anything: their records and grants stay on-chain, the grants just stop
+    /// counting while the user is unregistered, and registerUser (as a
+    /// Provider again) brings back every grant that has not expired or been
+    /// revoked meanwhile. An owner who wants a grant gone revokes it.
+    function deactivateUser(address userAddr) external onlyAdmin {
+        require(users[userAddr].exists, "User not registered");
+        Role previous = users[userAddr].role;
+
+        delete users[userAddr];
+        emit UserDeactivated(userAddr, previous);
+    }
+
+    /// First step of handing the admin role over (e.g. to a multisig). Passing
+    /// the zero address cancels a pending transfer.
+    function transferAdmin(address newAdmin) external onlyAdmin {
+        pendingAdmin = newAdmin;
+        emit AdminTransferStarted(admin, newAdmin);
+    }
+
+    /// Second step: the nominated account takes over as admin.
+    function acceptAdmin() external {
+        require(
+            pendingAdmin != address(0) && msg.sender == pendingAdmin,
+            "Not the pending admin"
+        );
+        address previous = admin;
+        admin = pendingAdmin;
+        pendingAdmin = address(0);
+        emit AdminTransferred(previous, admin);
+    }
+
+    /// =============================================================================================================
+    /// Provider directory
+    /// =============================================================================================================
+
+    /// Anchor the directory entry an auditor has checked (name, license, ...)
+    /// for `provider`. A zero hash withdraws the verification.
+    function setProviderVerification(
+        address provider,
+        bytes32 profileHash
+    ) external {
+        require(
+            users[msg.sender].exists && users[msg.sender].role == Role.Auditor,
+            "Only auditor"
+        );
+        require(
+            users[provider].exists && users[provider].role == Role.Provider,
+            "Not a provider"
+        );
+
+        providerProfileHash[provider] = profileHash;
+        emit ProviderVerified(provider, profileHash, msg.sender);
+    }
+
     /// =============================================================================================================
-    /// RECORD UPLOAD (FIXED AUTHORIZATION VERSION)
+    /// RECORD UPLOAD
     /// =============================================================================================================
-    /// Allows **Patients OR Auditors** to add a record.
-    /// Backend auditor (account[0]) can now safely call addRecord() on behalf of a patient.
-    /// THIS IS THE ONLY CHANGE YOU NEED.
+    /// A record belongs to whoever adds it, which must be a registered Patient (or Auditor). The owner either
+    /// calls addRecord() from their own wallet, or signs an AddRecord authorization that a relayer (the backend)
+    /// submits through addRecordBySig(); either way the record is owned by the signer, never by the relayer.
     /// =============================================================================================================
 
-    function addRecord(
+    function addRecord(string calldata cid) external returns (bytes32) {
+        return _addRecord(msg.sender, cid);
+    }
+
+    /// addRecord on behalf of `owner`, authorized by their EIP-712 signature
+    /// and submitted by a relayer that pays the gas.
+    function addRecordBySig(
+        address owner,
+        string calldata cid,
+        uint256 deadline,
+        bytes calldata signature
+    ) external returns (bytes32) {
+        _useSignature(
+            owner,
+            keccak256(
+                abi.encode(
+                    ADD_RECORD_TYPEHASH,
+                    owner,
+                    keccak256(bytes(cid)),
+                    nonces[owner],
+                    deadline
+                )
+            ),
+            deadline,
+            signature
+        );
+        return _addRecord(owner, cid);
+    }
+
+    function _addRecord(
+        address sender,
         string calldata cid
-    ) external onlyRegistered returns (bytes32) {
+    ) internal returns (bytes32) {
+        require(users[sender].exists, "User not registered");
         // Allow either the patient-owner OR an auditor to add a record.
         require(
-            users[msg.sender].role == Role.Patient ||
-                users[msg.sender].role == Role.Auditor,
+            users[sender].role == Role.Patient ||
+                users[sender].role == Role.Auditor,
             "Only patient or auditor may add records"
         );
 
         bytes32 recordId = keccak256(
-            abi.encodePacked(msg.sender, cid, block.timestamp)
+            abi.encodePacked(sender, cid, block.timestamp)
         );
         require(!records[recordId].exists, "RecordId already exists");
 
         records[recordId] = Record({
-            owner: msg.sender,
+            owner: sender,
             cid: cid,
             createdAt: block.timestamp,
             exists: true
         });
 
-        emit RecordAdded(recordId, msg.sender, cid);
+        emit RecordAdded(recordId, sender, cid);
         return recordId;
     }
 
+    /// Point an existing record at a new CID, e.g. after its key was rotated and
+    /// the content re-encrypted. The recordId (and so every grant) stays the same.
+    function updateRecordCID(bytes32 recordId, string calldata newCid) external {
+        _updateRecordCID(msg.sender, recordId, newCid);
+    }
+
+    function updateRecordCIDBySig(
+        address owner,
+        bytes32 recordId,
+        string calldata newCid,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useSignature(
+            owner,
+            keccak256(
+                abi.encode(
+                    UPDATE_RECORD_CID_TYPEHASH,
+                    owner,
+                    recordId,
+                    keccak256(bytes(newCid)),
+                    nonces[owner],
+                    deadline
+                )
+            ),
+            deadline,
+            signature
+        );
+        _updateRecordCID(owner, recordId, newCid);
+    }
+
+    function _updateRecordCID(
+        address sender,
+        bytes32 recordId,
+        string calldata newCid
+    ) internal recordExists(recordId) {
+        Record storage r = records[recordId];
+        require(sender == r.owner, "Only owner can update");
+        require(bytes(newCid).length > 0, "empty cid");
+
+        string memory oldCid = r.cid;
+        r.cid = newCid;
+        emit RecordUpdated(recordId, sender, oldCid, newCid);
+    }
+
     /// =============================================================================================================
     /// Access Control
     /// =============================================================================================================
@@ -163,35 +412,124 @@ contract PrivaMed {
         address grantee,
         uint256 validUntil,
         bytes32 scope
-    ) external recordExists(recordId) {
+    ) external {
+        _grantAccess(msg.sender, recordId, grantee, validUntil, scope);
+    }
+
+    function grantAccessBySig(
+        address owner,
+        bytes32 recordId,
+        address grantee,
+        uint256 validUntil,
+        bytes32 scope,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useSignature(
+            owner,
+            _grantAccessStructHash(
+                owner,
+                recordId,
+                grantee,
+                validUntil,
+                scope,
+                deadline
+            ),
+            deadline,
+            signature
+        );
+        _grantAccess(owner, recordId, grantee, validUntil, scope);
+    }
+
+    // Split out of grantAccessBySig to keep its stack shallow enough to compile.
+    function _grantAccessStructHash(
+        address owner,
+        bytes32 recordId,
+        address grantee,
+        uint256 validUntil,
+        bytes32 scope,
+        uint256 deadline
+    ) internal view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    GRANT_ACCESS_TYPEHASH,
+                    owner,
+                    recordId,
+                    grantee,
+                    validUntil,
+                    scope,
+                    nonces[owner],
+                    deadline
+                )
+            );
+    }
+
+    function _grantAccess(
+        address sender,
+        bytes32 recordId,
+        address grantee,
+        uint256 validUntil,
+        bytes32 scope
+    ) internal recordExists(recordId) {
         Record storage r = records[recordId];
-        require(msg.sender == r.owner, "Only owner can grant");
+        require(sender == r.owner, "Only owner can grant");
         require(
             users[grantee].exists && users[grantee].role == Role.Provider,
             "Grantee must be a registered provider"
         );
         require(grantee != address(0), "Not a valid grantee");
 
-        grants[recordId][grantee] = AccessGrant({
-            active: true,
-            validUntil: validUntil,
-            scope: scope
-        });
-
+        _storeGrant(recordId, grantee, validUntil, scope);
         emit AccessGranted(recordId, grantee, validUntil, scope);
     }
 
-    function revokeAccess(
+    function revokeAccess(bytes32 recordId, address grantee) external {
+        _revokeAccess(msg.sender, recordId, grantee);
+    }
+
+    function revokeAccessBySig(
+        address owner,
+        bytes32 recordId,
+        address grantee,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useSignature(
+            owner,
+            keccak256(
+                abi.encode(
+                    REVOKE_ACCESS_TYPEHASH,
+                    owner,
+                    recordId,
+                    grantee,
+                    nonces[owner],
+                    deadline
+                )
+            ),
+            deadline,
+            signature
+        );
+        _revokeAccess(owner, recordId, grantee);
+    }
+
+    function _revokeAccess(
+        address sender,
         bytes32 recordId,
         address grantee
-    ) external recordExists(recordId) {
+    ) internal recordExists(recordId) {
         Record storage r = records[recordId];
-        require(msg.sender == r.owner, "Only owner can revoke");
+        require(sender == r.owner, "Only owner can revoke");
 
+        // Revoking also ends any break-glass access the grantee holds
         AccessGrant storage g = grants[recordId][grantee];
-        require(g.active, "Grant not active");
+        require(
+            g.active || block.timestamp <= emergencyUntil[recordId][grantee],
+            "Grant not active"
+        );
 
         g.active = false;
+        delete emergencyUntil[recordId][grantee];
         emit AccessRevoked(recordId, grantee);
     }
 
@@ -199,77 +537,374 @@ contract PrivaMed {
     /// Access Requests
     /// =============================================================================================================
 
-    function requestAccess(
+    function requestAccess(bytes32 recordId, string calldata reason) external {
+        _requestAccess(msg.sender, recordId, reason);
+    }
+
+    function requestAccessBySig(
+        address requester,
+        bytes32 recordId,
+        string calldata reason,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useSignature(
+            requester,
+            keccak256(
+                abi.encode(
+                    REQUEST_ACCESS_TYPEHASH,
+                    requester,
+                    recordId,
+                    keccak256(bytes(reason)),
+                    nonces[requester],
+                    deadline
+                )
+            ),
+            deadline,
+            signature
+        );
+        _requestAccess(requester, recordId, reason);
+    }
+
+    function _requestAccess(
+        address sender,
         bytes32 recordId,
         string calldata reason
-    ) external recordExists(recordId) onlyRegistered {
+    ) internal recordExists(recordId) {
+        require(users[sender].exists, "User not registered");
         require(
-            users[msg.sender].role == Role.Provider,
+            users[sender].role == Role.Provider,
             "Only provider may request"
         );
 
         AccessRequest memory req = AccessRequest({
-            requester: msg.sender,
+            requester: sender,
             recordId: recordId,
             reason: reason,
             createdAt: block.timestamp,
-            fulfilled: false
+            fulfilled: false,
+            approved: false
         });
 
         requests.push(req);
         uint256 id = requests.length - 1;
-        emit AccessRequested(id, recordId, msg.sender, reason);
+        emit AccessRequested(id, recordId, sender, reason);
+    }
+
+    /// Record owner accepts a pending request; this grants the requester access
+    /// exactly like grantAccess would.
+    function approveRequest(
+        uint256 requestId,
+        uint256 validUntil,
+        bytes32 scope
+    ) external {
+        _approveRequest(msg.sender, requestId, validUntil, scope);
+    }
+
+    function approveRequestBySig(
+        address owner,
+        uint256 requestId,
+        uint256 validUntil,
+        bytes32 scope,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useSignature(
+            owner,
+            keccak256(
+                abi.encode(
+                    APPROVE_REQUEST_TYPEHASH,
+                    owner,
+                    requestId,
+                    validUntil,
+                    scope,
+                    nonces[owner],
+                    deadline
+                )
+            ),
+            deadline,
+            signature
+        );
+        _approveRequest(owner, requestId, validUntil, scope);
+    }
+
+    function _approveRequest(
+        address sender,
+        uint256 requestId,
+        uint256 validUntil,
+        bytes32 scope
+    ) internal {
+        AccessRequest storage req = _resolveRequest(sender, requestId, true);
+        _grantAccess(sender, req.recordId, req.requester, validUntil, scope);
+    }
+
+    /// Record owner turns a pending request down.
+    function denyRequest(uint256 requestId) external {
+        _resolveRequest(msg.sender, requestId, false);
     }
 
+    function denyRequestBySig(
+        address owner,
+        uint256 requestId,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useSignature(
+            owner,
+            keccak256(
+                abi.encode(
+                    DENY_REQUEST_TYPEHASH,
+                    owner,
+                    requestId,
+                    nonces[owner],
+                    deadline
+                )
+            ),
+            deadline,
+            signature
+        );
+        _resolveRequest(owner, requestId, false);
+    }
+
+    function _resolveRequest(
+        address sender,
+        uint256 requestId,
+        bool approved
+    ) internal returns (AccessRequest storage req) {
+        require(requestId < requests.length, "invalid id");
+        req = requests[requestId];
+        require(
+            sender == records[req.recordId].owner,
+            "Only owner can resolve"
+        );
+        require(!req.fulfilled, "Request already resolved");
+
+        req.fulfilled = true;
+        req.approved = approved;
+        emit AccessRequestResolved(
+            requestId,
+            req.recordId,
+            req.requester,
+            approved
+        );
+    }
+
+    /// Break-glass access: a provider grants themselves temporary access
+    /// without the owner. `justificationHash` anchors the written justification
+    /// kept off-chain, and the access can last at most MAX_EMERGENCY_DURATION.
+    /// Any grant the provider already holds is left as it is and applies again
+    /// once the emergency is over.
     function emergencyAccess(
         bytes32 recordId,
         bytes32 justificationHash,
         uint256 validForSeconds
-    ) external recordExists(recordId) onlyRegistered {
+    ) external {
+        _emergencyAccess(
+            msg.sender,
+            recordId,
+            justificationHash,
+            validForSeconds
+        );
+    }
+
+    function emergencyAccessBySig(
+        address provider,
+        bytes32 recordId,
+        bytes32 justificationHash,
+        uint256 validForSeconds,
+        uint256 deadline,
+        bytes calldata signature
+    ) external {
+        _useSignature(
+            provider,
+            keccak256(
+                abi.encode(
+                    EMERGENCY_ACCESS_TYPEHASH,
+                    provider,
+                    recordId,
+                    justificationHash,
+                    validForSeconds,
+                    nonces[provider],
+                    deadline
+                )
+            ),
+            deadline,
+            signature
+        );
+        _emergencyAccess(
+            provider,
+            recordId,
+            justificationHash,
+            validForSeconds
+        );
+    }
+
+    function _emergencyAccess(
+        address sender,
+        bytes32 recordId,
+        bytes32 justificationHash,
+        uint256 validForSeconds
+    ) internal recordExists(recordId) {
+        require(users[sender].exists, "User not registered");
         require(
-            users[msg.sender].role == Role.Provider,
+            users[sender].role == Role.Provider,
             "Only provider may use emergency"
         );
+        require(justificationHash != bytes32(0), "Justification required");
+        require(
+            validForSeconds > 0 && validForSeconds <= MAX_EMERGENCY_DURATION,
+            "Invalid emergency duration"
+        );
 
         uint256 validUntil = block.timestamp + validForSeconds;
 
-        grants[recordId][msg.sender] = AccessGrant({
-            active: true,
-            validUntil: validUntil,
-            scope: bytes32(0)
-        });
+        _indexGrantee(recordId, sender);
+        emergencyUntil[recordId][sender] = validUntil;
 
         emit EmergencyAccess(
             recordId,
-            msg.sender,
+            sender,
             justificationHash,
             validUntil,
             block.timestamp
         );
     }
 
+    /// Index `grantee` the first time they get `recordId`.
+    function _indexGrantee(bytes32 recordId, address grantee) internal {
+        if (!grantIndexed[recordId][grantee]) {
+            grantIndexed[recordId][grantee] = true;
+            recordGrantees[recordId].push(grantee);
+            granteeRecords[grantee].push(recordId);
+        }
+    }
+
+    /// Write a grant and index it the first time `grantee` gets `recordId`.
+    function _storeGrant(
+        bytes32 recordId,
+        address grantee,
+        uint256 validUntil,
+        bytes32 scope
+    ) internal {
+        _indexGrantee(recordId, grantee);
+
+        grants[recordId][grantee] = AccessGrant({
+            active: true,
+            validUntil: validUntil,
+            scope: scope
+        });
+    }
+
     /// =============================================================================================================
     /// View / Audit Utilities
     /// =============================================================================================================
 
-    function isAuthorized(
+    function getRecordGrantees(
+        bytes32 recordId
+    ) external view returns (address[] memory) {
+        return recordGrantees[recordId];
+    }
+
+    function getGranteeRecords(
+        address grantee
+    ) external view returns (bytes32[] memory) {
+        return granteeRecords[grantee];
+    }
+
+    /// Records `grantee` is currently authorized for (see isAuthorized), with
+    /// their effective grants, in one call.
+    function getAuthorizedRecords(
+        address grantee
+    )
+        external
+        view
+        returns (bytes32[] memory recordIds, AccessGrant[] memory grantList)
+    {
+        bytes32[] storage all = granteeRecords[grantee];
+        uint256 count;
+        for (uint256 i = 0; i < all.length; i++) {
+            if (isAuthorized(all[i], grantee)) count++;
+        }
+
+        recordIds = new bytes32[](count);
+        grantList = new AccessGrant[](count);
+        uint256 j;
+        for (uint256 i = 0; i < all.length; i++) {
+            if (isAuthorized(all[i], grantee)) {
+                recordIds[j] = all[i];
+                grantList[j] = getEffectiveGrant(all[i], grantee);
+                j++;
+            }
+        }
+    }
+
+    /// The grant `actor` holds on `recordId` right now: break-glass access
+    /// while it lasts (a full-scope grant until emergencyUntil), unless the
+    /// owner's grant already covers at least as much; otherwise the owner's
+    /// grant as stored.
+    function getEffectiveGrant(
         bytes32 recordId,
         address actor
-    ) public view recordExists(recordId) returns (bool) {
+    ) public view returns (AccessGrant memory) {
         AccessGrant memory g = grants[recordId][actor];
+        uint256 until = emergencyUntil[recordId][actor];
+        if (block.timestamp > until) return g;
+
+        bool covered = _grantLive(g) &&
+            g.scope == bytes32(0) &&
+            (g.validUntil == 0 || g.validUntil >= until);
+        if (covered) return g;
+        return
+            AccessGrant({active: true, validUntil: until, scope: bytes32(0)});
+    }
 
+    function _grantLive(AccessGrant memory g) internal view returns (bool) {
         if (!g.active) return false;
-        if (g.validUntil == 0) return true;
+        return g.validUntil == 0 || block.timestamp <= g.validUntil;
+    }
 
-        return block.timestamp <= g.validUntil;
+    function isAuthorized(
+        bytes32 recordId,
+        address actor
+    ) public view recordExists(recordId) returns (bool) {
+        // Every grant goes to a provider; it is void while they are suspended
+        // or hold another role
+        if (!users[actor].exists || users[actor].role != Role.Provider) {
+            return false;
+        }
+        return _grantLive(getEffectiveGrant(recordId, actor));
     }
 
+    /// Like isAuthorized, but the grant must also cover every bit of `scope`.
+    /// Scopes are bitmasks whose meaning is defined off-chain (see
+    /// backend/src/scopes.js); a grant with a zero scope covers everything.
+    function isAuthorizedFor(
+        bytes32 recordId,
+        address actor,
+        bytes32 scope
+    ) external view returns (bool) {
+        if (!isAuthorized(recordId, actor)) return false;
+
+        bytes32 granted = getEffectiveGrant(recordId, actor).scope;
+        return granted == bytes32(0) || (granted & scope) == scope;
+    }
+
+    /// Record an access attempt in the audit trail. Only the record owner, the
+    /// actor themselves or a registered auditor may log one, so entries cannot
+    /// be forged by third parties.
     function logAccessEvent(
         bytes32 recordId,
         address actor,
         bool success,
         string calldata action
     ) external recordExists(recordId) {
+        require(
+            msg.sender == records[recordId].owner ||
+                msg.sender == actor ||
+                (users[msg.sender].exists &&
+                    users[msg.sender].role == Role.Auditor),
+            "Not allowed to log access"
+        );
         emit AccessEvent(recordId, actor, success, action, block.timestamp);
     }
 
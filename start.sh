@@ -44,8 +44,11 @@ log "Project root: $PROJECT_ROOT"
 
 # 1) Start Ganache
 log "Starting Ganache on port ${GANACHE_PORT} (chainId=${CHAIN_ID}, networkId=${CHAIN_ID})"
+# The extra (11th) account is the backend's audit logger, which the demo does
+# not offer as a patient or provider
 start_bg "Ganache" \
-  ganache -p "${GANACHE_PORT}" --chain.chainId "${CHAIN_ID}" --chain.networkId "${CHAIN_ID}"
+  ganache -p "${GANACHE_PORT}" --chain.chainId "${CHAIN_ID}" --chain.networkId "${CHAIN_ID}" \
+  --wallet.totalAccounts 11
 
 # Give Ganache a moment to boot up
 sleep 5
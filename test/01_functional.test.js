@@ -26,6 +26,93 @@ contract("PrivaMed", accounts => {
     return Number(r);
   };
 
+  const EIP712_TYPES = {
+    AddRecord: [
+      { name: "owner", type: "address" },
+      { name: "cid", type: "string" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ],
+    GrantAccess: [
+      { name: "owner", type: "address" },
+      { name: "recordId", type: "bytes32" },
+      { name: "grantee", type: "address" },
+      { name: "validUntil", type: "uint256" },
+      { name: "scope", type: "bytes32" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ],
+    RequestAccess: [
+      { name: "requester", type: "address" },
+      { name: "recordId", type: "bytes32" },
+      { name: "reason", type: "string" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ],
+    EmergencyAccess: [
+      { name: "provider", type: "address" },
+      { name: "recordId", type: "bytes32" },
+      { name: "justificationHash", type: "bytes32" },
+      { name: "validForSeconds", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" }
+    ]
+  };
+
+  // Sign a PrivaMed EIP-712 request with one of Ganache's unlocked accounts
+  const signRequest = async (signer, primaryType, message) => {
+    const domain = await instance.eip712Domain();
+    const typedData = {
+      types: {
+        EIP712Domain: [
+          { name: "name", type: "string" },
+          { name: "version", type: "string" },
+          { name: "chainId", type: "uint256" },
+          { name: "verifyingContract", type: "address" }
+        ],
+        [primaryType]: EIP712_TYPES[primaryType]
+      },
+      primaryType,
+      domain: {
+        name: domain.name,
+        version: domain.version,
+        chainId: domain.chainId.toString(),
+        verifyingContract: domain.verifyingContract
+      },
+      message
+    };
+    return new Promise((resolve, reject) => {
+      web3.currentProvider.send(
+        {
+          jsonrpc: "2.0",
+          id: Date.now(),
+          method: "eth_signTypedData_v4",
+          // Ganache takes the typed data as an object, not a JSON string
+          params: [signer, typedData]
+        },
+        (err, res) => (err || res.error ? reject(err || res.error) : resolve(res.result))
+      );
+    });
+  };
+
+  const deadlineIn = async (seconds) => {
+    const block = await web3.eth.getBlock("latest");
+    return Number(block.timestamp) + seconds;
+  };
+
+  // Move Ganache's clock forward and mine a block at the new time
+  const increaseTime = async (seconds) => {
+    const send = (method, params) =>
+      new Promise((resolve, reject) => {
+        web3.currentProvider.send(
+          { jsonrpc: "2.0", id: Date.now(), method, params },
+          (err, res) => (err || res.error ? reject(err || res.error) : resolve(res.result))
+        );
+      });
+    await send("evm_increaseTime", [seconds]);
+    await send("evm_mine", []);
+  };
+
   beforeEach(async () => {
     instance = await PrivaMed.new({ from: admin });
     // admin registers patient and provider
@@ -57,6 +144,90 @@ contract("PrivaMed", accounts => {
     }
   });
 
+  it("admin can change roles and suspend users, whose grants lapse until they are reinstated", async () => {
+    const txAdd = await instance.addRecord("QmSuspend", { from: patient });
+    const recordId = txAdd.logs[0].args.recordId;
+    await instance.grantAccess(recordId, provider, 0, web3.utils.padLeft("0x0", 64), { from: patient });
+
+    try {
+      await instance.deactivateUser(provider, { from: stranger });
+      expect.fail("Expected deactivateUser to revert for non-admin");
+    } catch (err) {
+      expect(err.message).to.include("Admin only");
+    }
+
+    const txOff = await instance.deactivateUser(provider, { from: admin });
+    expect(txOff.logs.find(l => l.event === "UserDeactivated")).to.exist;
+    expect((await instance.users(provider)).exists).to.equal(false);
+    expect(await instance.isAuthorized(recordId, provider)).to.equal(false);
+
+    // Deactivation is a suspension: reinstating the provider brings the
+    // grant back
+    await instance.registerUser(provider, 2, { from: admin });
+    expect(await instance.isAuthorized(recordId, provider)).to.equal(true);
+
+    const txRole = await instance.changeRole(provider, 3, { from: admin });
+    const ev = txRole.logs.find(l => l.event === "RoleChanged");
+    expect(roleToNumber(ev.args.previousRole)).to.equal(2);
+    expect(roleToNumber(ev.args.newRole)).to.equal(3);
+    expect(roleToNumber((await instance.users(provider)).role)).to.equal(3);
+    expect(await instance.isAuthorized(recordId, provider)).to.equal(false);
+  });
+
+  it("admin role is handed over in two steps", async () => {
+    await instance.transferAdmin(auditor, { from: admin });
+    expect(await instance.admin()).to.equal(admin);
+    expect(await instance.pendingAdmin()).to.equal(auditor);
+
+    try {
+      await instance.acceptAdmin({ from: stranger });
+      expect.fail("Expected acceptAdmin to revert for anyone but the pending admin");
+    } catch (err) {
+      expect(err.message).to.include("Not the pending admin");
+    }
+
+    const tx = await instance.acceptAdmin({ from: auditor });
+    const ev = tx.logs.find(l => l.event === "AdminTransferred");
+    expect(ev.args.previousAdmin).to.equal(admin);
+    expect(ev.args.newAdmin).to.equal(auditor);
+    expect(await instance.admin()).to.equal(auditor);
+
+    try {
+      await instance.registerUser(stranger, 1, { from: admin });
+      expect.fail("Expected the previous admin to lose admin rights");
+    } catch (err) {
+      expect(err.message).to.include("Admin only");
+    }
+  });
+
+  it("only auditors can anchor a provider's verified profile", async () => {
+    await instance.registerUser(auditor, 3, { from: admin });
+    const profileHash = web3.utils.keccak256("Dr. Example|Cardiology|LIC-123");
+
+    try {
+      await instance.setProviderVerification(provider, profileHash, { from: stranger });
+      expect.fail("Expected setProviderVerification to revert for non-auditor");
+    } catch (err) {
+      expect(err.message).to.include("Only auditor");
+    }
+    try {
+      await instance.setProviderVerification(patient, profileHash, { from: auditor });
+      expect.fail("Expected setProviderVerification to revert for non-provider");
+    } catch (err) {
+      expect(err.message).to.include("Not a provider");
+    }
+
+    const tx = await instance.setProviderVerification(provider, profileHash, { from: auditor });
+    const ev = tx.logs.find(l => l.event === "ProviderVerified");
+    expect(ev.args.provider).to.equal(provider);
+    expect(ev.args.auditor).to.equal(auditor);
+    expect(await instance.providerProfileHash(provider)).to.equal(profileHash);
+
+    const zero = web3.utils.padLeft("0x0", 64);
+    await instance.setProviderVerification(provider, zero, { from: auditor });
+    expect(await instance.providerProfileHash(provider)).to.equal(zero);
+  });
+
   //===========================================
   // Add records/Grant access 
   //===========================================
@@ -71,9 +242,53 @@ contract("PrivaMed", accounts => {
     expect(auth).to.be.true;
   });
 
+  it("isAuthorizedFor only covers the scope bits that were granted", async () => {
+    const txAdd = await instance.addRecord("QmScopedCID", { from: patient });
+    const recordId = txAdd.logs[0].args.recordId;
+    const bits = (mask) => web3.utils.padLeft(web3.utils.toHex(mask), 64);
+
+    // read-note (bit 0) only
+    await instance.grantAccess(recordId, provider, 0, bits(1), { from: patient });
+    expect(await instance.isAuthorizedFor(recordId, provider, bits(1))).to.equal(true);
+    expect(await instance.isAuthorizedFor(recordId, provider, bits(2))).to.equal(false);
+    expect(await instance.isAuthorizedFor(recordId, provider, bits(3))).to.equal(false);
+
+    // A zero scope is a full grant
+    await instance.grantAccess(recordId, provider, 0, bits(0), { from: patient });
+    expect(await instance.isAuthorizedFor(recordId, provider, bits(3))).to.equal(true);
+
+    await instance.revokeAccess(recordId, provider, { from: patient });
+    expect(await instance.isAuthorizedFor(recordId, provider, bits(1))).to.equal(false);
+  });
+
   //===========================================
   // Revoke access
   //===========================================
+  it("grants are enumerable per record and per grantee", async () => {
+    const zero = web3.utils.padLeft("0x0", 64);
+    await instance.registerUser(stranger, 2, { from: admin });
+    const txA = await instance.addRecord("QmEnumA", { from: patient });
+    const txB = await instance.addRecord("QmEnumB", { from: patient });
+    const recordA = txA.logs[0].args.recordId;
+    const recordB = txB.logs[0].args.recordId;
+
+    await instance.grantAccess(recordA, provider, 0, zero, { from: patient });
+    await instance.grantAccess(recordA, stranger, 0, zero, { from: patient });
+    await instance.grantAccess(recordB, provider, 0, zero, { from: patient });
+    // Revoking and granting again does not add a second entry
+    await instance.revokeAccess(recordB, provider, { from: patient });
+    await instance.grantAccess(recordB, provider, 0, zero, { from: patient });
+
+    expect(await instance.getRecordGrantees(recordA)).to.deep.equal([provider, stranger]);
+    expect(await instance.getGranteeRecords(provider)).to.deep.equal([recordA, recordB]);
+
+    await instance.revokeAccess(recordA, provider, { from: patient });
+    const authorized = await instance.getAuthorizedRecords(provider);
+    expect(authorized.recordIds).to.deep.equal([recordB]);
+    expect(authorized.grantList.length).to.equal(1);
+    expect(authorized.grantList[0].active).to.equal(true);
+  });
+
   it("revocation denies access", async () => {
     const cid = "QmTestCID2";
     const txAdd = await instance.addRecord(cid, { from: patient });
@@ -137,6 +352,49 @@ contract("PrivaMed", accounts => {
     expect(req.reason).to.equal(reason);
   });
 
+  it("owner approving a request grants access and marks it fulfilled", async () => {
+    const txAdd = await instance.addRecord("QmApproveCID", { from: patient });
+    const recordId = txAdd.logs[0].args.recordId;
+    await instance.requestAccess(recordId, "Consult", { from: provider });
+
+    const tx = await instance.approveRequest(0, 0, web3.utils.padLeft("0x0", 64), { from: patient });
+    const ev = tx.logs.find(l => l.event === "AccessRequestResolved");
+    expect(ev.args.approved).to.equal(true);
+    expect(tx.logs.some(l => l.event === "AccessGranted")).to.equal(true);
+
+    const req = await instance.getRequest(0);
+    expect(req.fulfilled).to.equal(true);
+    expect(req.approved).to.equal(true);
+    expect(await instance.isAuthorized(recordId, provider)).to.equal(true);
+
+    // A resolved request cannot be resolved again
+    try {
+      await instance.denyRequest(0, { from: patient });
+      expect.fail("Expected denyRequest to revert for resolved request");
+    } catch (err) {
+      expect(err.message).to.include("Request already resolved");
+    }
+  });
+
+  it("owner can deny a request and only the owner can resolve it", async () => {
+    const txAdd = await instance.addRecord("QmDenyCID", { from: patient });
+    const recordId = txAdd.logs[0].args.recordId;
+    await instance.requestAccess(recordId, "Curious", { from: provider });
+
+    try {
+      await instance.approveRequest(0, 0, web3.utils.padLeft("0x0", 64), { from: provider });
+      expect.fail("Expected approveRequest to revert for non-owner");
+    } catch (err) {
+      expect(err.message).to.include("Only owner can resolve");
+    }
+
+    await instance.denyRequest(0, { from: patient });
+    const req = await instance.getRequest(0);
+    expect(req.fulfilled).to.equal(true);
+    expect(req.approved).to.equal(false);
+    expect(await instance.isAuthorized(recordId, provider)).to.equal(false);
+  });
+
   //===========================================
   // Access expiry protocol
   //===========================================
@@ -178,21 +436,254 @@ contract("PrivaMed", accounts => {
     expect(auth).to.be.true;
   });
 
+  it("emergencyAccess enforces the maximum duration and a justification", async () => {
+    const txAdd = await instance.addRecord("QmEmergCap", { from: patient });
+    const recordId = txAdd.logs[0].args.recordId;
+    const justification = web3.utils.keccak256("Unconscious patient in ER");
+    const max = (await instance.MAX_EMERGENCY_DURATION()).toNumber();
+
+    try {
+      await instance.emergencyAccess(recordId, justification, max + 1, { from: provider });
+      expect.fail("Expected over-long emergency access to revert");
+    } catch (err) {
+      expect(err.message).to.include("Invalid emergency duration");
+    }
+
+    try {
+      await instance.emergencyAccess(recordId, web3.utils.padLeft("0x0", 64), 60, { from: provider });
+      expect.fail("Expected emergency access without justification to revert");
+    } catch (err) {
+      expect(err.message).to.include("Justification required");
+    }
+
+    const deadline = await deadlineIn(3600);
+    const signature = await signRequest(provider, "EmergencyAccess", {
+      provider,
+      recordId,
+      justificationHash: justification,
+      validForSeconds: String(max),
+      nonce: "0",
+      deadline: String(deadline)
+    });
+    const tx = await instance.emergencyAccessBySig(provider, recordId, justification, max, deadline, signature, { from: stranger });
+    const ev = tx.logs.find(l => l.event === "EmergencyAccess");
+    expect(ev.args.actor).to.equal(provider);
+    expect(ev.args.justificationHash).to.equal(justification);
+    expect(await instance.isAuthorized(recordId, provider)).to.equal(true);
+  });
+
+  it("emergencyAccess leaves an existing grant in place and it applies again afterwards", async () => {
+    const txAdd = await instance.addRecord("QmEmergGrant", { from: patient });
+    const recordId = txAdd.logs[0].args.recordId;
+    const bits = (mask) => web3.utils.padLeft(web3.utils.toHex(mask), 64);
+    const justification = web3.utils.keccak256("Unconscious patient in ER");
+
+    // read-note (bit 0) only, no expiry
+    await instance.grantAccess(recordId, provider, 0, bits(1), { from: patient });
+    await instance.emergencyAccess(recordId, justification, 60, { from: provider });
+
+    // Break-glass covers the whole record while it lasts...
+    expect(await instance.isAuthorizedFor(recordId, provider, bits(3))).to.equal(true);
+    const effective = await instance.getEffectiveGrant(recordId, provider);
+    expect(effective.scope).to.equal(bits(0));
+    expect(Number(effective.validUntil)).to.be.greaterThan(0);
+    // ...without touching the owner's grant
+    const stored = await instance.grants(recordId, provider);
+    expect(stored.active).to.equal(true);
+    expect(stored.validUntil.toString()).to.equal("0");
+    expect(stored.scope).to.equal(bits(1));
+    expect(await instance.getRecordGrantees(recordId)).to.deep.equal([provider]);
+
+    // Once it is over the original grant applies again
+    await increaseTime(61);
+    expect(await instance.isAuthorized(recordId, provider)).to.equal(true);
+    expect(await instance.isAuthorizedFor(recordId, provider, bits(1))).to.equal(true);
+    expect(await instance.isAuthorizedFor(recordId, provider, bits(2))).to.equal(false);
+    const after = await instance.getEffectiveGrant(recordId, provider);
+    expect(after.validUntil.toString()).to.equal("0");
+    expect(after.scope).to.equal(bits(1));
+
+    // Revoking ends both the grant and any break-glass access
+    await instance.emergencyAccess(recordId, justification, 60, { from: provider });
+    await instance.revokeAccess(recordId, provider, { from: patient });
+    expect(await instance.isAuthorized(recordId, provider)).to.equal(false);
+    expect((await instance.emergencyUntil(recordId, provider)).toString()).to.equal("0");
+  });
+
+  it("emergencyAccess without a grant ends when its duration runs out", async () => {
+    const txAdd = await instance.addRecord("QmEmergOnly", { from: patient });
+    const recordId = txAdd.logs[0].args.recordId;
+    const justification = web3.utils.keccak256("Unconscious patient in ER");
+
+    await instance.emergencyAccess(recordId, justification, 60, { from: provider });
+    expect((await instance.getAuthorizedRecords(provider)).recordIds).to.deep.equal([recordId]);
+    expect((await instance.grants(recordId, provider)).active).to.equal(false);
+
+    await increaseTime(61);
+    expect(await instance.isAuthorized(recordId, provider)).to.equal(false);
+    expect((await instance.getAuthorizedRecords(provider)).recordIds).to.deep.equal([]);
+  });
+
   //===========================================
   // Event logging
   //===========================================
-  it("logAccessEvent emits AccessEvent and is callable by anyone for existing record", async () => {
+  it("logAccessEvent emits AccessEvent when logged by the actor, owner or an auditor", async () => {
     const cid = "QmLogCID";
     const txAdd = await instance.addRecord(cid, { from: patient });
     const recordId = txAdd.logs[0].args.recordId;
+    await instance.registerUser(auditor, 3, { from: admin }); // Role.Auditor = 3
 
-    const tx = await instance.logAccessEvent(recordId, provider, true, "READ", { from: stranger });
+    const tx = await instance.logAccessEvent(recordId, provider, true, "READ", { from: provider });
     const ev = tx.logs.find(l => l.event === "AccessEvent");
     expect(ev, "AccessEvent should be emitted").to.exist;
     expect(ev.args.recordId).to.equal(recordId);
     expect(ev.args.actor).to.equal(provider);
     expect(ev.args.success).to.equal(true);
     expect(ev.args.action).to.equal("READ");
+
+    for (const from of [patient, auditor]) {
+      const logged = await instance.logAccessEvent(recordId, provider, false, "READ", { from });
+      expect(logged.logs.find(l => l.event === "AccessEvent")).to.exist;
+    }
+  });
+
+  it("logAccessEvent rejects entries forged by unrelated accounts", async () => {
+    const txAdd = await instance.addRecord("QmForgedLog", { from: patient });
+    const recordId = txAdd.logs[0].args.recordId;
+
+    // Neither a stranger nor the admin may log on someone else's behalf
+    for (const from of [stranger, admin]) {
+      try {
+        await instance.logAccessEvent(recordId, provider, true, "READ", { from });
+        expect.fail("Expected forged access event to revert");
+      } catch (err) {
+        expect(err.message).to.include("Not allowed to log access");
+      }
+    }
+  });
+
+  //===========================================
+  // EIP-712 signed requests (relayer)
+  //===========================================
+  it("relayer can add a record on behalf of a patient with their signature", async () => {
+    const cid = "QmRelayedCID";
+    const deadline = await deadlineIn(3600);
+    const signature = await signRequest(patient, "AddRecord", {
+      owner: patient,
+      cid,
+      nonce: "0",
+      deadline: String(deadline)
+    });
+
+    const tx = await instance.addRecordBySig(patient, cid, deadline, signature, { from: stranger });
+    const ev = tx.logs.find(l => l.event === "RecordAdded");
+    expect(ev.args.owner).to.equal(patient);
+
+    const rec = await instance.records(ev.args.recordId);
+    expect(rec.owner).to.equal(patient);
+    expect((await instance.nonces(patient)).toString()).to.equal("1");
+
+    // The nonce is consumed, so the same signature cannot be replayed
+    try {
+      await instance.addRecordBySig(patient, cid, deadline, signature, { from: stranger });
+      expect.fail("Expected replayed signature to revert");
+    } catch (err) {
+      expect(err.message).to.include("Invalid signature");
+    }
+  });
+
+  it("signed requests revert when expired or signed by someone else", async () => {
+    const expired = (await deadlineIn(0)) - 1;
+    const expiredSig = await signRequest(patient, "AddRecord", {
+      owner: patient,
+      cid: "QmLate",
+      nonce: "0",
+      deadline: String(expired)
+    });
+    try {
+      await instance.addRecordBySig(patient, "QmLate", expired, expiredSig, { from: stranger });
+      expect.fail("Expected expired signature to revert");
+    } catch (err) {
+      expect(err.message).to.include("Signature expired");
+    }
+
+    const txAdd = await instance.addRecord("QmOwned", { from: patient });
+    const recordId = txAdd.logs[0].args.recordId;
+    const deadline = await deadlineIn(3600);
+    const forged = await signRequest(provider, "GrantAccess", {
+      owner: patient,
+      recordId,
+      grantee: provider,
+      validUntil: "0",
+      scope: web3.utils.padLeft("0x0", 64),
+      nonce: "0",
+      deadline: String(deadline)
+    });
+    try {
+      await instance.grantAccessBySig(patient, recordId, provider, 0, web3.utils.padLeft("0x0", 64), deadline, forged, { from: stranger });
+      expect.fail("Expected forged signature to revert");
+    } catch (err) {
+      expect(err.message).to.include("Invalid signature");
+    }
+  });
+
+  it("relayer can submit signed grant and access request", async () => {
+    const txAdd = await instance.addRecord("QmShared", { from: patient });
+    const recordId = txAdd.logs[0].args.recordId;
+    const scope = web3.utils.padLeft("0x0", 64);
+    const deadline = await deadlineIn(3600);
+
+    const grantSig = await signRequest(patient, "GrantAccess", {
+      owner: patient,
+      recordId,
+      grantee: provider,
+      validUntil: "0",
+      scope,
+      nonce: "0",
+      deadline: String(deadline)
+    });
+    await instance.grantAccessBySig(patient, recordId, provider, 0, scope, deadline, grantSig, { from: stranger });
+    expect(await instance.isAuthorized(recordId, provider)).to.equal(true);
+
+    const requestSig = await signRequest(provider, "RequestAccess", {
+      requester: provider,
+      recordId,
+      reason: "Follow-up",
+      nonce: "0",
+      deadline: String(deadline)
+    });
+    const tx = await instance.requestAccessBySig(provider, recordId, "Follow-up", deadline, requestSig, { from: stranger });
+    const ev = tx.logs.find(l => l.event === "AccessRequested");
+    expect(ev.args.requester).to.equal(provider);
+  });
+
+  //===========================================
+  // Record CID rotation
+  //===========================================
+  it("owner can point a record at a new CID", async () => {
+    const txAdd = await instance.addRecord("QmOldCID", { from: patient });
+    const recordId = txAdd.logs[0].args.recordId;
+
+    const tx = await instance.updateRecordCID(recordId, "QmNewCID", { from: patient });
+    const ev = tx.logs.find(l => l.event === "RecordUpdated");
+    expect(ev, "RecordUpdated should be emitted").to.exist;
+    expect(ev.args.oldCid).to.equal("QmOldCID");
+    expect(ev.args.newCid).to.equal("QmNewCID");
+
+    const fetched = await instance.getRecordCID(recordId);
+    expect(fetched).to.equal("QmNewCID");
+  });
+
+  it("non-owner cannot update a record CID", async () => {
+    const txAdd = await instance.addRecord("QmOwnedCID", { from: patient });
+    const recordId = txAdd.logs[0].args.recordId;
+
+    try {
+      await instance.updateRecordCID(recordId, "QmHijack", { from: provider });
+      expect.fail("Expected updateRecordCID to revert for non-owner");
+    } catch (err) {
+      expect(err.message).to.include("Only owner can update");
+    }
   });
 
   //===========================================
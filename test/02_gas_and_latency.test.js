@@ -172,7 +172,7 @@ contract("PrivaMed — Gas & Latency Benchmarks", accounts => {
       // ---------- logAccessEvent ----------
       //=========================================
       const logTx = await measureTx(() =>
-        instance.logAccessEvent(recordId, provider, true, "BENCH_READ", { from: other })
+        instance.logAccessEvent(recordId, provider, true, "BENCH_READ", { from: provider })
       );
       if (logTx.gas !== null) metrics.logAccessEvent.gas.push(logTx.gas);
       metrics.logAccessEvent.latency.push(logTx.latency);
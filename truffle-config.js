@@ -11,7 +11,11 @@ module.exports = {
   },
   compilers: {
     solc: {
-      version: "0.8.20"
+      version: "0.8.20",
+      settings: {
+        // Keeps PrivaMed under the 24 KB contract size limit
+        optimizer: { enabled: true, runs: 200 }
+      }
     }
   }
 };
\ No newline at end of file